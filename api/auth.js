@@ -0,0 +1,224 @@
+/**
+ * GET/POST /api/auth
+ *
+ * Device and passkey management, plus passkey sign-in.
+ *
+ * Linked devices: every device gets its own token so one can be revoked
+ * without touching the others (see lib/devices.js).
+ *
+ *   GET ?view=devices                                  (admin)
+ *     Response: { devices: Array<Device>, currentDeviceId: string|null }
+ *     Revoked devices are included with revokedAt set.
+ *   POST { action: "create-device", name, scopes? }    (admin)
+ *     Mints a token for a new device. scopes defaults to ["write"].
+ *     Response: { success: true, device, token }  (token is shown only once)
+ *   POST { action: "revoke-device", id }               (admin)
+ *     Response: { success: true, device }
+ *
+ * Passkeys (WebAuthn, see lib/passkeys.js):
+ *
+ *   GET ?view=passkeys                                 (admin)
+ *     Response: { passkeys: Array<Passkey>, currentPasskeyId: string|null }
+ *   POST { action: "passkey-register-options" }        (write)
+ *     Response: { options, challengeToken }
+ *   POST { action: "passkey-register", response, challengeToken, name }  (write)
+ *     Response: { success: true, passkey }
+ *   POST { action: "revoke-passkey", id }              (admin)
+ *     Response: { success: true, passkey }
+ *   POST { action: "passkey-login-options" }           (no auth)
+ *     Response: { options, challengeToken }
+ *   POST { action: "passkey-login", response, challengeToken }  (no auth)
+ *     Response: { success: true, session: { token, expiresAt, scopes }, passkey }
+ *
+ * Headers:
+ *   Authorization: Bearer <token> (scope noted per route above)
+ *
+ * Response errors:
+ *   400: { error: string }  (invalid name/scopes/action, failed passkey registration)
+ *   401: { error: string }  (failed passkey sign-in; other 401/403s see lib/auth.js)
+ *   404: { error: "Device not found" | "Passkey not found" }
+ */
+
+import { getRepository } from '../lib/storage/index.js';
+import { requireAuth, SCOPES } from '../lib/auth.js';
+import { listDevices, createDevice, revokeDevice, toPublicDevice } from '../lib/devices.js';
+import {
+  listPasskeys,
+  revokePasskey,
+  toPublicPasskey,
+  startPasskeyRegistration,
+  finishPasskeyRegistration,
+  startPasskeyLogin,
+  finishPasskeyLogin,
+  PasskeyError,
+} from '../lib/passkeys.js';
+import { createSession } from '../lib/sessions.js';
+
+const MAX_DEVICE_NAME_LENGTH = 50;
+
+// Scope each route needs. null = public: passkey sign-in runs before the
+// client holds any token.
+const VIEW_SCOPES = {
+  devices: 'admin',
+  passkeys: 'admin',
+};
+
+const ACTION_SCOPES = {
+  'create-device': 'admin',
+  'revoke-device': 'admin',
+  'passkey-register-options': 'write',
+  'passkey-register': 'write',
+  'revoke-passkey': 'admin',
+  'passkey-login-options': null,
+  'passkey-login': null,
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const route = req.method === 'GET' ? (req.query?.view || 'devices') : req.body?.action;
+  const scopes = req.method === 'GET' ? VIEW_SCOPES : ACTION_SCOPES;
+  if (!Object.hasOwn(scopes, route ?? '')) {
+    return res.status(400).json({ error: `Unknown ${req.method === 'GET' ? 'view' : 'action'}: ${route}` });
+  }
+
+  let principal = null;
+  if (scopes[route]) {
+    principal = await requireAuth(req, res, scopes[route]);
+    if (!principal) return;
+  }
+
+  try {
+    const repo = getRepository();
+
+    switch (route) {
+      case 'devices': {
+        const devices = await listDevices(repo);
+        return res.status(200).json({
+          devices: devices.map(toPublicDevice),
+          currentDeviceId: principal.deviceId || null,
+        });
+      }
+      case 'passkeys': {
+        const passkeys = await listPasskeys(repo);
+        return res.status(200).json({
+          passkeys: passkeys.map(toPublicPasskey),
+          currentPasskeyId: principal.passkeyId || null,
+        });
+      }
+      case 'create-device':
+        return await handleCreateDevice(req, res, principal, repo);
+      case 'revoke-device':
+        return await handleRevokeDevice(req, res, repo);
+      case 'passkey-register-options':
+        return res.status(200).json(await startPasskeyRegistration(req, repo));
+      case 'passkey-register':
+        return await handleRegisterPasskey(req, res, principal, repo);
+      case 'revoke-passkey':
+        return await handleRevokePasskey(req, res, repo);
+      case 'passkey-login-options':
+        return res.status(200).json(await startPasskeyLogin(req));
+      case 'passkey-login':
+        return await handlePasskeyLogin(req, res, repo);
+    }
+
+  } catch (error) {
+    console.error(`Auth route "${route}" failed:`, error);
+    return res.status(500).json({
+      error: 'Auth request failed',
+      details: error.message,
+    });
+  }
+}
+
+async function handleCreateDevice(req, res, principal, repo) {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > MAX_DEVICE_NAME_LENGTH) {
+    return res.status(400).json({ error: `Device name is required (max ${MAX_DEVICE_NAME_LENGTH} characters)` });
+  }
+
+  const scopes = req.body.scopes ?? ['write'];
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => SCOPES.includes(s))) {
+    return res.status(400).json({ error: `scopes must be a non-empty list of: ${SCOPES.join(', ')}` });
+  }
+
+  const { device, token } = await createDevice({
+    name,
+    scopes: [...new Set(scopes)],
+    createdBy: principal.name,
+  }, repo);
+
+  console.log(`Linked new device "${device.name}" (${device.id}) with scopes ${device.scopes.join(',')}`);
+
+  return res.status(200).json({ success: true, device: toPublicDevice(device), token });
+}
+
+async function handleRevokeDevice(req, res, repo) {
+  const { id } = req.body;
+  if (!id || typeof id !== 'string') {
+    return res.status(400).json({ error: 'Missing required field: id' });
+  }
+
+  const device = await revokeDevice(id, repo);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  console.log(`Revoked device "${device.name}" (${device.id})`);
+
+  return res.status(200).json({ success: true, device: toPublicDevice(device) });
+}
+
+async function handleRegisterPasskey(req, res, principal, repo) {
+  const { response, challengeToken } = req.body;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > MAX_DEVICE_NAME_LENGTH) {
+    return res.status(400).json({ error: `Passkey name is required (max ${MAX_DEVICE_NAME_LENGTH} characters)` });
+  }
+
+  try {
+    const passkey = await finishPasskeyRegistration(req, { response, challengeToken, name, principal }, repo);
+    console.log(`Registered passkey "${passkey.name}" with scopes ${passkey.scopes.join(',')}`);
+    return res.status(200).json({ success: true, passkey: toPublicPasskey(passkey) });
+  } catch (error) {
+    if (!(error instanceof PasskeyError)) throw error;
+    console.warn(error.message);
+    return res.status(400).json({ error: error.message });
+  }
+}
+
+async function handleRevokePasskey(req, res, repo) {
+  const { id } = req.body;
+  if (!id || typeof id !== 'string') {
+    return res.status(400).json({ error: 'Missing required field: id' });
+  }
+
+  const passkey = await revokePasskey(id, repo);
+  if (!passkey) {
+    return res.status(404).json({ error: 'Passkey not found' });
+  }
+
+  console.log(`Revoked passkey "${passkey.name}"`);
+
+  return res.status(200).json({ success: true, passkey: toPublicPasskey(passkey) });
+}
+
+async function handlePasskeyLogin(req, res, repo) {
+  const { response, challengeToken } = req.body;
+
+  try {
+    const passkey = await finishPasskeyLogin(req, { response, challengeToken }, repo);
+    console.log(`Passkey sign-in: "${passkey.name}"`);
+    return res.status(200).json({
+      success: true,
+      session: createSession(passkey),
+      passkey: toPublicPasskey(passkey),
+    });
+  } catch (error) {
+    if (!(error instanceof PasskeyError)) throw error;
+    console.warn(error.message);
+    return res.status(401).json({ error: error.message });
+  }
+}
@@ -14,22 +14,44 @@
  *
  * Also handles monthly email backups on the 1st of each month.
  *
+ * ?mode=archive runs the Health_Hourly archival instead (see archiveHealthData).
+ * It lives here to stay within Vercel's 12-function Hobby limit; the old
+ * /api/archive-health-data URL is rewritten to it in vercel.json.
+ *
+ * ?mode=migrate runs the spreadsheet schema migrations (see migrateSchema),
+ * also here because of the function limit.
+ *
+ * ?mode=replay rebuilds Sheet1 from the AuditLog (see replayEntries).
+ *
+ * Auth: Vercel cron's CRON_SECRET or an admin token for backup and archive;
+ * an admin token for migrate and replay.
+ *
  * Response:
  *   200: { success: true, weekSlot: number, ... }
+ *   401: { error: "Unauthorized" }
  *   500: { error: string }
  */
 
-import { google } from 'googleapis';
+import { getRepository, TABLES } from '../lib/storage/index.js';
+import { requireAuth } from '../lib/auth.js';
+import { requireCurrentSchema, runMigrations, LATEST_SCHEMA_VERSION } from '../lib/storage/migrate.js';
+import { MigrationError } from '../lib/storage/migrationSteps.js';
+import { rebuildEntries, ReplayError } from '../lib/auditReplay.js';
 
 // Source sheets and their backup prefixes.
 // incrementalDays + dateCol: only back up rows from the last N days (by column index).
 // Sheets without these fields get full-snapshot backups.
 const BACKUP_SOURCES = [
-    { source: 'Sheet1', range: 'Sheet1!A:Z', prefix: 'Backup_Sheet1' },
-    { source: 'ECG_Readings', range: 'ECG_Readings!A:Z', prefix: 'Backup_ECG' },
-    { source: 'ECG_Waveforms', range: 'ECG_Waveforms!A:Z', prefix: 'Backup_Waveforms' },
-    { source: 'Health_Hourly', range: 'Health_Hourly!A:I', prefix: 'Backup_HealthHourly', incrementalDays: 7, dateCol: 1 },
-    { source: 'Health_Daily', range: 'Health_Daily!A:Q', prefix: 'Backup_HealthDaily' },
+    { source: TABLES.entries.name, prefix: 'Backup_Sheet1' },
+    { source: TABLES.ecgReadings.name, prefix: 'Backup_ECG' },
+    { source: TABLES.ecgWaveforms.name, prefix: 'Backup_Waveforms' },
+    {
+        source: TABLES.healthHourly.name,
+        prefix: 'Backup_HealthHourly',
+        incrementalDays: 7,
+        dateCol: TABLES.healthHourly.index.date,
+    },
+    { source: TABLES.healthDaily.name, prefix: 'Backup_HealthDaily' },
 ];
 
 /**
@@ -46,19 +68,26 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    const cronSecret = req.headers['x-vercel-cron-secret'];
-    if (process.env.CRON_SECRET && cronSecret !== process.env.CRON_SECRET) {
-        console.log('Note: Cron secret mismatch or missing');
+    if (req.query?.mode === 'migrate') {
+        if (!(await requireAuth(req, res, 'admin'))) return;
+        return migrateSchema(req, res);
     }
 
-    try {
-        const auth = new google.auth.GoogleAuth({
-            credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-            scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-        });
+    if (req.query?.mode === 'replay') {
+        if (!(await requireAuth(req, res, 'admin'))) return;
+        if (!(await requireCurrentSchema(res))) return;
+        return replayEntries(req, res);
+    }
 
-        const sheets = google.sheets({ version: 'v4', auth });
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID.trim();
+    if (!(await requireAuth(req, res, 'cron'))) return;
+
+    if (req.query?.mode === 'archive') {
+        if (!(await requireCurrentSchema(res))) return;
+        return archiveHealthData(req, res);
+    }
+
+    try {
+        const repo = getRepository();
 
         // Get current date in Eastern Time
         const now = new Date();
@@ -70,49 +99,32 @@ export default async function handler(req, res) {
         // Step 1: Fetch all source data
         const fetchResults = await Promise.all(
             BACKUP_SOURCES.map(s =>
-                sheets.spreadsheets.values.get({
-                    spreadsheetId,
-                    range: s.range,
-                }).catch(() => ({ data: { values: [] } }))
+                repo.table(s.source).getValues().catch(() => [])
             )
         );
 
         const sourceData = {};
         const rowCounts = {};
         BACKUP_SOURCES.forEach((s, i) => {
-            sourceData[s.source] = fetchResults[i].data.values || [];
+            sourceData[s.source] = fetchResults[i];
             rowCounts[s.source] = sourceData[s.source].length;
         });
 
         console.log(`Fetched: ${BACKUP_SOURCES.map(s => `${s.source}=${rowCounts[s.source]}`).join(', ')}`);
 
-        if (rowCounts['Sheet1'] < 5) {
-            console.warn(`WARNING: Sheet1 has only ${rowCounts['Sheet1']} rows. This may indicate data loss.`);
+        if (rowCounts[TABLES.entries.name] < 5) {
+            console.warn(`WARNING: ${TABLES.entries.name} has only ${rowCounts[TABLES.entries.name]} rows. This may indicate data loss.`);
         }
 
-        // Step 2: Get spreadsheet metadata
-        const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId });
-        const existingSheetNames = spreadsheet.data.sheets.map(s => s.properties.title);
-        const existingSheetMap = {};
-        spreadsheet.data.sheets.forEach(s => {
-            existingSheetMap[s.properties.title] = s.properties.sheetId;
-        });
+        // Step 2: List existing tables
+        const existingSheetNames = await repo.store.listTables();
 
         // Step 3: Delete old date-stamped backup sheets FIRST (frees cells before creating new ones)
         const oldBackupPattern = /^(?:ECG_|Waveform_|HealthHourly_|HealthDaily_)?Backup_\d{4}-\d{2}-\d{2}$/;
-        const oldBackups = spreadsheet.data.sheets.filter(s =>
-            oldBackupPattern.test(s.properties.title)
-        );
+        const oldBackups = existingSheetNames.filter(name => oldBackupPattern.test(name));
 
         if (oldBackups.length > 0) {
-            await sheets.spreadsheets.batchUpdate({
-                spreadsheetId,
-                requestBody: {
-                    requests: oldBackups.map(s => ({
-                        deleteSheet: { sheetId: s.properties.sheetId }
-                    })),
-                },
-            });
+            await repo.store.deleteTables(oldBackups);
             console.log(`Migrated: deleted ${oldBackups.length} old date-stamped backup sheet(s)`);
         }
 
@@ -121,16 +133,13 @@ export default async function handler(req, res) {
         for (const s of BACKUP_SOURCES) {
             const sheetName = `${s.prefix}_W${weekSlot}`;
             if (!existingSheetNames.includes(sheetName) && rowCounts[s.source] > 0) {
-                sheetsToCreate.push({ addSheet: { properties: { title: sheetName } } });
+                sheetsToCreate.push(sheetName);
             }
         }
 
         if (sheetsToCreate.length > 0) {
-            await sheets.spreadsheets.batchUpdate({
-                spreadsheetId,
-                requestBody: { requests: sheetsToCreate },
-            });
-            console.log(`Created: ${sheetsToCreate.map(s => s.addSheet.properties.title).join(', ')}`);
+            await repo.store.createTables(sheetsToCreate);
+            console.log(`Created: ${sheetsToCreate.join(', ')}`);
         }
 
         // Step 5: Clear and write data to the current week slot's backup sheets
@@ -154,17 +163,9 @@ export default async function handler(req, res) {
 
             if (rows.length > 0) {
                 // Clear existing content first (handles case where new data is shorter)
-                await sheets.spreadsheets.values.clear({
-                    spreadsheetId,
-                    range: `${sheetName}!A:Z`,
-                }).catch(() => {}); // Ignore if sheet was just created
-
-                await sheets.spreadsheets.values.update({
-                    spreadsheetId,
-                    range: `${sheetName}!A1`,
-                    valueInputOption: 'RAW',
-                    requestBody: { values: rows },
-                });
+                const backupTable = repo.table(sheetName);
+                await backupTable.clear().catch(() => {}); // Ignore if sheet was just created
+                await backupTable.writeRows(1, rows, { raw: true });
                 backupSheetNames.push(sheetName);
             }
         }
@@ -177,11 +178,11 @@ export default async function handler(req, res) {
         if (etDate.getDate() === 1) {
             try {
                 emailSent = await sendMonthlyEmailBackup(
-                    sourceData['Sheet1'],
-                    sourceData['ECG_Readings'],
-                    sourceData['ECG_Waveforms'],
-                    sourceData['Health_Hourly'],
-                    sourceData['Health_Daily'],
+                    sourceData[TABLES.entries.name],
+                    sourceData[TABLES.ecgReadings.name],
+                    sourceData[TABLES.ecgWaveforms.name],
+                    sourceData[TABLES.healthHourly.name],
+                    sourceData[TABLES.healthDaily.name],
                     etDate
                 );
             } catch (emailError) {
@@ -323,3 +324,274 @@ async function sendMonthlyEmailBackup(rows, ecgRows, waveformRows, healthHourlyR
     console.log(`Monthly backup email sent to: ${recipients.join(', ')}`);
     return true;
 }
+
+/**
+ * ?mode=archive — safely archives old Health_Hourly data to a yearly
+ * Health_Hourly_Archive_<year> sheet to reduce spreadsheet size.
+ *
+ * Safety Features:
+ * - Only runs when explicitly called (not automated), with an admin token
+ * - Requires confirmation via query parameter
+ * - Creates archive backup BEFORE deleting any data
+ * - Only archives data older than configurable threshold (default: 90 days)
+ * - Validates archive was created successfully before deletion
+ * - Preserves all data in archive sheets (nothing is lost)
+ * - Detailed logging of every step
+ * - Dry-run mode to preview what would be archived
+ *
+ * Query Parameters:
+ *   ?dryRun=true         - Preview what would be archived without making changes
+ *   ?confirm=true        - Required to actually perform archival
+ *   ?retentionDays=90    - Keep this many days in active sheet (default: 90)
+ *
+ * Usage:
+ *   1. First run with ?dryRun=true to see what would happen
+ *   2. Then run with ?confirm=true to actually archive
+ *
+ * Example (Authorization: Bearer <SECRET_TOKEN>):
+ *   GET /api/backup-data?mode=archive&dryRun=true
+ *   GET /api/backup-data?mode=archive&confirm=true&retentionDays=90
+ */
+async function archiveHealthData(req, res) {
+    const dryRun = req.query.dryRun === 'true';
+    const confirm = req.query.confirm === 'true';
+    const retentionDays = parseInt(req.query.retentionDays || '90');
+
+    // Safety check: require explicit confirmation
+    if (!dryRun && !confirm) {
+        return res.status(400).json({
+            error: 'Missing required parameter',
+            message: 'Must use either ?dryRun=true (to preview) or ?confirm=true (to archive)',
+            example: '/api/backup-data?mode=archive&dryRun=true'
+        });
+    }
+
+    try {
+        const repo = getRepository();
+
+        // Calculate cutoff date (in ET)
+        const now = new Date();
+        const etNow = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+        const cutoffDate = new Date(etNow);
+        cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+        const cutoffStr = cutoffDate.toLocaleDateString('en-US', { timeZone: 'America/New_York' });
+
+        console.log(`Archive cutoff date: ${cutoffStr} (keeping last ${retentionDays} days)`);
+
+        // Step 1: Fetch Health_Hourly data
+        const allRows = await repo.healthHourly.getValues();
+        if (allRows.length === 0) {
+            return res.status(200).json({
+                message: 'No data found in Health_Hourly sheet',
+                dryRun: dryRun
+            });
+        }
+
+        const headers = allRows[0];
+        const dataRows = allRows.slice(1);
+
+        // Step 2: Separate old data from recent data
+        const rowsToArchive = [];
+        const rowsToKeep = [headers]; // Always keep headers
+
+        for (const row of dataRows) {
+            const dateStr = row[TABLES.healthHourly.index.date];
+
+            // Parse date to check if it's old enough to archive
+            const rowDate = new Date(dateStr);
+
+            if (rowDate < cutoffDate) {
+                rowsToArchive.push(row);
+            } else {
+                rowsToKeep.push(row);
+            }
+        }
+
+        console.log(`Total rows: ${dataRows.length}, To archive: ${rowsToArchive.length}, To keep: ${rowsToKeep.length - 1}`);
+
+        // Safety check: Don't archive if it would delete too much data
+        if (rowsToArchive.length > dataRows.length * 0.95) {
+            return res.status(400).json({
+                error: 'Safety check failed',
+                message: 'Archive would remove >95% of data. This seems unsafe. Please verify retention settings.',
+                rowsToArchive: rowsToArchive.length,
+                totalRows: dataRows.length
+            });
+        }
+
+        // Safety check: Don't proceed if there's nothing to archive
+        if (rowsToArchive.length === 0) {
+            return res.status(200).json({
+                message: 'No data old enough to archive',
+                cutoffDate: cutoffStr,
+                retentionDays: retentionDays,
+                totalRows: dataRows.length
+            });
+        }
+
+        // DRY RUN: Just return what would happen
+        if (dryRun) {
+            return res.status(200).json({
+                dryRun: true,
+                message: 'Dry run - no changes made',
+                cutoffDate: cutoffStr,
+                retentionDays: retentionDays,
+                totalRows: dataRows.length,
+                rowsToArchive: rowsToArchive.length,
+                rowsToKeep: rowsToKeep.length - 1,
+                percentageToArchive: Math.round((rowsToArchive.length / dataRows.length) * 100),
+                nextStep: 'Run with ?confirm=true to perform archival',
+                oldestRowToArchive: rowsToArchive[0] ? rowsToArchive[0][1] : null,
+                newestRowToArchive: rowsToArchive[rowsToArchive.length - 1] ? rowsToArchive[rowsToArchive.length - 1][1] : null
+            });
+        }
+
+        // ACTUAL ARCHIVAL (confirm=true)
+        console.log('Starting actual archival process...');
+
+        // Step 3: Create archive sheet name
+        const year = etNow.getFullYear();
+        const archiveSheetName = `Health_Hourly_Archive_${year}`;
+
+        const archiveTable = repo.table(archiveSheetName);
+
+        // Step 4-5: Create archive sheet if it doesn't exist
+        if (await archiveTable.ensure()) {
+            console.log(`Created archive sheet: ${archiveSheetName}`);
+        }
+
+        // Step 6: If archive already has data, append to it; otherwise write with headers
+        const existingArchiveRows = await archiveTable.getValues().catch(() => []);
+        const archiveIsEmpty = existingArchiveRows.length === 0;
+
+        // Step 7: Write to archive sheet
+        if (archiveIsEmpty) {
+            // Write headers + archived data
+            await archiveTable.writeRows(1, [headers, ...rowsToArchive], { raw: true });
+            console.log(`Wrote ${rowsToArchive.length} rows to NEW archive ${archiveSheetName}`);
+        } else {
+            // Append archived data (no headers)
+            await archiveTable.append(rowsToArchive, { raw: true });
+            console.log(`Appended ${rowsToArchive.length} rows to existing archive ${archiveSheetName}`);
+        }
+
+        // Step 8: VERIFY archive was created successfully
+        const verifyCount = (await archiveTable.getValues()).length - 1; // -1 for header
+        const expectedMinCount = rowsToArchive.length;
+
+        if (verifyCount < expectedMinCount) {
+            throw new Error(`Archive verification failed! Expected at least ${expectedMinCount} rows, found ${verifyCount}`);
+        }
+
+        console.log(`✓ Archive verified: ${verifyCount} rows in ${archiveSheetName}`);
+
+        // Step 9: Update Health_Hourly sheet with only recent data
+        // CRITICAL: Only delete old rows AFTER archive is verified!
+        await repo.healthHourly.clear();
+        await repo.healthHourly.writeRows(1, rowsToKeep, { raw: true });
+
+        console.log(`✓ Updated Health_Hourly: removed ${rowsToArchive.length} old rows, kept ${rowsToKeep.length - 1} recent rows`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Archive completed successfully',
+            cutoffDate: cutoffStr,
+            retentionDays: retentionDays,
+            archiveSheet: archiveSheetName,
+            rowsArchived: rowsToArchive.length,
+            rowsKept: rowsToKeep.length - 1,
+            archivedDateRange: {
+                oldest: rowsToArchive[0] ? rowsToArchive[0][1] : null,
+                newest: rowsToArchive[rowsToArchive.length - 1] ? rowsToArchive[rowsToArchive.length - 1][1] : null
+            },
+            timestamp: now.toISOString(),
+        });
+
+    } catch (error) {
+        console.error('Archival failed:', error);
+        return res.status(500).json({
+            error: 'Archival failed',
+            details: error.message,
+            message: 'No data was deleted. The archive process was aborted safely.'
+        });
+    }
+}
+
+/**
+ * Bring the spreadsheet up to the schema version this code expects.
+ *
+ * Query params (one required, same convention as archive):
+ *   dryRun=true  - list the changes without writing anything
+ *   confirm=true - apply them
+ *
+ * Response:
+ *   200: { dryRun, fromVersion, toVersion, latestVersion, migrations: [{ version, description, changes }] }
+ *   409: { error, details } when the sheet needs a manual fix first
+ */
+async function migrateSchema(req, res) {
+    const dryRun = req.query.dryRun === 'true';
+    const confirm = req.query.confirm === 'true';
+
+    if (!dryRun && !confirm) {
+        return res.status(400).json({
+            error: 'Missing required parameter',
+            message: 'Must use either ?dryRun=true (to preview) or ?confirm=true (to migrate)',
+            example: '/api/backup-data?mode=migrate&dryRun=true'
+        });
+    }
+
+    try {
+        const result = await runMigrations({ dryRun });
+        console.log(`Migrations ${dryRun ? 'previewed' : 'applied'}: v${result.fromVersion} -> v${result.toVersion}`);
+        return res.status(200).json({ ...result, latestVersion: LATEST_SCHEMA_VERSION });
+    } catch (error) {
+        console.error('Migration failed:', error);
+        return res.status(error instanceof MigrationError ? 409 : 500).json({
+            error: 'Migration failed',
+            details: error.message,
+        });
+    }
+}
+
+/**
+ * ?mode=replay — rebuild Sheet1 by re-applying the AuditLog in order, for
+ * when Sheet1 was cleared, mis-sorted or hand-edited into a bad state.
+ *
+ * Query params (one of dryRun/confirm required, as for archive):
+ *   dryRun=true  - return the diff against the current Sheet1, write nothing
+ *   confirm=true - write the rebuilt sheet to Sheet1_Replay for inspection
+ *   replace=true - with confirm, write it over Sheet1 instead (the current
+ *                  Sheet1 is copied to Sheet1_BeforeReplay first)
+ *
+ * Response:
+ *   200: { dryRun, target, backup, applied, skipped, rows,
+ *          diff: { columns: { added, removed }, added, removed, changed } }
+ *   409: { error, details } when there is no AuditLog
+ */
+async function replayEntries(req, res) {
+    const dryRun = req.query.dryRun === 'true';
+    const confirm = req.query.confirm === 'true';
+    const replace = req.query.replace === 'true';
+
+    if (!dryRun && !confirm) {
+        return res.status(400).json({
+            error: 'Missing required parameter',
+            message: 'Must use either ?dryRun=true (to preview) or ?confirm=true (to write the rebuilt sheet)',
+            example: '/api/backup-data?mode=replay&dryRun=true'
+        });
+    }
+
+    try {
+        const result = await rebuildEntries({ dryRun, replace });
+        const { diff } = result;
+        console.log(`AuditLog replay ${dryRun ? 'previewed' : `written to ${result.target}`}: ` +
+            `${result.rows} rows, ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error('AuditLog replay failed:', error);
+        return res.status(error instanceof ReplayError ? 409 : 500).json({
+            error: 'Replay failed',
+            details: error.message,
+        });
+    }
+}
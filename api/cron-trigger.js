@@ -13,12 +13,33 @@
  * - Calculates next reminder times based on settings
  * - Supports cross-date reminders (e.g., 1 AM next day)
  *
+ * Low-supply alert: first, whatever the reminder schedule, a push goes out
+ * for medications with fewer days of supply left than the Low Supply Days
+ * setting (see lib/supply.js), once per medication until its next refill.
+ *
+ * Morning summary: likewise, once a day from Morning Summary Time, a push
+ * of the latest resting HR, HRV and sleep against their baselines, with any
+ * flagged (see lib/baselines.js). Without data to compare yet it waits for
+ * the next run.
+ *
+ * Auth: Vercel cron's CRON_SECRET or an admin token.
+ *
  * Response:
- *   200: { triggered: boolean, message: string, details: object }
+ *   200: { triggered: boolean, message: string, details: object, supplyAlert: { sent, medications },
+ *          morningSummary: { sent, date, flagged } }
+ *   401: { error: "Unauthorized" }
  */
 
-import sendNotificationHandler from './send-notification.js';
-import { google } from 'googleapis';
+import { sendNotification } from './send-notification.js';
+import { getRepository } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { requireAuth } from '../lib/auth.js';
+import { listSupplies, markSupplyAlerted } from '../lib/medications.js';
+import { formatDose } from '../lib/doses.js';
+import { DEFAULT_LOW_SUPPLY_DAYS, isLowSupply, todayIn } from '../lib/supply.js';
+import {
+  DEFAULT_ANOMALY_THRESHOLD, parseAnomalyThreshold, isSummaryDue, loadBaselineHistory, buildMorningSummary, markSummarySent,
+} from '../lib/baselines.js';
 
 export default async function handler(req, res) {
   // Vercel cron jobs use GET
@@ -26,15 +47,11 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  try {
-    // Initialize Google Sheets
-    const auth = new google.auth.GoogleAuth({
-      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
+  if (!(await requireAuth(req, res, 'cron'))) return;
+  if (!(await requireCurrentSchema(res))) return;
 
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID.trim();
+  try {
+    const repo = getRepository();
 
     // We will get current time AFTER fetching use settings so we know their timezone
     const now = new Date();
@@ -45,23 +62,25 @@ export default async function handler(req, res) {
       repeatInterval: 60,
       stopAfterLog: true,
       snoozeUntil: null,
-      localTimeZone: 'America/New_York'
+      localTimeZone: 'America/New_York',
+      lowSupplyDays: DEFAULT_LOW_SUPPLY_DAYS,
+      anomalyThreshold: DEFAULT_ANOMALY_THRESHOLD,
+      morningSummaryTime: null,
+      morningSummarySent: null
     };
 
     try {
-      const settingsResponse = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: 'UserSettings!A2:F2',
-      });
-
-      const row = settingsResponse.data.values?.[0];
-      if (row && row.length > 0) {
-        settings.firstReminderTime = row[0] || '20:00';
-        const parsedInterval = parseInt(row[1]);
-        settings.repeatInterval = !isNaN(parsedInterval) ? parsedInterval : 60;
-        settings.stopAfterLog = row[2] === 'true';
-        settings.snoozeUntil = row[4] || null;  // Column E
-        settings.localTimeZone = row[5] || 'America/New_York'; // Column F
+      const saved = await repo.settings.read();
+      if (saved) {
+        settings.firstReminderTime = saved.firstReminderTime || '20:00';
+        settings.repeatInterval = saved.repeatInterval ?? 60;
+        settings.stopAfterLog = saved.stopAfterLog;
+        settings.snoozeUntil = saved.snoozeUntil;
+        settings.localTimeZone = saved.localTimeZone || 'America/New_York';
+        settings.lowSupplyDays = saved.lowSupplyDays ?? DEFAULT_LOW_SUPPLY_DAYS;
+        settings.anomalyThreshold = parseAnomalyThreshold(saved.anomalyThreshold);
+        settings.morningSummaryTime = saved.morningSummaryTime || null;
+        settings.morningSummarySent = saved.morningSummarySent || null;
       }
     } catch (error) {
       console.log('Using default settings (UserSettings tab not found)');
@@ -73,6 +92,11 @@ export default async function handler(req, res) {
     const currentMinute = userDate.getMinutes();
     const todayDateString = userDate.toLocaleDateString('en-US', { timeZone: settings.localTimeZone });
 
+    // Not a reminder, so snoozing and logging today don't hold it back
+    const today = todayIn(settings.localTimeZone, now);
+    const supplyAlert = await checkLowSupply(repo, settings.lowSupplyDays, today);
+    const morningSummary = await checkMorningSummary(repo, settings, today, currentHour * 60 + currentMinute);
+
     // Check if currently snoozed
     if (settings.snoozeUntil) {
       const snoozeDate = new Date(settings.snoozeUntil);
@@ -85,21 +109,16 @@ export default async function handler(req, res) {
           reason: 'snoozed',
           message: `Reminder snoozed until ${settings.snoozeUntil}`,
           snoozeUntil: settings.snoozeUntil,
-          settings
+          settings,
+          supplyAlert,
+          morningSummary
         });
       } else {
         // Snooze expired - clear it and send reminder
         console.log('Snooze expired, sending reminder and clearing snooze');
 
         // Clear snooze
-        await sheets.spreadsheets.values.update({
-          spreadsheetId,
-          range: 'UserSettings!E2',
-          valueInputOption: 'RAW',
-          resource: {
-            values: [['']],
-          },
-        });
+        await repo.settings.write({ snoozeUntil: '' });
 
         // Continue to send reminder below
       }
@@ -111,14 +130,9 @@ export default async function handler(req, res) {
     let hasSubmittedToday = false;
     if (settings.stopAfterLog) {
       try {
-        const entriesResponse = await sheets.spreadsheets.values.get({
-          spreadsheetId,
-          range: 'Sheet1!A:A', // Timestamp column only
-        });
-
-        const rows = entriesResponse.data.values || [];
-        hasSubmittedToday = rows.some(row => {
-          const timestampValue = row[0]; // Timestamp column (e.g., "01/02/2025, 03:15:30")
+        const { records } = await repo.entries.getRecords();
+        hasSubmittedToday = records.some(record => {
+          const timestampValue = record.timestamp; // e.g., "01/02/2025, 03:15:30"
           if (!timestampValue) return false;
           // Extract date part from timestamp (format: "MM/DD/YYYY, HH:MM:SS")
           const datePart = timestampValue.split(',')[0]?.trim();
@@ -136,7 +150,9 @@ export default async function handler(req, res) {
         reason: 'already_submitted_today',
         message: `User has already submitted an entry today (${todayDateString}). No reminder sent.`,
         settings,
-        todayDateString
+        todayDateString,
+        supplyAlert,
+        morningSummary
       });
     }
 
@@ -159,45 +175,25 @@ export default async function handler(req, res) {
         message: `Current time ${currentHour}:${String(currentMinute).padStart(2, '0')} does not match reminder schedule.`,
         settings,
         currentTime: `${currentHour}:${String(currentMinute).padStart(2, '0')}`,
-        nextReminderTime: calculateNextReminderTime(currentHour, currentMinute, firstHour, firstMinute, settings.repeatInterval)
+        nextReminderTime: calculateNextReminderTime(currentHour, currentMinute, firstHour, firstMinute, settings.repeatInterval),
+        supplyAlert,
+        morningSummary
       });
     }
 
     // Send the notification!
     console.log(`Cron triggered at ${currentHour}:${String(currentMinute).padStart(2, '0')} ${settings.localTimeZone} - sending notification`);
 
-    const mockReq = {
-      method: 'POST',
-      headers: {
-        authorization: `Bearer ${process.env.SECRET_TOKEN}`
-      }
-    };
-
-    let statusCode = 200;
-    let responseData = null;
-
-    const mockRes = {
-      status: (code) => {
-        statusCode = code;
-        return mockRes;
-      },
-      json: (data) => {
-        responseData = data;
-        return mockRes;
-      }
-    };
-
-    await sendNotificationHandler(mockReq, mockRes);
+    const notificationResult = await sendNotification();
 
     return res.status(200).json({
       triggered: true,
       reason: 'reminder_sent',
       currentTime: `${currentHour}:${String(currentMinute).padStart(2, '0')}`,
       settings,
-      notificationResult: {
-        statusCode,
-        data: responseData
-      }
+      notificationResult,
+      supplyAlert,
+      morningSummary
     });
 
   } catch (error) {
@@ -209,6 +205,64 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Push one alert for the medications running low that haven't had one since
+ * their last refill, and mark them once it reaches a device. A failure here
+ * is reported, not thrown, so the reminder still goes out.
+ */
+async function checkLowSupply(repo, lowSupplyDays, today) {
+  try {
+    const due = (await listSupplies(today, repo))
+      .filter(supply => !supply.archived && !supply.supplyAlerted && isLowSupply(supply, lowSupplyDays));
+    if (due.length === 0) {
+      return { sent: false, medications: [] };
+    }
+
+    const message = due.map(supply => {
+      const left = supply.remaining > 0 ? `${formatDose({ amount: supply.remaining, unit: supply.unit })} left` : 'none left';
+      return `${supply.label}: ${left}, about ${supply.daysLeft} day(s)`;
+    }).join('\n');
+    const notificationResult = await sendNotification({ title: 'Time to refill', message, includeJoke: false });
+
+    const sent = notificationResult.statusCode === 200 && notificationResult.data?.sent > 0;
+    if (sent) {
+      await markSupplyAlerted(due.map(supply => supply.key), repo);
+    }
+    return { sent, medications: due.map(supply => supply.key), notificationResult };
+  } catch (error) {
+    console.error('Low-supply check failed:', error);
+    return { sent: false, medications: [], error: error.message };
+  }
+}
+
+/**
+ * Push the morning summary if it's due and there's a day to compare, and
+ * record it once it reaches a device. Like the low-supply check, a failure
+ * is reported rather than thrown.
+ */
+async function checkMorningSummary(repo, settings, today, minutesNow) {
+  if (!isSummaryDue(settings.morningSummaryTime, settings.morningSummarySent, today, minutesNow)) {
+    return { sent: false };
+  }
+
+  try {
+    const summary = buildMorningSummary(await loadBaselineHistory(repo), today, settings.anomalyThreshold);
+    if (!summary) {
+      return { sent: false, reason: 'no_data' };
+    }
+
+    const notificationResult = await sendNotification({ title: summary.title, message: summary.message, includeJoke: false });
+    const sent = notificationResult.statusCode === 200 && notificationResult.data?.sent > 0;
+    if (sent) {
+      await markSummarySent(today, repo);
+    }
+    return { sent, date: summary.date, flagged: summary.flagged, notificationResult };
+  } catch (error) {
+    console.error('Morning summary failed:', error);
+    return { sent: false, error: error.message };
+  }
+}
+
 /**
  * Check if current time matches a reminder time
  * Returns true if we should send a reminder now
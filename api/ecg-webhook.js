@@ -1,16 +1,6 @@
-import { google } from 'googleapis';
-
-// Initialize Google APIs
-function getGoogleAuth() {
-  const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-  return new google.auth.GoogleAuth({
-    credentials,
-    scopes: [
-      'https://www.googleapis.com/auth/drive.file',
-      'https://www.googleapis.com/auth/spreadsheets',
-    ],
-  });
-}
+import { getRepository, TABLES } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { readRawBody, requireWebhookAuth, BodyTooLargeError } from '../lib/webhookAuth.js';
 
 export const config = {
   api: {
@@ -18,22 +8,6 @@ export const config = {
   },
 };
 
-/**
- * Read raw body from request
- */
-async function getRawBody(req) {
-  return new Promise((resolve, reject) => {
-    let data = '';
-    req.on('data', chunk => {
-      data += chunk;
-    });
-    req.on('end', () => {
-      resolve(data);
-    });
-    req.on('error', reject);
-  });
-}
-
 /**
  * Extract CSV content from multipart form-data
  * Health Auto Export sends data as multipart/form-data with the CSV embedded
@@ -235,23 +209,20 @@ export default async function handler(req, res) {
   console.log('Content-Length (KB):', contentLength ? (parseInt(contentLength) / 1024).toFixed(2) : 'unknown');
   console.log('Content-Type:', contentType);
 
-  // Authenticate webhook
-  const webhookSecret = req.headers['x-webhook-secret'];
-  const expectedSecret = process.env.ECG_WEBHOOK_SECRET?.trim();
-
-  console.log('=== ECG WEBHOOK DEBUG ===');
-  console.log('Received secret:', webhookSecret ? `${webhookSecret.slice(0, 10)}...` : 'none');
-  console.log('Expected secret:', expectedSecret ? `${expectedSecret.slice(0, 10)}...` : 'NOT SET');
-  console.log('Match:', webhookSecret === expectedSecret);
-
-  if (!webhookSecret || webhookSecret !== expectedSecret) {
-    console.log('ECG Webhook: Invalid secret');
-    return res.status(401).json({ error: 'Invalid webhook secret' });
+  // Read raw body since we disabled automatic body parsing; signed requests
+  // are verified against these exact bytes
+  let rawBytes;
+  try {
+    rawBytes = await readRawBody(req);
+  } catch (error) {
+    if (error instanceof BodyTooLargeError) return res.status(413).json({ error: error.message });
+    throw error;
   }
+  if (!(await requireWebhookAuth(req, res, 'ecg', rawBytes))) return;
+  if (!(await requireCurrentSchema(res))) return;
+  const rawBody = rawBytes.toString('utf8');
 
   try {
-    // Read raw body since we disabled automatic body parsing
-    const rawBody = await getRawBody(req);
     const contentType = req.headers['content-type'] || '';
 
     console.log('=== ECG WEBHOOK PAYLOAD ===');
@@ -303,12 +274,10 @@ export default async function handler(req, res) {
 
     console.log(`Found ${ecgRecords.length} ECG record(s) in payload`);
 
-    const auth = getGoogleAuth();
-    const sheets = google.sheets({ version: 'v4', auth });
-    const sheetId = process.env.GOOGLE_SHEET_ID.trim();
+    const repo = getRepository();
 
     // Get existing ECG IDs to avoid duplicates
-    const existingIds = await getExistingECGIds(sheets, sheetId);
+    const existingIds = await getExistingECGIds(repo);
 
     // Sort ECG records by date (newest first) and process each one
     ecgRecords.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -403,36 +372,29 @@ export default async function handler(req, res) {
       }
 
       // Store metadata in ECG_Readings sheet
-      await sheets.spreadsheets.values.append({
-        spreadsheetId: sheetId,
-        range: 'ECG_Readings!A:O',
-        valueInputOption: 'USER_ENTERED',
-        requestBody: {
-          values: [[
-            receivedTimestamp,                      // A: Timestamp (when we received it)
-            ecgDateStr,                             // B: Date (when ECG was taken)
-            ecg.classification || '',               // C: Classification
-            ecg.averageHeartRate || '',             // D: Avg Heart Rate (Apple)
-            rsRatio !== null ? rsRatio.toFixed(2) : '',  // E: R/S Ratio
-            rAmplitude !== null ? Math.round(rAmplitude) : '',  // F: R Amplitude (µV)
-            sAmplitude !== null ? Math.round(sAmplitude) : '',  // G: S Amplitude (µV)
-            calculatedHR || '',                     // H: Calc HR (our detection)
-            hrValid === true ? '✓' : (hrValid === false ? '✗' : ''),  // I: HR Valid
-            beatsDetected || '',                    // J: Beats Detected
-            'Auto-sync',                            // K: Notes
-            ecgId,                                  // L: ECG ID (links to waveform)
-            ecg.voltageMeasurements?.length || '',  // M: Sample count
-            ecg.samplingFrequency || 512,           // N: Sampling Frequency
-            hrDiff !== null ? hrDiff : '',          // O: HR Diff (absolute difference)
-          ]],
-        },
-      });
+      await repo.ecgReadings.appendRecords([{
+        timestamp: receivedTimestamp,           // When we received it
+        date: ecgDateStr,                       // When the ECG was taken
+        classification: ecg.classification || '',
+        avgHR: ecg.averageHeartRate || '',      // Apple's average heart rate
+        rsRatio: rsRatio !== null ? rsRatio.toFixed(2) : '',
+        rAmplitude: rAmplitude !== null ? Math.round(rAmplitude) : '',  // µV
+        sAmplitude: sAmplitude !== null ? Math.round(sAmplitude) : '',  // µV
+        calculatedHR: calculatedHR || '',       // Our detection
+        hrValid: hrValid === true ? '✓' : (hrValid === false ? '✗' : ''),
+        beats: beatsDetected || '',
+        notes: 'Auto-sync',
+        ecgId,                                  // Links to the waveform
+        samples: ecg.voltageMeasurements?.length || '',
+        samplingFrequency: ecg.samplingFrequency || 512,
+        hrDiff: hrDiff !== null ? hrDiff : '',  // Absolute difference from Apple's HR
+      }]);
 
       // Store raw waveform data in ECG_Waveforms sheet
       let waveformStored = false;
       if (ecg.voltageMeasurements && ecg.voltageMeasurements.length > 0) {
         try {
-          await storeWaveformInSheets(sheets, sheetId, ecgId, ecg);
+          await storeWaveformInSheets(repo, ecgId, ecg);
           waveformStored = true;
         } catch (waveformError) {
           console.error('Waveform storage failed:', waveformError.message);
@@ -460,8 +422,8 @@ export default async function handler(req, res) {
     console.log(`ECG processing complete: ${savedCount} saved, ${skippedCount} skipped (duplicates)`);
 
     // Sort ECG sheets by date descending (most recent first)
-    await sortSheetByDateDesc(sheets, sheetId, 'ECG_Readings', 15);
-    await sortSheetByDateDesc(sheets, sheetId, 'ECG_Waveforms', 6);
+    await repo.ecgReadings.sortByFirstColumnDesc(TABLES.ecgReadings.columns.length);
+    await repo.ecgWaveforms.sortByFirstColumnDesc(TABLES.ecgWaveforms.columns.length);
 
     return res.status(200).json({
       success: true,
@@ -482,21 +444,16 @@ export default async function handler(req, res) {
 
 /**
  * Get existing ECG IDs from sheet to avoid duplicates
- * Uses ECG_ID column (L) which is more reliable than date matching
+ * Uses the ECG_ID column, which is more reliable than date matching
  */
-async function getExistingECGIds(sheets, sheetId) {
+async function getExistingECGIds(repo) {
   const existingIds = new Set();
 
   try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: sheetId,
-      range: 'ECG_Readings!L:L', // ECG_ID column
-    });
-
-    const rows = response.data.values || [];
-    for (const row of rows) {
-      if (row[0] && row[0] !== 'ECG_ID' && row[0].startsWith('ECG_')) {
-        existingIds.add(row[0]);
+    const { records } = await repo.ecgReadings.getRecords();
+    for (const { ecgId: id } of records) {
+      if (id && id.startsWith('ECG_')) {
+        existingIds.add(id);
       }
     }
     console.log(`Found ${existingIds.size} existing ECG IDs in sheet`);
@@ -580,7 +537,7 @@ function extractAllECGData(data) {
  * Voltages are stored as comma-separated values, split across columns if needed
  * (Google Sheets has a 50K character limit per cell)
  */
-async function storeWaveformInSheets(sheets, sheetId, ecgId, ecg) {
+async function storeWaveformInSheets(repo, ecgId, ecg) {
   const samplingRate = ecg.samplingFrequency || 512;
 
   // Extract voltage values, rounded to 2 decimal places
@@ -605,22 +562,14 @@ async function storeWaveformInSheets(sheets, sheetId, ecgId, ecg) {
   }
 
   // Store in ECG_Waveforms sheet
-  // Columns: A: ECG_ID, B: Sampling Frequency, C-F: Voltage Data (4 chunks)
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: sheetId,
-    range: 'ECG_Waveforms!A:F',
-    valueInputOption: 'RAW',
-    requestBody: {
-      values: [[
-        ecgId,
-        samplingRate,
-        chunks[0],
-        chunks[1],
-        chunks[2],
-        chunks[3],
-      ]],
-    },
-  });
+  await repo.ecgWaveforms.appendRecords([{
+    ecgId,
+    samplingFrequency: samplingRate,
+    voltage1: chunks[0],
+    voltage2: chunks[1],
+    voltage3: chunks[2],
+    voltage4: chunks[3],
+  }], { raw: true });
 
   console.log(`Waveform stored: ${voltages.length} samples in ${chunks.filter(c => c).length} chunks`);
 }
@@ -786,39 +735,3 @@ function findRPeaks(voltages, samplingRate) {
   console.log(`Peak detection found ${peaks.length} R peaks`);
   return peaks;
 }
-
-/**
- * Sort a sheet by column A (date/timestamp) in descending order (most recent first).
- */
-async function sortSheetByDateDesc(sheets, spreadsheetId, sheetName, endColumnIndex = 15) {
-  try {
-    const spreadsheet = await sheets.spreadsheets.get({
-      spreadsheetId,
-      fields: 'sheets(properties(sheetId,title))'
-    });
-    const sheetsList = spreadsheet.data.sheets || [];
-    const targetSheet = sheetsList.find(s => s.properties.title === sheetName);
-
-    if (targetSheet) {
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId,
-        requestBody: {
-          requests: [{
-            sortRange: {
-              range: {
-                sheetId: targetSheet.properties.sheetId,
-                startRowIndex: 1,
-                startColumnIndex: 0,
-                endColumnIndex
-              },
-              sortSpecs: [{ dimensionIndex: 0, sortOrder: 'DESCENDING' }]
-            }
-          }]
-        }
-      });
-    }
-  } catch (error) {
-    console.error(`Error sorting ${sheetName} sheet:`, error);
-  }
-}
-
@@ -6,30 +6,51 @@
  *
  * Query params:
  *   limit: number (default: 10, max: 30)
+ *   view: "history" with date=M/D/YYYY returns one day's change history
+ *         instead: { dateFor, revision, medications, customFields, versions } (see
+ *         getEntryHistory in lib/entries.js). A version can be restored with
+ *         submit-entry action "restore-entry".
+ *         "supply" returns where each refilled medication's supply stands:
+ *         { today, lowSupplyDays, supplies: [{ key, label, remaining, unit,
+ *         asOf, dailyUse, daysLeft, runsOutOn, low, ... }] } (see lib/supply.js).
+ *         "budget" returns today's energy budget and the steps used so far:
+ *         { today, budget, used, percent, basedOnDays, excludedDays,
+ *         pacingAlerts, pacingAlerted } (see lib/energyBudget.js).
  *
  * Headers:
  *   Authorization: Bearer <SECRET_TOKEN>
  *
  * Response:
- *   200: { entries: Array<Entry> }
+ *   200: { entries: Array<Entry>, medications: Array<{ key, label, archived, position, unit, defaultAmount, schedule, defaultOn, carryForward, supply, supplyUnit, supplyDate, supplyAlerted }> }
+ *        Medications are in display order (set positions first, then by
+ *        name); archived ones are included for showing past days. Each
+ *        entry has the medication cells by key ("1 pill", "Off") and the
+ *        same doses parsed in `doses`: { key: { amount, unit } } (amount 0
+ *        for Off; see lib/doses.js). Cells that don't read as a dose are
+ *        left out of `doses`.
+ *        Also customFields: Array<{ key, label, type, min, max, unit, position, archived }>
+ *        from the CustomFields tab, in display order, with each entry's
+ *        values by key: a number, true/false for yes/no fields, or null
+ *        (see lib/customFields.js).
+ *        Each entry also has `anomalies`: the watch metrics flagged against
+ *        their 28-day baselines that day ({ key, label, unit, value, median,
+ *        mad, z, direction }, scored by scoreDay in lib/baselines.js), empty
+ *        when none are.
  *   401: { error: "Unauthorized" }
  *   500: { error: "Failed to fetch entries" }
  */
 
-import { google } from 'googleapis';
+import { getRepository } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { requireAuth } from '../lib/auth.js';
 import { computeValidatedSleepByDate } from '../lib/sleepValidation.js';
-
-// Convert medication label to normalized key
-// "Vitamin D" -> "vitamind", "Vitamin B-12" -> "vitaminb12"
-function labelToKey(label) {
-  return label
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, ''); // Remove non-alphanumeric
-}
-
-// Core fields occupy columns A-J (indices 0-9)
-// Medications start at column K (index 10)
-const MEDICATION_START_INDEX = 10;
+import { discoverMedications, normalizeEntryDate, getEntryHistory } from '../lib/entries.js';
+import { listMedications, listSupplies } from '../lib/medications.js';
+import { parseDoses } from '../lib/doses.js';
+import { listCustomFields, readFieldValues } from '../lib/customFields.js';
+import { DEFAULT_LOW_SUPPLY_DAYS, isLowSupply, todayIn } from '../lib/supply.js';
+import { loadEnergyBudget } from '../lib/energyBudget.js';
+import { baselineHistory, anomaliesByDate, parseAnomalyThreshold } from '../lib/baselines.js';
 
 // Normalize date string to YYYY-MM-DD format for comparison
 function normalizeDate(dateStr) {
@@ -115,159 +136,127 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Validate authorization
-  const authHeader = req.headers.authorization;
-  const receivedToken = authHeader ? authHeader.replace(/^Bearer\s+/i, '').trim() : null;
-  const expectedToken = process.env.SECRET_TOKEN ? process.env.SECRET_TOKEN.trim() : null;
+  if (!(await requireAuth(req, res, 'read'))) return;
+  if (!(await requireCurrentSchema(res))) return;
 
-  if (!receivedToken || receivedToken !== expectedToken) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (req.query.view === 'history') {
+    return handleEntryHistory(req, res);
+  }
+  if (req.query.view === 'supply') {
+    return handleSupply(req, res);
+  }
+  if (req.query.view === 'budget') {
+    return handleBudget(req, res);
   }
 
   // Parse query params - default to 10 entries
   const limit = Math.min(parseInt(req.query.limit) || 10, 30);
 
   try {
-    const auth = new google.auth.GoogleAuth({
-      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-    });
-
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID.trim();
+    const repo = getRepository();
 
     // Fetch daily entries, ECG readings, Health Data, and Hourly data in parallel
-    // Sheet1 range is open-ended to capture any new medication columns beyond V
-    const [entriesResponse, ecgResponse, healthResponse, hourlyResponse] = await Promise.all([
-      sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: 'Sheet1!A:ZZ', // Open-ended to capture dynamically added medication columns
-      }),
-      sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: 'ECG_Readings!A:E', // Timestamp, Date, Classification, Avg HR, R/S Ratio
-      }).catch(() => ({ data: { values: [] } })), // Handle if ECG sheet doesn't exist
-      sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: 'Health_Daily!A:Q', // Date, Steps, AvgHR, RestHR, MinHR, MaxHR, HRV, SleepDur, Eff, Deep, REM, LastUpd, HRCount, HRVCount, Awake, HRAwake, HRAsleep
-      }).catch(() => ({ data: { values: [] } })), // Handle if Health sheet doesn't exist
-      sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: 'Health_Hourly!A2:I', // For validated sleep computation
-      }).catch(() => ({ data: { values: [] } }))
+    // Sheet1 is read whole to capture any dynamically added medication columns
+    const empty = { header: [], rows: [], records: [] };
+    const [entriesTable, ecgTable, healthTable, hourlyTable, settings] = await Promise.all([
+      repo.entries.getRecords(),
+      repo.ecgReadings.getRecords().catch(() => empty), // Handle if ECG sheet doesn't exist
+      repo.healthDaily.getRecords().catch(() => empty), // Handle if Health sheet doesn't exist
+      repo.healthHourly.getValues().catch(() => []), // For validated sleep computation
+      repo.settings.read().catch(() => null) // For the anomaly threshold
     ]);
 
-    // Process daily entries - index by normalized date
-    const entriesRows = entriesResponse.data.values || [];
-    const headerRow = entriesRows[0] || [];
-    const entriesDataRows = entriesRows.slice(1); // Skip header
-
-    // Discover medication columns from header (columns K onwards, index 10+)
-    const medications = [];
-    for (let i = MEDICATION_START_INDEX; i < headerRow.length; i++) {
-      const label = headerRow[i];
-      if (label && label.trim()) {
-        medications.push({
-          key: labelToKey(label),
-          label: label.trim(),
-          columnIndex: i
-        });
-      }
-    }
+    // Medication columns from the header (after the fixed columns), in display
+    // order with their archived flag from the Medications tab
+    const medications = await listMedications(entriesTable.header, repo);
+    const customFields = await listCustomFields(entriesTable.header, repo);
 
     const entriesByDate = {};
-    const ecgPlanByDate = {}; // Separate map for willDoECG, keyed by ECG Plan Date (column J)
+    const ecgPlanByDate = {}; // Separate map for willDoECG, keyed by ECG Plan Date
 
-    for (const row of entriesDataRows) {
-      const dateFor = row[1]; // Column B is the date the entry is FOR
-      const normalizedDate = normalizeDate(dateFor);
+    entriesTable.records.forEach((record, i) => {
+      const row = entriesTable.rows[i];
+      const normalizedDate = normalizeDate(record.dateFor); // The date the entry is FOR
       if (normalizedDate) {
         // Build entry with core fields
         const entry = {
-          timestamp: row[0],
-          date: dateFor,
-          hours: parseFloat(row[2]) || 0,
-          comments: row[3] || null,
-          oxaloacetate: row[4] ? parseFloat(row[4]) : null,
-          exercise: row[5] ? parseInt(row[5]) : null,
-          brainTime: row[6] ? parseFloat(row[6]) : null,
-          modafinil: row[7] || null, // Keeping for backward compatibility
+          timestamp: record.timestamp,
+          date: record.dateFor,
+          hours: record.hours || 0,
+          comments: record.comments,
+          oxaloacetate: record.oxaloacetate,
+          exercise: record.exercise,
+          brainTime: record.brainTime,
+          modafinil: record.modafinil, // Keeping for backward compatibility
+          revision: record.revision ?? 0,
         };
 
         // Dynamically add medication values based on discovered columns
         for (const med of medications) {
           entry[med.key] = row[med.columnIndex] || null;
         }
+        entry.doses = parseDoses(entry, medications);
+        Object.assign(entry, readFieldValues(row, customFields));
 
         // Keep the most recent entry for each date (last one wins)
         entriesByDate[normalizedDate] = entry;
       }
 
-      // Process willDoECG separately - attributed to ECG Plan Date (column J), not dateFor
-      if (row[8] === 'Yes' && row[9]) {
-        const ecgPlanDate = normalizeDate(row[9]); // Column J is the ECG Plan Date
+      // Process willDoECG separately - attributed to ECG Plan Date, not dateFor
+      if (record.willDoECG && record.ecgPlanDate) {
+        const ecgPlanDate = normalizeDate(record.ecgPlanDate);
         if (ecgPlanDate) {
           ecgPlanByDate[ecgPlanDate] = true;
         }
       }
-    }
+    });
 
     // Process ECG readings - index by collection date, keep most recent per day
-    const ecgRows = ecgResponse.data.values || [];
-    const ecgDataRows = ecgRows.slice(1); // Skip header
-
     const ecgByDate = {};
-    for (const row of ecgDataRows) {
-      // Use Column B (actual ECG date/time) NOT Column A (received timestamp)
-      const { date: normalizedDate, timestamp } = parseECGTimestamp(row[1]); // Column B is ECG date
+    for (const record of ecgTable.records) {
+      // Use the actual ECG date/time, NOT the received timestamp
+      const { date: normalizedDate, timestamp } = parseECGTimestamp(record.date);
       if (normalizedDate) {
         // Keep track of most recent ECG per day (by actual ECG time)
         if (!ecgByDate[normalizedDate] || timestamp > ecgByDate[normalizedDate].timestamp) {
           ecgByDate[normalizedDate] = {
             timestamp,
-            classification: row[2] || null,  // Column C
-            avgHR: row[3] ? parseFloat(row[3]) : null,  // Column D
-            rsRatio: row[4] ? parseFloat(row[4]) : null,  // Column E
+            classification: record.classification,
+            avgHR: record.avgHR,
+            rsRatio: record.rsRatio,
           };
         }
       }
     }
 
     // Process Health Data (Health_Daily)
-    const healthRows = healthResponse.data.values || [];
-    const healthDataRows = healthRows.slice(1); // Skip header
     const healthByDate = {};
 
-    for (const row of healthDataRows) {
-      // Row: Date(0), Steps(1), AvgHR(2), RestHR(3), MinHR(4), MaxHR(5), HRV(6), SleepDur(7), Eff(8), Deep(9), REM(10)
-      const dateStr = row[0];
-      const normalizedDate = normalizeDate(dateStr);
+    for (const record of healthTable.records) {
+      const normalizedDate = normalizeDate(record.date);
       if (normalizedDate) {
         healthByDate[normalizedDate] = {
-          steps: row[1] ? parseInt(row[1]) : null,
-          avgHR: row[2] ? parseFloat(row[2]) : null,
-          restingHR: row[3] ? parseFloat(row[3]) : null,
-          minHR: row[4] ? parseFloat(row[4]) : null,
-          maxHR: row[5] ? parseFloat(row[5]) : null,
-          hrv: row[6] ? parseFloat(row[6]) : null,
-          sleepMinutes: row[7] ? parseFloat(row[7]) : null,
-          sleepEff: row[8] || null,
-          deepSleep: row[9] ? parseFloat(row[9]) : null,
-          remSleep: row[10] ? parseFloat(row[10]) : null,
-          // New Columns
-          // K (10) REM
-          // L (11) Last Update 
-          hrCount: row[12] ? parseInt(row[12]) : null,
-          hrvCount: row[13] ? parseInt(row[13]) : null,
-          awakeMinutes: row[14] ? parseFloat(row[14]) : null,
-          avgHR_awake: row[15] ? parseFloat(row[15]) : null,
-          avgHR_asleep: row[16] ? parseFloat(row[16]) : null,
+          steps: record.steps,
+          avgHR: record.avgHR,
+          restingHR: record.restingHR,
+          minHR: record.minHR,
+          maxHR: record.maxHR,
+          hrv: record.hrv,
+          sleepMinutes: record.sleepMinutes,
+          sleepEff: record.sleepEfficiency,
+          deepSleep: record.deepSleep,
+          remSleep: record.remSleep,
+          hrCount: record.hrCount,
+          hrvCount: record.hrvCount,
+          awakeMinutes: record.awakeMinutes,
+          avgHR_awake: record.avgHR_awake,
+          avgHR_asleep: record.avgHR_asleep,
         };
       }
     }
 
     // Compute validated sleep from hourly data (same algorithm as single-day view)
-    const hourlyRows = hourlyResponse.data.values || [];
+    const hourlyRows = hourlyTable.slice(1);
     const validatedSleep = computeValidatedSleepByDate(
       hourlyRows,
       () => true, // Include all dates; we filter by limit later
@@ -312,6 +301,8 @@ export default async function handler(req, res) {
         exercise: entry.exercise ?? null,
         brainTime: entry.brainTime ?? null,
         modafinil: entry.modafinil || null,
+        // Sent back as baseRevision when this entry is edited (0: no entry yet)
+        revision: entry.revision ?? 0,
 
         willDoECG: willDoECG,
         // ECG data
@@ -343,10 +334,14 @@ export default async function handler(req, res) {
         hasHealthData: !!healthByDate[date]
       };
 
-      // Dynamically add medication values
+      // Dynamically add medication values, and the same doses parsed
       for (const med of medications) {
         combinedEntry[med.key] = entry[med.key] || null;
       }
+      combinedEntry.doses = entry.doses || {};
+      for (const field of customFields) {
+        combinedEntry[field.key] = entry[field.key] ?? null;
+      }
 
       combinedEntries.push(combinedEntry);
     }
@@ -357,14 +352,20 @@ export default async function handler(req, res) {
     // Return limited entries and medications metadata
     const entries = combinedEntries.slice(0, limit);
 
-    // Sort medications alphabetically by label for consistent display
-    const sortedMedications = [...medications].sort((a, b) =>
-      a.label.toLowerCase().localeCompare(b.label.toLowerCase())
+    // Flag the returned days against baselines from every day before them
+    const anomalies = anomaliesByDate(
+      baselineHistory(healthTable.records, validatedSleep),
+      entries.map(entry => entry.normalizedDate),
+      parseAnomalyThreshold(settings?.anomalyThreshold)
     );
+    for (const entry of entries) {
+      entry.anomalies = anomalies[entry.normalizedDate] || [];
+    }
 
     return res.status(200).json({
       entries,
-      medications: sortedMedications
+      medications,
+      customFields
     });
 
   } catch (error) {
@@ -372,3 +373,69 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Failed to fetch entries' });
   }
 }
+
+/**
+ * One day's versions from the AuditLog, oldest first, with the revision a
+ * restore should be based on.
+ */
+async function handleEntryHistory(req, res) {
+  const { date } = req.query;
+  if (!date) {
+    return res.status(400).json({ error: 'date is required' });
+  }
+
+  try {
+    const repo = getRepository();
+    const { header, records } = await repo.entries.getRecords();
+    const customFields = await listCustomFields(header, repo);
+    const medications = discoverMedications(header, customFields);
+    const current = records.find(record => normalizeEntryDate(record.dateFor) === normalizeEntryDate(date));
+
+    return res.status(200).json({
+      dateFor: date,
+      revision: current ? current.revision ?? 0 : 0,
+      medications: medications.map(({ key, label }) => ({ key, label })),
+      customFields: customFields.map(({ key, label, type }) => ({ key, label, type })),
+      versions: await getEntryHistory(date, medications, repo, customFields)
+    });
+  } catch (error) {
+    console.error('Failed to fetch entry history:', error);
+    return res.status(500).json({ error: 'Failed to fetch entry history' });
+  }
+}
+
+/**
+ * Supply left for each medication with a refill recorded, as of today in
+ * the user's time zone, flagged against the low-supply threshold.
+ */
+async function handleSupply(req, res) {
+  try {
+    const repo = getRepository();
+    const settings = await repo.settings.read().catch(() => null);
+    const today = todayIn(settings?.localTimeZone || 'America/New_York');
+    const lowSupplyDays = settings?.lowSupplyDays ?? DEFAULT_LOW_SUPPLY_DAYS;
+    const supplies = (await listSupplies(today, repo))
+      .map(supply => ({ ...supply, low: isLowSupply(supply, lowSupplyDays) }));
+
+    return res.status(200).json({ today, lowSupplyDays, supplies });
+  } catch (error) {
+    console.error('Failed to fetch medication supply:', error);
+    return res.status(500).json({ error: 'Failed to fetch medication supply' });
+  }
+}
+
+/**
+ * Today's energy budget (in the user's time zone) and the steps used so far.
+ */
+async function handleBudget(req, res) {
+  try {
+    const repo = getRepository();
+    const settings = await repo.settings.read().catch(() => null);
+    const today = todayIn(settings?.localTimeZone || 'America/New_York');
+
+    return res.status(200).json(await loadEnergyBudget(today, repo));
+  } catch (error) {
+    console.error('Failed to fetch energy budget:', error);
+    return res.status(500).json({ error: 'Failed to fetch energy budget' });
+  }
+}
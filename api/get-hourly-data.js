@@ -1,24 +1,56 @@
 /**
  * GET /api/get-hourly-data
  *
- * Two modes:
+ * Three modes:
  *
  * 1. Single Day (Stats Single Day view):
  *    Query: ?date=YYYY-MM-DD
- *    Returns: { date, rows, count }
+ *    Returns: { date, rows, count, hrEvents }
+ *    hrEvents are the day's heart-rate ceiling breaches ({ start, end,
+ *    minutes, peakHR, avgHR, ceiling, notified }, see lib/hrCeiling.js).
  *
  * 2. Multi-Day Stats (Stats Multi Day view):
  *    Query: ?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
- *    Returns: { startDate, endDate, days, count }
+ *    Returns: { startDate, endDate, days, count, customFields, crashes, possibleCrashes }
  *    Aggregates HR box plots from Health_Hourly, sleep/steps/HRV from Health_Daily,
- *    and Feet on Ground / Brain Time from Sheet1.
+ *    and Feet on Ground / Brain Time from Sheet1, plus each day's custom field
+ *    values in `fields` ({ key: value }, see lib/customFields.js).
+ *    `crashes` are the logged crashes that overlap the range, and
+ *    `possibleCrashes` the feet-on-ground drops that do ({ start, end, days,
+ *    baseline, lowest }) but no logged crash covers (see lib/crashes.js).
+ *    Each has a `lookBack` of steps, exercise, brain time and feet on ground
+ *    for the 3 days before it started.
+ *    Each day's `anomalies` are its resting HR, HRV and sleep flagged against
+ *    their 28-day baselines (see lib/baselines.js).
+ *
+ * 3. Medication Impact (Stats Medications view):
+ *    Query: ?mode=medication-impact[&window=14]
+ *    Returns: { windowDays, metrics, changes }
+ *    Each time a medication turned on, off, or changed dose in Sheet1, compares
+ *    Feet on Ground, Brain Time, resting HR, HRV and sleep over up to `window`
+ *    days before and after it (see lib/medicationImpact.js).
  *
  * Headers:
  *   Authorization: Bearer <SECRET_TOKEN>
  */
 
-import { google } from 'googleapis';
+import { getRepository, TABLES } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { requireAuth } from '../lib/auth.js';
 import { computeValidatedSleepByDate, computeHRAwakeAsleepByDate } from '../lib/sleepValidation.js';
+import { listMedications } from '../lib/medications.js';
+import { listCustomFields, readFieldValues } from '../lib/customFields.js';
+import { parseDoses } from '../lib/doses.js';
+import { listHrEvents } from '../lib/hrCeiling.js';
+import { listCrashes, crashHistory, unloggedPossibleCrashes, lookBack, overlapsRange } from '../lib/crashes.js';
+import { baselineHistory, anomaliesByDate, parseAnomalyThreshold, BASELINE_DAYS } from '../lib/baselines.js';
+import {
+  analyzeChanges, detectMedicationChanges, DEFAULT_WINDOW_DAYS, IMPACT_METRICS,
+} from '../lib/medicationImpact.js';
+import { addDays } from '../lib/days.js';
+
+// Health_Hourly is scanned as raw rows (it's by far the largest tab)
+const HOURLY = TABLES.healthHourly.index;
 
 // ── Shared helpers ──
 
@@ -91,19 +123,17 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Auth
-  const authHeader = req.headers.authorization;
-  const receivedToken = authHeader ? authHeader.replace(/^Bearer\s+/i, '').trim() : null;
-  const expectedToken = process.env.SECRET_TOKEN ? process.env.SECRET_TOKEN.trim() : null;
-
-  if (!receivedToken || receivedToken !== expectedToken) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  if (!(await requireAuth(req, res, 'read'))) return;
+  if (!(await requireCurrentSchema(res))) return;
 
-  const { date, startDate, endDate } = req.query;
+  const { mode, date, startDate, endDate } = req.query;
 
   // Route to the appropriate mode
-  if (startDate && endDate) {
+  if (mode === 'medication-impact') {
+    return handleMedicationImpact(req, res);
+  } else if (mode) {
+    return res.status(400).json({ error: `Unknown mode: ${mode}` });
+  } else if (startDate && endDate) {
     return handleMultiDay(req, res, startDate, endDate);
   } else if (date) {
     return handleSingleDay(req, res, date);
@@ -120,21 +150,8 @@ async function handleSingleDay(req, res, date) {
   }
 
   try {
-    const keyData = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-    const auth = new google.auth.GoogleAuth({
-      credentials: keyData,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-    });
-
-    const sheets = google.sheets({ version: 'v4', auth });
-    const sheetId = process.env.GOOGLE_SHEET_ID.trim();
-
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: sheetId,
-      range: 'Health_Hourly!A2:I',
-    });
-
-    const allRows = response.data.values || [];
+    const repo = getRepository();
+    const allRows = (await repo.healthHourly.getValues()).slice(1);
     const [year, month, day] = date.split('-');
     const targetMonth = parseInt(month, 10);
     const targetDay = parseInt(day, 10);
@@ -183,16 +200,17 @@ async function handleSingleDay(req, res, date) {
     const nextDaySleepStageRows = [];
 
     for (const row of allRows) {
-      const dateStr = row[1];
+      const dateStr = row[HOURLY.date];
+      const metric = row[HOURLY.metric];
       // Standard match for Target Date (all metrics)
       if (rowMatchesDate(dateStr, targetMonth, targetDay, targetYear)) {
         matchingRows.push(row);
       }
       // Next Day Spillover (sleep_analysis only - OLD logic, kept for consistency)
-      else if (row[3] === 'sleep_analysis' && rowMatchesDate(dateStr, nextMonth, nextDay, nextYear)) {
+      else if (metric === 'sleep_analysis' && rowMatchesDate(dateStr, nextMonth, nextDay, nextYear)) {
         // Parse time range for this next-day sleep session
         try {
-          const rawJson = row[8] ? JSON.parse(row[8]) : {};
+          const rawJson = row[HOURLY.raw] ? JSON.parse(row[HOURLY.raw]) : {};
           if (rawJson.sleepStart && rawJson.sleepEnd) {
             const startDate = new Date(rawJson.sleepStart);
             const isSpillover = startDate.getFullYear() === targetYear &&
@@ -207,12 +225,12 @@ async function handleSingleDay(req, res, date) {
         } catch { /* skip unparseable rows */ }
       }
       // Previous Day Sleep Stages (granular data): stages that start on prev day and end on target day.
-      else if (row[3] === 'sleep_stage' && rowMatchesDate(dateStr, prevMonth, prevDay, prevYear)) {
+      else if (metric === 'sleep_stage' && rowMatchesDate(dateStr, prevMonth, prevDay, prevYear)) {
         prevDaySleepStageRows.push(row);
       }
       // Next Day Sleep Stages (granular data): stages stored under next day that may start before midnight.
       // The client clips these to [dayStart, dayEnd], capturing any minutes on the target day.
-      else if (row[3] === 'sleep_stage' && rowMatchesDate(dateStr, nextMonth, nextDay, nextYear)) {
+      else if (metric === 'sleep_stage' && rowMatchesDate(dateStr, nextMonth, nextDay, nextYear)) {
         nextDaySleepStageRows.push(row);
       }
     }
@@ -232,16 +250,17 @@ async function handleSingleDay(req, res, date) {
       if (overlaps) spilloverRows.push(candidate.row);
     }
 
+    // rawData stays a JSON string; the client parses it
     const mapRow = (row, spillover = false) => ({
-      timestamp: row[0] || '',
-      date: row[1] || '',
-      hour: row[2] ? parseInt(row[2], 10) : null,
-      metric: row[3] || '',
-      value: row[4] ? parseFloat(row[4]) : null,
-      min: row[5] ? parseFloat(row[5]) : null,
-      max: row[6] ? parseFloat(row[6]) : null,
-      source: row[7] || '',
-      rawData: row[8] || '',
+      timestamp: row[HOURLY.timestamp] || '',
+      date: row[HOURLY.date] || '',
+      hour: row[HOURLY.hour] ? parseInt(row[HOURLY.hour], 10) : null,
+      metric: row[HOURLY.metric] || '',
+      value: row[HOURLY.value] ? parseFloat(row[HOURLY.value]) : null,
+      min: row[HOURLY.min] ? parseFloat(row[HOURLY.min]) : null,
+      max: row[HOURLY.max] ? parseFloat(row[HOURLY.max]) : null,
+      source: row[HOURLY.source] || '',
+      rawData: row[HOURLY.raw] || '',
       ...(spillover ? { spillover: true } : {}),
     });
 
@@ -252,7 +271,9 @@ async function handleSingleDay(req, res, date) {
       ...nextDaySleepStageRows.map(row => mapRow(row)),
     ];
 
-    return res.status(200).json({ date, rows, count: rows.length });
+    const hrEvents = await listHrEvents(date, repo);
+
+    return res.status(200).json({ date, rows, count: rows.length, hrEvents });
   } catch (error) {
     console.error('Error fetching hourly data:', error);
     return res.status(500).json({ error: 'Failed to fetch hourly data', details: error.message });
@@ -271,42 +292,24 @@ async function handleMultiDay(req, res, startDate, endDate) {
   }
 
   try {
-    const keyData = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-    const auth = new google.auth.GoogleAuth({
-      credentials: keyData,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-    });
-
-    const sheets = google.sheets({ version: 'v4', auth });
-    const sheetId = process.env.GOOGLE_SHEET_ID.trim();
-
-    // Fetch all four sheets in parallel
-    const [hourlyResponse, dailyResponse, sheet1Response, ecgResponse] = await Promise.all([
-      sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: 'Health_Hourly!A2:I',
-      }),
-      sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: 'Health_Daily!A2:Q',
-      }),
-      sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: 'Sheet1!A2:G',
-      }),
-      sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: 'ECG_Readings!A2:E',  // Timestamp, Date, Classification, Avg HR, R/S Ratio
-      }),
+    const repo = getRepository();
+
+    // Fetch all four sheets (and the settings) in parallel
+    const [hourlyValues, dailyTable, entriesTable, ecgTable, settings] = await Promise.all([
+      repo.healthHourly.getValues(),
+      repo.healthDaily.getRecords(),
+      repo.entries.getRecords(),
+      repo.ecgReadings.getRecords(),
+      repo.settings.read().catch(() => null),
     ]);
+    const hourlyRows = hourlyValues.slice(1); // Header row dropped
 
     // --- 1. HR Box Plot from Health_Hourly ---
-    const hourlyRows = hourlyResponse.data.values || [];
     const hrByDate = {};
 
     for (const row of hourlyRows) {
-      const dateStr = row[1];
-      const metric = row[3];
+      const dateStr = row[HOURLY.date];
+      const metric = row[HOURLY.metric];
       if (metric !== 'heart_rate') continue;
       if (!isInRange(dateStr, startDate, endDate)) continue;
 
@@ -314,7 +317,7 @@ async function handleMultiDay(req, res, startDate, endDate) {
       const isoDate = toISODate(parsed);
       if (!isoDate) continue;
 
-      const bpm = parseFloat(row[4]);
+      const bpm = parseFloat(row[HOURLY.value]);
       if (isNaN(bpm)) continue;
 
       if (!hrByDate[isoDate]) hrByDate[isoDate] = [];
@@ -337,11 +340,10 @@ async function handleMultiDay(req, res, startDate, endDate) {
     const computedHRSleep = computeHRAwakeAsleepByDate(hourlyRows, rangeFilterFn, rangeParseDateFn);
 
     // --- 2. Sleep/Steps/HRV from Health_Daily ---
-    const dailyRows = dailyResponse.data.values || [];
     const dailyByDate = {};
 
-    for (const row of dailyRows) {
-      const dateStr = row[0];
+    for (const record of dailyTable.records) {
+      const dateStr = record.date;
       if (!isInRange(dateStr, startDate, endDate)) continue;
 
       const parsed = parseDateStr(dateStr);
@@ -349,30 +351,30 @@ async function handleMultiDay(req, res, startDate, endDate) {
       if (!isoDate) continue;
 
       dailyByDate[isoDate] = {
-        steps: row[1] ? parseFloat(row[1]) : null,
-        avgHR: row[2] ? parseFloat(row[2]) : null,
-        restingHR: row[3] ? parseFloat(row[3]) : null,
-        minHR: row[4] ? parseFloat(row[4]) : null,
-        maxHR: row[5] ? parseFloat(row[5]) : null,
-        avgHRV: row[6] ? parseFloat(row[6]) : null,
-        sleepDuration: row[7] ? parseFloat(row[7]) : null,
-        sleepEfficiency: row[8] || null,
-        deepSleep: row[9] ? parseFloat(row[9]) : null,
-        remSleep: row[10] ? parseFloat(row[10]) : null,
-        hrCount: row[12] ? parseInt(row[12], 10) : null,
-        hrvCount: row[13] ? parseInt(row[13], 10) : null,
-        awakeMinutes: row[14] ? parseFloat(row[14]) : null,
-        avgHR_awake: row[15] ? parseFloat(row[15]) : null,
-        avgHR_asleep: row[16] ? parseFloat(row[16]) : null,
+        steps: record.steps,
+        avgHR: record.avgHR,
+        restingHR: record.restingHR,
+        minHR: record.minHR,
+        maxHR: record.maxHR,
+        avgHRV: record.hrv,
+        sleepDuration: record.sleepMinutes,
+        sleepEfficiency: record.sleepEfficiency,
+        deepSleep: record.deepSleep,
+        remSleep: record.remSleep,
+        hrCount: record.hrCount,
+        hrvCount: record.hrvCount,
+        awakeMinutes: record.awakeMinutes,
+        avgHR_awake: record.avgHR_awake,
+        avgHR_asleep: record.avgHR_asleep,
       };
     }
 
-    // --- 3. Feet on Ground (Col C) & Brain Time (Col G) from Sheet1 ---
-    const sheet1Rows = sheet1Response.data.values || [];
+    // --- 3. Feet on Ground (Hours), Brain Time & custom fields from Sheet1 ---
+    const customFields = await listCustomFields(entriesTable.header, repo);
     const manualByDate = {};
 
-    for (const row of sheet1Rows) {
-      const dateStr = row[1];
+    for (const [i, record] of entriesTable.records.entries()) {
+      const dateStr = record.dateFor;
       if (!dateStr) continue;
 
       const parsed = parseDateStr(dateStr);
@@ -381,18 +383,17 @@ async function handleMultiDay(req, res, startDate, endDate) {
       if (isoDate < startDate || isoDate > endDate) continue;
 
       manualByDate[isoDate] = {
-        feetOnGround: row[2] ? parseFloat(row[2]) : null,
-        brainTime: row[6] ? parseFloat(row[6]) : null,
+        feetOnGround: record.hours,
+        brainTime: record.brainTime,
+        fields: readFieldValues(entriesTable.rows[i], customFields),
       };
     }
 
     // --- 4. ECG R/S Ratio and HR from ECG_Readings ---
-    // Column B = Date, D = Avg HR (Apple), E = R/S Ratio
-    const ecgRows = ecgResponse.data.values || [];
     const ecgByDate = {};
 
-    for (const row of ecgRows) {
-      const dateStr = row[1];  // Date column (B)
+    for (const record of ecgTable.records) {
+      const dateStr = record.date;  // When the ECG was taken
       if (!dateStr) continue;
 
       const parsed = parseDateStr(dateStr);
@@ -400,10 +401,10 @@ async function handleMultiDay(req, res, startDate, endDate) {
       if (!isoDate) continue;
       if (isoDate < startDate || isoDate > endDate) continue;
 
-      const avgHr = row[3] ? parseFloat(row[3]) : null;  // Column D
-      const rsRatio = row[4] ? parseFloat(row[4]) : null;  // Column E
+      const avgHr = record.avgHR;
+      const rsRatio = record.rsRatio;
 
-      if (rsRatio == null || isNaN(rsRatio)) continue;
+      if (rsRatio == null) continue;
 
       if (!ecgByDate[isoDate]) {
         ecgByDate[isoDate] = { hrSum: 0, hrCount: 0, rsSum: 0, rsCount: 0 };
@@ -416,6 +417,31 @@ async function handleMultiDay(req, res, startDate, endDate) {
       }
     }
 
+    // --- 5. Logged and possible crashes ---
+    // Detection and the look-backs reach before startDate, so these read
+    // every Sheet1 and Health_Daily row
+    const historyByDate = crashHistory(entriesTable.records, dailyTable.records);
+    const allCrashes = await listCrashes(repo);
+    const crashes = allCrashes
+      .filter(crash => overlapsRange({ start: crash.onset, end: crash.end }, startDate, endDate))
+      .map(crash => ({ ...crash, lookBack: lookBack(crash.onset, historyByDate) }));
+    const possibleCrashes = unloggedPossibleCrashes(historyByDate, allCrashes)
+      .filter(run => overlapsRange(run, startDate, endDate))
+      .map(run => ({ ...run, lookBack: lookBack(run.start, historyByDate) }));
+
+    // --- 5b. Baseline anomalies ---
+    // Baselines reach BASELINE_DAYS before startDate, so validated sleep is
+    // computed over that longer span
+    const baselineStart = addDays(startDate, -BASELINE_DAYS);
+    const baselineSleep = computeValidatedSleepByDate(
+      hourlyRows, (dateStr) => isInRange(dateStr, baselineStart, endDate), rangeParseDateFn
+    );
+    const anomalies = anomaliesByDate(
+      baselineHistory(dailyTable.records, baselineSleep),
+      Object.keys({ ...dailyByDate, ...validatedSleep }),
+      parseAnomalyThreshold(settings?.anomalyThreshold)
+    );
+
     // --- 6. Merge all data by date ---
     const allDates = new Set([
       ...Object.keys(hrByDate),
@@ -477,17 +503,99 @@ async function handleMultiDay(req, res, startDate, endDate) {
         hrv: daily.avgHRV != null ? { avg: daily.avgHRV, count: daily.hrvCount } : null,
         feetOnGround: manual.feetOnGround,
         brainTime: manual.brainTime,
+        fields: manual.fields || {},
         ecg,
         avgHR_awake: vHR?.avgHR_awake ?? daily.avgHR_awake,
         avgHR_asleep: vHR?.avgHR_asleep ?? daily.avgHR_asleep,
+        anomalies: anomalies[date] || [],
       });
     }
 
     days.sort((a, b) => a.date.localeCompare(b.date));
 
-    return res.status(200).json({ startDate, endDate, days, count: days.length });
+    return res.status(200).json({
+      startDate, endDate, days, count: days.length, customFields, crashes, possibleCrashes,
+    });
   } catch (error) {
     console.error('Error fetching health stats:', error);
     return res.status(500).json({ error: 'Failed to fetch health stats', details: error.message });
   }
 }
+
+// ── Mode 3: Medication Impact ──
+
+async function handleMedicationImpact(req, res) {
+  const windowDays = req.query.window === undefined ? DEFAULT_WINDOW_DAYS : Number(req.query.window);
+  if (!Number.isInteger(windowDays) || windowDays < 3 || windowDays > 90) {
+    return res.status(400).json({ error: 'window must be a whole number of days from 3 to 90' });
+  }
+
+  try {
+    const repo = getRepository();
+    const [hourlyValues, dailyTable, entriesTable] = await Promise.all([
+      repo.healthHourly.getValues(),
+      repo.healthDaily.getRecords(),
+      repo.entries.getRecords(),
+    ]);
+    const medications = await listMedications(entriesTable.header, repo);
+
+    // One entry per day (the last row for a date wins, as in get-entries)
+    const entriesByDate = {};
+    entriesTable.records.forEach((record, i) => {
+      const isoDate = toISODate(parseDateStr(record.dateFor));
+      if (!isoDate) return;
+      const row = entriesTable.rows[i];
+      const values = {};
+      for (const med of medications) values[med.key] = row[med.columnIndex] || null;
+      entriesByDate[isoDate] = { record, doses: parseDoses(values, medications) };
+    });
+
+    const days = Object.entries(entriesByDate).map(([date, { doses }]) => ({ date, doses }));
+    const changes = detectMedicationChanges(days, medications);
+    if (changes.length === 0) {
+      return res.status(200).json({ windowDays, metrics: IMPACT_METRICS, changes: [] });
+    }
+
+    // Only the days some window can reach
+    const startDate = addDays(changes[0].date, -windowDays);
+    const endDate = addDays(changes[changes.length - 1].date, windowDays);
+    const inRange = (dateStr) => isInRange(dateStr, startDate, endDate);
+    const isoDateOf = (dateStr) => toISODate(parseDateStr(dateStr));
+
+    const hourlyRows = hourlyValues.slice(1);
+    const validatedSleep = computeValidatedSleepByDate(hourlyRows, inRange, isoDateOf);
+
+    const metricsByDate = {};
+    const dayMetrics = (date) => {
+      if (!metricsByDate[date]) {
+        metricsByDate[date] = { feetOnGround: null, brainTime: null, restingHR: null, hrv: null, sleep: null };
+      }
+      return metricsByDate[date];
+    };
+
+    for (const [date, { record }] of Object.entries(entriesByDate)) {
+      if (date < startDate || date > endDate) continue;
+      Object.assign(dayMetrics(date), { feetOnGround: record.hours, brainTime: record.brainTime });
+    }
+    for (const record of dailyTable.records) {
+      if (!inRange(record.date)) continue;
+      const metrics = dayMetrics(isoDateOf(record.date));
+      metrics.restingHR = record.restingHR;
+      metrics.hrv = record.hrv;
+      // Validated sleep where there is hourly data, Health_Daily otherwise
+      metrics.sleep = record.sleepMinutes != null ? Math.round(record.sleepMinutes) : null;
+    }
+    for (const [date, sleep] of Object.entries(validatedSleep)) {
+      if (sleep.totalMin > 0) dayMetrics(date).sleep = sleep.totalMin;
+    }
+
+    return res.status(200).json({
+      windowDays,
+      metrics: IMPACT_METRICS,
+      changes: analyzeChanges(changes, metricsByDate, { windowDays }),
+    });
+  } catch (error) {
+    console.error('Error computing medication impact:', error);
+    return res.status(500).json({ error: 'Failed to compute medication impact', details: error.message });
+  }
+}
@@ -1,71 +1,80 @@
-import { google } from 'googleapis';
 import { computeValidatedSleepByDate } from '../lib/sleepValidation.js';
-
-// Helper to get Google Auth
-function getGoogleAuth() {
-    const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-    return new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-}
+import { getRepository, TABLES } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { formatRow, emptyRow } from '../lib/storage/schema.js';
+import { readRawBody, requireWebhookAuth, BodyTooLargeError } from '../lib/webhookAuth.js';
+import { loadEnergyBudget, dueThreshold, markPacingAlerted } from '../lib/energyBudget.js';
+import { heartRateReadings, findBreaches, recordBreaches, markNotified, isThrottled, DEFAULT_CEILING_MINUTES } from '../lib/hrCeiling.js';
+import { todayIn } from '../lib/supply.js';
+import { sendNotification } from './send-notification.js';
 
 export const config = {
     api: {
-        bodyParser: {
-            sizeLimit: '10mb', // Allow larger payloads for batch syncs
-        },
+        bodyParser: false, // Signed requests are verified against the raw body, so we parse JSON ourselves
     },
 };
 
+// Column positions for the raw Health_Hourly rows passed around (and to
+// lib/sleepValidation.js) without converting each one to a record
+const HOURLY = TABLES.healthHourly.index;
+
 export default async function handler(req, res) {
     // CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Secret');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Secret, X-Webhook-Signature, X-Webhook-Timestamp, X-Webhook-Nonce');
 
     if (req.method === 'OPTIONS') return res.status(200).end();
     if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-    // Auth
-    const webhookSecret = req.headers['x-webhook-secret'];
-    const expectedSecret = process.env.ECG_WEBHOOK_SECRET?.trim(); // Reusing the secret for now
-    if (!webhookSecret || webhookSecret !== expectedSecret) {
-        return res.status(401).json({ error: 'Invalid webhook secret' });
+    let rawBody;
+    try {
+        rawBody = await readRawBody(req);
+    } catch (error) {
+        if (error instanceof BodyTooLargeError) return res.status(413).json({ error: error.message });
+        throw error;
+    }
+    if (!(await requireWebhookAuth(req, res, 'health', rawBody))) return;
+    if (!(await requireCurrentSchema(res))) return;
+
+    // Only the raw body is signed, so never fall back to a pre-parsed req.body
+    if (rawBody.length === 0) {
+        return res.status(400).json({ error: 'Empty request body' });
     }
 
+    let data;
     try {
-        const data = req.body;
-        const auth = getGoogleAuth();
-        const sheets = google.sheets({ version: 'v4', auth });
-        const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+        data = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+        return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    try {
+        const repo = getRepository();
 
         // 1. FETCH EXISTING HOURLY DATA (For Deduplication & Re-aggregation)
-        const hourlySheetRes = await sheets.spreadsheets.values.get({
-            spreadsheetId: SHEET_ID,
-            range: 'Health_Hourly!A:I',
-        });
+        const hourlyValues = await repo.healthHourly.getValues();
 
-        const existingHeader = hourlySheetRes.data.values?.[0] || [];
-        const existingRows = hourlySheetRes.data.values?.slice(1) || [];
+        const existingHeader = hourlyValues[0] || [];
+        const existingRows = hourlyValues.slice(1);
 
         // Build a Set of signatures for deduplication
         const existingSignatures = new Set();
         const rowsByDate = {};
 
         existingRows.forEach(row => {
-            const rawJsonStr = row[8];
+            const rawJsonStr = row[HOURLY.raw];
             let signature = '';
             try {
                 if (rawJsonStr && rawJsonStr !== '{}') {
                     const raw = JSON.parse(rawJsonStr);
-                    const metricName = row[3];
+                    const metricName = row[HOURLY.metric];
                     // Round numeric values to 10 significant digits to match
                     // incoming precision after Google Sheets truncation
-                    const numVal = parseFloat(row[4]);
-                    const val = !isNaN(numVal) ? parseFloat(numVal.toPrecision(10)) : row[4];
-                    const src = row[7];
-                    signature = `${raw.date || row[0]}_${metricName}_${val}_${src}`;
+                    const numVal = parseFloat(row[HOURLY.value]);
+                    const val = !isNaN(numVal) ? parseFloat(numVal.toPrecision(10)) : row[HOURLY.value];
+                    const src = row[HOURLY.source];
+                    signature = `${raw.date || row[HOURLY.timestamp]}_${metricName}_${val}_${src}`;
                 } else {
                     signature = row.join('|');
                 }
@@ -74,7 +83,7 @@ export default async function handler(req, res) {
             }
             existingSignatures.add(signature);
 
-            const dateStr = row[1];
+            const dateStr = row[HOURLY.date];
             if (dateStr) {
                 if (!rowsByDate[dateStr]) rowsByDate[dateStr] = [];
                 rowsByDate[dateStr].push(row);
@@ -133,17 +142,17 @@ export default async function handler(req, res) {
                 continue;
             }
 
-            const row = [
-                timestampDevice,
-                dateStr,
-                hourStr,
-                item.name,
-                item.value,
-                item.min !== undefined ? item.min : '',
-                item.max !== undefined ? item.max : '',
-                item.source || 'Auto',
-                JSON.stringify(item.raw || {})
-            ];
+            const row = formatRow(TABLES.healthHourly, {
+                timestamp: timestampDevice,
+                date: dateStr,
+                hour: hourStr,
+                metric: item.name,
+                value: item.value,
+                min: item.min,
+                max: item.max,
+                source: item.source || 'Auto',
+                raw: item.raw || {}
+            });
 
             newRows.push(row);
             existingSignatures.add(signature);
@@ -156,27 +165,16 @@ export default async function handler(req, res) {
 
         // 3. APPEND NEW HOURLY ROWS
         if (newRows.length > 0) {
-            await sheets.spreadsheets.values.append({
-                spreadsheetId: SHEET_ID,
-                range: 'Health_Hourly!A:I',
-                valueInputOption: 'USER_ENTERED',
-                requestBody: { values: newRows },
-            });
+            await repo.healthHourly.append(newRows);
         }
 
         // 4. RE-AGGREGATE DAILY STATS (For affected dates)
-        // Health_Daily headers (row 1): Date, Steps, Avg HR, Resting HR, Min HR, Max HR,
-        //   HRV, SleepDur, SleepEff, Deep, REM, LastUpdated, HRCount, HRVCount, AwakeMins
         const dailyUpdates = []; // Updates for existing rows
         const newDailyRows = []; // New date rows (will use append API)
 
-        // Fetch Health_Daily dates — A2:A skips the header row.
+        // Fetch Health_Daily dates, skipping the header row.
         // This means index 0 = sheet row 2, index N = sheet row N+2.
-        const dailySheetRes = await sheets.spreadsheets.values.get({
-            spreadsheetId: SHEET_ID,
-            range: 'Health_Daily!A2:A',
-        });
-        const dailyDates = (dailySheetRes.data.values || []).map(r => r[0]);
+        const dailyDates = (await repo.healthDaily.getRecords()).records.map(r => r.date);
 
         let lastUpdatedStr = new Date().toLocaleString('en-US', { timeZone: 'America/New_York' });
         if (globalOffsetString) {
@@ -217,20 +215,20 @@ export default async function handler(req, res) {
             const stepDedupKeys = new Set(); // Prevent duplicate step rows from inflating total
 
             for (const row of daysRows) {
-                const metric = row[3];
-                const val = Number(row[4]);
+                const metric = row[HOURLY.metric];
+                const val = Number(row[HOURLY.value]);
 
                 if (metric === 'step_count' && !isNaN(val)) {
                     // Deduplicate: skip rows with same timestamp + value
-                    const stepKey = `${row[0]}|${val}`;
+                    const stepKey = `${row[HOURLY.timestamp]}|${val}`;
                     if (stepDedupKeys.has(stepKey)) continue;
                     stepDedupKeys.add(stepKey);
                     totalSteps += val;
                 } else if (metric === 'heart_rate' && !isNaN(val)) {
                     hrSum += val;
                     hrCount++;
-                    const rowMin = row[5] !== '' ? Number(row[5]) : val;
-                    const rowMax = row[6] !== '' ? Number(row[6]) : val;
+                    const rowMin = row[HOURLY.min] !== '' ? Number(row[HOURLY.min]) : val;
+                    const rowMax = row[HOURLY.max] !== '' ? Number(row[HOURLY.max]) : val;
                     if (hrMin === null || rowMin < hrMin) hrMin = rowMin;
                     if (hrMax === null || rowMax > hrMax) hrMax = rowMax;
                 } else if (metric === 'resting_heart_rate' && !isNaN(val)) {
@@ -249,7 +247,6 @@ export default async function handler(req, res) {
             // We need to compute it for THIS specific date using all hourly rows.
 
             // Convert existingRows + newRows to format expected by computeValidatedSleepByDate
-            // existingRows has: [timestamp, dateStr, hourStr, metric, value, min, max, source, rawJson]
             const allHourlyRows = [...existingRows, ...newRows];
 
             // Compute sleep for just this date
@@ -295,10 +292,10 @@ export default async function handler(req, res) {
             // then classify each HR reading as awake or asleep.
             const sleepPeriods = []; // [{ startMs, endMs }]
             for (const row of daysRows) {
-                const metric = row[3];
+                const metric = row[HOURLY.metric];
                 if (metric === 'sleep_stage') {
                     try {
-                        const raw = JSON.parse(row[8] || '{}');
+                        const raw = JSON.parse(row[HOURLY.raw] || '{}');
                         if (raw.startDate && raw.endDate) {
                             const stage = (raw.stage || '').toLowerCase();
                             // Only count actual sleep stages (not awake/inBed)
@@ -316,19 +313,19 @@ export default async function handler(req, res) {
             let hrAwakeSum = 0, hrAwakeCount = 0;
             let hrAsleepSum = 0, hrAsleepCount = 0;
             for (const row of daysRows) {
-                const metric = row[3];
+                const metric = row[HOURLY.metric];
                 if (metric !== 'heart_rate') continue;
-                const val = Number(row[4]);
+                const val = Number(row[HOURLY.value]);
                 if (isNaN(val)) continue;
                 // Get HR timestamp from raw data
                 let hrTs = null;
                 try {
-                    const raw = JSON.parse(row[8] || '{}');
+                    const raw = JSON.parse(row[HOURLY.raw] || '{}');
                     if (raw.date) hrTs = new Date(raw.date).getTime();
                 } catch (e) { /* use fallback */ }
                 if (!hrTs) {
-                    // Fallback: parse the row timestamp (column 0)
-                    hrTs = new Date(row[0]).getTime();
+                    // Fallback: parse the row timestamp
+                    hrTs = new Date(row[HOURLY.timestamp]).getTime();
                 }
                 if (isNaN(hrTs)) continue;
 
@@ -345,36 +342,36 @@ export default async function handler(req, res) {
             const finalHrAwake = hrAwakeCount > 0 ? Math.round(hrAwakeSum / hrAwakeCount) : '';
             const finalHrAsleep = hrAsleepCount > 0 ? Math.round(hrAsleepSum / hrAsleepCount) : '';
 
-            const rowValues = [
-                dateStr,
-                finalSteps,
-                finalAvgHr,
-                finalRestingHr,
-                hrMin !== null ? hrMin : '',
-                hrMax !== null ? hrMax : '',
-                finalHrv,
-                finalSleepMin !== 0 ? finalSleepMin : '',
-                finalEfficiency,
-                finalDeep !== 0 ? finalDeep : '',
-                finalRem !== 0 ? finalRem : '',
-                lastUpdatedStr,
-                hrCount !== 0 ? hrCount : '',
-                hrvCount !== 0 ? hrvCount : '',
-                finalAwake !== 0 ? finalAwake : '',
-                finalHrAwake,
-                finalHrAsleep
-            ];
+            const rowValues = formatRow(TABLES.healthDaily, {
+                date: dateStr,
+                steps: finalSteps,
+                avgHR: finalAvgHr,
+                restingHR: finalRestingHr,
+                minHR: hrMin,
+                maxHR: hrMax,
+                hrv: finalHrv,
+                sleepMinutes: finalSleepMin !== 0 ? finalSleepMin : '',
+                sleepEfficiency: finalEfficiency,
+                deepSleep: finalDeep !== 0 ? finalDeep : '',
+                remSleep: finalRem !== 0 ? finalRem : '',
+                lastUpdated: lastUpdatedStr,
+                hrCount: hrCount !== 0 ? hrCount : '',
+                hrvCount: hrvCount !== 0 ? hrvCount : '',
+                awakeMinutes: finalAwake !== 0 ? finalAwake : '',
+                avgHR_awake: finalHrAwake,
+                avgHR_asleep: finalHrAsleep
+            });
 
             if (matchingIndices.length === 0) {
                 // New date — use append API to avoid row index conflicts
                 newDailyRows.push(rowValues);
             } else {
                 // Existing row — update in place
-                // index + 2 because we fetched A2:A (index 0 = sheet row 2)
+                // index + 2 because we skipped the header (index 0 = sheet row 2)
                 const sheetRow = matchingIndices[0] + 2;
                 dailyUpdates.push({
-                    range: `Health_Daily!A${sheetRow}:Q${sheetRow}`,
-                    values: [rowValues]
+                    rowNumber: sheetRow,
+                    values: rowValues
                 });
 
                 // Self-healing: clear any duplicate rows for this date
@@ -382,8 +379,8 @@ export default async function handler(req, res) {
                     for (let k = 1; k < matchingIndices.length; k++) {
                         const dupSheetRow = matchingIndices[k] + 2;
                         dailyUpdates.push({
-                            range: `Health_Daily!A${dupSheetRow}:Q${dupSheetRow}`,
-                            values: [Array(17).fill('')]
+                            rowNumber: dupSheetRow,
+                            values: emptyRow(TABLES.healthDaily)
                         });
                     }
                 }
@@ -392,34 +389,30 @@ export default async function handler(req, res) {
 
         // 5. BATCH UPDATE EXISTING DAILY ROWS
         if (dailyUpdates.length > 0) {
-            await sheets.spreadsheets.values.batchUpdate({
-                spreadsheetId: SHEET_ID,
-                requestBody: {
-                    valueInputOption: 'USER_ENTERED',
-                    data: dailyUpdates.map(u => ({ range: u.range, values: u.values }))
-                }
-            });
+            await repo.healthDaily.batchUpdate(dailyUpdates);
         }
 
         // 6. APPEND NEW DAILY ROWS (avoids row index conflicts from concurrent requests)
         if (newDailyRows.length > 0) {
-            await sheets.spreadsheets.values.append({
-                spreadsheetId: SHEET_ID,
-                range: 'Health_Daily!A:Q',
-                valueInputOption: 'USER_ENTERED',
-                insertDataOption: 'INSERT_ROWS',
-                requestBody: { values: newDailyRows }
-            });
+            await repo.healthDaily.append(newDailyRows, { insertRows: true });
         }
 
         // 7. SORT SHEETS by date descending (most recent first)
-        await sortSheetByDateDesc(sheets, SHEET_ID, 'Health_Hourly', 9);
-        await sortSheetByDateDesc(sheets, SHEET_ID, 'Health_Daily', 17);
+        await repo.healthHourly.sortByFirstColumnDesc(TABLES.healthHourly.columns.length);
+        await repo.healthDaily.sortByFirstColumnDesc(TABLES.healthDaily.columns.length);
+
+        // 8. ALERTS: today's new steps crossing an energy budget threshold,
+        // and new heart_rate readings above the HR ceiling
+        const settings = newRows.length > 0 ? await repo.settings.read().catch(() => null) : null;
+        const pacingAlert = await checkPacing(repo, settings, newRows);
+        const hrCeilingAlert = await checkHrCeiling(repo, settings, newRows, rowsByDate);
 
         return res.status(200).json({
             success: true,
             processed: newRows.length,
-            datesUpdated: Array.from(affectedDates)
+            datesUpdated: Array.from(affectedDates),
+            pacingAlert,
+            hrCeilingAlert
         });
 
     } catch (error) {
@@ -432,6 +425,95 @@ export default async function handler(req, res) {
 // Helpers
 // --------------------------------------------------------
 
+/**
+ * Push a pacing alert if the steps just added took today past a threshold
+ * of the energy budget that hasn't had one today (see lib/energyBudget.js).
+ * Nothing is read unless new step rows for today arrived. A failure is
+ * reported, not thrown: the samples are already saved.
+ */
+async function checkPacing(repo, settings, newRows) {
+    try {
+        const today = todayIn(settings?.localTimeZone || 'America/New_York');
+        const newStepsToday = newRows.some(row =>
+            row[HOURLY.metric] === 'step_count' && parseDateToIso(row[HOURLY.date]) === today
+        );
+        if (!newStepsToday) return { sent: false, threshold: null };
+
+        const status = await loadEnergyBudget(today, repo);
+        const threshold = status.percent === null
+            ? null
+            : dueThreshold(status.percent, status.pacingAlerts, status.pacingAlerted, today);
+        if (threshold === null) return { sent: false, threshold: null, percent: status.percent };
+
+        const steps = `${status.used.toLocaleString('en-US')} of ${status.budget.toLocaleString('en-US')} steps`;
+        const notificationResult = await sendNotification(threshold >= 100 ? {
+            title: 'Over today\'s energy budget',
+            message: `${steps}. Time to stop and rest.`,
+            includeJoke: false
+        } : {
+            title: `${threshold}% of today's energy budget`,
+            message: `${steps}. Pace the rest of the day.`,
+            includeJoke: false
+        });
+
+        const sent = notificationResult.statusCode === 200 && notificationResult.data?.sent > 0;
+        if (sent) {
+            await markPacingAlerted(today, threshold, repo);
+        }
+        return { sent, threshold, percent: status.percent };
+    } catch (error) {
+        console.error('Pacing check failed:', error);
+        return { sent: false, threshold: null, error: error.message };
+    }
+}
+
+/**
+ * Log the HR ceiling breaches the new heart_rate readings are part of, and
+ * push an alert for the new ones unless one went out too recently (see
+ * lib/hrCeiling.js). Off until a ceiling is set. A failure is reported, not
+ * thrown: the samples are already saved.
+ */
+async function checkHrCeiling(repo, settings, newRows, rowsByDate) {
+    const ceiling = settings?.hrCeiling;
+    if (!ceiling) return { sent: false, events: [] };
+
+    try {
+        const minutes = settings.hrCeilingMinutes || DEFAULT_CEILING_MINUTES;
+        const added = [];
+        for (const dateStr of new Set(newRows.map(row => row[HOURLY.date]))) {
+            const newReadings = heartRateReadings(newRows.filter(row => row[HOURLY.date] === dateStr));
+            if (newReadings.length === 0) continue;
+
+            // Whole-day readings, so a run that began in an earlier batch is seen whole
+            const breaches = findBreaches(heartRateReadings(rowsByDate[dateStr] || []), ceiling, minutes)
+                .filter(breach => breach.endTime >= newReadings[0].time);
+            added.push(...await recordBreaches(dateStr, breaches, ceiling, repo));
+        }
+
+        const events = added.map(event => ({ start: event.start, end: event.end, minutes: event.minutes, peakHR: event.peakHR }));
+        if (added.length === 0 || isThrottled(settings.hrCeilingAlerted)) {
+            return { sent: false, events };
+        }
+
+        const latest = added[added.length - 1];
+        const time = latest.start.match(/\d{2}:\d{2}/)?.[0] || latest.start;
+        const notificationResult = await sendNotification({
+            title: 'Heart rate above your ceiling',
+            message: `${latest.minutes} min above ${ceiling} bpm from ${time} (peak ${latest.peakHR} bpm). Time to sit or lie down.`,
+            includeJoke: false
+        });
+
+        const sent = notificationResult.statusCode === 200 && notificationResult.data?.sent > 0;
+        if (sent) {
+            await markNotified(added, repo);
+        }
+        return { sent, events };
+    } catch (error) {
+        console.error('HR ceiling check failed:', error);
+        return { sent: false, events: [], error: error.message };
+    }
+}
+
 /**
  * Parse date string to ISO format (YYYY-MM-DD).
  * Handles "M/D/YYYY" and "MM/DD/YYYY" formats from toLocaleDateString.
@@ -629,42 +711,3 @@ function cleanDeviceName(deviceStr) {
     }
     return cleaned;
 }
-
-/**
- * Sort a sheet by column A (date/timestamp) in descending order (most recent first).
- * @param {object} sheets - Google Sheets API instance
- * @param {string} spreadsheetId - Spreadsheet ID
- * @param {string} sheetName - Name of the sheet to sort
- * @param {number} endColumnIndex - Number of columns in the sheet
- */
-async function sortSheetByDateDesc(sheets, spreadsheetId, sheetName, endColumnIndex = 15) {
-    try {
-        const spreadsheet = await sheets.spreadsheets.get({
-            spreadsheetId,
-            fields: 'sheets(properties(sheetId,title))'
-        });
-        const sheetsList = spreadsheet.data.sheets || [];
-        const targetSheet = sheetsList.find(s => s.properties.title === sheetName);
-
-        if (targetSheet) {
-            await sheets.spreadsheets.batchUpdate({
-                spreadsheetId,
-                requestBody: {
-                    requests: [{
-                        sortRange: {
-                            range: {
-                                sheetId: targetSheet.properties.sheetId,
-                                startRowIndex: 1,
-                                startColumnIndex: 0,
-                                endColumnIndex
-                            },
-                            sortSpecs: [{ dimensionIndex: 0, sortOrder: 'DESCENDING' }]
-                        }
-                    }]
-                }
-            });
-        }
-    } catch (error) {
-        console.error(`Error sorting ${sheetName} sheet:`, error);
-    }
-}
@@ -11,68 +11,68 @@
  * {
  *   firstReminderTime: "13:14",  // 24-hour format (1:14 PM)
  *   repeatInterval: 60,           // minutes (0 = no repeat)
- *   stopAfterLog: true            // stop reminders after daily log
+ *   stopAfterLog: true,           // stop reminders after daily log
+ *   lowSupplyDays: 7,             // push when a medication has fewer days left (0 = off)
+ *   pacingAlerts: [70, 90, 100],  // push at these percentages of the energy budget ([] = off)
+ *   hrCeiling: 110,               // push when heart rate stays above this (null = off)
+ *   hrCeilingMinutes: 5,          // ...for at least this many minutes
+ *   anomalyThreshold: 2,          // flag days this many robust z-scores from baseline
+ *   morningSummaryTime: "08:00"   // push the baseline summary at this time (null = off)
  * }
  */
 
-import { google } from 'googleapis';
+import { getRepository } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { requireAuth } from '../lib/auth.js';
+import { DEFAULT_LOW_SUPPLY_DAYS } from '../lib/supply.js';
+import { DEFAULT_PACING_ALERTS, parsePacingAlerts, formatPacingAlerts, isValidPacingAlerts } from '../lib/energyBudget.js';
+import { DEFAULT_CEILING_MINUTES, CEILING_RANGE, CEILING_MINUTES_RANGE } from '../lib/hrCeiling.js';
+import { DEFAULT_ANOMALY_THRESHOLD, ANOMALY_THRESHOLD_RANGE, parseAnomalyThreshold } from '../lib/baselines.js';
 
-export default async function handler(req, res) {
-  // Verify authentication
-  const authHeader = req.headers.authorization;
-  // Handle "Bearer <token>" or just "<token>" case-insensitively, and trim whitespace
-  const receivedToken = authHeader ? authHeader.replace(/^Bearer\s+/i, '').trim() : null;
-  const expectedToken = process.env.SECRET_TOKEN ? process.env.SECRET_TOKEN.trim() : null;
-
-  // For debugging: compare with known value
-  if (!receivedToken || receivedToken !== expectedToken) {
-    console.log('Auth failed.');
-    console.log('Received token:', receivedToken);
-    console.log('Expected token length:', expectedToken?.length);
-    // Don't log the full expected token for security, but maybe the first/last chars if needed for debugging
-    if (expectedToken) {
-      console.log('Expected token starts with:', expectedToken.substring(0, 3) + '...');
-    }
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+const inRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
 
-  console.log('Auth successful');
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
 
-  try {
-    // Initialize Google Sheets
-    const auth = new google.auth.GoogleAuth({
-      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
+export default async function handler(req, res) {
+  // Reading settings needs read scope; changing them needs write
+  if (!(await requireAuth(req, res, req.method === 'GET' ? 'read' : 'write'))) return;
+  if (!(await requireCurrentSchema(res))) return;
 
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID.trim();
+  try {
+    const repo = getRepository();
 
     if (req.method === 'GET') {
       // Fetch current settings
       try {
-        const response = await sheets.spreadsheets.values.get({
-          spreadsheetId,
-          range: 'UserSettings!A2:F2', // Row 2 = user settings (now including F)
-        });
-
-        const row = response.data.values?.[0];
+        const saved = await repo.settings.read();
 
-        if (!row || row.length === 0) {
+        if (!saved) {
           // Return default settings
           return res.status(200).json({
             firstReminderTime: '20:00',  // 8 PM default
             repeatInterval: 60,           // 1 hour
             stopAfterLog: true,
-            localTimeZone: 'America/New_York'
+            localTimeZone: 'America/New_York',
+            lowSupplyDays: DEFAULT_LOW_SUPPLY_DAYS,
+            pacingAlerts: DEFAULT_PACING_ALERTS,
+            hrCeiling: null,
+            hrCeilingMinutes: DEFAULT_CEILING_MINUTES,
+            anomalyThreshold: DEFAULT_ANOMALY_THRESHOLD,
+            morningSummaryTime: null
           });
         }
 
         return res.status(200).json({
-          firstReminderTime: row[0] || '20:00',
-          repeatInterval: parseInt(row[1]) || 60,
-          stopAfterLog: row[2] === 'true',
-          localTimeZone: row[5] || 'America/New_York'
+          firstReminderTime: saved.firstReminderTime || '20:00',
+          repeatInterval: saved.repeatInterval || 60,
+          stopAfterLog: saved.stopAfterLog,
+          localTimeZone: saved.localTimeZone || 'America/New_York',
+          lowSupplyDays: saved.lowSupplyDays ?? DEFAULT_LOW_SUPPLY_DAYS,
+          pacingAlerts: parsePacingAlerts(saved.pacingAlerts),
+          hrCeiling: saved.hrCeiling ?? null,
+          hrCeilingMinutes: saved.hrCeilingMinutes ?? DEFAULT_CEILING_MINUTES,
+          anomalyThreshold: parseAnomalyThreshold(saved.anomalyThreshold),
+          morningSummaryTime: saved.morningSummaryTime || null
         });
 
       } catch (error) {
@@ -82,53 +82,46 @@ export default async function handler(req, res) {
           firstReminderTime: '20:00',
           repeatInterval: 60,
           stopAfterLog: true,
-          localTimeZone: 'America/New_York'
+          localTimeZone: 'America/New_York',
+          lowSupplyDays: DEFAULT_LOW_SUPPLY_DAYS,
+          pacingAlerts: DEFAULT_PACING_ALERTS,
+          hrCeiling: null,
+          hrCeilingMinutes: DEFAULT_CEILING_MINUTES,
+          anomalyThreshold: DEFAULT_ANOMALY_THRESHOLD,
+          morningSummaryTime: null
         });
       }
 
     } else if (req.method === 'POST') {
       // Save settings
-      const { firstReminderTime, repeatInterval, stopAfterLog, localTimeZone } = req.body;
+      const { firstReminderTime, repeatInterval, stopAfterLog, localTimeZone, lowSupplyDays, pacingAlerts, hrCeiling, hrCeilingMinutes, anomalyThreshold, morningSummaryTime } = req.body;
 
       // Validate inputs
       if (!firstReminderTime || typeof repeatInterval !== 'number') {
         return res.status(400).json({ error: 'Invalid settings format' });
       }
+      if (lowSupplyDays !== undefined && !(Number.isInteger(lowSupplyDays) && lowSupplyDays >= 0 && lowSupplyDays <= 90)) {
+        return res.status(400).json({ error: 'lowSupplyDays must be a whole number of days from 0 to 90' });
+      }
+      if (pacingAlerts !== undefined && !isValidPacingAlerts(pacingAlerts)) {
+        return res.status(400).json({ error: 'pacingAlerts must be a list of different whole percentages from 1 to 200' });
+      }
+      if (hrCeiling !== undefined && hrCeiling !== null && !inRange(hrCeiling, CEILING_RANGE)) {
+        return res.status(400).json({ error: `hrCeiling must be a whole number of bpm from ${CEILING_RANGE.min} to ${CEILING_RANGE.max}, or null for off` });
+      }
+      if (hrCeilingMinutes !== undefined && !inRange(hrCeilingMinutes, CEILING_MINUTES_RANGE)) {
+        return res.status(400).json({ error: `hrCeilingMinutes must be a whole number from ${CEILING_MINUTES_RANGE.min} to ${CEILING_MINUTES_RANGE.max}` });
+      }
+      if (anomalyThreshold !== undefined && !(typeof anomalyThreshold === 'number'
+        && anomalyThreshold >= ANOMALY_THRESHOLD_RANGE.min && anomalyThreshold <= ANOMALY_THRESHOLD_RANGE.max)) {
+        return res.status(400).json({ error: `anomalyThreshold must be a number from ${ANOMALY_THRESHOLD_RANGE.min} to ${ANOMALY_THRESHOLD_RANGE.max}` });
+      }
+      if (morningSummaryTime !== undefined && morningSummaryTime !== null && !TIME_PATTERN.test(morningSummaryTime)) {
+        return res.status(400).json({ error: 'morningSummaryTime must be a 24-hour time like "08:00", or null for off' });
+      }
 
       // Ensure UserSettings tab exists
-      try {
-        // Try to get the sheet
-        await sheets.spreadsheets.get({
-          spreadsheetId,
-          ranges: ['UserSettings!A1'],
-        });
-      } catch (error) {
-        // Create UserSettings tab
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId,
-          resource: {
-            requests: [
-              {
-                addSheet: {
-                  properties: {
-                    title: 'UserSettings',
-                  },
-                },
-              },
-            ],
-          },
-        });
-
-        // Add headers
-        await sheets.spreadsheets.values.update({
-          spreadsheetId,
-          range: 'UserSettings!A1:F1',
-          valueInputOption: 'RAW',
-          resource: {
-            values: [['First Reminder Time', 'Repeat Interval (min)', 'Stop After Log', 'Last Updated', 'Snooze Until', 'Timezone']],
-          },
-        });
-      }
+      await repo.settings.ensure();
 
       // Save settings
       const timeZone = localTimeZone || 'America/New_York';
@@ -136,28 +129,19 @@ export default async function handler(req, res) {
         timeZone: timeZone,
       });
 
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: 'UserSettings!A2:D2',
-        valueInputOption: 'RAW',
-        resource: {
-          values: [[
-            firstReminderTime,
-            repeatInterval.toString(),
-            stopAfterLog.toString(),
-            timestamp
-          ]],
-        },
-      });
-
-      // Write timezone separately to F2 so we don't clobber E2 (Snooze Until)
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: 'UserSettings!F2',
-        valueInputOption: 'RAW',
-        resource: {
-          values: [[timeZone]],
-        },
+      // Only the fields we own are written, so Snooze Until is left alone
+      await repo.settings.write({
+        firstReminderTime,
+        repeatInterval,
+        stopAfterLog,
+        lastUpdated: timestamp,
+        localTimeZone: timeZone,
+        ...(lowSupplyDays !== undefined ? { lowSupplyDays } : {}),
+        ...(pacingAlerts !== undefined ? { pacingAlerts: formatPacingAlerts(pacingAlerts) } : {}),
+        ...(hrCeiling !== undefined ? { hrCeiling } : {}),
+        ...(hrCeilingMinutes !== undefined ? { hrCeilingMinutes } : {}),
+        ...(anomalyThreshold !== undefined ? { anomalyThreshold } : {}),
+        ...(morningSummaryTime !== undefined ? { morningSummaryTime } : {})
       });
 
       return res.status(200).json({
@@ -166,7 +150,13 @@ export default async function handler(req, res) {
           firstReminderTime,
           repeatInterval,
           stopAfterLog,
-          localTimeZone: timeZone
+          localTimeZone: timeZone,
+          ...(lowSupplyDays !== undefined ? { lowSupplyDays } : {}),
+          ...(pacingAlerts !== undefined ? { pacingAlerts: [...pacingAlerts].sort((a, b) => a - b) } : {}),
+          ...(hrCeiling !== undefined ? { hrCeiling } : {}),
+          ...(hrCeilingMinutes !== undefined ? { hrCeilingMinutes } : {}),
+          ...(anomalyThreshold !== undefined ? { anomalyThreshold } : {}),
+          ...(morningSummaryTime !== undefined ? { morningSummaryTime } : {})
         }
       });
 
@@ -2,37 +2,45 @@
  * POST /api/send-notification
  *
  * Sends a push notification with a joke.
- * Called by cron job or manually for testing.
+ * Called manually for testing (the Settings "test notification" button).
+ *
+ * Body (all optional): { message, includeJoke, title }. A `title` replaces
+ * the daily reminder's; such a notification isn't a reminder, so it has no
+ * snooze button (the low-supply alert from cron-trigger is one).
  *
  * Headers:
- *   Authorization: Bearer <SECRET_TOKEN>
+ *   Authorization: Bearer <token with the write scope, e.g. a linked device>
  *
  * Response:
  *   200: { success: true, joke: string, sent: number }
  *   401: { error: "Unauthorized" }
+ *   403: { error: "Forbidden", requiredScope: "write" }
  *   500: { error: "Failed to send notification" }
  */
 
 import webpush from 'web-push';
-import { google } from 'googleapis';
+import { getRepository, TABLES } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { requireAuth } from '../lib/auth.js';
+import { createActionToken } from '../lib/actionTokens.js';
+
+// Position of the full subscription JSON in a Subscriptions row
+const FULL_SUBSCRIPTION = TABLES.subscriptions.index.subscription;
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const authHeader = req.headers.authorization;
-  const receivedToken = authHeader ? authHeader.replace(/^Bearer\s+/i, '').trim() : null;
-  const expectedToken = process.env.SECRET_TOKEN ? process.env.SECRET_TOKEN.trim() : null;
-
-  if (!receivedToken || receivedToken !== expectedToken) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  // Any device that can log entries may send the Settings test notification
+  if (!(await requireAuth(req, res, 'write'))) return;
+  if (!(await requireCurrentSchema(res))) return;
 
   try {
     // Check for custom message in request body
-    const { message, includeJoke } = req.body || {};
+    const { message, includeJoke, title } = req.body || {};
     const customMessage = (message && typeof message === 'string') ? message.trim() : '';
+    const customTitle = (title && typeof title === 'string') ? title.trim() : '';
 
     // Default includeJoke to true if undefined
     const shouldIncludeJoke = includeJoke !== false;
@@ -135,22 +143,12 @@ export default async function handler(req, res) {
     );
     console.log('VAPID configured successfully');
 
-    // Get subscriptions from Google Sheets
-    console.log('Fetching subscriptions from Google Sheets...');
-    const auth = new google.auth.GoogleAuth({
-      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-
-    const sheets = google.sheets({ version: 'v4', auth });
+    // Get subscriptions from storage
+    console.log('Fetching subscriptions...');
+    const repo = getRepository();
 
     try {
-      const getResponse = await sheets.spreadsheets.values.get({
-        spreadsheetId: process.env.GOOGLE_SHEET_ID.trim(),
-        range: 'Subscriptions!A:D',
-      });
-
-      const rows = getResponse.data.values || [];
+      const rows = await repo.subscriptions.getValues();
       debugInfo.rowsFound = rows.length;
       console.log(`Found ${rows.length} rows in Subscriptions tab`);
 
@@ -160,19 +158,19 @@ export default async function handler(req, res) {
         // Capture a sample for debugging
         debugInfo.rowsContent = rows.slice(0, 5).map(r => ({
           colCount: r.length,
-          hasFullSub: !!r[3],
-          fullSubPreview: r[3] ? r[3].substring(0, 50) + '...' : 'undefined'
+          hasFullSub: !!r[FULL_SUBSCRIPTION],
+          fullSubPreview: r[FULL_SUBSCRIPTION] ? r[FULL_SUBSCRIPTION].substring(0, 50) + '...' : 'undefined'
         }));
 
         subscriptions = rows.map((row, index) => {
 
           try {
 
-            // We expect the full subscription JSON in column D (index 3)
+            // We expect the full subscription JSON in the Full Subscription column
 
-            if (!row[3]) {
+            if (!row[FULL_SUBSCRIPTION]) {
 
-              debugInfo.parseErrors.push({ index, error: 'Empty column D' });
+              debugInfo.parseErrors.push({ index, error: 'Empty Full Subscription column' });
 
               return null;
 
@@ -184,13 +182,13 @@ export default async function handler(req, res) {
 
             try {
 
-              sub = JSON.parse(row[3]);
+              sub = JSON.parse(row[FULL_SUBSCRIPTION]);
 
             } catch (e) {
 
               // Ignore header row which is likely "Full Subscription"
 
-              if (row[3] === "Full Subscription" || (index === 0 && !row[3].startsWith('{'))) {
+              if (row[FULL_SUBSCRIPTION] === TABLES.subscriptions.headers[FULL_SUBSCRIPTION] || (index === 0 && !row[FULL_SUBSCRIPTION].startsWith('{'))) {
 
                 return null;
 
@@ -202,7 +200,7 @@ export default async function handler(req, res) {
 
                 error: 'JSON parse error',
 
-                contentPreview: row[3].substring(0, 20) + '...'
+                contentPreview: row[FULL_SUBSCRIPTION].substring(0, 20) + '...'
 
               });
 
@@ -244,7 +242,7 @@ export default async function handler(req, res) {
 
             // The Google Sheets API uses 0-based index for the whole sheet.
 
-            // Since we grabbed 'A:D', rows[0] is truly row 0 of the sheet.
+            // Since we read the whole tab, rows[0] is truly row 0 of the sheet.
 
             sub._rowIndex = index;
 
@@ -306,7 +304,19 @@ export default async function handler(req, res) {
 
     // Send notifications to all subscriptions
 
-    const payload = JSON.stringify({
+    const payload = JSON.stringify(customTitle ? {
+
+      title: customTitle,
+
+      body: jokeText,
+
+      icon: '/pwa-192x192.png',
+
+      badge: '/favicon.svg',
+
+      data: { url: '/' }
+
+    } : {
 
       title: 'Time to track your day!',
 
@@ -318,7 +328,8 @@ export default async function handler(req, res) {
 
       data: {
         url: '/',
-        token: expectedToken  // Pass token for snooze action
+        // Signed, expiring token good only for the snooze button - never an API token
+        actionToken: createActionToken(['snooze'])
       },
 
       actions: [
@@ -451,91 +462,10 @@ export default async function handler(req, res) {
 
       try {
 
-        // Sort descending to delete from bottom up
-
-        rowsToDelete.sort((a, b) => b - a);
-
-
-
-        const requests = rowsToDelete.map(rowIndex => ({
-
-          deleteDimension: {
-
-            range: {
-
-              sheetId: 0, // Assuming Subscriptions is the first sheet? DANGEROUS.
-
-              // We need the specific sheetId for "Subscriptions".
-
-              // Let's assume we need to fetch it first or use a smarter way.
-
-              // Actually, 'deleteDimension' requires sheetId (integer), NOT the name.
-
-              // This is tricky without fetching metadata.
-
-
-
-              // ALTERNATIVE: Just clear the content of the row. It's safer and easier.
-
-              // We can filter out empty rows in future reads.
-
-              dimension: "ROWS",
-
-              startIndex: rowIndex,
-
-              endIndex: rowIndex + 1
-
-            }
-
-          }
-
-        }));
-
-
-
-        // Getting Sheet ID for "Subscriptions"
-
-        // We already have 'sheets' client.
-
-        const spreadsheet = await sheets.spreadsheets.get({
-
-          spreadsheetId: process.env.GOOGLE_SHEET_ID.trim()
-
-        });
-
-        const subSheet = spreadsheet.data.sheets.find(s => s.properties.title === 'Subscriptions');
-
-
-
-        if (subSheet) {
-
-          const sheetId = subSheet.properties.sheetId;
-
-
-
-          // Update requests with correct sheetId
-
-          requests.forEach(req => req.deleteDimension.range.sheetId = sheetId);
-
-
-
-          await sheets.spreadsheets.batchUpdate({
-
-            spreadsheetId: process.env.GOOGLE_SHEET_ID.trim(),
-
-            requestBody: { requests }
-
-          });
-
-          cleanedUp = rowsToDelete.length;
-
-          console.log(`Successfully deleted ${cleanedUp} invalid subscription rows.`);
-
-        } else {
-
-          console.error('Could not find "Subscriptions" sheet ID for cleanup.');
-
-        }
+        // Row numbers are 1-based; deleteRows works bottom-up so indices don't shift
+        await repo.subscriptions.deleteRows(rowsToDelete.map(rowIndex => rowIndex + 1));
+        cleanedUp = rowsToDelete.length;
+        console.log(`Successfully deleted ${cleanedUp} invalid subscription rows.`);
 
       } catch (cleanupError) {
 
@@ -579,3 +509,34 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Run this handler with the given body, as an admin: { statusCode, data }.
+ * For pushes sent from other endpoints (cron-trigger, health-webhook).
+ */
+export async function sendNotification(body) {
+  const mockReq = {
+    method: 'POST',
+    headers: {
+      authorization: `Bearer ${process.env.SECRET_TOKEN}`
+    },
+    body
+  };
+
+  let statusCode = 200;
+  let responseData = null;
+
+  const mockRes = {
+    status: (code) => {
+      statusCode = code;
+      return mockRes;
+    },
+    json: (data) => {
+      responseData = data;
+      return mockRes;
+    }
+  };
+
+  await handler(mockReq, mockRes);
+  return { statusCode, data: responseData };
+}
@@ -1,7 +1,9 @@
 /**
  * POST /api/snooze
  *
- * Records a snooze request from the user.
+ * Records a snooze request from the user's notification "Snooze" button.
+ * Authenticated only by the notification's signed action token
+ * (Authorization: Bearer act_...), never by an API token.
  * Stores snooze time in Google Sheets (UserSettings tab).
  * Cron job will check for active snooze and send reminder when snooze expires.
  *
@@ -14,20 +16,17 @@
  *   200: { success: true, snoozeUntil: string }
  */
 
-import { google } from 'googleapis';
+import { getRepository } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { requireActionToken } from '../lib/auth.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Verify authentication
-  const authHeader = req.headers.authorization;
-  const token = authHeader?.replace('Bearer ', '');
-
-  if (token !== process.env.SECRET_TOKEN) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  if (!requireActionToken(req, res, 'snooze')) return;
+  if (!(await requireCurrentSchema(res))) return;
 
   try {
     const { duration = 60, localTimeZone } = req.body;
@@ -48,58 +47,13 @@ export default async function handler(req, res) {
       minute: '2-digit'
     });
 
-    // Initialize Google Sheets
-    const auth = new google.auth.GoogleAuth({
-      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID.trim();
+    const repo = getRepository();
 
     // Ensure UserSettings tab exists
-    try {
-      await sheets.spreadsheets.get({
-        spreadsheetId,
-        ranges: ['UserSettings!A1'],
-      });
-    } catch (error) {
-      // Create UserSettings tab if it doesn't exist
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId,
-        resource: {
-          requests: [
-            {
-              addSheet: {
-                properties: {
-                  title: 'UserSettings',
-                },
-              },
-            },
-          ],
-        },
-      });
-
-      // Add headers
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: 'UserSettings!A1:E1',
-        valueInputOption: 'RAW',
-        resource: {
-          values: [['First Reminder Time', 'Repeat Interval (min)', 'Stop After Log', 'Last Updated', 'Snooze Until']],
-        },
-      });
-    }
+    await repo.settings.ensure();
 
-    // Save snooze time to column E (Snooze Until)
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: 'UserSettings!E2',
-      valueInputOption: 'RAW',
-      resource: {
-        values: [[snoozeUntilLocal]],
-      },
-    });
+    // Save snooze time
+    await repo.settings.write({ snoozeUntil: snoozeUntilLocal });
 
     console.log(`Snoozed until ${snoozeUntilLocal} (${timeZone})`);
 
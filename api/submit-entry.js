@@ -1,81 +1,197 @@
 /**
  * POST /api/submit-entry
  *
- * Two modes:
+ * Five kinds of request:
  *
  * 1. Default (no action): Saves a daily entry to Google Sheets.
- *    Request body: { hours, dateFor, comments, exercise, brainTime, willDoECG, ...medications }
- *    Response: { success: true, row: number }
+ *    Request body: { hours, dateFor, comments, exercise, brainTime, willDoECG, baseRevision, ...medications, ...customFields }
+ *    A medication's value is { amount, unit } (unit defaults to the
+ *    medication's), "Off", or text such as "1 pill" or "0.5 g"; it's stored
+ *    as "<amount> <unit>" (see lib/doses.js). A custom field's value is a
+ *    number for a scale or number field and true/false for a yes/no one
+ *    (see lib/customFields.js); its Sheet1 column is added on first use.
+ *    A value that doesn't read as a dose, or is out of a field's range, is
+ *    refused with 400: { error, fields: [keys] }.
+ *    Response: { success: true, row: number, revision: number }
+ *    An Idempotency-Key header makes retries safe: a key that was already
+ *    processed gets the original response (with Idempotent-Replayed: true)
+ *    and nothing is written.
+ *    baseRevision is the row revision the edit started from (0 for a day
+ *    with no entry yet). If the row has been saved since and the edit would
+ *    change a value, nothing is written and the response is
+ *    409: { error, revision, current: { field: value }, doses, fields: [changed keys] }
+ *    so the client can merge and resubmit with baseRevision = revision
+ *    (doses: current's medication values parsed, as in get-entries).
+ *    A day deleted since conflicts the same way, with revision 0 and empty
+ *    current values. Saving a deleted day again continues from the
+ *    revision it was deleted at, so revisions never repeat. Without
+ *    baseRevision the write always applies (last write wins).
  *
- * 2. action: "add-medication": Adds a new medication column to Sheet1.
- *    Request body: { action: "add-medication", name: "Medication Name" }
- *    Response: { success: true, medication: { key, label, columnLetter } }
+ * 2. Medication actions (see lib/medications.js):
+ *    { action: "add-medication", name }
+ *      Adds a medication column to Sheet1.
+ *      Response: { success: true, medication: { key, label, columnLetter, columnIndex } }
+ *    { action: "rename-medication", key, name }
+ *      Renames the column; recorded doses stay. The key follows the name.
+ *      Response: { success: true, medication: { key, label, previousKey, previousLabel } }
+ *    { action: "archive-medication", key, archived: boolean }
+ *      Hides the medication from the daily form (or brings it back).
+ *      Response: { success: true, medication: { key, label, archived } }
+ *    { action: "set-medication-dose", key, unit, defaultAmount, schedule, defaultOn, carryForward }
+ *      Sets how the medication is dosed and how the daily form starts a day
+ *      (carry the last dose forward, or defaultOn with defaultAmount);
+ *      fields left out keep their value.
+ *      Response: { success: true, medication: { key, label, unit, defaultAmount, schedule, defaultOn, carryForward } }
+ *    { action: "refill-medication", key, quantity, unit, date }
+ *      Adds a refill to the medication's supply; logged doses count down
+ *      from it (see lib/supply.js). unit defaults to the medication's, date
+ *      (YYYY-MM-DD) to today in localTimeZone.
+ *      Response: { success: true, medication: { key, label, remaining, unit, asOf, daysLeft, ... } }
+ *    { action: "reorder-medications", order: [key, ...] }
+ *      Sets the display order. Response: { success: true, medications }
+ *    { action: "merge-medication", from, into }
+ *      Moves `from`'s doses into `into` (which wins where both are set)
+ *      and deletes the `from` column.
+ *      Response: { success: true, from, into, moved, dropped: [{ dateFor, value }] }
+ *    404 for an unknown key, 400 for an invalid or duplicate name, an
+ *    invalid dose setting or a refill that doesn't convert to the supply's unit.
+ *
+ * 3. action: "delete-entry": Removes the Sheet1 row for a date. The removed
+ *    values are kept in the AuditLog record (DELETE_ENTRY).
+ *    Request body: { action: "delete-entry", dateFor, baseRevision }
+ *    Response: { success: true, dateFor, revision: number (of the removed row) }
+ *    404 when the date has no entry; 409 (as above) when baseRevision is stale.
+ *
+ * 4. action: "restore-entry": Saves an earlier version of a day again, as a
+ *    new save (revision check and audit record as in 1). Versions are
+ *    numbered as in GET /api/get-entries?view=history.
+ *    Request body: { action: "restore-entry", dateFor, version, baseRevision }
+ *    Response: as in 1.
+ *
+ * 5. Crash actions (see lib/crashes.js):
+ *    { action: "log-crash", onset, severity, durationDays, trigger }
+ *      Logs a post-exertional malaise crash. onset is YYYY-MM-DD, severity
+ *      one of "mild", "moderate", "severe", "very severe"; durationDays is
+ *      the number of days it lasted, or null (the default) while ongoing.
+ *      Response: { success: true, crash: { id, onset, end, severity, durationDays, trigger, ... } }
+ *    { action: "update-crash", id, onset, severity, durationDays, trigger }
+ *      Fields left out keep their value. Response: as for log-crash.
+ *    { action: "delete-crash", id }
+ *      Response: { success: true, crash } (the removed crash)
+ *    404 for an unknown id, 400 for an invalid field.
  *
  * Headers:
  *   Authorization: Bearer <SECRET_TOKEN>
+ *   Idempotency-Key: <random id per saved entry> (optional)
  */
 
-import { google } from 'googleapis';
-
-// Convert medication label to normalized key
-// "Vitamin D" -> "vitamind", "Vitamin B-12" -> "vitaminb12"
-function labelToKey(label) {
-  return label
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, ''); // Remove non-alphanumeric
+import { getRepository, TABLES } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { requireAuth } from '../lib/auth.js';
+import { readIdempotencyKey, findIdempotentResult, rememberIdempotentResult } from '../lib/idempotency.js';
+import {
+  normalizeEntryDate,
+  discoverMedications,
+  buildEntryRow,
+  entryValues,
+  changedFields,
+  getEntryHistory,
+  deletedRevision,
+} from '../lib/entries.js';
+import {
+  listMedications,
+  addMedication,
+  renameMedication,
+  setMedicationArchived,
+  setMedicationDose,
+  refillMedication,
+  reorderMedications,
+  mergeMedications,
+  MedicationError,
+} from '../lib/medications.js';
+import { unreadableDoses, withCanonicalDoses, parseDoses } from '../lib/doses.js';
+import {
+  listCustomFields,
+  invalidFieldValues,
+  withFieldCells,
+  ensureFieldColumns,
+  describeFieldValue,
+} from '../lib/customFields.js';
+import { todayIn } from '../lib/supply.js';
+import { logCrash, updateCrash, deleteCrash, CrashError } from '../lib/crashes.js';
+
+const MEDICATION_ACTIONS = [
+  'add-medication',
+  'rename-medication',
+  'archive-medication',
+  'set-medication-dose',
+  'refill-medication',
+  'reorder-medications',
+  'merge-medication',
+];
+
+const CRASH_ACTIONS = ['log-crash', 'update-crash', 'delete-crash'];
+
+// "MM/DD/YYYY, HH:MM:SS" in the user's timezone, as Sheet1 and AuditLog store it
+function formatTimestamp(date, timeZone) {
+  return date.toLocaleString('en-US', {
+    timeZone: timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
 }
 
-// Convert column index to letter (0 = A, 25 = Z, 26 = AA, etc.)
-function columnIndexToLetter(index) {
-  let letter = '';
-  while (index >= 0) {
-    letter = String.fromCharCode((index % 26) + 65) + letter;
-    index = Math.floor(index / 26) - 1;
-  }
-  return letter;
+// undefined/null (not sent) or a non-negative integer
+function isValidBaseRevision(baseRevision) {
+  return baseRevision === undefined || baseRevision === null ||
+    (Number.isInteger(baseRevision) && baseRevision >= 0);
 }
 
-// Normalize a US date string so leading zeros don't affect comparison.
-// "02/05/2026", "2/5/2026", "2/05/2026" all become "2/5/2026".
-function normalizeDate(dateStr) {
-  if (!dateStr) return '';
-  const parts = dateStr.split('/');
-  if (parts.length !== 3) return dateStr;
-  return `${parseInt(parts[0], 10)}/${parseInt(parts[1], 10)}/${parts[2]}`;
-}
-
-// Core fields occupy columns A-J (indices 0-9)
-// Medications start at column K (index 10)
-const MEDICATION_START_INDEX = 10;
-
 export default async function handler(req, res) {
   // Only allow POST
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Validate authorization
-  const authHeader = req.headers.authorization;
-  const receivedToken = authHeader ? authHeader.replace(/^Bearer\s+/i, '').trim() : null;
-  const expectedToken = process.env.SECRET_TOKEN ? process.env.SECRET_TOKEN.trim() : null;
-
-  if (!receivedToken || receivedToken !== expectedToken) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  const principal = await requireAuth(req, res, 'write');
+  if (!principal) return;
+  if (!(await requireCurrentSchema(res))) return;
 
   // Check for action parameter
   const { action } = req.body;
 
-  // Route to add-medication handler if requested
-  if (action === 'add-medication') {
-    return handleAddMedication(req, res);
+  if (MEDICATION_ACTIONS.includes(action)) {
+    return handleMedicationAction(req, res, principal);
+  }
+
+  if (CRASH_ACTIONS.includes(action)) {
+    return handleCrashAction(req, res, principal);
+  }
+
+  if (action === 'delete-entry') {
+    return handleDeleteEntry(req, res, principal);
+  }
+
+  if (action === 'restore-entry') {
+    return handleRestoreEntry(req, res, principal);
   }
 
   // Default: submit entry
+  return handleSubmitEntry(req, res, principal, req.body);
+}
+
+/**
+ * Save an entry. `body` is the request body, or the values of an earlier
+ * version when restoring one.
+ */
+async function handleSubmitEntry(req, res, principal, body) {
   // Parse and validate body
-  const {
-    dateFor, hours, comments, oxaloacetate, exercise, brainTime, modafinil, willDoECG, localTimeZone
-  } = req.body;
+  const { dateFor, hours, willDoECG, localTimeZone, baseRevision } = body;
 
   if (hours === undefined || hours === null) {
     return res.status(400).json({ error: 'Missing required field: hours' });
@@ -85,32 +201,37 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Hours must be a number between 0 and 24' });
   }
 
+  if (!isValidBaseRevision(baseRevision)) {
+    return res.status(400).json({ error: 'baseRevision must be a non-negative integer' });
+  }
+  const hasBaseRevision = baseRevision !== undefined && baseRevision !== null;
+
+  const idempotencyKey = readIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key header' });
+  }
+
   // dateFor is the date the user is documenting FOR (e.g., "01/01/2025")
   // If not provided, fall back to server's current date (for backwards compatibility)
   let entryDateFor = dateFor;
 
   try {
-    const auth = new google.auth.GoogleAuth({
-      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID.trim();
+    const repo = getRepository();
+
+    // A retry of a submission we already applied gets the original result,
+    // without a second audit record or overwriting anything saved since
+    if (idempotencyKey) {
+      const previous = await findIdempotentResult(idempotencyKey, 'SUBMIT_ENTRY', repo);
+      if (previous) {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(200).json(previous);
+      }
+    }
 
     // Get current time in user's local timezone (this is when the entry was SUBMITTED)
     const now = new Date();
     const timeZone = localTimeZone || 'America/New_York';
-    const timestamp = now.toLocaleString('en-US', {
-      timeZone: timeZone,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    });
+    const timestamp = formatTimestamp(now, timeZone);
 
     // If no dateFor provided by client, fall back to server's current date
     if (!entryDateFor) {
@@ -122,95 +243,43 @@ export default async function handler(req, res) {
       });
     }
 
-    // ========== AUDIT LOGGING (Write-Ahead Log) ==========
-    // Log incoming request BEFORE modifying data - enables replay if data is lost
-    try {
-      // Check if AuditLog sheet exists
-      const spreadsheet = await sheets.spreadsheets.get({
-        spreadsheetId,
-        fields: 'sheets.properties.title',
-      });
-
-      const sheetExists = spreadsheet.data.sheets.some(
-        s => s.properties.title === 'AuditLog'
-      );
-
-      if (!sheetExists) {
-        // Create AuditLog sheet with headers
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId,
-          requestBody: {
-            requests: [{
-              addSheet: {
-                properties: { title: 'AuditLog' },
-              },
-            }],
-          },
-        });
-
-        await sheets.spreadsheets.values.update({
-          spreadsheetId,
-          range: 'AuditLog!A1:D1',
-          valueInputOption: 'RAW',
-          requestBody: {
-            values: [['Timestamp', 'Action', 'DateFor', 'RequestBody (JSON)']],
-          },
+    // Fetch header row and existing data to check for duplicates and discover medication columns
+    const { header, rows, records } = await repo.entries.getRecords();
+    const medications = await listMedications(header, repo);
+    let customFields = await listCustomFields(header, repo);
+
+    // Doses are written and logged in canonical form, so a replay of the log
+    // doesn't depend on units set since. A restored version is written back
+    // as it was saved, even if it predates structured doses.
+    if (body.restoredFrom === undefined) {
+      const unreadable = unreadableDoses(body, medications);
+      if (unreadable.length > 0) {
+        return res.status(400).json({
+          error: `Couldn't read the dose for ${unreadable.map(med => med.label).join(', ')}. Enter an amount and unit, like "1 pill" or "0.5 g".`,
+          fields: unreadable.map(med => med.key)
         });
       }
-
-      // Log the incoming request
-      await sheets.spreadsheets.values.append({
-        spreadsheetId,
-        range: 'AuditLog!A:D',
-        valueInputOption: 'RAW',
-        requestBody: {
-          values: [[
-            timestamp,
-            'SUBMIT_ENTRY',
-            entryDateFor,
-            JSON.stringify(req.body)
-          ]],
-        },
-      });
-    } catch (auditError) {
-      // Log but don't fail the submission if audit logging fails
-      console.error('Audit logging failed:', auditError.message);
-    }
-    // ========== END AUDIT LOGGING ==========
-
-    // Fetch header row and existing data to check for duplicates and discover medication columns
-    const existingData = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Sheet1!A:ZZ', // Open-ended to capture all medication columns
-    });
-
-    const allRows = existingData.data.values || [];
-    const headerRow = allRows[0] || [];
-    const dataRows = allRows.slice(1);
-
-    // Discover medication columns from header (columns K onwards, index 10+)
-    const medications = [];
-    for (let i = MEDICATION_START_INDEX; i < headerRow.length; i++) {
-      const label = headerRow[i];
-      if (label && label.trim()) {
-        medications.push({
-          key: labelToKey(label),
-          label: label.trim(),
-          columnIndex: i
+      const invalid = invalidFieldValues(body, customFields);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: invalid.map(field => `${field.label} must be ${describeFieldValue(field)}.`).join(' '),
+          fields: invalid.map(field => field.key)
         });
       }
     }
+    body = withFieldCells(withCanonicalDoses(body, medications), customFields);
+    customFields = await ensureFieldColumns(customFields, body, header, repo);
 
     // Find existing row for this date (normalize both sides to handle
     // Google Sheets stripping leading zeros from dates, e.g. "02/05/2026" vs "2/5/2026")
-    const normalizedEntryDate = normalizeDate(entryDateFor);
-    let existingRowIndex = -1;
-    for (let i = 0; i < dataRows.length; i++) {
-      if (dataRows[i] && normalizeDate(dataRows[i][1]) === normalizedEntryDate) {
-        existingRowIndex = i + 2; // +2 because: +1 for header, +1 for 1-indexed sheets
-        break;
-      }
-    }
+    const normalizedEntryDate = normalizeEntryDate(entryDateFor);
+    const existingIndex = records.findIndex(record => normalizeEntryDate(record.dateFor) === normalizedEntryDate);
+    const existing = existingIndex >= 0 ? records[existingIndex] : null;
+    const existingRowIndex = existing ? existing.rowNumber : -1;
+    const currentRevision = existing ? existing.revision ?? 0 : 0;
+    // A deleted day still checks against 0, but its new row must not reuse
+    // a revision a device may hold from before the deletion
+    const previousRevision = existing ? currentRevision : await deletedRevision(entryDateFor, repo);
 
     // Get today's date (documentation date) for willDoECG attribution
     const todayDate = now.toLocaleDateString('en-US', {
@@ -220,66 +289,89 @@ export default async function handler(req, res) {
       day: '2-digit'
     });
 
-    // Build row data with core fields (A-J)
-    const rowData = [
-      timestamp,                          // Column A: Timestamp (when submitted, Eastern Time)
-      entryDateFor,                       // Column B: Date FOR (the date being documented)
-      hours,                              // Column C: Hours (required)
-      comments || '',                     // Column D: Comments
-      oxaloacetate || '',                 // Column E: Oxaloacetate (g)
-      exercise || '',                     // Column F: Exercise (min)
-      brainTime ?? '',                    // Column G: Productive brain time (hours) - use ?? to preserve 0
-      modafinil || '',                    // Column H: Modafinil (none/quarter/half/whole)
-      willDoECG ? 'Yes' : '',             // Column I: Will do ECG
-      willDoECG ? todayDate : '',         // Column J: ECG Plan Date
-    ];
-
-    // Dynamically add medication values based on discovered columns
-    for (const med of medications) {
-      // Get medication value from request body using the key
-      const value = req.body[med.key];
-      rowData[med.columnIndex] = value || '';
+    // Build row data: the body's fields and medications, plus bookkeeping columns
+    const rowData = buildEntryRow(body, medications, {
+      timestamp,                          // When submitted, in the user's timezone
+      dateFor: entryDateFor,              // The date being documented
+      ecgPlanDate: willDoECG ? todayDate : '',
+      revision: previousRevision + 1,
+    }, customFields);
+
+    // The row was saved or deleted (on another device, or by a queued
+    // offline entry) after this edit was loaded. Refuse if the edit would
+    // overwrite any of those values; identical values are no conflict.
+    // Checked before the audit log so a refused write is never replayed from it.
+    if (hasBaseRevision && baseRevision !== currentRevision) {
+      const current = entryValues(existing ? rows[existingIndex] : [], medications, customFields);
+      const yours = entryValues(rowData, medications, customFields);
+      const fields = changedFields(current, yours);
+      if (fields.length > 0) {
+        return res.status(409).json({
+          error: existing
+            ? 'This day was changed on another device. Review the differences and save again.'
+            : 'This day was deleted on another device. Save again to restore it.',
+          revision: currentRevision,
+          current,
+          doses: parseDoses(current, medications),
+          fields
+        });
+      }
+    }
+
+    // ========== AUDIT LOGGING (Write-Ahead Log) ==========
+    // Log incoming request BEFORE modifying data - enables replay if data is lost
+    try {
+      await repo.auditLog.append({
+        timestamp,
+        action: 'SUBMIT_ENTRY',
+        dateFor: entryDateFor,
+        body,
+        actor: principal.name
+      });
+    } catch (auditError) {
+      // Log but don't fail the submission if audit logging fails
+      console.error('Audit logging failed:', auditError.message);
     }
+    // ========== END AUDIT LOGGING ==========
 
-    // Calculate the last column letter for range
-    const lastColumnIndex = Math.max(9, ...medications.map(m => m.columnIndex));
-    const lastColumnLetter = columnIndexToLetter(lastColumnIndex);
+    const lastColumnIndex = Math.max(
+      TABLES.entries.columns.length - 1,
+      ...medications.map(m => m.columnIndex),
+      ...customFields.map(field => field.columnIndex ?? -1)
+    );
 
     let rowNumber;
 
     if (existingRowIndex > 0) {
       // Update existing row
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: `Sheet1!A${existingRowIndex}:${lastColumnLetter}${existingRowIndex}`,
-        valueInputOption: 'USER_ENTERED',
-        requestBody: {
-          values: [rowData]
-        }
-      });
+      await repo.entries.update(existingRowIndex, rowData);
       rowNumber = existingRowIndex;
     } else {
       // Append new row
-      const response = await sheets.spreadsheets.values.append({
-        spreadsheetId,
-        range: `Sheet1!A:${lastColumnLetter}`,
-        valueInputOption: 'USER_ENTERED',
-        requestBody: {
-          values: [rowData]
-        }
-      });
-      const updatedRange = response.data.updates.updatedRange;
-      rowNumber = parseInt(updatedRange.match(/\d+/)[0]);
+      const { firstRow } = await repo.entries.append([rowData]);
+      rowNumber = firstRow;
     }
 
     // Sort Sheet1 by date descending (most recent first)
-    // Use dynamic end column based on discovered medications
-    await sortSheetByDateDesc(sheets, spreadsheetId, 'Sheet1', lastColumnIndex + 1);
+    // Use dynamic end column based on discovered medications and fields
+    await repo.entries.sortByFirstColumnDesc(lastColumnIndex + 1);
 
-    return res.status(200).json({
+    const result = {
       success: true,
-      row: rowNumber
-    });
+      row: rowNumber,
+      revision: previousRevision + 1
+    };
+
+    if (idempotencyKey) {
+      try {
+        await rememberIdempotentResult(idempotencyKey, 'SUBMIT_ENTRY', result, repo);
+      } catch (keyError) {
+        // The entry is saved; a failed replay guard only matters if the client retries
+        console.error('Failed to record idempotency key:', keyError.message);
+      }
+    }
+
+    return res.status(200).json(result);
 
   } catch (error) {
     console.error('Failed to save entry:', error);
@@ -288,131 +380,201 @@ export default async function handler(req, res) {
 }
 
 /**
- * Handle adding a new medication column to Sheet1.
+ * Handle removing the Sheet1 row for a date.
  */
-async function handleAddMedication(req, res) {
-  const { name } = req.body;
+async function handleDeleteEntry(req, res, principal) {
+  const { dateFor, baseRevision, localTimeZone } = req.body;
 
-  // Validate name
-  if (!name || typeof name !== 'string') {
-    return res.status(400).json({ error: 'Medication name is required' });
+  if (!dateFor || typeof dateFor !== 'string') {
+    return res.status(400).json({ error: 'dateFor is required' });
   }
 
-  const trimmedName = name.trim();
-  if (trimmedName.length === 0) {
-    return res.status(400).json({ error: 'Medication name cannot be empty' });
+  if (!isValidBaseRevision(baseRevision)) {
+    return res.status(400).json({ error: 'baseRevision must be a non-negative integer' });
   }
 
-  if (trimmedName.length > 50) {
-    return res.status(400).json({ error: 'Medication name is too long (max 50 characters)' });
-  }
+  try {
+    const repo = getRepository();
+    const { header, rows, records } = await repo.entries.getRecords();
+    const customFields = await listCustomFields(header, repo);
+    const medications = discoverMedications(header, customFields);
+
+    const normalizedEntryDate = normalizeEntryDate(dateFor);
+    const existingIndex = records.findIndex(record => normalizeEntryDate(record.dateFor) === normalizedEntryDate);
+    if (existingIndex < 0) {
+      return res.status(404).json({ error: `No entry for ${dateFor}` });
+    }
 
-  // Capitalize first letter of each word for consistent display
-  const formattedName = trimmedName
-    .split(' ')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-    .join(' ');
+    const existing = records[existingIndex];
+    const currentRevision = existing.revision ?? 0;
+    const removed = entryValues(rows[existingIndex], medications, customFields);
+
+    // Don't throw away an edit the user deleting hasn't seen
+    if (baseRevision !== undefined && baseRevision !== null && baseRevision !== currentRevision) {
+      return res.status(409).json({
+        error: 'This day was changed on another device. Check it before deleting.',
+        revision: currentRevision,
+        current: removed,
+        fields: []
+      });
+    }
 
-  const key = labelToKey(formattedName);
+    // Write-ahead, with the removed values so the day can be restored and
+    // the revision it was deleted at (see deletedRevision)
+    try {
+      await repo.auditLog.append({
+        timestamp: formatTimestamp(new Date(), localTimeZone || 'America/New_York'),
+        action: 'DELETE_ENTRY',
+        dateFor: existing.dateFor,
+        body: { ...req.body, removed, revision: currentRevision },
+        actor: principal.name
+      });
+    } catch (auditError) {
+      console.error('Audit logging failed:', auditError.message);
+    }
 
-  try {
-    const auth = new google.auth.GoogleAuth({
-      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+    await repo.entries.deleteRows([existing.rowNumber]);
+
+    return res.status(200).json({
+      success: true,
+      dateFor: existing.dateFor,
+      revision: currentRevision
     });
 
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID.trim();
+  } catch (error) {
+    console.error('Failed to delete entry:', error);
+    return res.status(500).json({ error: 'Failed to delete entry' });
+  }
+}
 
-    // Fetch header row to check for duplicates and find next column
-    const headerResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Sheet1!1:1', // Just the header row
-    });
+/**
+ * Handle writing an earlier version of a day (from the AuditLog history)
+ * back as a new save.
+ */
+async function handleRestoreEntry(req, res, principal) {
+  const { dateFor, version, baseRevision, localTimeZone } = req.body;
 
-    const headerRow = headerResponse.data.values?.[0] || [];
+  if (!dateFor || typeof dateFor !== 'string') {
+    return res.status(400).json({ error: 'dateFor is required' });
+  }
 
-    // Check for duplicate (case-insensitive)
-    const existingMeds = headerRow.slice(MEDICATION_START_INDEX);
-    const normalizedExisting = existingMeds.map(h => h?.toLowerCase().trim());
-    const normalizedNew = formattedName.toLowerCase();
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: 'version must be a positive integer' });
+  }
 
-    if (normalizedExisting.includes(normalizedNew)) {
-      return res.status(400).json({
-        error: `Medication '${formattedName}' already exists`
-      });
+  let values;
+  try {
+    const repo = getRepository();
+    const { header } = await repo.entries.getRecords();
+    const customFields = await listCustomFields(header, repo);
+    const history = await getEntryHistory(dateFor, discoverMedications(header, customFields), repo, customFields);
+    const chosen = history.find(v => v.version === version);
+    if (!chosen) {
+      return res.status(404).json({ error: `No version ${version} for ${dateFor}` });
     }
-
-    // Also check by key to catch things like "Vitamin D" vs "VitaminD"
-    const existingKeys = existingMeds.map(h => h ? labelToKey(h) : '');
-    if (existingKeys.includes(key)) {
-      const existingLabel = existingMeds[existingKeys.indexOf(key)];
-      return res.status(400).json({
-        error: `A similar medication '${existingLabel}' already exists`
-      });
+    if (!chosen.values) {
+      return res.status(400).json({ error: `Version ${version} is a deletion; pick a version with values` });
     }
+    values = chosen.values;
+  } catch (error) {
+    console.error('Failed to read entry history:', error);
+    return res.status(500).json({ error: 'Failed to restore entry' });
+  }
 
-    // Find next available column (after the last header)
-    const nextColumnIndex = headerRow.length;
-    const columnLetter = columnIndexToLetter(nextColumnIndex);
-
-    // Add the new header
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: `Sheet1!${columnLetter}1`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: [[formattedName]]
-      }
-    });
+  // Saved like any edit (revision check, audit record), marked as a restore
+  return handleSubmitEntry(req, res, principal, {
+    ...values,
+    dateFor,
+    baseRevision,
+    localTimeZone,
+    restoredFrom: version
+  });
+}
 
-    return res.status(200).json({
-      success: true,
-      medication: {
-        key,
-        label: formattedName,
-        columnLetter,
-        columnIndex: nextColumnIndex
-      }
-    });
+/**
+ * Handle the medication actions (see lib/medications.js).
+ */
+async function handleMedicationAction(req, res, principal) {
+  const {
+    action, key, name, archived, unit, defaultAmount, schedule, defaultOn, carryForward, quantity, date,
+    order, from, into, localTimeZone
+  } = req.body;
+  const context = {
+    actor: principal.name,
+    timestamp: formatTimestamp(new Date(), localTimeZone || 'America/New_York')
+  };
 
+  try {
+    switch (action) {
+      case 'add-medication': {
+        const medication = await addMedication(name, context);
+        return res.status(200).json({ success: true, medication });
+      }
+      case 'rename-medication': {
+        const medication = await renameMedication(key, name, context);
+        return res.status(200).json({ success: true, medication });
+      }
+      case 'archive-medication': {
+        const medication = await setMedicationArchived(key, archived, context);
+        return res.status(200).json({ success: true, medication });
+      }
+      case 'set-medication-dose': {
+        const medication = await setMedicationDose(key, { unit, defaultAmount, schedule, defaultOn, carryForward }, context);
+        return res.status(200).json({ success: true, medication });
+      }
+      case 'refill-medication': {
+        const refillDate = date ?? todayIn(localTimeZone || 'America/New_York');
+        const medication = await refillMedication(key, { quantity, unit, date: refillDate }, context);
+        return res.status(200).json({ success: true, medication });
+      }
+      case 'reorder-medications': {
+        const medications = await reorderMedications(order, context);
+        return res.status(200).json({ success: true, medications });
+      }
+      case 'merge-medication': {
+        const result = await mergeMedications(from, into, context);
+        return res.status(200).json({ success: true, ...result });
+      }
+    }
   } catch (error) {
-    console.error('Failed to add medication:', error);
-    return res.status(500).json({ error: 'Failed to add medication' });
+    if (error instanceof MedicationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Failed to ${action}:`, error);
+    return res.status(500).json({ error: 'Failed to update medications' });
   }
 }
 
 /**
- * Sort a sheet by column A (date/timestamp) in descending order (most recent first).
+ * Handle the crash log actions (see lib/crashes.js).
  */
-async function sortSheetByDateDesc(sheets, spreadsheetId, sheetName, endColumnIndex = 22) {
+async function handleCrashAction(req, res, principal) {
+  const { action, id, onset, severity, durationDays, trigger, localTimeZone } = req.body;
+  const context = {
+    actor: principal.name,
+    timestamp: formatTimestamp(new Date(), localTimeZone || 'America/New_York')
+  };
+
   try {
-    const spreadsheet = await sheets.spreadsheets.get({
-      spreadsheetId,
-      fields: 'sheets(properties(sheetId,title))'
-    });
-    const sheetsList = spreadsheet.data.sheets || [];
-    const targetSheet = sheetsList.find(s => s.properties.title === sheetName);
-
-    if (targetSheet) {
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId,
-        requestBody: {
-          requests: [{
-            sortRange: {
-              range: {
-                sheetId: targetSheet.properties.sheetId,
-                startRowIndex: 1,
-                startColumnIndex: 0,
-                endColumnIndex
-              },
-              sortSpecs: [{ dimensionIndex: 0, sortOrder: 'DESCENDING' }]
-            }
-          }]
-        }
-      });
+    switch (action) {
+      case 'log-crash': {
+        const crash = await logCrash({ onset, severity, durationDays, trigger }, context);
+        return res.status(200).json({ success: true, crash });
+      }
+      case 'update-crash': {
+        const crash = await updateCrash(id, { onset, severity, durationDays, trigger }, context);
+        return res.status(200).json({ success: true, crash });
+      }
+      case 'delete-crash': {
+        const crash = await deleteCrash(id, context);
+        return res.status(200).json({ success: true, crash });
+      }
     }
   } catch (error) {
-    console.error(`Error sorting ${sheetName} sheet:`, error);
+    if (error instanceof CrashError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Failed to ${action}:`, error);
+    return res.status(500).json({ error: 'Failed to update the crash log' });
   }
 }
@@ -15,26 +15,17 @@
  *   500: { error: "Failed to save subscription" }
  */
 
-import { google } from 'googleapis';
+import { getRepository } from '../lib/storage/index.js';
+import { requireCurrentSchema } from '../lib/storage/migrate.js';
+import { requireAuth } from '../lib/auth.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const authHeader = req.headers.authorization;
-  const receivedToken = authHeader ? authHeader.replace(/^Bearer\s+/i, '').trim() : null;
-  const expectedToken = process.env.SECRET_TOKEN ? process.env.SECRET_TOKEN.trim() : null;
-
-  // For debugging
-  if (!receivedToken || receivedToken !== expectedToken) {
-    console.log('Subscribe auth failed.');
-    console.log('Received:', receivedToken);
-    console.log('Expected length:', expectedToken?.length);
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
-  console.log('Subscribe auth successful');
+  if (!(await requireAuth(req, res, 'write'))) return;
+  if (!(await requireCurrentSchema(res))) return;
 
   const subscription = req.body;
 
@@ -42,73 +33,17 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Invalid subscription object' });
   }
 
-  let credentials;
-  try {
-    credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-  } catch (parseError) {
-    console.error('Configuration Error: GOOGLE_SERVICE_ACCOUNT_KEY is not valid JSON', parseError);
-    return res.status(500).json({
-      error: 'Server Configuration Error',
-      details: 'GOOGLE_SERVICE_ACCOUNT_KEY is not valid JSON. Check Vercel environment variables.'
-    });
-  }
-
   try {
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
+    const repo = getRepository();
 
-    const sheets = google.sheets({ version: 'v4', auth });
-
-    // Step 1: Check if Spreadsheet exists (validates ID)
-    let spreadsheet;
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID.trim();
+    // Make sure the "Subscriptions" tab exists (this also validates the storage config)
     try {
-      console.log('Fetching spreadsheet metadata for ID:', spreadsheetId);
-      const response = await sheets.spreadsheets.get({
-        spreadsheetId,
-      });
-      spreadsheet = response.data;
-      console.log('Spreadsheet found. Title:', spreadsheet.properties.title);
-    } catch (sheetError) {
-      console.error('Failed to find spreadsheet:', sheetError.message);
-      return res.status(404).json({
-        error: 'Google Sheet Not Found',
-        details: `Could not find spreadsheet with ID: ${process.env.GOOGLE_SHEET_ID}. Check permissions or ID.`
-      });
-    }
-
-    // Step 2: Check for "Subscriptions" tab
-    const sheetExists = spreadsheet.sheets.some(
-      (s) => s.properties.title === 'Subscriptions'
-    );
-
-    if (!sheetExists) {
-      // Create the "Subscriptions" sheet
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId,
-        requestBody: {
-          requests: [
-            {
-              addSheet: {
-                properties: {
-                  title: 'Subscriptions',
-                },
-              },
-            },
-          ],
-        },
-      });
-
-      // Add headers to the new sheet
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: 'Subscriptions!A1:D1',
-        valueInputOption: 'USER_ENTERED',
-        requestBody: {
-          values: [['Timestamp', 'Endpoint', 'Keys', 'Full Subscription']],
-        },
+      await repo.subscriptions.ensure();
+    } catch (storageError) {
+      console.error('Failed to open storage:', storageError.message);
+      return res.status(500).json({
+        error: 'Storage Unavailable',
+        details: 'Could not open the Subscriptions table. Check the storage environment variables.'
       });
     }
 
@@ -127,24 +62,18 @@ export default async function handler(req, res) {
     });
 
     // Store the subscription in a "Subscriptions" sheet
-    // Format: [Timestamp, Endpoint, Keys (JSON), Full Subscription (JSON)]
-    const subscriptionData = [
+    const subscriptionData = {
       timestamp,
-      subscription.endpoint,
-      JSON.stringify(subscription.keys),
-      JSON.stringify(subscription)
-    ];
+      endpoint: subscription.endpoint,
+      keys: subscription.keys,
+      subscription
+    };
 
     // Check for existing subscription from same push service and update instead of append
     // iOS generates a NEW endpoint URL each time notifications are re-enabled,
     // so we match by domain (e.g., web.push.apple.com) not exact endpoint
-    const existingData = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Subscriptions!A:D',
-    });
-
+    const { records } = await repo.subscriptions.getRecords();
     let existingRowIndex = -1;
-    const rows = existingData.data.values || [];
 
     // Extract domain from endpoint to identify device type
     const getEndpointDomain = (endpoint) => {
@@ -158,11 +87,11 @@ export default async function handler(req, res) {
     const newEndpointDomain = getEndpointDomain(subscription.endpoint);
 
     // Find row with same endpoint domain (e.g., web.push.apple.com)
-    for (let i = 1; i < rows.length; i++) { // Skip header row
-      if (rows[i] && rows[i][1]) {
-        const existingDomain = getEndpointDomain(rows[i][1]);
+    for (const record of records) {
+      if (record.endpoint) {
+        const existingDomain = getEndpointDomain(record.endpoint);
         if (existingDomain && existingDomain === newEndpointDomain) {
-          existingRowIndex = i + 1; // +1 because sheets are 1-indexed
+          existingRowIndex = record.rowNumber;
           console.log(`Found existing subscription for ${newEndpointDomain} at row ${existingRowIndex}`);
           break;
         }
@@ -172,25 +101,11 @@ export default async function handler(req, res) {
     if (existingRowIndex > 0) {
       // Update existing subscription
       console.log(`Updating existing subscription at row ${existingRowIndex}`);
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: `Subscriptions!A${existingRowIndex}:D${existingRowIndex}`,
-        valueInputOption: 'USER_ENTERED',
-        requestBody: {
-          values: [subscriptionData]
-        }
-      });
+      await repo.subscriptions.updateRecord(existingRowIndex, subscriptionData);
     } else {
       // Append new subscription
       console.log('Adding new subscription');
-      await sheets.spreadsheets.values.append({
-        spreadsheetId,
-        range: 'Subscriptions!A:D',
-        valueInputOption: 'USER_ENTERED',
-        requestBody: {
-          values: [subscriptionData]
-        }
-      });
+      await repo.subscriptions.appendRecords([subscriptionData]);
     }
 
     return res.status(200).json({ success: true });
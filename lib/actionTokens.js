@@ -0,0 +1,49 @@
+/**
+ * Notification action tokens.
+ *
+ * A push notification's buttons (snooze, and later quick-log) call the API
+ * from the service worker, which has no access to the app's credentials. Each
+ * notification therefore carries its own signed token naming the actions it
+ * may perform and when it expires. It is not an API token: lib/auth.js never
+ * accepts it, so a leaked notification can't read or write health data.
+ */
+
+import { getSigningKey, signToken, verifyToken } from './signedToken.js';
+
+export const NOTIFICATION_ACTIONS = ['snooze', 'quick-log'];
+
+export const ACTION_TOKEN_PREFIX = 'act_';
+
+// Long enough to act on a reminder that sat on the lock screen overnight
+export const ACTION_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * Mint a token allowing exactly these actions.
+ */
+export function createActionToken(actions, now = Date.now()) {
+  const unknown = actions.filter(a => !NOTIFICATION_ACTIONS.includes(a));
+  if (actions.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid notification actions: ${unknown.join(', ') || '(none)'}`);
+  }
+
+  return ACTION_TOKEN_PREFIX + signToken({ actions }, {
+    key: getSigningKey('notification-action'),
+    purpose: 'notification-action',
+    ttlSeconds: ACTION_TOKEN_TTL_SECONDS,
+    now,
+  });
+}
+
+/**
+ * The token's claims ({ actions, exp }) if it is valid and unexpired, else
+ * null. Whether it covers a particular action is checked by the caller.
+ */
+export function verifyActionToken(token, now = Date.now()) {
+  if (typeof token !== 'string' || !token.startsWith(ACTION_TOKEN_PREFIX)) return null;
+  const claims = verifyToken(token.slice(ACTION_TOKEN_PREFIX.length), {
+    key: getSigningKey('notification-action'),
+    purpose: 'notification-action',
+    now,
+  });
+  return Array.isArray(claims?.actions) ? claims : null;
+}
@@ -0,0 +1,260 @@
+/**
+ * Rebuild Sheet1 from the AuditLog.
+ *
+ * Every change to Sheet1 is logged before it's made (SUBMIT_ENTRY,
+ * DELETE_ENTRY, and ADD/RENAME/MERGE_MEDICATION for its columns), so
+ * re-applying the log in order gives the sheet as it should be. The result
+ * is diffed against the current Sheet1 and written to a scratch tab, or over
+ * Sheet1 itself once the diff looks right.
+ *
+ * Limits: medication columns added before ADD_MEDICATION was logged are only
+ * known from the current Sheet1 header, and days last written before the
+ * AuditLog existed (or when appending to it failed) aren't in the log, so
+ * they show up in the diff as removed. Archiving, display order and dose
+ * settings live in the Medications tab, which a replay doesn't touch.
+ * Custom field columns (see customFields.js) are kept from the current
+ * header, since adding one isn't logged.
+ */
+
+import { getRepository, TABLES } from './storage/index.js';
+import {
+  labelToKey,
+  normalizeEntryDate,
+  discoverMedications,
+  buildEntryRow,
+  entryValues,
+  changedFields,
+} from './entries.js';
+import { readCustomFields, locateCustomFields } from './customFields.js';
+
+// Where a replay is written unless it replaces Sheet1
+export const REPLAY_TABLE = `${TABLES.entries.name}_Replay`;
+
+// Copy of Sheet1 taken just before a replay replaces it
+export const PRE_REPLAY_BACKUP_TABLE = `${TABLES.entries.name}_BeforeReplay`;
+
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayError';
+  }
+}
+
+// Medication changes that reshape Sheet1 (archiving and order don't)
+const MEDICATION_EVENTS = ['ADD_MEDICATION', 'RENAME_MEDICATION', 'MERGE_MEDICATION'];
+
+// Apply one medication event to the replay's header and rows; false if unreadable
+function applyMedicationEvent(action, body, { header, days, columnOf }) {
+  if (action === 'ADD_MEDICATION') {
+    if (!body?.label) return false;
+    if (columnOf(labelToKey(body.label)) === undefined) header.push(body.label);
+    return true;
+  }
+
+  if (action === 'RENAME_MEDICATION') {
+    if (!body?.key || !body.label) return false;
+    const column = columnOf(body.key);
+    if (column !== undefined) {
+      header[column] = body.label;
+    } else if (columnOf(labelToKey(body.label)) === undefined) {
+      // Added before the log started: the column only exists under its new name
+      header.push(body.label);
+    }
+    return true;
+  }
+
+  // MERGE_MEDICATION
+  if (!body?.from || !body.into) return false;
+  const from = columnOf(body.from);
+  const into = columnOf(body.into);
+  if (from === undefined || into === undefined) return true;
+  for (const { row } of days.values()) {
+    if (!row) continue;
+    if (row[from] && !row[into]) row[into] = row[from];
+    row.splice(from, 1);
+  }
+  header.splice(from, 1);
+  return true;
+}
+
+// Newest first by timestamp, like sortByFirstColumnDesc after every save
+function compareTimestampDesc(a, b) {
+  const ta = new Date(a[TABLES.entries.index.timestamp]).getTime() || 0;
+  const tb = new Date(b[TABLES.entries.index.timestamp]).getTime() || 0;
+  return tb - ta;
+}
+
+/**
+ * Re-apply AuditLog records (oldest first) to an empty Sheet1.
+ *
+ * `seedHeader` is the current Sheet1 header. Its medication columns that the
+ * log never creates (added before ADD_MEDICATION was logged) come first, in
+ * their current order; logged ADD/RENAME/MERGE_MEDICATION events shape the
+ * rest. `customFields` are the field definitions (see readCustomFields).
+ * Returns { header, rows, applied, skipped } where skipped counts records
+ * too damaged to apply (no date, unreadable body).
+ */
+export function replayAuditLog(records, seedHeader = [], customFields = []) {
+  const created = new Set(records
+    .filter(record => record.action === 'ADD_MEDICATION' || record.action === 'RENAME_MEDICATION')
+    .map(record => labelToKey(record.body?.label || '')));
+  const header = [
+    ...TABLES.entries.headers,
+    ...discoverMedications(seedHeader, customFields).filter(med => !created.has(med.key)).map(med => med.label),
+    ...locateCustomFields(customFields, seedHeader).filter(field => field.columnIndex !== null).map(field => field.label),
+  ];
+  const days = new Map(); // normalized dateFor -> { row (null once deleted), revision }
+  const columnOf = key => discoverMedications(header, customFields).find(med => med.key === key)?.columnIndex;
+  let applied = 0;
+  let skipped = 0;
+
+  for (const record of records) {
+    const body = record.body;
+
+    if (MEDICATION_EVENTS.includes(record.action)) {
+      if (applyMedicationEvent(record.action, body, { header, days, columnOf })) {
+        applied++;
+      } else {
+        skipped++;
+      }
+      continue;
+    }
+
+    if (record.action !== 'SUBMIT_ENTRY' && record.action !== 'DELETE_ENTRY') continue;
+    if (!record.dateFor || !body) {
+      skipped++;
+      continue;
+    }
+
+    const day = normalizeEntryDate(record.dateFor);
+    if (record.action === 'DELETE_ENTRY') {
+      // Kept without a row: saving the day again continues from the
+      // recorded revision, as submit-entry does (see deletedRevision)
+      days.set(day, { row: null, revision: body.revision ?? 0 });
+    } else {
+      const revision = (days.get(day)?.revision ?? 0) + 1;
+      // The ECG plan is dated the day the entry was submitted
+      const submittedOn = String(record.timestamp || '').split(',')[0];
+      const row = buildEntryRow(body, discoverMedications(header, customFields), {
+        timestamp: record.timestamp,
+        dateFor: record.dateFor,
+        ecgPlanDate: body.willDoECG ? submittedOn : '',
+        revision,
+      }, locateCustomFields(customFields, header));
+      days.set(day, { row, revision });
+    }
+    applied++;
+  }
+
+  const rows = [...days.values()].map(day => day.row).filter(Boolean).sort(compareTimestampDesc);
+  return { header, rows, applied, skipped };
+}
+
+// normalized dateFor -> { dateFor, values } for one sheet's rows
+function valuesByDay({ header, rows }, customFields) {
+  const medications = discoverMedications(header, customFields);
+  const fields = locateCustomFields(customFields, header);
+  const days = new Map();
+  for (const row of rows) {
+    const dateFor = row[TABLES.entries.index.dateFor];
+    if (!dateFor) continue;
+    days.set(normalizeEntryDate(dateFor), { dateFor, values: entryValues(row, medications, fields) });
+  }
+  return days;
+}
+
+/**
+ * What writing `replayed` would change in `current` (both { header, rows }):
+ *
+ *   { columns: { added, removed }, added: [dateFor], removed: [dateFor],
+ *     changed: [{ dateFor, changes: [{ field, from, to }] }] }
+ *
+ * Medication and custom field values are matched by key, so a column in a
+ * different position isn't a change. `columns` lists medication columns only.
+ */
+export function diffEntrySheets(current, replayed, customFields = []) {
+  const currentMeds = discoverMedications(current.header, customFields).map(med => med.key);
+  const replayedMeds = discoverMedications(replayed.header, customFields);
+  const currentDays = valuesByDay(current, customFields);
+  const replayedDays = valuesByDay(replayed, customFields);
+
+  const changed = [];
+  for (const [day, after] of replayedDays) {
+    const before = currentDays.get(day);
+    if (!before) continue;
+    const fields = changedFields(before.values, after.values);
+    if (fields.length > 0) {
+      changed.push({
+        dateFor: before.dateFor,
+        changes: fields.map(field => ({
+          field,
+          from: before.values[field] ?? null,
+          to: after.values[field] ?? null,
+        })),
+      });
+    }
+  }
+
+  return {
+    columns: {
+      added: replayedMeds.filter(med => !currentMeds.includes(med.key)).map(med => med.label),
+      removed: discoverMedications(current.header, customFields)
+        .filter(med => !replayedMeds.some(r => r.key === med.key))
+        .map(med => med.label),
+    },
+    added: [...replayedDays.keys()].filter(day => !currentDays.has(day)).map(day => replayedDays.get(day).dateFor),
+    removed: [...currentDays.keys()].filter(day => !replayedDays.has(day)).map(day => currentDays.get(day).dateFor),
+    changed,
+  };
+}
+
+/**
+ * Replay the AuditLog and diff the result against Sheet1.
+ *
+ *   dryRun  - only return the diff
+ *   replace - write over Sheet1 (after copying it to PRE_REPLAY_BACKUP_TABLE)
+ *             instead of to REPLAY_TABLE
+ *
+ * Returns { dryRun, target, backup, applied, skipped, rows, diff }.
+ * Throws ReplayError when there is no AuditLog to replay.
+ */
+export async function rebuildEntries({ dryRun = false, replace = false, repo = getRepository() } = {}) {
+  if (!(await repo.auditLog.table.exists())) {
+    throw new ReplayError(`No ${TABLES.auditLog.name} tab to replay`);
+  }
+
+  const [currentHeader = [], ...currentRows] = (await repo.entries.exists())
+    ? await repo.entries.getValues()
+    : [];
+  const { records } = await repo.auditLog.table.getRecords();
+  const customFields = await readCustomFields(repo);
+  const replayed = replayAuditLog(records, currentHeader, customFields);
+  const diff = diffEntrySheets({ header: currentHeader, rows: currentRows }, replayed, customFields);
+
+  const target = replace ? TABLES.entries.name : REPLAY_TABLE;
+  const backup = replace ? PRE_REPLAY_BACKUP_TABLE : null;
+
+  if (!dryRun) {
+    if (replace) {
+      const backupTable = repo.table(PRE_REPLAY_BACKUP_TABLE);
+      await backupTable.ensure();
+      await backupTable.clear();
+      await backupTable.writeRows(1, [currentHeader, ...currentRows], { raw: true });
+    }
+
+    const targetTable = repo.table(target);
+    await targetTable.ensure();
+    await targetTable.clear();
+    await targetTable.writeRows(1, [replayed.header, ...replayed.rows]);
+  }
+
+  return {
+    dryRun,
+    target,
+    backup,
+    applied: replayed.applied,
+    skipped: replayed.skipped,
+    rows: replayed.rows.length,
+    diff,
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Shared API authentication.
+ *
+ * Every handler awaits requireAuth(req, res, scope) instead of comparing
+ * headers itself. Tokens are compared in constant time and each token
+ * carries a set of scopes:
+ *
+ *   read    - GET endpoints (history, stats, settings)
+ *   write   - submit entries, change settings, subscribe
+ *   admin   - everything, including maintenance endpoints
+ *   webhook - Health Auto Export webhooks only
+ *   cron    - scheduled jobs (cron-trigger, backup-data); admin also passes
+ *
+ * Token sources (all trimmed):
+ *   SECRET_TOKEN        - the owner's token, scope admin
+ *   CRON_SECRET         - scope cron; Vercel sends it as a Bearer token on
+ *                         every scheduled invocation
+ *   ECG_WEBHOOK_SECRET  - scope webhook (sent as X-Webhook-Secret)
+ *   HEALTH_WEBHOOK_SECRET - scope webhook, health webhook only; once set, the
+ *                         ECG secret stops working for the health webhook
+ *                         (lib/webhookAuth.js also accepts signed requests)
+ *   API_TOKENS          - optional JSON list of extra named tokens, e.g.
+ *                         [{"name":"caregiver","token":"...","scopes":["read"]}]
+ *   Devices tab         - per-device tokens minted from Settings (lib/devices.js)
+ *   Passkey sessions    - short-lived tokens issued after a passkey sign-in
+ *                         (lib/sessions.js), valid while the passkey isn't revoked
+ *
+ * Notification action tokens (lib/actionTokens.js) are deliberately not in
+ * that list: they only pass requireActionToken() on the action endpoints.
+ *
+ * Failures answer 401 (no/unknown token) or 403 (token lacks the scope) with
+ * the same JSON shape everywhere. Tokens are never logged.
+ */
+
+import crypto from 'crypto';
+import { findDeviceByToken, touchDevice } from './devices.js';
+import { verifySession } from './sessions.js';
+import { findActivePasskey } from './passkeys.js';
+import { verifyActionToken } from './actionTokens.js';
+
+export const SCOPES = ['read', 'write', 'admin', 'webhook', 'cron'];
+
+// Scopes a granted scope also satisfies
+const IMPLIED_SCOPES = {
+  admin: SCOPES,
+  write: ['write', 'read'],
+  read: ['read'],
+  webhook: ['webhook'],
+  cron: ['cron'],
+};
+
+/**
+ * Constant-time string comparison. Both sides are hashed first so the
+ * comparison time doesn't depend on where (or whether) the lengths differ.
+ */
+export function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const ha = crypto.createHash('sha256').update(a).digest();
+  const hb = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Extract the presented credential: "Authorization: Bearer <token>" (scheme
+ * is case-insensitive, bare tokens also accepted) or X-Webhook-Secret.
+ */
+export function getPresentedToken(req) {
+  const authHeader = req.headers?.authorization;
+  if (authHeader) {
+    const token = authHeader.replace(/^Bearer\s+/i, '').trim();
+    if (token) return token;
+  }
+  const webhookSecret = req.headers?.['x-webhook-secret'];
+  if (webhookSecret) return String(webhookSecret).trim();
+  return null;
+}
+
+/**
+ * Build the token list from the environment. Invalid API_TOKENS entries are
+ * skipped with a warning rather than taking the whole API down.
+ */
+export function loadTokens(env = process.env) {
+  const tokens = [];
+
+  if (env.SECRET_TOKEN?.trim()) {
+    tokens.push({ name: 'owner', token: env.SECRET_TOKEN.trim(), scopes: ['admin'] });
+  }
+  if (env.CRON_SECRET?.trim()) {
+    tokens.push({ name: 'cron', token: env.CRON_SECRET.trim(), scopes: ['cron'] });
+  }
+
+  // Until HEALTH_WEBHOOK_SECRET is set, ECG_WEBHOOK_SECRET serves both webhooks
+  const separateHealthSecret = !!env.HEALTH_WEBHOOK_SECRET?.trim();
+  if (env.ECG_WEBHOOK_SECRET?.trim()) {
+    tokens.push({
+      name: 'webhook',
+      token: env.ECG_WEBHOOK_SECRET.trim(),
+      scopes: ['webhook'],
+      ...(separateHealthSecret && { webhooks: ['ecg'] }),
+    });
+  }
+  if (separateHealthSecret) {
+    tokens.push({ name: 'health-webhook', token: env.HEALTH_WEBHOOK_SECRET.trim(), scopes: ['webhook'], webhooks: ['health'] });
+  }
+
+  if (env.API_TOKENS?.trim()) {
+    let extra = [];
+    try {
+      extra = JSON.parse(env.API_TOKENS);
+    } catch {
+      console.warn('API_TOKENS is not valid JSON; ignoring it');
+    }
+    for (const entry of Array.isArray(extra) ? extra : []) {
+      const scopes = (entry.scopes || []).filter(s => SCOPES.includes(s));
+      if (!entry.name || !entry.token?.trim() || scopes.length === 0) {
+        console.warn(`Skipping API_TOKENS entry "${entry.name || '(unnamed)'}": needs name, token and a valid scope`);
+        continue;
+      }
+      tokens.push({ name: entry.name, token: entry.token.trim(), scopes });
+    }
+  }
+
+  return tokens;
+}
+
+export function hasScope(principal, scope) {
+  return principal.scopes.some(granted => (IMPLIED_SCOPES[granted] || []).includes(scope));
+}
+
+/**
+ * Resolve the request's token to { name, scopes, webhooks?, deviceId? }, or
+ * null if it matches none. Every configured token is compared so timing
+ * doesn't reveal which matched; sessions and device tokens are checked only
+ * when no env token matches.
+ */
+export async function authenticate(req, tokens = loadTokens()) {
+  const presented = getPresentedToken(req);
+  if (!presented) return null;
+
+  let match = null;
+  for (const entry of tokens) {
+    if (safeEqual(presented, entry.token) && !match) {
+      match = { name: entry.name, scopes: entry.scopes, ...(entry.webhooks && { webhooks: entry.webhooks }) };
+    }
+  }
+  if (match) return match;
+
+  const session = verifySession(presented);
+  if (session) {
+    const passkey = await findActivePasskey(session.pk);
+    return passkey ? { name: passkey.name, scopes: passkey.scopes, passkeyId: passkey.id } : null;
+  }
+
+  const device = await findDeviceByToken(presented);
+  if (!device) return null;
+
+  try {
+    await touchDevice(device);
+  } catch (error) {
+    // Last-used bookkeeping must never block the request itself
+    console.error(`Failed to update last-used time for device ${device.id}:`, error.message);
+  }
+  return { name: device.name, scopes: device.scopes, deviceId: device.id };
+}
+
+/**
+ * Guard for handlers. Resolves to the principal, or sends 401/403 and
+ * resolves to null:
+ *
+ *   const principal = await requireAuth(req, res, 'write');
+ *   if (!principal) return;
+ */
+export async function requireAuth(req, res, scope, options = {}) {
+  const principal = await authenticate(req, options.tokens);
+
+  if (!principal) {
+    console.warn(`Auth failed: ${getPresentedToken(req) ? 'unknown token' : 'no token'} (${req.method} ${req.url || ''})`);
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  if (!hasScope(principal, scope)) {
+    console.warn(`Auth failed: token "${principal.name}" lacks scope "${scope}" (${req.method} ${req.url || ''})`);
+    res.status(403).json({ error: 'Forbidden', requiredScope: scope });
+    return null;
+  }
+
+  return principal;
+}
+
+/**
+ * Guard for notification action endpoints (snooze, quick-log). Accepts only a
+ * signed action token that names this action; API tokens are rejected so the
+ * endpoint can't be driven by anything but a notification we sent.
+ */
+export function requireActionToken(req, res, action) {
+  const presented = getPresentedToken(req);
+  const claims = verifyActionToken(presented);
+
+  if (!claims) {
+    console.warn(`Action auth failed: ${presented ? 'invalid or expired action token' : 'no token'} (${req.method} ${req.url || ''})`);
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  if (!claims.actions.includes(action)) {
+    console.warn(`Action auth failed: token not valid for "${action}" (${req.method} ${req.url || ''})`);
+    res.status(403).json({ error: 'Forbidden', requiredAction: action });
+    return null;
+  }
+
+  return claims;
+}
@@ -0,0 +1,222 @@
+/**
+ * Personal baselines for the watch metrics (resting HR, HRV, sleep), and the
+ * days that stray from them.
+ *
+ * A day is compared with the BASELINE_DAYS days before it: their median, and
+ * the median absolute deviation (MAD) as the spread, so one bad night or a
+ * crash week barely moves either. No-watch days (see isNoWatchDay in
+ * medicationImpact.js) are left out of every baseline and never flagged.
+ *
+ * The score is a robust z-score, (value - median) / (1.4826 * MAD); for
+ * normally spread data 1.4826 * MAD is the standard deviation. A day is
+ * flagged when the score passes the threshold (UserSettings Anomaly
+ * Threshold) in the direction that matters for the metric: resting HR up or
+ * HRV down, often the first sign of an infection or a crash, and sleep
+ * either way.
+ *
+ * cron-trigger pushes a morning summary at Morning Summary Time (blank is
+ * off); Morning Summary Sent holds the date of the last one.
+ */
+
+import { getRepository } from './storage/index.js';
+import { computeValidatedSleepByDate } from './sleepValidation.js';
+import { isNoWatchDay } from './medicationImpact.js';
+import { addDays, isoDate, median } from './days.js';
+
+export const BASELINE_DAYS = 28;
+
+// Fewer watch days than this before a day, and it has no baseline yet
+const MIN_BASELINE_DAYS = 7;
+
+export const DEFAULT_ANOMALY_THRESHOLD = 2;
+export const ANOMALY_THRESHOLD_RANGE = { min: 1, max: 5 };
+
+// MAD to standard deviation, for normally spread data
+const MAD_SCALE = 1.4826;
+
+// `flagWhen` is the direction that gets flagged. `minSpread` is the least
+// spread a score is measured against, so a run of identical readings (a
+// MAD of 0) doesn't make the smallest change look extreme.
+export const BASELINE_METRICS = [
+  { key: 'restingHR', label: 'Resting HR', unit: 'bpm', flagWhen: 'up', minSpread: 1 },
+  { key: 'hrv', label: 'HRV', unit: 'ms', flagWhen: 'down', minSpread: 2 },
+  { key: 'sleep', label: 'Sleep', unit: 'min', flagWhen: 'either', minSpread: 15 },
+];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+const positive = value => (typeof value === 'number' && value > 0 ? value : null);
+
+/**
+ * The Anomaly Threshold setting, or the default when it's blank or out of
+ * range.
+ */
+export function parseAnomalyThreshold(value) {
+  const threshold = Number(value);
+  if (value === null || value === undefined || value === '' || Number.isNaN(threshold)) {
+    return DEFAULT_ANOMALY_THRESHOLD;
+  }
+  if (threshold < ANOMALY_THRESHOLD_RANGE.min || threshold > ANOMALY_THRESHOLD_RANGE.max) {
+    return DEFAULT_ANOMALY_THRESHOLD;
+  }
+  return threshold;
+}
+
+/**
+ * Each day's baseline metrics from Health_Daily records, with sleep from
+ * `validatedSleep` (computeValidatedSleepByDate) where there is some:
+ * { 'YYYY-MM-DD': { restingHR, hrv, sleep } }, null where missing.
+ */
+export function baselineHistory(dailyRecords, validatedSleep = {}) {
+  const history = {};
+  const day = date => {
+    if (!history[date]) history[date] = { restingHR: null, hrv: null, sleep: null };
+    return history[date];
+  };
+
+  for (const record of dailyRecords) {
+    const date = isoDate(record.date);
+    if (!date) continue;
+    Object.assign(day(date), {
+      restingHR: positive(record.restingHR),
+      hrv: positive(record.hrv),
+      sleep: positive(record.sleepMinutes) === null ? null : Math.round(record.sleepMinutes),
+    });
+  }
+  for (const [date, sleep] of Object.entries(validatedSleep)) {
+    if (sleep.totalMin > 0) day(date).sleep = sleep.totalMin;
+  }
+
+  return history;
+}
+
+/**
+ * The baseline for one metric on `date`, from the BASELINE_DAYS before it:
+ * { median, mad, days }, or null with fewer than MIN_BASELINE_DAYS watch days.
+ */
+export function baselineFor(history, key, date) {
+  const values = [];
+  for (let i = 1; i <= BASELINE_DAYS; i++) {
+    const day = addDays(date, -i);
+    const value = history[day]?.[key];
+    if (value != null && !isNoWatchDay(day)) values.push(value);
+  }
+  if (values.length < MIN_BASELINE_DAYS) return null;
+
+  const mid = median(values);
+  return { median: mid, mad: median(values.map(value => Math.abs(value - mid))), days: values.length };
+}
+
+/**
+ * A day's metrics against their baselines: [{ key, label, unit, value,
+ * median, mad, z, direction: 'up' | 'down', flagged }], leaving out metrics
+ * with no value that day or no baseline yet. Empty on a no-watch day.
+ */
+export function scoreDay(history, date, threshold = DEFAULT_ANOMALY_THRESHOLD) {
+  if (isNoWatchDay(date)) return [];
+
+  const scores = [];
+  for (const metric of BASELINE_METRICS) {
+    const value = history[date]?.[metric.key];
+    if (value == null) continue;
+    const baseline = baselineFor(history, metric.key, date);
+    if (!baseline) continue;
+
+    const z = (value - baseline.median) / Math.max(MAD_SCALE * baseline.mad, metric.minSpread);
+    const flagged = metric.flagWhen === 'up' ? z >= threshold
+      : metric.flagWhen === 'down' ? z <= -threshold
+        : Math.abs(z) >= threshold;
+    scores.push({
+      key: metric.key,
+      label: metric.label,
+      unit: metric.unit,
+      value,
+      median: round1(baseline.median),
+      mad: round1(baseline.mad),
+      z: round1(z),
+      direction: value > baseline.median ? 'up' : 'down',
+      flagged,
+    });
+  }
+  return scores;
+}
+
+/**
+ * Flagged metrics for each of `dates` that has any: { date: [score] }, each
+ * score as scoreDay returns it.
+ */
+export function anomaliesByDate(history, dates, threshold = DEFAULT_ANOMALY_THRESHOLD) {
+  const byDate = {};
+  for (const date of dates) {
+    const flagged = scoreDay(history, date, threshold).filter(score => score.flagged);
+    if (flagged.length > 0) byDate[date] = flagged;
+  }
+  return byDate;
+}
+
+/**
+ * Every day's baseline metrics, read from Health_Daily and (for validated
+ * sleep) Health_Hourly.
+ */
+export async function loadBaselineHistory(repo = getRepository()) {
+  const [dailyTable, hourlyValues] = await Promise.all([
+    repo.healthDaily.getRecords().catch(() => ({ records: [] })),
+    repo.healthHourly.getValues().catch(() => []),
+  ]);
+  const validatedSleep = computeValidatedSleepByDate(hourlyValues.slice(1), () => true, isoDate);
+  return baselineHistory(dailyTable.records, validatedSleep);
+}
+
+/**
+ * Whether the morning summary should go out now: past Morning Summary Time
+ * (`time`, "HH:MM"; blank is off) at `minutesNow` past midnight, and not
+ * already sent `today`.
+ */
+export function isSummaryDue(time, sent, today, minutesNow) {
+  if (!time || sent === today) return false;
+  const [hour, minute] = time.split(':').map(Number);
+  return minutesNow >= hour * 60 + minute;
+}
+
+// "6h 5m" for sleep, "58 bpm" for the rest
+function formatValue(value, unit) {
+  if (unit === 'min') {
+    const minutes = Math.round(value);
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+  return `${Math.round(value)} ${unit}`;
+}
+
+/**
+ * The morning summary push for the latest watch day with data, today or
+ * yesterday: { date, title, message, flagged: [key] }, or null when neither
+ * has anything to compare yet.
+ */
+export function buildMorningSummary(history, today, threshold = DEFAULT_ANOMALY_THRESHOLD) {
+  for (const date of [today, addDays(today, -1)]) {
+    const scores = scoreDay(history, date, threshold);
+    if (scores.length === 0) continue;
+
+    const flagged = scores.filter(score => score.flagged);
+    const message = scores.map(score => {
+      const line = `${score.label} ${formatValue(score.value, score.unit)} (usual ${formatValue(score.median, score.unit)})`;
+      if (!score.flagged) return line;
+      return `${line}, ${score.direction === 'up' ? 'higher' : 'lower'} than usual`;
+    }).join('\n');
+
+    return {
+      date,
+      title: flagged.length > 0 ? 'Outside your usual range' : 'Within your usual range',
+      message,
+      flagged: flagged.map(score => score.key),
+    };
+  }
+  return null;
+}
+
+/**
+ * Record that today's morning summary went out.
+ */
+export async function markSummarySent(today, repo = getRepository()) {
+  await repo.settings.write({ morningSummarySent: today });
+}
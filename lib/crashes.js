@@ -0,0 +1,288 @@
+/**
+ * Post-exertional malaise (PEM) crashes: the ones the user logs, and days
+ * that look like one.
+ *
+ * A logged crash is a row in the Crashes tab: onset date, severity (one of
+ * SEVERITIES), how many days it lasted (blank while ongoing) and the
+ * suspected trigger. Changes are written to the AuditLog first, like
+ * medication changes; a replay of Sheet1 ignores them.
+ *
+ * A possible crash is a run of days whose feet-on-ground hours dropped
+ * sharply below the rolling baseline: the median of the last BASELINE_DAYS
+ * logged days before, leaving out days already flagged so a long crash
+ * doesn't become its own baseline. detectPossibleCrashes and lookBack are
+ * pure; crashHistory gathers the days from Sheet1 and Health_Daily records.
+ */
+
+import crypto from 'crypto';
+import { getRepository } from './storage/index.js';
+import { addDays, isoDate, median } from './days.js';
+
+export const SEVERITIES = ['mild', 'moderate', 'severe', 'very severe'];
+
+// Logged days in the detector's rolling baseline, and the fewest it needs
+export const BASELINE_DAYS = 14;
+const MIN_BASELINE_DAYS = 5;
+
+// A day is flagged at this share of the baseline or less, and only when
+// that's at least MIN_DROP_HOURS lower (half of a 2-hour day isn't a crash)
+export const DROP_RATIO = 0.5;
+const MIN_DROP_HOURS = 2;
+
+// Days before a crash shown in its look-back
+export const LOOK_BACK_DAYS = 3;
+
+const MAX_TRIGGER_LENGTH = 200;
+
+const isIsoDate = value =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * A request that can't be applied; `status` is the HTTP status to answer with.
+ */
+export class CrashError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CrashError';
+    this.status = status;
+  }
+}
+
+/**
+ * The last day of a crash (YYYY-MM-DD), or null while it's ongoing.
+ */
+export function crashEnd(crash) {
+  return crash.durationDays ? addDays(crash.onset, crash.durationDays - 1) : null;
+}
+
+/**
+ * Whether a crash or possible crash ({ start, end }, end null while
+ * ongoing) has a day from startDate to endDate.
+ */
+export function overlapsRange({ start, end }, startDate, endDate) {
+  return start <= endDate && (end === null || end >= startDate);
+}
+
+// Validated crash fields; with `partial`, fields left undefined are left out
+function crashFields({ onset, severity, durationDays, trigger }, { partial = false } = {}) {
+  const fields = {};
+  if (onset !== undefined || !partial) {
+    if (!isIsoDate(onset)) throw new CrashError('onset must be YYYY-MM-DD');
+    fields.onset = onset;
+  }
+  if (severity !== undefined || !partial) {
+    if (!SEVERITIES.includes(severity)) throw new CrashError(`severity must be one of ${SEVERITIES.join(', ')}`);
+    fields.severity = severity;
+  }
+  if (durationDays !== undefined) {
+    if (durationDays !== null && !(Number.isInteger(durationDays) && durationDays > 0)) {
+      throw new CrashError('durationDays must be a whole number of days, or null while the crash is ongoing');
+    }
+    fields.durationDays = durationDays;
+  }
+  if (trigger !== undefined) {
+    if (trigger !== null && (typeof trigger !== 'string' || trigger.trim().length > MAX_TRIGGER_LENGTH)) {
+      throw new CrashError(`trigger must be text of at most ${MAX_TRIGGER_LENGTH} characters`);
+    }
+    fields.trigger = trigger?.trim() || '';
+  }
+  return fields;
+}
+
+function recordToCrash(record) {
+  const crash = {
+    id: record.id,
+    onset: record.onset,
+    severity: record.severity,
+    durationDays: record.durationDays ?? null,
+    trigger: record.trigger || '',
+    createdAt: record.createdAt || null,
+    updatedAt: record.updatedAt || null,
+  };
+  return { ...crash, end: crashEnd(crash) };
+}
+
+async function readCrashRecords(repo) {
+  const { records } = await repo.crashes.getRecords().catch(() => ({ records: [] }));
+  return records.filter(record => record.id && record.onset);
+}
+
+async function findCrashRecord(repo, id) {
+  const record = (await readCrashRecords(repo)).find(r => r.id === id);
+  if (!record) throw new CrashError(`No crash ${id}`, 404);
+  return record;
+}
+
+async function logChange(repo, action, body, { actor, timestamp } = {}) {
+  try {
+    await repo.auditLog.append({
+      timestamp: timestamp || new Date().toISOString(),
+      action,
+      dateFor: '',
+      body,
+      actor
+    });
+  } catch (auditError) {
+    console.error('Audit logging failed:', auditError.message);
+  }
+}
+
+/**
+ * Logged crashes, oldest onset first: [{ id, onset, end, severity,
+ * durationDays, trigger, createdAt, updatedAt }]. None when the Crashes tab
+ * doesn't exist.
+ */
+export async function listCrashes(repo = getRepository()) {
+  return (await readCrashRecords(repo))
+    .map(recordToCrash)
+    .sort((a, b) => a.onset.localeCompare(b.onset));
+}
+
+/**
+ * Log a crash. `onset` and `severity` are required; `durationDays` is left
+ * blank (ongoing) unless given. Returns the crash.
+ */
+export async function logCrash(input, context, repo = getRepository()) {
+  const now = new Date().toISOString();
+  const crash = {
+    id: crypto.randomUUID(),
+    durationDays: null,
+    trigger: '',
+    ...crashFields(input),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await logChange(repo, 'LOG_CRASH', { action: 'log-crash', ...crash }, context);
+  await repo.crashes.ensure();
+  await repo.crashes.appendRecords([crash], { raw: true });
+
+  return recordToCrash(crash);
+}
+
+/**
+ * Change a logged crash; fields left undefined keep their value (set
+ * durationDays once an ongoing crash is over). Returns the crash.
+ */
+export async function updateCrash(id, input, context, repo = getRepository()) {
+  const fields = crashFields(input, { partial: true });
+  const record = await findCrashRecord(repo, id);
+  const crash = { ...record, ...fields, updatedAt: new Date().toISOString() };
+
+  await logChange(repo, 'UPDATE_CRASH', { action: 'update-crash', id, ...fields }, context);
+  await repo.crashes.updateRecord(record.rowNumber, crash, { raw: true });
+
+  return recordToCrash(crash);
+}
+
+/**
+ * Remove a logged crash; its values are kept in the AuditLog record.
+ * Returns the removed crash.
+ */
+export async function deleteCrash(id, context, repo = getRepository()) {
+  const record = await findCrashRecord(repo, id);
+  const crash = recordToCrash(record);
+
+  await logChange(repo, 'DELETE_CRASH', { action: 'delete-crash', id, removed: crash }, context);
+  await repo.crashes.deleteRows([record.rowNumber]);
+
+  return crash;
+}
+
+/**
+ * Runs of days where feet on ground dropped sharply below the baseline.
+ *
+ * `days` is [{ date: YYYY-MM-DD, feetOnGround }] in any order; days without
+ * a value are skipped, and a run carries on over a single missing day.
+ * Returns runs oldest first: [{ start, end, days, baseline, lowest }], with
+ * the baseline as of the run's first day.
+ */
+export function detectPossibleCrashes(days) {
+  const sorted = days
+    .filter(day => typeof day.feetOnGround === 'number')
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const usable = []; // unflagged values, which later baselines are taken from
+  const runs = [];
+  let run = null;
+
+  for (const { date, feetOnGround } of sorted) {
+    const window = usable.slice(-BASELINE_DAYS);
+    const baseline = window.length >= MIN_BASELINE_DAYS ? median(window) : null;
+    const flagged = baseline !== null &&
+      feetOnGround <= baseline * DROP_RATIO &&
+      baseline - feetOnGround >= MIN_DROP_HOURS;
+
+    if (!flagged) {
+      usable.push(feetOnGround);
+      run = null;
+      continue;
+    }
+    if (run && run.end >= addDays(date, -2)) {
+      run.end = date;
+      run.days++;
+      run.lowest = Math.min(run.lowest, feetOnGround);
+    } else {
+      run = { start: date, end: date, days: 1, baseline, lowest: feetOnGround };
+      runs.push(run);
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * What the detector and the look-backs read, by YYYY-MM-DD: { feetOnGround,
+ * brainTime, exercise } from Sheet1 records and { steps } from Health_Daily
+ * records. The last Sheet1 row for a day wins.
+ */
+export function crashHistory(entryRecords, dailyRecords) {
+  const byDate = {};
+  const day = (date) => {
+    if (!byDate[date]) byDate[date] = {};
+    return byDate[date];
+  };
+  for (const record of entryRecords) {
+    const date = isoDate(record.dateFor);
+    if (!date) continue;
+    Object.assign(day(date), {
+      feetOnGround: record.hours,
+      brainTime: record.brainTime,
+      exercise: record.exercise,
+    });
+  }
+  for (const record of dailyRecords) {
+    const date = isoDate(record.date);
+    if (date && record.steps != null) day(date).steps = Math.round(record.steps);
+  }
+  return byDate;
+}
+
+/**
+ * Possible crashes in a crashHistory that no logged crash overlaps (a drop
+ * the user has logged isn't listed twice).
+ */
+export function unloggedPossibleCrashes(historyByDate, crashes) {
+  return detectPossibleCrashes(
+    Object.entries(historyByDate).map(([date, metrics]) => ({ date, feetOnGround: metrics.feetOnGround }))
+  ).filter(run => !crashes.some(crash => overlapsRange({ start: crash.onset, end: crash.end }, run.start, run.end)));
+}
+
+/**
+ * The LOOK_BACK_DAYS days before `date`, nearest first:
+ * [{ date, daysBefore, steps, exercise, brainTime, feetOnGround }].
+ * `metricsByDate` maps YYYY-MM-DD to those values; missing ones are null.
+ */
+export function lookBack(date, metricsByDate, days = LOOK_BACK_DAYS) {
+  return Array.from({ length: days }, (_, i) => {
+    const day = addDays(date, -(i + 1));
+    const metrics = metricsByDate[day] || {};
+    return {
+      date: day,
+      daysBefore: i + 1,
+      steps: metrics.steps ?? null,
+      exercise: metrics.exercise ?? null,
+      brainTime: metrics.brainTime ?? null,
+      feetOnGround: metrics.feetOnGround ?? null,
+    };
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * Custom tracked fields: symptom scales, yes/no questions and numbers the
+ * daily form asks for besides its built-in fields and medications.
+ *
+ * Fields are defined in the CustomFields tab, one row each, and edited there
+ * by hand. Like a medication, a field keeps its values in the Sheet1 column
+ * headed by its label and is keyed by labelToKey(label); the column is added
+ * the first time a value is saved. A Sheet1 column a field claims is no
+ * longer read as a medication (see discoverMedications). To rename a field,
+ * rename its Sheet1 header too, or its history stays under the old name.
+ *
+ * Cells are stored in one canonical form per type, so entries compare and
+ * replay the same however the value was sent:
+ *
+ *   scale  - a whole number from Min to Max (0-10 unless set): "7"
+ *   yesNo  - "Yes" or "No" (blank: not answered)
+ *   number - any number, within Min/Max when set: "2.5"
+ */
+
+import { getRepository, TABLES } from './storage/index.js';
+import { labelToKey } from './entries.js';
+
+export const FIELD_TYPES = ['scale', 'yesNo', 'number'];
+
+const DEFAULT_SCALE = { min: 0, max: 10 };
+
+// Keys an entry already uses; a field named like one of them is ignored
+const RESERVED_KEYS = new Set([
+  ...TABLES.entries.columns.map(column => column.key.toLowerCase()),
+  'date', 'doses', 'normalizeddate', 'health', 'action', 'baserevision', 'localtimezone', 'restoredfrom',
+]);
+
+const isBlank = value => value === null || value === undefined || value === '';
+
+/**
+ * Field definitions from CustomFields records, in display order:
+ * [{ key, label, type, min, max, unit, position, archived }]. Rows without a
+ * label, with an unknown type, or whose key is taken are skipped with a
+ * warning, since the tab is edited by hand.
+ */
+export function parseFieldDefinitions(records) {
+  const fields = [];
+  for (const record of records) {
+    const label = record.label?.trim();
+    if (!label) continue;
+
+    const key = labelToKey(label);
+    const type = FIELD_TYPES.find(t => t.toLowerCase() === String(record.type || '').trim().toLowerCase());
+    if (!type) {
+      console.warn(`Custom field "${label}": type must be one of ${FIELD_TYPES.join(', ')}; skipped`);
+      continue;
+    }
+    if (!key || RESERVED_KEYS.has(key) || fields.some(field => field.key === key)) {
+      console.warn(`Custom field "${label}": the name is already used; skipped`);
+      continue;
+    }
+
+    const scale = type === 'scale' ? DEFAULT_SCALE : {};
+    fields.push({
+      key,
+      label,
+      type,
+      min: record.min ?? scale.min ?? null,
+      max: record.max ?? scale.max ?? null,
+      unit: record.unit || '',
+      position: record.position ?? null,
+      archived: record.archived ?? false,
+    });
+  }
+
+  return fields.sort((a, b) => {
+    if (a.position !== null && b.position !== null) return a.position - b.position;
+    if (a.position !== null) return -1;
+    if (b.position !== null) return 1;
+    return a.label.localeCompare(b.label);
+  });
+}
+
+/**
+ * Field definitions from the CustomFields tab (none when it doesn't exist).
+ */
+export async function readCustomFields(repo = getRepository()) {
+  const { records } = await repo.customFields.getRecords().catch(() => ({ records: [] }));
+  return parseFieldDefinitions(records);
+}
+
+/**
+ * Definitions with the Sheet1 column each one's values are in:
+ * { ...field, columnIndex } (null until a value is saved).
+ */
+export function locateCustomFields(fields, header) {
+  return fields.map(field => {
+    const columnIndex = header.findIndex((cell, i) =>
+      i >= TABLES.entries.columns.length && cell && labelToKey(cell.trim()) === field.key);
+    return { ...field, columnIndex: columnIndex === -1 ? null : columnIndex };
+  });
+}
+
+/**
+ * The custom fields with their Sheet1 columns, for a Sheet1 header.
+ */
+export async function listCustomFields(header, repo = getRepository()) {
+  return locateCustomFields(await readCustomFields(repo), header);
+}
+
+const inRange = (value, field) =>
+  (field.min === null || value >= field.min) && (field.max === null || value <= field.max);
+
+/**
+ * A submitted value as the cell it's stored as: "" when blank, null when it
+ * isn't a valid value for the field. Numbers may come as text ("7"), yes/no
+ * as a boolean or "Yes"/"No".
+ */
+export function fieldCell(value, field) {
+  if (isBlank(value)) return '';
+
+  if (field.type === 'yesNo') {
+    if (value === true || String(value).trim().toLowerCase() === 'yes') return 'Yes';
+    if (value === false || String(value).trim().toLowerCase() === 'no') return 'No';
+    return null;
+  }
+
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(number) || !inRange(number, field)) return null;
+  if (field.type === 'scale' && !Number.isInteger(number)) return null;
+  return String(number);
+}
+
+/**
+ * A stored cell as a value: a number, true/false for yesNo, or null when
+ * blank or unreadable (the sheet is hand-editable).
+ */
+export function readFieldCell(cell, field) {
+  if (isBlank(cell)) return null;
+  if (field.type === 'yesNo') {
+    const answer = String(cell).trim().toLowerCase();
+    return answer === 'yes' ? true : answer === 'no' ? false : null;
+  }
+  const number = parseFloat(cell);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * A Sheet1 row's custom field values: { key: value } for the fields that
+ * have a column.
+ */
+export function readFieldValues(row, fields) {
+  const values = {};
+  for (const field of fields) {
+    if (field.columnIndex !== null) values[field.key] = readFieldCell(row[field.columnIndex], field);
+  }
+  return values;
+}
+
+/**
+ * What a field takes, for error messages: "a whole number from 0 to 10".
+ */
+export function describeFieldValue(field) {
+  if (field.type === 'yesNo') return 'Yes or No';
+  const kind = field.type === 'scale' ? 'a whole number' : 'a number';
+  if (field.min !== null && field.max !== null) return `${kind} from ${field.min} to ${field.max}`;
+  if (field.min !== null) return `${kind} of at least ${field.min}`;
+  if (field.max !== null) return `${kind} of at most ${field.max}`;
+  return kind;
+}
+
+/**
+ * Fields whose value in a submitted entry isn't valid for them.
+ */
+export function invalidFieldValues(body, fields) {
+  return fields.filter(field => fieldCell(body[field.key], field) === null);
+}
+
+/**
+ * The body with each custom field value replaced by its cell text (see
+ * fieldCell); invalid values are left for invalidFieldValues to report.
+ */
+export function withFieldCells(body, fields) {
+  const result = { ...body };
+  for (const field of fields) {
+    if (!(field.key in body)) continue;
+    const cell = fieldCell(body[field.key], field);
+    if (cell !== null) result[field.key] = cell;
+  }
+  return result;
+}
+
+/**
+ * Give each field with a value in `body` but no Sheet1 column yet a column
+ * after the last one. Returns the fields with their columns.
+ */
+export async function ensureFieldColumns(fields, body, header, repo = getRepository()) {
+  const missing = fields.filter(field => field.columnIndex === null && !isBlank(body[field.key]));
+  if (missing.length === 0) return fields;
+
+  await repo.entries.update(1, missing.map(field => field.label), { startColumn: header.length, raw: true });
+  return locateCustomFields(fields, [...header, ...missing.map(field => field.label)]);
+}
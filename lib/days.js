@@ -0,0 +1,35 @@
+/**
+ * Helpers for the day-by-day series the lib modules work with: dates, and
+ * the median their baselines are built on. Days are "YYYY-MM-DD" strings,
+ * stepped in UTC so a daylight saving change never skips or repeats one.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * `date` moved by `n` days (negative goes back).
+ */
+export function addDays(date, n) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * A sheet date ("3/5/2026", "03/05/2026") as "2026-03-05"; one already in
+ * that form is returned as is. Null for anything else.
+ */
+export function isoDate(date) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const parts = String(date || '').split('/');
+  if (parts.length !== 3) return null;
+  return `${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
+}
+
+/**
+ * The middle of `values` (the mean of the middle two for an even count).
+ * Baselines use it so one crash or one bad night barely moves them.
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
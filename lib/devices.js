@@ -0,0 +1,115 @@
+/**
+ * Per-device API tokens (Devices tab).
+ *
+ * Each linked phone or browser gets its own random token, so a lost device
+ * can be revoked on its own instead of rotating SECRET_TOKEN and re-linking
+ * everything. Only a SHA-256 hash of the token is stored; the token itself is
+ * returned once, when it's minted. Revoked rows are kept (with Revoked At set)
+ * so the list doubles as a record of what was linked when.
+ */
+
+import crypto from 'crypto';
+import { getRepository } from './storage/index.js';
+
+// Device tokens carry a prefix so auth can skip the storage lookup for
+// anything else (env tokens, typos).
+export const DEVICE_TOKEN_PREFIX = 'dev_';
+
+// Last Used At is only rewritten when it's older than this. A Sheets write on
+// every request would double API latency for no useful precision.
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function recordToDevice(record) {
+  return {
+    ...record,
+    id: record.id || '',
+    name: record.name || '',
+    tokenHash: record.tokenHash || '',
+  };
+}
+
+/**
+ * Strip the token hash and sheet position before sending a device to a client.
+ */
+export function toPublicDevice(device) {
+  const { tokenHash: _tokenHash, rowNumber: _rowNumber, ...rest } = device;
+  return rest;
+}
+
+/**
+ * All devices, including revoked ones. A missing Devices tab means none yet.
+ */
+export async function listDevices(repo = getRepository()) {
+  const { records } = await repo.devices.getRecords().catch(() => ({ records: [] }));
+  return records.map(recordToDevice).filter(device => device.id);
+}
+
+/**
+ * Mint a token for a new device. Returns { device, token }; the token is not
+ * recoverable afterwards.
+ */
+export async function createDevice({ name, scopes, createdBy }, repo = getRepository()) {
+  await repo.devices.ensure();
+
+  const token = DEVICE_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const device = {
+    id: crypto.randomUUID(),
+    name,
+    scopes,
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy || null,
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  await repo.devices.appendRecords([{ ...device, tokenHash: hashToken(token) }], { raw: true });
+
+  return { device, token };
+}
+
+/**
+ * Mark a device revoked. Returns the updated device, or null if the id is unknown.
+ * Revoking twice keeps the original revocation time.
+ */
+export async function revokeDevice(id, repo = getRepository()) {
+  const device = (await listDevices(repo)).find(d => d.id === id);
+  if (!device) return null;
+  if (device.revokedAt) return device;
+
+  const revokedAt = new Date().toISOString();
+  await repo.devices.updateFields(device.rowNumber, { revokedAt }, { raw: true });
+  return { ...device, revokedAt };
+}
+
+/**
+ * Find the active device a token belongs to, or null. Compares hashes in
+ * constant time and checks every row so timing doesn't depend on position.
+ */
+export async function findDeviceByToken(token, repo = getRepository()) {
+  if (typeof token !== 'string' || !token.startsWith(DEVICE_TOKEN_PREFIX)) return null;
+
+  const presented = Buffer.from(hashToken(token), 'hex');
+  let match = null;
+  for (const device of await listDevices(repo)) {
+    const stored = Buffer.from(device.tokenHash, 'hex');
+    if (stored.length === presented.length && crypto.timingSafeEqual(stored, presented) && !match) {
+      match = device;
+    }
+  }
+  return match && !match.revokedAt ? match : null;
+}
+
+/**
+ * Record that a device was just used (rate-limited, see LAST_USED_RESOLUTION_MS).
+ */
+export async function touchDevice(device, repo = getRepository(), now = new Date()) {
+  const lastUsed = Date.parse(device.lastUsedAt);
+  if (!Number.isNaN(lastUsed) && now.getTime() - lastUsed < LAST_USED_RESOLUTION_MS) return false;
+
+  await repo.devices.updateFields(device.rowNumber, { lastUsedAt: now.toISOString() }, { raw: true });
+  return true;
+}
@@ -0,0 +1,176 @@
+/**
+ * Medication doses: an amount and a unit.
+ *
+ * A Sheet1 medication cell holds one day's dose as text in one canonical
+ * form, so totals and dose-response charts can read it back as numbers:
+ *
+ *   "1 pill", "2 pills", "0.5 g", "10000 IU"  - taken, amount and unit
+ *   "2"                                      - taken, no unit known
+ *   "On"                                     - taken, amount not recorded
+ *   "Off"                                    - not taken (amount 0)
+ *   ""                                       - nothing recorded that day
+ *
+ * Parsed, a dose is { amount, unit }: amount is a number (0 for Off, null
+ * for On) and unit is a canonical unit name ("" when unknown). Older free
+ * text ("1g", "half pill", "10,000 iu") parses to the same thing; text that
+ * doesn't read as a dose at all is kept as it is.
+ */
+
+// How often a medication is meant to be taken (Medications tab, Schedule)
+export const SCHEDULES = ['daily', 'twice-daily', 'weekly', 'as-needed'];
+
+export const MAX_UNIT_LENGTH = 20;
+
+// Spellings of common units -> canonical unit
+const UNIT_ALIASES = {
+  g: 'g', gm: 'g', gram: 'g', grams: 'g',
+  mg: 'mg', milligram: 'mg', milligrams: 'mg',
+  mcg: 'mcg', ug: 'mcg', 'µg': 'mcg', microgram: 'mcg', micrograms: 'mcg',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  iu: 'IU',
+  pill: 'pill', pills: 'pill',
+  cap: 'cap', caps: 'cap', capsule: 'cap', capsules: 'cap',
+  tab: 'tablet', tabs: 'tablet', tablet: 'tablet', tablets: 'tablet',
+  drop: 'drop', drops: 'drop',
+  puff: 'puff', puffs: 'puff',
+  unit: 'unit', units: 'unit',
+};
+
+// Units written in the plural for amounts other than 1 ("2 pills")
+const COUNTED_UNITS = ['pill', 'cap', 'tablet', 'drop', 'puff', 'unit'];
+
+const WORD_AMOUNTS = { quarter: 0.25, half: 0.5, whole: 1 };
+
+// Units that convert into each other: unit -> [dimension, size in the base unit]
+const UNIT_SCALES = {
+  mcg: ['mass', 0.001], mg: ['mass', 1], g: ['mass', 1000],
+  ml: ['volume', 1],
+};
+
+const DOSE_PATTERN = /^(\d+(?:\.\d+)?|\.\d+|\d+\/\d+|quarter|half|whole)\s*(?:a\s+)?([a-zµ]+)?\.?$/i;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+/**
+ * Canonical name for a unit ("Grams" -> "g", "capsules" -> "cap"). Units
+ * not in the alias list are kept, lowercased.
+ */
+export function normalizeUnit(unit) {
+  if (isBlank(unit)) return '';
+  const cleaned = String(unit).trim().replace(/\.$/, '');
+  return UNIT_ALIASES[cleaned.toLowerCase()] || cleaned.toLowerCase();
+}
+
+function parseAmount(text) {
+  const lower = text.toLowerCase();
+  if (lower in WORD_AMOUNTS) return WORD_AMOUNTS[lower];
+  if (text.includes('/')) {
+    const [numerator, denominator] = text.split('/').map(Number);
+    return denominator ? numerator / denominator : NaN;
+  }
+  return Number(text);
+}
+
+/**
+ * Read a dose from a cell or a request value: text as above, a number, or
+ * { amount, unit }. `defaultUnit` (the medication's unit) applies when the
+ * value has none. Returns { amount, unit }, or null when the value is blank
+ * or doesn't read as a dose.
+ */
+export function parseDose(value, defaultUnit = '') {
+  if (isBlank(value)) return null;
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? { amount: value, unit: normalizeUnit(defaultUnit) } : null;
+  }
+
+  if (typeof value === 'object') {
+    const { amount = null, unit } = value;
+    if (amount !== null && !(typeof amount === 'number' && Number.isFinite(amount) && amount >= 0)) return null;
+    if (!isBlank(unit) && (typeof unit !== 'string' || unit.trim().length > MAX_UNIT_LENGTH)) return null;
+    return { amount, unit: normalizeUnit(isBlank(unit) ? defaultUnit : unit) };
+  }
+
+  const text = String(value).trim();
+  const lower = text.toLowerCase();
+  if (lower === 'off' || lower === 'none') return { amount: 0, unit: normalizeUnit(defaultUnit) };
+  if (lower === 'on') return { amount: null, unit: normalizeUnit(defaultUnit) };
+
+  // "10,000 IU" -> "10000 IU"
+  const match = DOSE_PATTERN.exec(text.replace(/(\d),(?=\d{3}\b)/g, '$1'));
+  if (!match) return null;
+  const amount = parseAmount(match[1]);
+  if (!Number.isFinite(amount)) return null;
+  return { amount, unit: normalizeUnit(match[2] || defaultUnit) };
+}
+
+/**
+ * `amount` of `fromUnit` in `toUnit` (500 mg -> 0.5 g). A blank unit is
+ * taken to be the other one. Returns null for units that don't convert
+ * (pills to grams).
+ */
+export function convertAmount(amount, fromUnit, toUnit) {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (!from || !to || from === to) return amount;
+  const [fromDimension, fromScale] = UNIT_SCALES[from] || [];
+  const [toDimension, toScale] = UNIT_SCALES[to] || [];
+  if (!fromDimension || fromDimension !== toDimension) return null;
+  return amount * fromScale / toScale;
+}
+
+/**
+ * The cell text for a parsed dose.
+ */
+export function formatDose({ amount, unit }) {
+  if (amount === 0) return 'Off';
+  if (amount === null || amount === undefined) return 'On';
+  if (!unit) return String(amount);
+  const plural = amount !== 1 && COUNTED_UNITS.includes(unit);
+  return `${amount} ${unit}${plural ? 's' : ''}`;
+}
+
+/**
+ * What to write in a medication cell for a submitted value: its canonical
+ * form, "" when blank, or the text as it was when it isn't a dose.
+ */
+export function doseCell(value, defaultUnit = '') {
+  if (isBlank(value)) return '';
+  const dose = parseDose(value, defaultUnit);
+  if (dose) return formatDose(dose);
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Medications (from listMedications) whose value in a submitted entry
+ * doesn't read as a dose.
+ */
+export function unreadableDoses(body, medications) {
+  return medications.filter(med => !isBlank(body[med.key]) && !parseDose(body[med.key], med.unit));
+}
+
+/**
+ * A submitted entry with its medication values in canonical form, each
+ * medication's unit filling in where a value has none ("2" -> "2 pills").
+ */
+export function withCanonicalDoses(body, medications) {
+  const doses = {};
+  for (const med of medications) {
+    if (!isBlank(body[med.key])) doses[med.key] = doseCell(body[med.key], med.unit);
+  }
+  return { ...body, ...doses };
+}
+
+/**
+ * The doses among entry values keyed by medication ({ vitamind: "1 pill" }),
+ * parsed: { key: { amount, unit } }. Values that don't read as a dose are
+ * left out.
+ */
+export function parseDoses(values, medications) {
+  const doses = {};
+  for (const med of medications) {
+    const dose = parseDose(values[med.key], med.unit);
+    if (dose) doses[med.key] = dose;
+  }
+  return doses;
+}
@@ -0,0 +1,144 @@
+/**
+ * Energy envelope: a personal daily step budget, and how much of it today
+ * has used.
+ *
+ * The budget is the median step count of the last BUDGET_DAYS days that
+ * didn't lead into a crash: days in a logged or possible crash (see
+ * crashes.js), and the LOOK_BACK_DAYS days before one, are left out, so
+ * the budget comes from days the body got away with. Days without steps
+ * (the phone wasn't carried) are left out too.
+ *
+ * Pacing alerts are percentages of the budget (UserSettings Pacing Alerts,
+ * "70,90,100"; 100 is going over). health-webhook pushes one when new steps
+ * cross a threshold, and Pacing Alerted ("2026-03-05:90") keeps it to one
+ * push per threshold per day.
+ */
+
+import { getRepository } from './storage/index.js';
+import { addDays, median } from './days.js';
+import { listCrashes, crashHistory, unloggedPossibleCrashes, LOOK_BACK_DAYS } from './crashes.js';
+
+export const BUDGET_DAYS = 28;
+
+// Fewer usable days than this, and there's no budget yet
+const MIN_BUDGET_DAYS = 7;
+
+export const DEFAULT_PACING_ALERTS = [70, 90, 100];
+
+// Highest threshold a user can set (twice the budget)
+const MAX_PACING_ALERT = 200;
+
+/**
+ * Pacing alert thresholds from the UserSettings cell, lowest first. A blank
+ * cell (never saved) is DEFAULT_PACING_ALERTS; "off" is none.
+ */
+export function parsePacingAlerts(cell) {
+  if (cell === null || cell === undefined || String(cell).trim() === '') return DEFAULT_PACING_ALERTS;
+  if (String(cell).trim() === 'off') return [];
+  return String(cell).split(',')
+    .map(Number)
+    .filter(isValidThreshold)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * The UserSettings cell for a list of thresholds.
+ */
+export function formatPacingAlerts(thresholds) {
+  return thresholds.length ? [...thresholds].sort((a, b) => a - b).join(',') : 'off';
+}
+
+const isValidThreshold = value => Number.isInteger(value) && value >= 1 && value <= MAX_PACING_ALERT;
+
+/**
+ * Whether a request's thresholds can be saved: distinct whole percentages
+ * from 1 to MAX_PACING_ALERT.
+ */
+export function isValidPacingAlerts(thresholds) {
+  return Array.isArray(thresholds) &&
+    thresholds.every(isValidThreshold) &&
+    new Set(thresholds).size === thresholds.length;
+}
+
+/**
+ * The budget as of `today` from a crashHistory ({ date: { steps } }) and
+ * crash spans ([{ start, end }], end null while ongoing):
+ * { budget, basedOnDays, excludedDays }. budget is null with fewer than
+ * MIN_BUDGET_DAYS usable days; today itself never counts.
+ */
+export function computeBudget(historyByDate, crashSpans, today) {
+  const nearCrash = date => crashSpans.some(({ start, end }) =>
+    date >= addDays(start, -LOOK_BACK_DAYS) && (end === null || date <= end)
+  );
+
+  const steps = [];
+  let excludedDays = 0;
+  for (let i = 1; i <= BUDGET_DAYS; i++) {
+    const date = addDays(today, -i);
+    const value = historyByDate[date]?.steps;
+    if (!(value > 0)) continue;
+    if (nearCrash(date)) {
+      excludedDays++;
+    } else {
+      steps.push(value);
+    }
+  }
+
+  return {
+    budget: steps.length >= MIN_BUDGET_DAYS ? Math.round(median(steps)) : null,
+    basedOnDays: steps.length,
+    excludedDays,
+  };
+}
+
+/**
+ * The threshold to push for now: the highest one `percent` has reached,
+ * if it's above the one already pushed today (`alerted`, the Pacing
+ * Alerted cell). Null when there's nothing new.
+ */
+export function dueThreshold(percent, thresholds, alerted, today) {
+  const [alertedDate, alertedLevel] = String(alerted || '').split(':');
+  const already = alertedDate === today ? Number(alertedLevel) || 0 : 0;
+  const reached = thresholds.filter(threshold => percent >= threshold && threshold > already);
+  return reached.length ? reached[reached.length - 1] : null;
+}
+
+/**
+ * Today's budget and use: { today, budget, used, percent, basedOnDays,
+ * excludedDays, pacingAlerts, pacingAlerted }. used is today's Health_Daily
+ * steps (0 before any arrive); percent is null without a budget.
+ */
+export async function loadEnergyBudget(today, repo = getRepository()) {
+  const [entriesTable, dailyTable, crashes, settings] = await Promise.all([
+    repo.entries.getRecords(),
+    repo.healthDaily.getRecords(),
+    listCrashes(repo),
+    repo.settings.read().catch(() => null),
+  ]);
+
+  const historyByDate = crashHistory(entriesTable.records, dailyTable.records);
+  const crashSpans = [
+    ...crashes.map(crash => ({ start: crash.onset, end: crash.end })),
+    ...unloggedPossibleCrashes(historyByDate, crashes),
+  ];
+  const { budget, basedOnDays, excludedDays } = computeBudget(historyByDate, crashSpans, today);
+  const used = historyByDate[today]?.steps ?? 0;
+
+  return {
+    today,
+    budget,
+    used,
+    percent: budget ? Math.round((used / budget) * 100) : null,
+    basedOnDays,
+    excludedDays,
+    pacingAlerts: parsePacingAlerts(settings?.pacingAlerts),
+    pacingAlerted: settings?.pacingAlerted || null,
+  };
+}
+
+/**
+ * Record that the push for `threshold` went out today.
+ */
+export async function markPacingAlerted(today, threshold, repo = getRepository()) {
+  await repo.settings.write({ pacingAlerted: `${today}:${threshold}` });
+}
@@ -0,0 +1,178 @@
+/**
+ * Daily entries (Sheet1): building rows from submissions, comparing values,
+ * and the per-day change history kept in the AuditLog.
+ *
+ * Entry values are keyed like the submit-entry request body (hours,
+ * comments, ..., plus one key per medication and custom field column), so a
+ * conflict, a history version and a form submission all describe a day the
+ * same way.
+ */
+
+import { getRepository, TABLES } from './storage/index.js';
+import { formatRow, parseRow, getDynamicColumns } from './storage/schema.js';
+import { doseCell } from './doses.js';
+
+// Fields the entry form edits, besides medications
+export const ENTRY_FIELDS = ['hours', 'brainTime', 'comments', 'exercise', 'willDoECG'];
+
+// AuditLog actions that change a day's entry
+export const ENTRY_ACTIONS = ['SUBMIT_ENTRY', 'DELETE_ENTRY'];
+
+// Convert medication label to normalized key
+// "Vitamin D" -> "vitamind", "Vitamin B-12" -> "vitaminb12"
+export function labelToKey(label) {
+  return label
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, ''); // Remove non-alphanumeric
+}
+
+// Normalize a US date string so leading zeros don't affect comparison.
+// "02/05/2026", "2/5/2026", "2/05/2026" all become "2/5/2026".
+export function normalizeEntryDate(dateStr) {
+  if (!dateStr) return '';
+  const parts = dateStr.split('/');
+  if (parts.length !== 3) return dateStr;
+  return `${parseInt(parts[0], 10)}/${parseInt(parts[1], 10)}/${parts[2]}`;
+}
+
+/**
+ * Medication columns from Sheet1's header: [{ key, label, columnIndex }].
+ * Columns that belong to a custom field (see customFields.js) are left out.
+ */
+export function discoverMedications(header, customFields = []) {
+  const fieldKeys = new Set(customFields.map(field => field.key));
+  return getDynamicColumns(TABLES.entries, header)
+    .map(({ header: label, index }) => ({
+      key: labelToKey(label),
+      label,
+      columnIndex: index
+    }))
+    .filter(med => !fieldKeys.has(med.key));
+}
+
+/**
+ * The Sheet1 row a submission writes. `fields` supplies the columns that
+ * don't come from the body (timestamp, dateFor, ecgPlanDate, revision).
+ * Doses are written in canonical form (see doses.js), using the medication's
+ * unit when it has one; medications missing from the body are written empty.
+ * Custom field values are written as sent, which is already their cell text
+ * (see withFieldCells), in the columns of `customFields` that have one.
+ */
+export function buildEntryRow(body, medications, fields = {}, customFields = []) {
+  const { hours, comments, oxaloacetate, exercise, brainTime, modafinil, willDoECG } = body;
+  const row = formatRow(TABLES.entries, {
+    hours,
+    comments: comments || '',
+    oxaloacetate: oxaloacetate || '',   // grams
+    exercise: exercise || '',           // minutes
+    brainTime,                          // Productive brain time (hours); 0 is kept
+    modafinil: modafinil || '',         // none/quarter/half/whole
+    willDoECG,
+    ...fields,
+  });
+  for (const med of medications) {
+    row[med.columnIndex] = doseCell(body[med.key], med.unit);
+  }
+  for (const field of customFields) {
+    if (field.columnIndex !== null) row[field.columnIndex] = body[field.key] ?? '';
+  }
+  return row;
+}
+
+/**
+ * Comparable values of a Sheet1 row: ENTRY_FIELDS plus one key per
+ * medication and custom field (as the cell text).
+ */
+export function entryValues(row, medications, customFields = []) {
+  const record = parseRow(TABLES.entries, row);
+  const values = {};
+  for (const key of ENTRY_FIELDS) {
+    values[key] = record[key];
+  }
+  for (const med of medications) {
+    values[med.key] = row[med.columnIndex] || null;
+  }
+  for (const field of customFields) {
+    if (field.columnIndex !== null) values[field.key] = row[field.columnIndex] || null;
+  }
+  return values;
+}
+
+// An empty cell, whichever way it was parsed
+const isBlank = value => value === null || value === undefined || value === '' || value === false;
+
+/**
+ * Keys whose values differ between two sets of entry values (either may be
+ * null for "no entry").
+ */
+export function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key => {
+    const a = before?.[key];
+    const b = after?.[key];
+    return !(isBlank(a) && isBlank(b)) && a !== b;
+  });
+}
+
+/**
+ * Every logged change to one day, oldest first:
+ *
+ *   [{ version, timestamp, action, actor, restoredFrom, values, changes: [{ field, from, to }] }]
+ *
+ * `values` is the whole entry after the change (null once deleted), so any
+ * version can be written back. Changes made before the AuditLog existed, or
+ * by editing the sheet by hand, aren't in it; the first logged version then
+ * shows every field as changed from nothing. `customFields` are the fields
+ * with a Sheet1 column (see listCustomFields).
+ */
+export async function getEntryHistory(dateFor, medications, repo = getRepository(), customFields = []) {
+  if (!(await repo.auditLog.table.exists())) return [];
+
+  const target = normalizeEntryDate(dateFor);
+  const { records } = await repo.auditLog.table.getRecords();
+
+  const versions = [];
+  let previous = null;
+  for (const record of records) {
+    if (!ENTRY_ACTIONS.includes(record.action) || normalizeEntryDate(record.dateFor) !== target) continue;
+
+    const body = record.body || {};
+    const values = record.action === 'DELETE_ENTRY'
+      ? null
+      : entryValues(buildEntryRow(body, medications, {}, customFields), medications, customFields);
+    const changes = changedFields(previous, values).map(field => ({
+      field,
+      from: previous?.[field] ?? null,
+      to: values?.[field] ?? null,
+    }));
+
+    versions.push({
+      version: versions.length + 1,
+      timestamp: record.timestamp,
+      action: record.action,
+      actor: record.actor,
+      restoredFrom: body.restoredFrom ?? null,
+      values,
+      changes,
+    });
+    previous = values;
+  }
+  return versions;
+}
+
+/**
+ * The revision a day's entry had when it was last deleted, from its
+ * DELETE_ENTRY record (0 if it never was, or was deleted before the record
+ * kept it). A day saved again after a deletion carries on from there, so
+ * revisions only go up and a device holding one from before the deletion
+ * can't match the new row.
+ */
+export async function deletedRevision(dateFor, repo = getRepository()) {
+  if (!(await repo.auditLog.table.exists())) return 0;
+
+  const target = normalizeEntryDate(dateFor);
+  const { records } = await repo.auditLog.table.getRecords();
+  const deletion = records.findLast(record =>
+    record.action === 'DELETE_ENTRY' && normalizeEntryDate(record.dateFor) === target);
+  return deletion?.body?.revision ?? 0;
+}
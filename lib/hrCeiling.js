@@ -0,0 +1,181 @@
+/**
+ * Heart-rate ceiling: time spent above a personal HR limit (often set near
+ * the anaerobic threshold), and the alerts for it.
+ *
+ * A breach is a run of heart_rate readings (the per-sample average) all
+ * above the ceiling, with no reading at or below it in between and no gap
+ * longer than MAX_GAP_MINUTES, lasting at least the sustained-duration rule
+ * (UserSettings HR Ceiling Minutes) from its first reading to its last.
+ *
+ * health-webhook checks each batch: breaches go in the HR_Events tab, one
+ * row per run keyed by its first reading (a run still going when the next
+ * batch arrives is updated, not added again), and a new one pushes an alert
+ * unless another went out in the last ALERT_THROTTLE_MINUTES.
+ */
+
+import { getRepository } from './storage/index.js';
+import { TABLES } from './storage/tables.js';
+import { isoDate } from './days.js';
+
+export const DEFAULT_CEILING_MINUTES = 5;
+
+// Pushes at most this often, however many breaches there are
+export const ALERT_THROTTLE_MINUTES = 30;
+
+// Readings further apart than this don't make one run (the watch wasn't
+// measuring in between)
+const MAX_GAP_MINUTES = 5;
+
+// Limits a ceiling and its rule can be set to
+export const CEILING_RANGE = { min: 60, max: 220 };
+export const CEILING_MINUTES_RANGE = { min: 1, max: 60 };
+
+const MINUTE_MS = 60 * 1000;
+
+const HOURLY = TABLES.healthHourly.index;
+
+/**
+ * heart_rate readings in raw Health_Hourly rows, oldest first:
+ * [{ at, time, value, peak }]. `at` is the device-local timestamp Health
+ * Auto Export sent ("2026-03-05 09:00:00 -0500"), `time` the same in ms;
+ * peak is the sample's max. A reading stored twice counts once.
+ */
+export function heartRateReadings(rows) {
+  const byAt = new Map();
+  for (const row of rows) {
+    if (row[HOURLY.metric] !== 'heart_rate') continue;
+    const value = Number(row[HOURLY.value]);
+    if (row[HOURLY.value] === '' || Number.isNaN(value)) continue;
+
+    let at = null;
+    try {
+      at = JSON.parse(row[HOURLY.raw] || '{}').date || null;
+    } catch {
+      // No timestamp to place it by
+    }
+    const time = at ? new Date(at).getTime() : NaN;
+    if (Number.isNaN(time)) continue;
+
+    const max = Number(row[HOURLY.max]);
+    byAt.set(at, { at, time, value, peak: row[HOURLY.max] !== '' && !Number.isNaN(max) ? max : value });
+  }
+  return [...byAt.values()].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Breaches of `ceiling` lasting at least `minutes`, oldest first:
+ * [{ start, end, startTime, endTime, minutes, peakHR, avgHR }] (start and
+ * end are the `at` of the first and last reading).
+ */
+export function findBreaches(readings, ceiling, minutes = DEFAULT_CEILING_MINUTES) {
+  const breaches = [];
+  let run = [];
+
+  const close = () => {
+    if (run.length === 0) return;
+    const first = run[0];
+    const last = run[run.length - 1];
+    const duration = (last.time - first.time) / MINUTE_MS;
+    if (duration >= minutes) {
+      breaches.push({
+        start: first.at,
+        end: last.at,
+        startTime: first.time,
+        endTime: last.time,
+        minutes: Math.round(duration),
+        peakHR: Math.max(...run.map(reading => reading.peak)),
+        avgHR: Math.round(run.reduce((sum, reading) => sum + reading.value, 0) / run.length),
+      });
+    }
+    run = [];
+  };
+
+  for (const reading of readings) {
+    const previous = run[run.length - 1];
+    if (previous && reading.time - previous.time > MAX_GAP_MINUTES * MINUTE_MS) close();
+    if (reading.value > ceiling) {
+      run.push(reading);
+    } else {
+      close();
+    }
+  }
+  close();
+
+  return breaches;
+}
+
+/**
+ * Whether a push now would come too soon after the last one (`lastAlerted`,
+ * an ISO timestamp or blank).
+ */
+export function isThrottled(lastAlerted, now = new Date()) {
+  if (!lastAlerted) return false;
+  const last = new Date(lastAlerted).getTime();
+  return !Number.isNaN(last) && now.getTime() - last < ALERT_THROTTLE_MINUTES * MINUTE_MS;
+}
+
+/**
+ * Save a day's breaches (`date` as Health_Hourly has it, "3/5/2026") to
+ * HR_Events: a breach whose first reading is already there updates that
+ * row, any other is added. Returns the added ones, with their rowNumber.
+ */
+export async function recordBreaches(date, breaches, ceiling, repo = getRepository()) {
+  if (breaches.length === 0) return [];
+  await repo.hrEvents.ensure();
+  const { records } = await repo.hrEvents.getRecords();
+
+  const added = [];
+  let nextRow = records.length + 2;
+  for (const breach of breaches) {
+    const event = {
+      date,
+      start: breach.start,
+      end: breach.end,
+      minutes: breach.minutes,
+      peakHR: breach.peakHR,
+      avgHR: breach.avgHR,
+      ceiling,
+    };
+    const existing = records.find(record => record.start === breach.start);
+    if (existing) {
+      await repo.hrEvents.updateRecord(existing.rowNumber, { ...existing, ...event }, { raw: true });
+    } else {
+      await repo.hrEvents.appendRecords([{ ...event, notifiedAt: '' }], { raw: true });
+      added.push({ ...event, rowNumber: nextRow++ });
+    }
+  }
+  return added;
+}
+
+/**
+ * Record that a push went out for these events (as recordBreaches returned
+ * them), and when, for the throttle.
+ */
+export async function markNotified(events, repo = getRepository(), now = new Date()) {
+  const notifiedAt = now.toISOString();
+  for (const { rowNumber, ...event } of events) {
+    await repo.hrEvents.updateRecord(rowNumber, { ...event, notifiedAt }, { raw: true });
+  }
+  await repo.settings.write({ hrCeilingAlerted: notifiedAt });
+}
+
+/**
+ * A day's breaches (date YYYY-MM-DD), oldest first: [{ start, end, minutes,
+ * peakHR, avgHR, ceiling, notified }]. None when the HR_Events tab doesn't
+ * exist.
+ */
+export async function listHrEvents(date, repo = getRepository()) {
+  const { records } = await repo.hrEvents.getRecords().catch(() => ({ records: [] }));
+  return records
+    .filter(record => record.start && isoDate(record.date) === date)
+    .map(record => ({
+      start: record.start,
+      end: record.end,
+      minutes: record.minutes,
+      peakHR: record.peakHR,
+      avgHR: record.avgHR,
+      ceiling: record.ceiling,
+      notified: Boolean(record.notifiedAt),
+    }))
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
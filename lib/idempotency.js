@@ -0,0 +1,52 @@
+/**
+ * Idempotency keys (IdempotencyKeys tab).
+ *
+ * The client attaches a random key to each entry it saves and keeps the same
+ * key when an offline queue resubmits it. A write that succeeded but whose
+ * response was lost therefore comes back with a key we've already seen, and
+ * the handler answers with the stored result instead of applying (and
+ * audit-logging) the write again.
+ *
+ * Keys are kept indefinitely: one short row per saved entry, and an old
+ * queued entry replayed months later must still not overwrite newer edits.
+ */
+
+import { getRepository } from './storage/index.js';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// UUIDs and similar opaque ids; nothing that could be a formula in a cell
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * The request's idempotency key: a string, null when none was sent, or
+ * false when one was sent but is malformed.
+ */
+export function readIdempotencyKey(req) {
+  const value = req.headers?.[IDEMPOTENCY_HEADER];
+  if (value === undefined || value === '') return null;
+  return typeof value === 'string' && KEY_PATTERN.test(value) ? value : false;
+}
+
+/**
+ * The stored response for a key already processed by `action`, or null.
+ */
+export async function findIdempotentResult(key, action, repo = getRepository()) {
+  if (!(await repo.idempotencyKeys.exists())) return null;
+  const { records } = await repo.idempotencyKeys.getRecords();
+  const record = records.find(r => r.key === key && r.action === action);
+  return record ? record.response : null;
+}
+
+/**
+ * Remember the response for a processed key.
+ */
+export async function rememberIdempotentResult(key, action, response, repo = getRepository(), now = new Date()) {
+  await repo.idempotencyKeys.ensure();
+  await repo.idempotencyKeys.appendRecords([{
+    key,
+    action,
+    createdAt: now.toISOString(),
+    response,
+  }], { raw: true });
+}
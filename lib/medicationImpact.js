@@ -0,0 +1,212 @@
+/**
+ * Medication start/stop impact: did a change help?
+ *
+ * A change is a day a medication turned on, turned off, or changed dose
+ * (read from Sheet1's doses; days with nothing recorded don't count as
+ * either). For each change, the days before it and the days from it on are
+ * compared metric by metric: the difference in means with a 95% confidence
+ * interval (Welch's t) and Cohen's d as the effect size.
+ *
+ * Windows stop at the medication's previous and next change, so each one
+ * reflects a single dose. Watch-derived metrics (resting HR, HRV, sleep)
+ * leave out the no-watch days (see isNoWatchDay); they're still listed so a
+ * chart can grey them out.
+ *
+ * Everything here is pure; get-hourly-data?mode=medication-impact gathers
+ * the days.
+ */
+
+import { addDays } from './days.js';
+
+// Metrics compared around each change. `watch` ones come from the watch.
+export const IMPACT_METRICS = [
+  { key: 'feetOnGround', label: 'Feet on ground', unit: 'hrs', watch: false },
+  { key: 'brainTime', label: 'Brain time', unit: 'hrs', watch: false },
+  { key: 'restingHR', label: 'Resting HR', unit: 'bpm', watch: true },
+  { key: 'hrv', label: 'HRV', unit: 'ms', watch: true },
+  { key: 'sleep', label: 'Sleep', unit: 'min', watch: true },
+];
+
+export const DEFAULT_WINDOW_DAYS = 14;
+
+/**
+ * Fridays and Saturdays, when the watch isn't worn (the same rule as
+ * src/utils/noWatchDays.js). `date` is YYYY-MM-DD.
+ */
+export function isNoWatchDay(date) {
+  const day = new Date(`${date}T12:00:00Z`).getUTCDay();
+  return day === 5 || day === 6;
+}
+
+// Taken (any amount, or On with none recorded) vs not
+const isTaken = dose => dose.amount !== 0;
+
+function changeType(from, to) {
+  if (!isTaken(from) && isTaken(to)) return 'start';
+  if (isTaken(from) && !isTaken(to)) return 'stop';
+  if (from.amount !== to.amount || from.unit !== to.unit) return 'dose';
+  return null;
+}
+
+/**
+ * When each medication turned on, off, or changed dose.
+ *
+ * `days` is [{ date: YYYY-MM-DD, doses: { key: { amount, unit } } }] in any
+ * order; `medications` is [{ key, label }]. Returns changes oldest first:
+ * [{ key, label, date, type: 'start' | 'stop' | 'dose', from, to }].
+ */
+export function detectMedicationChanges(days, medications) {
+  const sorted = [...days].sort((a, b) => a.date.localeCompare(b.date));
+  const changes = [];
+
+  for (const med of medications) {
+    let previous = null;
+    for (const day of sorted) {
+      const dose = day.doses?.[med.key];
+      if (!dose) continue;
+      const type = previous ? changeType(previous, dose) : null;
+      if (type) {
+        changes.push({ key: med.key, label: med.label, date: day.date, type, from: previous, to: dose });
+      }
+      previous = dose;
+    }
+  }
+
+  return changes.sort((a, b) => a.date.localeCompare(b.date) || a.label.localeCompare(b.label));
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function variance(values, m = mean(values)) {
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+// 97.5th percentile of Student's t for 1-5 degrees of freedom; the
+// expansion below is too low there (by a quarter at 1)
+const T_TABLE = [12.706, 4.303, 3.182, 2.776, 2.571];
+
+// Cornish-Fisher expansion around the normal quantile; within 0.1% of the
+// exact value from 6 degrees of freedom
+function tExpansion(df) {
+  const z = 1.959964;
+  return z +
+    (z ** 3 + z) / (4 * df) +
+    (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2) +
+    (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * df ** 3);
+}
+
+/**
+ * 97.5th percentile of Student's t (the multiplier for a 95% interval).
+ * Welch degrees of freedom are fractional; between table entries this
+ * interpolates, which errs a little wide.
+ */
+export function tCritical(df) {
+  const lower = Math.floor(Math.max(df, 1));
+  if (lower > T_TABLE.length) return tExpansion(df);
+
+  const at = n => T_TABLE[n - 1] ?? tExpansion(n);
+  const fraction = Math.max(df, 1) - lower;
+  return at(lower) + (at(lower + 1) - at(lower)) * fraction;
+}
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+function summarize(values) {
+  if (values.length === 0) return { n: 0, mean: null, sd: null };
+  return {
+    n: values.length,
+    mean: round(mean(values)),
+    sd: values.length > 1 ? round(Math.sqrt(variance(values))) : null,
+  };
+}
+
+/**
+ * Compare two samples: { before, after, difference, ci: [low, high],
+ * effectSize }. `before`/`after` are { n, mean, sd }; difference is after
+ * minus before. ci and effectSize (Cohen's d, pooled SD) are null with
+ * fewer than two values on either side.
+ */
+export function compareSamples(before, after) {
+  const result = {
+    before: summarize(before),
+    after: summarize(after),
+    difference: null,
+    ci: null,
+    effectSize: null,
+  };
+  if (before.length === 0 || after.length === 0) return result;
+
+  const difference = mean(after) - mean(before);
+  result.difference = round(difference);
+  if (before.length < 2 || after.length < 2) return result;
+
+  const vb = variance(before);
+  const va = variance(after);
+  const se = Math.sqrt(vb / before.length + va / after.length);
+  if (se > 0) {
+    // Welch-Satterthwaite degrees of freedom
+    const df = (vb / before.length + va / after.length) ** 2 /
+      ((vb / before.length) ** 2 / (before.length - 1) + (va / after.length) ** 2 / (after.length - 1));
+    const margin = tCritical(df) * se;
+    result.ci = [round(difference - margin), round(difference + margin)];
+  } else {
+    result.ci = [round(difference), round(difference)];
+  }
+
+  const pooled = Math.sqrt(((before.length - 1) * vb + (after.length - 1) * va) / (before.length + after.length - 2));
+  result.effectSize = pooled > 0 ? round(difference / pooled) : null;
+  return result;
+}
+
+/**
+ * The before/after comparison for each change.
+ *
+ * `metricsByDate` maps YYYY-MM-DD to { feetOnGround, brainTime, restingHR,
+ * hrv, sleep } (any may be null). Each change gets:
+ *
+ *   before/after: { start, end, days: [{ date, noWatch, values }] }
+ *   metrics: { [metric]: compareSamples(...) }
+ *
+ * `before` is the `windowDays` days up to the change (not past the
+ * medication's previous change), `after` the change day and the days
+ * following it (not reaching its next change).
+ */
+export function analyzeChanges(changes, metricsByDate, { windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  return changes.map((change, i) => {
+    const sameMed = changes.filter(other => other.key === change.key);
+    const position = sameMed.indexOf(change);
+    const previous = sameMed[position - 1];
+    const next = sameMed[position + 1];
+
+    let beforeStart = addDays(change.date, -windowDays);
+    if (previous && previous.date > beforeStart) beforeStart = previous.date;
+    let afterEnd = addDays(change.date, windowDays - 1);
+    if (next && next.date <= afterEnd) afterEnd = addDays(next.date, -1);
+
+    const window = (start, end) => {
+      const days = [];
+      for (let date = start; date <= end; date = addDays(date, 1)) {
+        if (metricsByDate[date]) {
+          days.push({ date, noWatch: isNoWatchDay(date), values: metricsByDate[date] });
+        }
+      }
+      return { start, end, days };
+    };
+    const before = window(beforeStart, addDays(change.date, -1));
+    const after = window(change.date, afterEnd);
+
+    const sample = (win, metric) => win.days
+      .filter(day => !(metric.watch && day.noWatch))
+      .map(day => day.values[metric.key])
+      .filter(value => typeof value === 'number' && Number.isFinite(value));
+
+    const metrics = {};
+    for (const metric of IMPACT_METRICS) {
+      metrics[metric.key] = compareSamples(sample(before, metric), sample(after, metric));
+    }
+
+    return { id: i + 1, ...change, before, after, metrics };
+  });
+}
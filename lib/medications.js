@@ -0,0 +1,439 @@
+/**
+ * Medication lifecycle: add, rename, archive, reorder and merge, each
+ * medication's dose unit, default amount and schedule, the defaults the
+ * daily form starts a day from, and refills (see supply.js).
+ *
+ * A medication is a Sheet1 column whose header is its name (see
+ * discoverMedications), so adding, renaming and merging edit Sheet1 itself;
+ * a rename only rewrites the header cell, leaving every recorded dose in
+ * place. Archiving, display order and dose settings don't change what was
+ * recorded and live in the Medications tab instead: an archived medication
+ * is left off the daily form but keeps its column and history.
+ *
+ * Every change is written to the AuditLog before it's made. The ones that
+ * reshape Sheet1 (ADD/RENAME/MERGE_MEDICATION) are re-applied by an AuditLog
+ * replay (see auditReplay.js).
+ */
+
+import { getRepository, TABLES } from './storage/index.js';
+import { columnIndexToLetter } from './storage/tables.js';
+import { labelToKey, discoverMedications } from './entries.js';
+import { SCHEDULES, MAX_UNIT_LENGTH, normalizeUnit, convertAmount } from './doses.js';
+import { doseHistory, supplyStatus, dayBefore } from './supply.js';
+import { readCustomFields } from './customFields.js';
+
+const MAX_NAME_LENGTH = 50;
+
+// Medications tab fields that belong to the medication (and follow a rename)
+const SETTING_FIELDS = [
+  'archived', 'position', 'unit', 'defaultAmount', 'schedule', 'defaultOn', 'carryForward',
+  'supply', 'supplyUnit', 'supplyDate', 'supplyAlerted',
+];
+
+/**
+ * A request that can't be applied; `status` is the HTTP status to answer with.
+ */
+export class MedicationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MedicationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate a medication name and title-case it for display
+ * ("vitamin d" -> "Vitamin D").
+ */
+export function formatMedicationName(name) {
+  if (!name || typeof name !== 'string') {
+    throw new MedicationError('Medication name is required');
+  }
+
+  const trimmedName = name.trim();
+  if (trimmedName.length === 0) {
+    throw new MedicationError('Medication name cannot be empty');
+  }
+  if (trimmedName.length > MAX_NAME_LENGTH) {
+    throw new MedicationError(`Medication name is too long (max ${MAX_NAME_LENGTH} characters)`);
+  }
+
+  return trimmedName
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+// Refuse a name that is, or reads the same as, another medication's
+// ("Vitamin D" vs "VitaminD"). `exceptKey` is the one being renamed.
+function assertUniqueName(label, medications, exceptKey = null, customFields = []) {
+  const others = medications.filter(med => med.key !== exceptKey);
+
+  const field = customFields.find(f => f.key === labelToKey(label));
+  if (field) {
+    throw new MedicationError(`The custom field '${field.label}' already uses that name`);
+  }
+
+  if (others.some(med => med.label.toLowerCase().trim() === label.toLowerCase())) {
+    throw new MedicationError(`Medication '${label}' already exists`);
+  }
+
+  const similar = others.find(med => med.key === labelToKey(label));
+  if (similar) {
+    throw new MedicationError(`A similar medication '${similar.label}' already exists`);
+  }
+}
+
+function findMedication(medications, key) {
+  const med = medications.find(m => m.key === key);
+  if (!med) {
+    throw new MedicationError(`No medication '${key}'`, 404);
+  }
+  return med;
+}
+
+async function readHeader(repo) {
+  return (await repo.entries.getValues())[0] || [];
+}
+
+// Sheet1's medication columns, leaving out the custom fields' (see customFields.js)
+async function medicationColumns(header, repo) {
+  return discoverMedications(header, await readCustomFields(repo));
+}
+
+// Medications tab rows by key. A missing tab means nothing is archived or ordered yet.
+async function readSettings(repo) {
+  const { records } = await repo.medications.getRecords().catch(() => ({ records: [] }));
+  return new Map(records.filter(record => record.key).map(record => [record.key, record]));
+}
+
+// Write settings for several medications at once: { key: fields } (null deletes the row)
+async function saveSettings(changes, repo) {
+  await repo.medications.ensure();
+  const settings = await readSettings(repo);
+  const updatedAt = new Date().toISOString();
+  const added = [];
+  const removed = [];
+
+  for (const [key, fields] of Object.entries(changes)) {
+    const existing = settings.get(key);
+    if (fields === null) {
+      if (existing) removed.push(existing.rowNumber);
+    } else if (existing) {
+      await repo.medications.updateRecord(existing.rowNumber, { ...existing, ...fields, updatedAt }, { raw: true });
+    } else {
+      added.push({ key, archived: false, position: null, carryForward: true, ...fields, updatedAt });
+    }
+  }
+
+  if (added.length > 0) await repo.medications.appendRecords(added, { raw: true });
+  if (removed.length > 0) await repo.medications.deleteRows(removed);
+}
+
+async function logChange(repo, action, body, { actor, timestamp } = {}) {
+  try {
+    await repo.auditLog.append({
+      timestamp: timestamp || new Date().toISOString(),
+      action,
+      dateFor: '',
+      body,
+      actor
+    });
+  } catch (auditError) {
+    // Same policy as entries: a missing log record doesn't block the change
+    console.error('Audit logging failed:', auditError.message);
+  }
+}
+
+// Positioned medications first (by position), then the rest by name
+function compareMedications(a, b) {
+  if (a.position !== null && b.position !== null) return a.position - b.position;
+  if (a.position !== null) return -1;
+  if (b.position !== null) return 1;
+  return a.label.toLowerCase().localeCompare(b.label.toLowerCase());
+}
+
+/**
+ * Sheet1's medication columns with their settings, in display order:
+ *
+ *   [{ key, label, columnIndex, archived, position, unit, defaultAmount,
+ *      schedule, defaultOn, carryForward, supply, supplyUnit, supplyDate,
+ *      supplyAlerted }]
+ *
+ * unit is "" and defaultAmount and schedule are null until set, and the
+ * supply fields until the first refill. A new medication starts OFF and
+ * carries its last recorded dose forward.
+ */
+export async function listMedications(header, repo = getRepository()) {
+  const settings = await readSettings(repo);
+  return (await medicationColumns(header, repo))
+    .map(med => {
+      const setting = settings.get(med.key);
+      return {
+        ...med,
+        archived: setting?.archived ?? false,
+        position: setting?.position ?? null,
+        unit: setting?.unit ?? '',
+        defaultAmount: setting?.defaultAmount ?? null,
+        schedule: setting?.schedule ?? null,
+        defaultOn: setting?.defaultOn ?? false,
+        carryForward: setting?.carryForward ?? true,
+        supply: setting?.supply ?? null,
+        supplyUnit: setting?.supplyUnit ?? '',
+        supplyDate: setting?.supplyDate || null,
+        supplyAlerted: setting?.supplyAlerted || null,
+      };
+    })
+    .sort(compareMedications);
+}
+
+/**
+ * Add a column for a new medication after the last one.
+ * Returns { key, label, columnLetter, columnIndex }.
+ */
+export async function addMedication(name, context, repo = getRepository()) {
+  const label = formatMedicationName(name);
+  const header = await readHeader(repo);
+  const customFields = await readCustomFields(repo);
+  assertUniqueName(label, discoverMedications(header, customFields), null, customFields);
+
+  const columnIndex = header.length;
+  await logChange(repo, 'ADD_MEDICATION', { action: 'add-medication', name, label }, context);
+  await repo.entries.update(1, [label], { startColumn: columnIndex, raw: true });
+
+  return { key: labelToKey(label), label, columnLetter: columnIndexToLetter(columnIndex), columnIndex };
+}
+
+/**
+ * Rename a medication's column. Its key follows the new name; its settings
+ * move with it. Returns { key, label, previousKey, previousLabel }.
+ */
+export async function renameMedication(key, name, context, repo = getRepository()) {
+  const label = formatMedicationName(name);
+  const customFields = await readCustomFields(repo);
+  const medications = discoverMedications(await readHeader(repo), customFields);
+  const med = findMedication(medications, key);
+  assertUniqueName(label, medications, key, customFields);
+
+  const newKey = labelToKey(label);
+  await logChange(repo, 'RENAME_MEDICATION', { action: 'rename-medication', key, name, label, previousLabel: med.label }, context);
+  await repo.entries.update(1, [label], { startColumn: med.columnIndex, raw: true });
+
+  if (newKey !== key) {
+    const settings = await readSettings(repo);
+    if (settings.has(key)) {
+      const setting = settings.get(key);
+      const fields = Object.fromEntries(SETTING_FIELDS.map(field => [field, setting[field]]));
+      await saveSettings({ [newKey]: fields, [key]: null }, repo);
+    }
+  }
+
+  return { key: newKey, label, previousKey: key, previousLabel: med.label };
+}
+
+/**
+ * Archive a medication (hide it from the daily form) or bring it back.
+ * Returns { key, label, archived }.
+ */
+export async function setMedicationArchived(key, archived, context, repo = getRepository()) {
+  if (typeof archived !== 'boolean') {
+    throw new MedicationError('archived must be true or false');
+  }
+  const med = findMedication(await medicationColumns(await readHeader(repo), repo), key);
+
+  await logChange(repo, 'ARCHIVE_MEDICATION', { action: 'archive-medication', key, archived }, context);
+  await saveSettings({ [key]: { archived } }, repo);
+
+  return { key, label: med.label, archived };
+}
+
+/**
+ * Set how a medication is dosed: `unit` ("g", "pill", ...; see
+ * normalizeUnit), `defaultAmount` (the dose the daily form starts from, or
+ * null) and `schedule` (one of SCHEDULES, or null); and how the daily form
+ * starts a day without a saved dose: from the last recorded one when
+ * `carryForward`, otherwise ON or OFF by `defaultOn` with the default
+ * amount. Fields left undefined keep their value.
+ * Returns { key, label, unit, defaultAmount, schedule, defaultOn, carryForward }.
+ */
+export async function setMedicationDose(key, { unit, defaultAmount, schedule, defaultOn, carryForward } = {}, context, repo = getRepository()) {
+  if (unit !== undefined && unit !== null && (typeof unit !== 'string' || unit.trim().length > MAX_UNIT_LENGTH)) {
+    throw new MedicationError(`unit must be text of at most ${MAX_UNIT_LENGTH} characters`);
+  }
+  if (defaultAmount !== undefined && defaultAmount !== null &&
+    !(typeof defaultAmount === 'number' && Number.isFinite(defaultAmount) && defaultAmount > 0)) {
+    throw new MedicationError('defaultAmount must be a positive number');
+  }
+  if (schedule !== undefined && schedule !== null && !SCHEDULES.includes(schedule)) {
+    throw new MedicationError(`schedule must be one of ${SCHEDULES.join(', ')}`);
+  }
+  if ((defaultOn !== undefined && typeof defaultOn !== 'boolean') ||
+    (carryForward !== undefined && typeof carryForward !== 'boolean')) {
+    throw new MedicationError('defaultOn and carryForward must be true or false');
+  }
+  const med = findMedication(await medicationColumns(await readHeader(repo), repo), key);
+
+  const fields = {};
+  if (unit !== undefined) fields.unit = normalizeUnit(unit);
+  if (defaultAmount !== undefined) fields.defaultAmount = defaultAmount;
+  if (schedule !== undefined) fields.schedule = schedule;
+  if (defaultOn !== undefined) fields.defaultOn = defaultOn;
+  if (carryForward !== undefined) fields.carryForward = carryForward;
+
+  await logChange(repo, 'SET_MEDICATION_DOSE', { action: 'set-medication-dose', key, ...fields }, context);
+  await saveSettings({ [key]: fields }, repo);
+
+  const saved = (await listMedications(await readHeader(repo), repo)).find(m => m.key === key);
+  return {
+    key,
+    label: med.label,
+    unit: saved.unit,
+    defaultAmount: saved.defaultAmount,
+    schedule: saved.schedule,
+    defaultOn: saved.defaultOn,
+    carryForward: saved.carryForward,
+  };
+}
+
+/**
+ * Record a refill of `quantity` `unit` (the medication's unit when left
+ * out) on `date` (YYYY-MM-DD). It's added to what was left before that
+ * day's dose, which becomes the supply doses are counted off from (see
+ * supply.js), and the low-supply alert can go out again. The refill unit
+ * must convert to the supply's (grams to milligrams, not pills to grams).
+ * Returns { key, label, ...supplyStatus as of `date` }.
+ */
+export async function refillMedication(key, { quantity, unit, date } = {}, context, repo = getRepository()) {
+  if (!(typeof quantity === 'number' && Number.isFinite(quantity) && quantity > 0)) {
+    throw new MedicationError('quantity must be a positive number');
+  }
+  if (unit !== undefined && unit !== null && (typeof unit !== 'string' || unit.trim().length > MAX_UNIT_LENGTH)) {
+    throw new MedicationError(`unit must be text of at most ${MAX_UNIT_LENGTH} characters`);
+  }
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    throw new MedicationError('date must be YYYY-MM-DD');
+  }
+
+  const entriesTable = await repo.entries.getRecords();
+  const medications = await listMedications(entriesTable.header, repo);
+  const med = findMedication(medications, key);
+  if (med.supplyDate && date < med.supplyDate) {
+    throw new MedicationError(`The last refill was on ${med.supplyDate}; a refill can't be dated before it`);
+  }
+
+  const history = doseHistory(entriesTable, [med])[key];
+  const before = supplyStatus(med, history, dayBefore(date));
+  const refillUnit = normalizeUnit(unit) || med.unit;
+  // Counted in the dose unit from the first refill on, so doses come off it
+  const supplyUnit = before ? before.unit : (med.unit || refillUnit);
+  const added = convertAmount(quantity, refillUnit, supplyUnit);
+  if (added === null) {
+    throw new MedicationError(`A refill in ${refillUnit} can't be added to a supply counted in ${supplyUnit}`);
+  }
+
+  const fields = {
+    supply: Math.round(((before?.remaining ?? 0) + added) * 100) / 100,
+    supplyUnit,
+    supplyDate: date,
+    supplyAlerted: null,
+  };
+  await logChange(repo, 'REFILL_MEDICATION', { action: 'refill-medication', key, quantity, unit: refillUnit, date }, context);
+  await saveSettings({ [key]: fields }, repo);
+
+  return { key, label: med.label, ...supplyStatus({ ...med, ...fields }, history, date) };
+}
+
+/**
+ * Every medication with a supply, and where it stands at the end of `today`
+ * (YYYY-MM-DD): [{ key, label, archived, supplyAlerted, ...supplyStatus }].
+ */
+export async function listSupplies(today, repo = getRepository()) {
+  const entriesTable = await repo.entries.getRecords();
+  const medications = (await listMedications(entriesTable.header, repo)).filter(med => med.supplyDate);
+  const history = doseHistory(entriesTable, medications);
+  return medications.map(med => ({
+    key: med.key,
+    label: med.label,
+    archived: med.archived,
+    supplyAlerted: med.supplyAlerted,
+    ...supplyStatus(med, history[med.key], today),
+  }));
+}
+
+/**
+ * Note that the low-supply alert went out for these medications, so it
+ * isn't sent again before their next refill.
+ */
+export async function markSupplyAlerted(keys, repo = getRepository()) {
+  const supplyAlerted = new Date().toISOString();
+  await saveSettings(Object.fromEntries(keys.map(key => [key, { supplyAlerted }])), repo);
+}
+
+/**
+ * Set the display order. `keys` lists medications first to last; any left
+ * out follow, by name. Returns the reordered list (see listMedications).
+ */
+export async function reorderMedications(keys, context, repo = getRepository()) {
+  if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) {
+    throw new MedicationError('order must be a list of medication keys');
+  }
+  if (new Set(keys).size !== keys.length) {
+    throw new MedicationError('order lists a medication twice');
+  }
+
+  const header = await readHeader(repo);
+  const medications = await medicationColumns(header, repo);
+  keys.forEach(key => findMedication(medications, key));
+
+  await logChange(repo, 'REORDER_MEDICATIONS', { action: 'reorder-medications', order: keys }, context);
+  const changes = {};
+  for (const med of medications) {
+    const index = keys.indexOf(med.key);
+    changes[med.key] = { position: index >= 0 ? index + 1 : null };
+  }
+  await saveSettings(changes, repo);
+
+  return listMedications(header, repo);
+}
+
+/**
+ * Merge a duplicate medication column into another and delete it. Doses
+ * move to days where `into` is blank; where both columns have different
+ * values, `into` wins and the other value is returned (and logged) in
+ * `dropped`. Returns { from, into, moved, dropped: [{ dateFor, value }] }.
+ */
+export async function mergeMedications(fromKey, intoKey, context, repo = getRepository()) {
+  if (fromKey === intoKey) {
+    throw new MedicationError('Pick two different medications to merge');
+  }
+
+  const [header = [], ...rows] = await repo.entries.getValues();
+  const medications = await medicationColumns(header, repo);
+  const from = findMedication(medications, fromKey);
+  const into = findMedication(medications, intoKey);
+
+  const updates = [];
+  const dropped = [];
+  rows.forEach((row, i) => {
+    const value = row[from.columnIndex];
+    if (!value) return;
+    const current = row[into.columnIndex];
+    if (!current) {
+      updates.push({ rowNumber: i + 2, startColumn: into.columnIndex, values: [value] });
+    } else if (current !== value) {
+      dropped.push({ dateFor: row[TABLES.entries.index.dateFor], value });
+    }
+  });
+
+  await logChange(repo, 'MERGE_MEDICATION', { action: 'merge-medication', from: fromKey, into: intoKey, dropped }, context);
+  await repo.entries.batchUpdate(updates, { raw: true });
+  await repo.entries.deleteColumns(from.columnIndex, 1);
+  await saveSettings({ [fromKey]: null }, repo);
+
+  return {
+    from: { key: from.key, label: from.label },
+    into: { key: into.key, label: into.label },
+    moved: updates.length,
+    dropped,
+  };
+}
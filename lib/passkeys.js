@@ -0,0 +1,281 @@
+/**
+ * WebAuthn passkeys (Passkeys tab).
+ *
+ * A device that already holds a token registers a passkey; afterwards it can
+ * sign in with the platform authenticator (Face ID, fingerprint, PIN) and get
+ * a short-lived session token (lib/sessions.js) instead of keeping the raw
+ * secret in localStorage. User verification is required, which matters on
+ * shared family devices.
+ *
+ * Challenges are carried in signed tokens rather than stored server-side;
+ * see lib/signedToken.js. Each token is accepted once: used challenges are
+ * remembered until they expire, since synced passkeys report a signature
+ * counter of 0 and the counter check can't catch a replayed response. Like
+ * the webhook nonce cache (lib/webhookAuth.js) this lives in function
+ * memory, so the 5-minute expiry still bounds a replay on another instance.
+ */
+
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from '@simplewebauthn/server';
+import { getRepository } from './storage/index.js';
+import { getSigningKey, signToken, verifyToken } from './signedToken.js';
+
+const RP_NAME = 'CFS Tracker';
+
+// Single-user app: every passkey belongs to the same WebAuthn user handle.
+const USER_ID = new TextEncoder().encode('cfs-tracker-owner');
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const MAX_SPENT_CHALLENGES = 10000;
+
+// challenge -> expiry (ms), for challenge tokens already presented
+const spentChallenges = new Map();
+
+/**
+ * Relying party for this request. WEBAUTHN_RP_ID / WEBAUTHN_ORIGIN override
+ * the values derived from the Host header (needed for local dev, where the
+ * Vite app and the API run on different ports). WEBAUTHN_ORIGIN may be a
+ * comma-separated list.
+ */
+export function getRelyingParty(req, env = process.env) {
+  const host = req.headers?.host || 'localhost';
+  const hostname = host.split(':')[0];
+  const proto = req.headers?.['x-forwarded-proto'] || (hostname === 'localhost' ? 'http' : 'https');
+
+  const origins = env.WEBAUTHN_ORIGIN
+    ? env.WEBAUTHN_ORIGIN.split(',').map(o => o.trim()).filter(Boolean)
+    : [`${proto}://${host}`];
+
+  return {
+    rpID: env.WEBAUTHN_RP_ID?.trim() || hostname,
+    origins,
+  };
+}
+
+function recordToPasskey(record) {
+  return {
+    ...record,
+    id: record.id || '',
+    name: record.name || '',
+    publicKey: record.publicKey || '',
+    counter: record.counter || 0,
+  };
+}
+
+/**
+ * Drop the key material and sheet position before sending to a client.
+ */
+export function toPublicPasskey(passkey) {
+  const { publicKey: _publicKey, counter: _counter, rowNumber: _rowNumber, ...rest } = passkey;
+  return rest;
+}
+
+/**
+ * All passkeys, including revoked ones. A missing tab means none registered.
+ */
+export async function listPasskeys(repo = getRepository()) {
+  const { records } = await repo.passkeys.getRecords().catch(() => ({ records: [] }));
+  return records.map(recordToPasskey).filter(passkey => passkey.id);
+}
+
+/**
+ * The active (not revoked) passkey with this credential id, or null.
+ */
+export async function findActivePasskey(id, repo = getRepository()) {
+  const passkey = (await listPasskeys(repo)).find(p => p.id === id);
+  return passkey && !passkey.revokedAt ? passkey : null;
+}
+
+export async function revokePasskey(id, repo = getRepository()) {
+  const passkey = (await listPasskeys(repo)).find(p => p.id === id);
+  if (!passkey) return null;
+  if (passkey.revokedAt) return passkey;
+
+  const revokedAt = new Date().toISOString();
+  await repo.passkeys.updateFields(passkey.rowNumber, { revokedAt }, { raw: true });
+  return { ...passkey, revokedAt };
+}
+
+/**
+ * Verification failures the client should see as a 400/401 rather than a 500.
+ */
+export class PasskeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PasskeyError';
+  }
+}
+
+function signChallenge(challenge, kind) {
+  return signToken({ challenge, kind }, {
+    key: getSigningKey('webauthn-challenge'),
+    purpose: 'webauthn-challenge',
+    ttlSeconds: CHALLENGE_TTL_SECONDS,
+  });
+}
+
+/**
+ * Record a challenge as used; false if it already was and hasn't expired.
+ */
+function spendChallenge(challenge, expiresAt, now) {
+  for (const [used, expiry] of spentChallenges) {
+    if (expiry <= now) spentChallenges.delete(used);
+  }
+
+  if (spentChallenges.has(challenge)) return false;
+
+  if (spentChallenges.size >= MAX_SPENT_CHALLENGES) {
+    // Map iteration is insertion order, so this drops the oldest
+    spentChallenges.delete(spentChallenges.keys().next().value);
+  }
+  spentChallenges.set(challenge, expiresAt);
+  return true;
+}
+
+function readChallenge(challengeToken, kind) {
+  const now = Date.now();
+  const claims = verifyToken(challengeToken, {
+    key: getSigningKey('webauthn-challenge'),
+    purpose: 'webauthn-challenge',
+    now,
+  });
+  if (!claims || claims.kind !== kind) {
+    throw new PasskeyError('Passkey challenge is invalid or has expired. Please try again.');
+  }
+  // Used up even if verification then fails; the client just asks for a new one
+  if (!spendChallenge(claims.challenge, claims.exp * 1000, now)) {
+    throw new PasskeyError('Passkey challenge has already been used. Please try again.');
+  }
+  return claims.challenge;
+}
+
+/**
+ * Options for navigator.credentials.create(), plus the signed challenge the
+ * client must send back with the result.
+ */
+export async function startPasskeyRegistration(req, repo = getRepository()) {
+  const { rpID } = getRelyingParty(req);
+  const existing = (await listPasskeys(repo)).filter(p => !p.revokedAt);
+
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID,
+    userID: USER_ID,
+    userName: 'CFS Tracker',
+    attestationType: 'none',
+    excludeCredentials: existing.map(p => ({ id: p.id, transports: p.transports })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'required',
+    },
+  });
+
+  return { options, challengeToken: signChallenge(options.challenge, 'register') };
+}
+
+/**
+ * Verify a registration response and store the credential. The passkey gets
+ * the registering token's scopes, so it can never grant more than that token.
+ */
+export async function finishPasskeyRegistration(req, { response, challengeToken, name, principal }, repo = getRepository()) {
+  const { rpID, origins } = getRelyingParty(req);
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: readChallenge(challengeToken, 'register'),
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+    });
+  } catch (error) {
+    if (error instanceof PasskeyError) throw error;
+    throw new PasskeyError(`Passkey registration failed: ${error.message}`);
+  }
+
+  if (!verification.verified) {
+    throw new PasskeyError('Passkey registration could not be verified');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  const passkey = {
+    id: credential.id,
+    name,
+    transports: credential.transports || [],
+    scopes: principal.scopes,
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    createdAt: new Date().toISOString(),
+    createdBy: principal.name,
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  await repo.passkeys.ensure();
+  await repo.passkeys.appendRecords([{
+    ...passkey,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+  }], { raw: true });
+
+  return passkey;
+}
+
+/**
+ * Options for navigator.credentials.get(). No allowCredentials: the
+ * authenticator offers whichever discoverable passkey it holds for this site.
+ */
+export async function startPasskeyLogin(req) {
+  const { rpID } = getRelyingParty(req);
+  const options = await generateAuthenticationOptions({
+    rpID,
+    userVerification: 'required',
+  });
+  return { options, challengeToken: signChallenge(options.challenge, 'login') };
+}
+
+/**
+ * Verify an authentication response. Returns the passkey it was made with
+ * (counter and last-used time updated).
+ */
+export async function finishPasskeyLogin(req, { response, challengeToken }, repo = getRepository()) {
+  const { rpID, origins } = getRelyingParty(req);
+  const expectedChallenge = readChallenge(challengeToken, 'login');
+
+  const passkey = await findActivePasskey(response?.id, repo);
+  if (!passkey) {
+    throw new PasskeyError('This passkey is not registered or has been revoked');
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: passkey.id,
+        publicKey: new Uint8Array(Buffer.from(passkey.publicKey, 'base64url')),
+        counter: passkey.counter,
+        transports: passkey.transports,
+      },
+    });
+  } catch (error) {
+    throw new PasskeyError(`Passkey sign-in failed: ${error.message}`);
+  }
+
+  if (!verification.verified) {
+    throw new PasskeyError('Passkey sign-in could not be verified');
+  }
+
+  const lastUsedAt = new Date().toISOString();
+  const counter = verification.authenticationInfo.newCounter;
+  await repo.passkeys.updateFields(passkey.rowNumber, { counter, lastUsedAt }, { raw: true });
+
+  return { ...passkey, counter, lastUsedAt };
+}
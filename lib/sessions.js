@@ -0,0 +1,43 @@
+/**
+ * Short-lived session tokens issued after a passkey sign-in.
+ *
+ * A session is a signed token (lib/signedToken.js) carrying the passkey id
+ * and its scopes. It's sent as a normal bearer token; lib/auth.js verifies
+ * the signature and checks the passkey hasn't been revoked since.
+ */
+
+import { getSigningKey, signToken, verifyToken } from './signedToken.js';
+
+export const SESSION_TOKEN_PREFIX = 'sess_';
+
+export const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * Issue a session for a passkey. Returns { token, expiresAt, scopes }.
+ */
+export function createSession(passkey, now = Date.now()) {
+  const signed = signToken({ pk: passkey.id, name: passkey.name, scopes: passkey.scopes }, {
+    key: getSigningKey('session'),
+    purpose: 'session',
+    ttlSeconds: SESSION_TTL_SECONDS,
+    now,
+  });
+
+  return {
+    token: SESSION_TOKEN_PREFIX + signed,
+    expiresAt: new Date(now + SESSION_TTL_SECONDS * 1000).toISOString(),
+    scopes: passkey.scopes,
+  };
+}
+
+/**
+ * The session claims ({ pk, name, scopes, exp }) of a valid token, else null.
+ */
+export function verifySession(token, now = Date.now()) {
+  if (typeof token !== 'string' || !token.startsWith(SESSION_TOKEN_PREFIX)) return null;
+  return verifyToken(token.slice(SESSION_TOKEN_PREFIX.length), {
+    key: getSigningKey('session'),
+    purpose: 'session',
+    now,
+  });
+}
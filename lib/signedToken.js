@@ -0,0 +1,64 @@
+/**
+ * Compact HMAC-signed tokens: base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+ *
+ * Serverless handlers share no memory, so short-lived credentials (passkey
+ * sessions, WebAuthn challenges) carry their own expiry and purpose and are
+ * checked by signature instead of being looked up in a store.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Derive the HMAC key for one kind of token. SESSION_SECRET is preferred;
+ * without it the key is derived from SECRET_TOKEN, so rotating that token
+ * also invalidates everything signed with it. Each label gets its own key,
+ * so a token minted for one purpose can never verify as another.
+ */
+export function getSigningKey(label, env = process.env) {
+  const base = env.SESSION_SECRET?.trim() || env.SECRET_TOKEN?.trim();
+  if (!base) {
+    throw new Error('SESSION_SECRET (or SECRET_TOKEN) must be set to sign tokens');
+  }
+  return crypto.createHmac('sha256', base).update(`cfs-tracker:${label}`).digest();
+}
+
+function sign(body, key) {
+  return crypto.createHmac('sha256', key).update(body).digest('base64url');
+}
+
+/**
+ * Sign a payload. The token expires ttlSeconds from now and is only valid
+ * for the given purpose.
+ */
+export function signToken(payload, { key, purpose, ttlSeconds, now = Date.now() }) {
+  const claims = { ...payload, purpose, exp: Math.floor(now / 1000) + ttlSeconds };
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${body}.${sign(body, key)}`;
+}
+
+/**
+ * Return the payload of a valid, unexpired token for this purpose, else null.
+ */
+export function verifyToken(token, { key, purpose, now = Date.now() }) {
+  if (typeof token !== 'string') return null;
+
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(body, key));
+  const presented = Buffer.from(signature);
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (claims.purpose !== purpose) return null;
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) return null;
+  return claims;
+}
@@ -8,6 +8,11 @@
  * This mirrors the client-side algorithm in statsDataService.js.
  */
 
+import { TABLES } from './storage/tables.js';
+
+// Column positions in Health_Hourly rows
+const HOURLY = TABLES.healthHourly.index;
+
 /**
  * Cluster overlapping sleep sessions.
  * Uses strict overlap (< not <=) so back-to-back sessions stay separate.
@@ -257,14 +262,14 @@ export function computeValidatedSleepByDate(hourlyRows, isInRangeFn, parseDateFn
   const seenStageKeys = new Set(); // For deduplicating sleep_stage entries
 
   for (const row of hourlyRows) {
-    const dateStr = row[1];
-    const metric = row[3];
-    const rawDataStr = row[8] || '';
+    const dateStr = row[HOURLY.date];
+    const metric = row[HOURLY.metric];
+    const rawDataStr = row[HOURLY.raw] || '';
 
     // Handle sleep_stage separately - filter by STAGE DATES (Multi-Bucket)
     // Attribute sleep to ALL dates it overlaps with (e.g., if 23:00-07:00, add to both days)
     // The clipping logic below will handle calculating the correct duration for each day.
-    // console.log(`Processing row: ${metric} ${dateStr} ${row[8]?.substring(0, 20)}`);
+    // console.log(`Processing row: ${metric} ${dateStr} ${row[HOURLY.raw]?.substring(0, 20)}`);
     if (metric === 'sleep_stage') {
       const stage = parseSleepStage(rawDataStr);
       // console.log(`Parsed stage:`, stage);
@@ -321,7 +326,7 @@ export function computeValidatedSleepByDate(hourlyRows, isInRangeFn, parseDateFn
           const ts = new Date(raw.date).getTime();
           if (!isNaN(ts)) {
             if (!hrByDate[isoDate]) hrByDate[isoDate] = [];
-            hrByDate[isoDate].push({ ts, bpm: raw.Avg ?? raw.avg ?? parseFloat(row[4]) });
+            hrByDate[isoDate].push({ ts, bpm: raw.Avg ?? raw.avg ?? parseFloat(row[HOURLY.value]) });
           }
         }
       } catch { /* skip */ }
@@ -332,7 +337,7 @@ export function computeValidatedSleepByDate(hourlyRows, isInRangeFn, parseDateFn
           const ts = new Date(raw.date).getTime();
           if (!isNaN(ts)) {
             if (!stepsByDate[isoDate]) stepsByDate[isoDate] = [];
-            stepsByDate[isoDate].push({ ts, qty: raw.qty ?? parseFloat(row[4]) ?? 0 });
+            stepsByDate[isoDate].push({ ts, qty: raw.qty ?? parseFloat(row[HOURLY.value]) ?? 0 });
           }
         }
       } catch { /* skip */ }
@@ -458,9 +463,9 @@ export function computeHRAwakeAsleepByDate(hourlyRows, isInRangeFn, parseDateFn)
   const seenStageKeys = new Set();
 
   for (const row of hourlyRows) {
-    const dateStr = row[1];
-    const metric = row[3];
-    const rawDataStr = row[8] || '';
+    const dateStr = row[HOURLY.date];
+    const metric = row[HOURLY.metric];
+    const rawDataStr = row[HOURLY.raw] || '';
 
     if (metric === 'sleep_stage') {
       const stage = parseSleepStage(rawDataStr);
@@ -505,7 +510,7 @@ export function computeHRAwakeAsleepByDate(hourlyRows, isInRangeFn, parseDateFn)
         const raw = rawDataStr ? JSON.parse(rawDataStr) : {};
         if (raw.date) {
           const ts = new Date(raw.date).getTime();
-          const bpm = raw.Avg ?? raw.avg ?? parseFloat(row[4]);
+          const bpm = raw.Avg ?? raw.avg ?? parseFloat(row[HOURLY.value]);
           if (!isNaN(ts) && !isNaN(bpm)) {
             if (!hrReadingsByDate[isoDate]) hrReadingsByDate[isoDate] = [];
             hrReadingsByDate[isoDate].push({ ts, bpm });
@@ -0,0 +1,167 @@
+/**
+ * Storage / data-access layer
+ *
+ * Handlers call getRepository() instead of building their own Google Sheets
+ * client and hard-coding ranges. The backend is chosen by STORAGE_BACKEND:
+ *
+ *   sheets (default) - Google Sheets (GOOGLE_SERVICE_ACCOUNT_KEY + GOOGLE_SHEET_ID)
+ *   local            - JSON files in LOCAL_DATA_DIR (default: ./data)
+ *
+ * Both backends expose the same row-oriented table API (see bindTable), so
+ * handlers work unchanged whichever one is active. Tests swap in their own
+ * store with setStore().
+ */
+
+import { createSheetsStore } from './sheetsStore.js';
+import { createLocalStore } from './localStore.js';
+import { TABLES } from './tables.js';
+import { parseRow, formatRow, fieldUpdates } from './schema.js';
+
+export { createSheetsStore, createLocalStore, TABLES };
+
+let activeStore = null;
+
+/**
+ * Create a store for the configured backend.
+ */
+export function createStore(backend = process.env.STORAGE_BACKEND) {
+  const name = (backend || 'sheets').trim().toLowerCase();
+  if (name === 'local') return createLocalStore();
+  if (name === 'sheets') return createSheetsStore();
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+/**
+ * Get the shared store, creating it on first use.
+ */
+export function getStore() {
+  if (!activeStore) {
+    activeStore = createStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the shared store (tests, scripts). Pass null to reset.
+ */
+export function setStore(store) {
+  activeStore = store;
+}
+
+/**
+ * Wrap a backend table name in a small API. Row numbers are 1-based and
+ * include the header row, matching spreadsheet row numbers. `defaultHeaders`
+ * is what ensure() writes when it has to create the table.
+ *
+ * Tables from the schema registry (pass the TABLES entry as `schema`) also
+ * get record methods that read and write objects keyed by column key.
+ */
+export function bindTable(store, name, defaultHeaders = [], schema = null) {
+  const requireSchema = () => {
+    if (!schema) throw new Error(`Table ${name} has no schema`);
+    return schema;
+  };
+
+  return {
+    name,
+    schema,
+    getValues: () => store.getValues(name),
+    append: (rows, options) => store.append(name, rows, options),
+    update: (rowNumber, values, options) => store.writeRows(name, rowNumber, [values], options),
+    writeRows: (rowNumber, rows, options) => store.writeRows(name, rowNumber, rows, options),
+    batchUpdate: (updates, options) => store.batchUpdate(name, updates, options),
+    clear: () => store.clear(name),
+    deleteRows: (rowNumbers) => store.deleteRows(name, rowNumbers),
+    insertColumns: (startColumn, count) => store.insertColumns(name, startColumn, count),
+    deleteColumns: (startColumn, count) => store.deleteColumns(name, startColumn, count),
+    sortByFirstColumnDesc: (endColumnIndex) => store.sortByFirstColumnDesc(name, endColumnIndex),
+
+    /**
+     * Every data row as a parsed record with its `rowNumber`, plus the header
+     * row (for tables with dynamic columns) and the raw rows.
+     */
+    async getRecords() {
+      const table = requireSchema();
+      const [header = [], ...rows] = await store.getValues(name);
+      const records = rows.map((row, i) => ({ ...parseRow(table, row), rowNumber: i + 2 }));
+      return { header, rows, records };
+    },
+
+    appendRecords: (records, options) => store.append(name, records.map(r => formatRow(requireSchema(), r)), options),
+    updateRecord: (rowNumber, record, options) => store.writeRows(name, rowNumber, [formatRow(requireSchema(), record)], options),
+
+    /** Write only the given fields of one row, leaving the other cells alone. */
+    updateFields: (rowNumber, fields, options) => store.batchUpdate(name, fieldUpdates(requireSchema(), rowNumber, fields), options),
+
+    async exists() {
+      return (await store.listTables()).includes(name);
+    },
+
+    /**
+     * Create the table with a header row if it doesn't exist yet.
+     * Returns true when the table was created.
+     */
+    async ensure(headers = defaultHeaders) {
+      if ((await store.listTables()).includes(name)) return false;
+      await store.createTables([name]);
+      if (headers.length > 0) {
+        await store.writeRows(name, 1, [headers], { raw: true });
+      }
+      return true;
+    },
+  };
+}
+
+/**
+ * Named access to every table the app uses, plus a few domain helpers for
+ * tables with a fixed layout (settings row, audit log).
+ */
+export function getRepository(store = getStore()) {
+  const table = (name, headers) => bindTable(store, name, headers);
+  const known = (key) => bindTable(store, TABLES[key].name, TABLES[key].headers, TABLES[key]);
+  const settingsTable = known('settings');
+  const auditTable = known('auditLog');
+
+  return {
+    store,
+    table,
+    entries: known('entries'),
+    medications: known('medications'),
+    customFields: known('customFields'),
+    crashes: known('crashes'),
+    hrEvents: known('hrEvents'),
+    healthHourly: known('healthHourly'),
+    healthDaily: known('healthDaily'),
+    ecgReadings: known('ecgReadings'),
+    ecgWaveforms: known('ecgWaveforms'),
+    subscriptions: known('subscriptions'),
+    devices: known('devices'),
+    passkeys: known('passkeys'),
+    idempotencyKeys: known('idempotencyKeys'),
+    meta: known('meta'),
+
+    settings: {
+      table: settingsTable,
+      ensure: () => settingsTable.ensure(),
+
+      /** User settings live in row 2. Returns null when unset; throws if the tab is missing. */
+      async read() {
+        const values = await settingsTable.getValues();
+        return values[1]?.length ? parseRow(TABLES.settings, values[1]) : null;
+      },
+
+      /** Write the given settings fields, leaving the others alone. */
+      write: (fields) => settingsTable.updateFields(2, fields, { raw: true }),
+    },
+
+    auditLog: {
+      table: auditTable,
+
+      /** Append one write-ahead log record, creating the AuditLog tab on first use. */
+      async append({ timestamp, action, dateFor, body, actor }) {
+        await auditTable.ensure();
+        await auditTable.appendRecords([{ timestamp, action, dateFor, body, actor }], { raw: true });
+      },
+    },
+  };
+}
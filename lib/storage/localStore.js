@@ -0,0 +1,184 @@
+/**
+ * Local file storage backend.
+ *
+ * Each table is a JSON file (an array of rows, header first) in LOCAL_DATA_DIR.
+ * Cells are stored as strings and trailing empty cells/rows are trimmed, so
+ * handlers see the same shapes the Sheets API returns.
+ *
+ * Meant for self-hosting and tests on a single machine: writes are atomic per
+ * file (write + rename) but there is no locking across processes.
+ *
+ * A new data directory starts at the latest schema version; after upgrading
+ * the app, run `npm run migrate` as with Sheets.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TABLES } from './tables.js';
+import { SCHEMA_VERSION_KEY, LATEST_SCHEMA_VERSION } from './migrate.js';
+
+const SEEDED_TABLES = ['entries', 'healthHourly', 'healthDaily', 'ecgReadings', 'ecgWaveforms'];
+
+function toCell(value) {
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
+
+function trimRow(row) {
+  const out = row.map(toCell);
+  while (out.length > 0 && out[out.length - 1] === '') out.pop();
+  return out;
+}
+
+function trimRows(rows) {
+  const out = rows.map(trimRow);
+  while (out.length > 0 && out[out.length - 1].length === 0) out.pop();
+  return out;
+}
+
+// Compare two column-A values for a descending sort: dates first, then plain strings
+function compareDesc(a = '', b = '') {
+  const da = new Date(a).getTime();
+  const db = new Date(b).getTime();
+  if (!isNaN(da) && !isNaN(db)) return db - da;
+  return b.localeCompare(a);
+}
+
+export function createLocalStore({ dir } = {}) {
+  const dataDir = dir || process.env.LOCAL_DATA_DIR || path.resolve(process.cwd(), 'data');
+
+  // First use of a new (or empty) data directory: create the core tables
+  // with their current headers, and record the latest schema version so the
+  // handlers run without a migration. Optional tabs (UserSettings,
+  // Subscriptions, AuditLog) are created on demand by the handlers, same as
+  // on Sheets.
+  if (!fs.existsSync(dataDir) || fs.readdirSync(dataDir).length === 0) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    for (const key of SEEDED_TABLES) {
+      writeTable(TABLES[key].name, [TABLES[key].headers]);
+    }
+    writeTable(TABLES.meta.name, [
+      TABLES.meta.headers,
+      [SCHEMA_VERSION_KEY, String(LATEST_SCHEMA_VERSION), new Date().toISOString()],
+    ]);
+  }
+
+  function filePath(name) {
+    return path.join(dataDir, `${encodeURIComponent(name)}.json`);
+  }
+
+  function exists(name) {
+    return fs.existsSync(filePath(name));
+  }
+
+  function readTable(name) {
+    if (!exists(name)) {
+      throw new Error(`Table not found: ${name}`);
+    }
+    return JSON.parse(fs.readFileSync(filePath(name), 'utf8'));
+  }
+
+  function writeTable(name, rows) {
+    const target = filePath(name);
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(trimRows(rows)));
+    fs.renameSync(tmp, target);
+  }
+
+  function placeRow(rows, rowNumber, values, startColumn) {
+    while (rows.length < rowNumber) rows.push([]);
+    const row = rows[rowNumber - 1];
+    while (row.length < startColumn) row.push('');
+    values.forEach((v, i) => {
+      row[startColumn + i] = toCell(v);
+    });
+  }
+
+  return {
+    backend: 'local',
+
+    async listTables() {
+      return fs.readdirSync(dataDir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -5)));
+    },
+
+    async createTables(names) {
+      for (const name of names) {
+        if (exists(name)) {
+          throw new Error(`Table already exists: ${name}`);
+        }
+        writeTable(name, []);
+      }
+    },
+
+    async deleteTables(names) {
+      for (const name of names) {
+        if (exists(name)) fs.unlinkSync(filePath(name));
+      }
+    },
+
+    async getValues(name) {
+      return readTable(name);
+    },
+
+    async append(name, rows) {
+      const existing = readTable(name);
+      const firstRow = existing.length + 1;
+      writeTable(name, [...existing, ...rows]);
+      return { firstRow };
+    },
+
+    async writeRows(name, rowNumber, rows, { startColumn = 0 } = {}) {
+      const existing = readTable(name);
+      rows.forEach((values, i) => placeRow(existing, rowNumber + i, values, startColumn));
+      writeTable(name, existing);
+    },
+
+    async batchUpdate(name, updates) {
+      const existing = readTable(name);
+      for (const u of updates) {
+        placeRow(existing, u.rowNumber, u.values, u.startColumn || 0);
+      }
+      writeTable(name, existing);
+    },
+
+    async clear(name) {
+      readTable(name);
+      writeTable(name, []);
+    },
+
+    async deleteRows(name, rowNumbers) {
+      const existing = readTable(name);
+      const sorted = [...new Set(rowNumbers)].sort((a, b) => b - a);
+      for (const rowNumber of sorted) {
+        existing.splice(rowNumber - 1, 1);
+      }
+      writeTable(name, existing);
+    },
+
+    async insertColumns(name, startColumn, count = 1) {
+      const existing = readTable(name);
+      for (const row of existing) {
+        if (row.length > startColumn) row.splice(startColumn, 0, ...Array(count).fill(''));
+      }
+      writeTable(name, existing);
+    },
+
+    async deleteColumns(name, startColumn, count = 1) {
+      const existing = readTable(name);
+      for (const row of existing) {
+        row.splice(startColumn, count);
+      }
+      writeTable(name, existing);
+    },
+
+    async sortByFirstColumnDesc(name) {
+      if (!exists(name)) return;
+      const [header, ...rows] = readTable(name);
+      if (!header) return;
+      rows.sort((a, b) => compareDesc(a[0], b[0]));
+      writeTable(name, [header, ...rows]);
+    },
+  };
+}
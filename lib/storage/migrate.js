@@ -0,0 +1,131 @@
+/**
+ * Migration runner and the schema-version check handlers run before
+ * touching data.
+ *
+ * The applied version lives in the Meta tab (key "schemaVersion"). A sheet
+ * without one is version 0, so a fresh deployment or a restored backup that
+ * predates migrations runs every migration once and lands in the current
+ * shape.
+ *
+ * Run with `npm run migrate` (add `-- --dry-run` for the diff only) or
+ * GET /api/backup-data?mode=migrate with dryRun=true or confirm=true (admin).
+ */
+
+import { getRepository } from './index.js';
+import { MIGRATIONS } from './migrations.js';
+import { createWorkspace } from './migrationSteps.js';
+
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+/**
+ * Versions must run 1, 2, 3, ... with no gaps, or "behind" is ambiguous.
+ */
+function checkOrder(migrations) {
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(`Migration #${i + 1} has version ${migration.version}; versions must be consecutive from 1`);
+    }
+  });
+}
+
+checkOrder(MIGRATIONS);
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS.length;
+
+// Stores already confirmed current. The version only moves forward, so a
+// warm instance checks the Meta tab once instead of on every request.
+const currentStores = new WeakSet();
+
+/**
+ * The schema version recorded in the sheet (0 when never migrated).
+ */
+export async function getSchemaVersion(repo = getRepository()) {
+  if (!(await repo.meta.exists())) return 0;
+  const { records } = await repo.meta.getRecords();
+  const record = records.find(r => r.key === SCHEMA_VERSION_KEY);
+  return parseInt(record?.value, 10) || 0;
+}
+
+async function setSchemaVersion(repo, version, now) {
+  await repo.meta.ensure();
+  const { records } = await repo.meta.getRecords();
+  const record = records.find(r => r.key === SCHEMA_VERSION_KEY);
+  const fields = { key: SCHEMA_VERSION_KEY, value: String(version), updatedAt: now.toISOString() };
+  if (record) {
+    await repo.meta.updateRecord(record.rowNumber, fields, { raw: true });
+  } else {
+    await repo.meta.appendRecords([fields], { raw: true });
+  }
+}
+
+/**
+ * Run every migration newer than the sheet's version, in order, recording
+ * the version after each one so a failure part-way resumes where it stopped.
+ *
+ * With dryRun nothing is written; the result lists what would change.
+ * Returns { dryRun, fromVersion, toVersion, migrations: [{ version, description, changes }] }.
+ */
+export async function runMigrations({ repo = getRepository(), dryRun = false, migrations = MIGRATIONS, now = new Date() } = {}) {
+  checkOrder(migrations);
+
+  const fromVersion = await getSchemaVersion(repo);
+  const pending = migrations.filter(m => m.version > fromVersion);
+  const workspace = createWorkspace(repo.store, { dryRun });
+  const results = [];
+
+  for (const migration of pending) {
+    const start = workspace.changes.length;
+    for (const step of migration.steps) {
+      await step(workspace);
+    }
+    if (!dryRun) {
+      await setSchemaVersion(repo, migration.version, now);
+    }
+    results.push({
+      version: migration.version,
+      description: migration.description,
+      changes: workspace.changes.slice(start),
+    });
+  }
+
+  if (!dryRun && pending.length > 0 && pending[pending.length - 1].version >= LATEST_SCHEMA_VERSION) {
+    currentStores.add(repo.store);
+  }
+
+  return {
+    dryRun,
+    fromVersion,
+    toVersion: pending.length > 0 ? pending[pending.length - 1].version : fromVersion,
+    migrations: results,
+  };
+}
+
+/**
+ * Handler guard: answers 503 and returns false when the sheet's schema is
+ * older than this code expects. Call after auth, before reading or writing data.
+ */
+export async function requireCurrentSchema(res, repo = getRepository()) {
+  if (currentStores.has(repo.store)) return true;
+
+  let schemaVersion;
+  try {
+    schemaVersion = await getSchemaVersion(repo);
+  } catch (error) {
+    console.error('Failed to read schema version:', error);
+    res.status(500).json({ error: 'Failed to read schema version' });
+    return false;
+  }
+
+  if (schemaVersion >= LATEST_SCHEMA_VERSION) {
+    currentStores.add(repo.store);
+    return true;
+  }
+
+  console.warn(`Schema version ${schemaVersion} is behind ${LATEST_SCHEMA_VERSION}; run migrations`);
+  res.status(503).json({
+    error: 'Spreadsheet schema is out of date. Run migrations before using the app.',
+    schemaVersion,
+    requiredVersion: LATEST_SCHEMA_VERSION,
+  });
+  return false;
+}
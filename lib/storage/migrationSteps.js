@@ -0,0 +1,225 @@
+/**
+ * Building blocks for spreadsheet migrations (see migrations.js).
+ *
+ * A migration is a list of steps. Each step looks at the current state of
+ * the sheet and only writes what is missing, so re-running a migration that
+ * half-finished (or running it against a sheet someone already fixed by hand)
+ * is safe.
+ *
+ * Steps read and write through a workspace rather than the store directly.
+ * The workspace keeps a copy of every table it has read, applies each write
+ * to that copy and records it as a change. In a dry run nothing reaches the
+ * store, but later steps still see earlier steps' effects, so the recorded
+ * changes are exactly what a real run would do.
+ */
+
+import { TYPES, columnIndex, parseRow } from './schema.js';
+import { columnIndexToLetter } from './tables.js';
+
+/**
+ * The sheet is in a state a migration can't reconcile on its own (a header
+ * in the wrong place, a table that should exist but doesn't). Needs a manual fix.
+ */
+export class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+const cellRef = (column, rowNumber) => `${columnIndexToLetter(column)}${rowNumber}`;
+
+// Headers were typed by hand before migrations existed, so stray spaces and
+// capitalisation don't count as a mismatch.
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase();
+const sameHeader = (a, b) => normalizeHeader(a) === normalizeHeader(b);
+
+/**
+ * Create a workspace over a store. `changes` lists every write in order as
+ * { table, type: 'createTable' | 'insertColumn' | 'setCell', cell?, from?, to }.
+ */
+export function createWorkspace(store, { dryRun = false } = {}) {
+  const cache = new Map();
+  const changes = [];
+  let tableNames = null;
+
+  async function listTables() {
+    if (!tableNames) tableNames = new Set(await store.listTables());
+    return tableNames;
+  }
+
+  /** Rows of a table (header first), or null if it doesn't exist. */
+  async function rows(name) {
+    if (!cache.has(name)) {
+      cache.set(name, (await listTables()).has(name) ? await store.getValues(name) : null);
+    }
+    return cache.get(name);
+  }
+
+  return {
+    dryRun,
+    changes,
+    rows,
+
+    /** Data rows of a registry table as parsed records with their rowNumber. */
+    async records(table) {
+      const values = (await rows(table.name)) || [];
+      return values.slice(1).map((row, i) => ({ ...parseRow(table, row), rowNumber: i + 2 }));
+    },
+
+    async createTable(name, headers) {
+      if (!dryRun) {
+        await store.createTables([name]);
+        await store.writeRows(name, 1, [headers], { raw: true });
+      }
+      (await listTables()).add(name);
+      cache.set(name, [[...headers]]);
+      changes.push({ table: name, type: 'createTable', to: headers });
+    },
+
+    /** Insert an empty column before `column` and give it a header. */
+    async insertColumn(name, column, header) {
+      if (!dryRun) {
+        await store.insertColumns(name, column, 1);
+        await store.writeRows(name, 1, [[header]], { startColumn: column, raw: true });
+      }
+      const values = await rows(name);
+      for (const row of values) {
+        if (row.length > column) row.splice(column, 0, '');
+      }
+      values[0][column] = header;
+      changes.push({ table: name, type: 'insertColumn', cell: cellRef(column, 1), to: header });
+    },
+
+    /**
+     * Write cells ({ rowNumber, column, value }) in one batch. Cells that
+     * already hold the value are skipped.
+     */
+    async setCells(name, cells, { raw = true } = {}) {
+      const values = await rows(name);
+      const pending = cells.filter(({ rowNumber, column, value }) =>
+        String(values[rowNumber - 1]?.[column] ?? '') !== String(value ?? ''));
+      if (pending.length === 0) return;
+
+      if (!dryRun) {
+        await store.batchUpdate(name, pending.map(({ rowNumber, column, value }) => ({
+          rowNumber,
+          startColumn: column,
+          values: [value],
+        })), { raw });
+      }
+
+      for (const { rowNumber, column, value } of pending) {
+        while (values.length < rowNumber) values.push([]);
+        const row = values[rowNumber - 1];
+        const from = row[column] ?? '';
+        while (row.length < column) row.push('');
+        row[column] = value === null || value === undefined ? '' : String(value);
+        changes.push({ table: name, type: 'setCell', cell: cellRef(column, rowNumber), from, to: row[column] });
+      }
+    },
+  };
+}
+
+/**
+ * Create the table with its registry headers, or fill in an empty header row.
+ * Columns missing from an existing header are addColumn's job.
+ */
+export function ensureTable(table) {
+  return async (ws) => {
+    const values = await ws.rows(table.name);
+    if (!values) {
+      await ws.createTable(table.name, table.headers);
+    } else if (!values[0] || values[0].length === 0) {
+      await ws.setCells(table.name, table.headers.map((header, column) => ({ rowNumber: 1, column, value: header })));
+    }
+  };
+}
+
+/**
+ * Give a registry column its header at its registry position. On tables with
+ * dynamic columns (Sheet1's medications) a new column is inserted before the
+ * dynamic ones instead of overwriting them. The columns before it must already
+ * match the registry, ignoring case and surrounding spaces.
+ */
+export function addColumn(table, key) {
+  return async (ws) => {
+    const values = await ws.rows(table.name);
+    if (!values) throw new MigrationError(`${table.name} does not exist`);
+
+    const header = values[0] || [];
+    const index = columnIndex(table, key);
+    const wanted = table.columns[index].header;
+    if (sameHeader(header[index], wanted)) return;
+
+    const elsewhere = header.findIndex(existing => sameHeader(existing, wanted));
+    if (elsewhere !== -1) {
+      throw new MigrationError(
+        `${table.name}: "${wanted}" is in column ${columnIndexToLetter(elsewhere)}, expected ${columnIndexToLetter(index)}`
+      );
+    }
+
+    for (let i = 0; i < index; i++) {
+      if (!sameHeader(header[i], table.headers[i])) {
+        throw new MigrationError(
+          `${table.name}: column ${columnIndexToLetter(i)} is "${header[i] ?? ''}", expected "${table.headers[i]}" before "${wanted}" can be added`
+        );
+      }
+    }
+
+    if (table.dynamicColumns && header.length > index) {
+      await ws.insertColumn(table.name, index, wanted);
+    } else if (!header[index]) {
+      await ws.setCells(table.name, [{ rowNumber: 1, column: index, value: wanted }]);
+    } else {
+      throw new MigrationError(
+        `${table.name}: column ${columnIndexToLetter(index)} is "${header[index]}", expected "${wanted}"`
+      );
+    }
+  };
+}
+
+/**
+ * Change a column's header from `previousHeader` to its registry header.
+ */
+export function renameHeader(table, key, previousHeader) {
+  return async (ws) => {
+    const values = await ws.rows(table.name);
+    if (!values) throw new MigrationError(`${table.name} does not exist`);
+
+    const index = columnIndex(table, key);
+    const wanted = table.columns[index].header;
+    const current = values[0]?.[index];
+    if (sameHeader(current, wanted)) return;
+    if (!sameHeader(current, previousHeader)) {
+      throw new MigrationError(
+        `${table.name}: column ${columnIndexToLetter(index)} is "${current ?? ''}", expected "${previousHeader}" or "${wanted}"`
+      );
+    }
+    await ws.setCells(table.name, [{ rowNumber: 1, column: index, value: wanted }]);
+  };
+}
+
+/**
+ * Fill in derived values. `compute(record, ws)` returns the fields to set
+ * for a row (or null to leave it alone); only cells whose value changes are
+ * written. Rows are visited in sheet order.
+ */
+export function backfill(table, compute) {
+  return async (ws) => {
+    const cells = [];
+    for (const record of await ws.records(table)) {
+      const fields = await compute(record, ws);
+      if (!fields) continue;
+      for (const [key, value] of Object.entries(fields)) {
+        const column = columnIndex(table, key);
+        cells.push({
+          rowNumber: record.rowNumber,
+          column,
+          value: TYPES[table.columns[column].type].format(value),
+        });
+      }
+    }
+    await ws.setCells(table.name, cells);
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * Spreadsheet schema migrations, oldest first.
+ *
+ * The applied version is stored in the Meta tab; migrate.js runs whatever is
+ * newer and handlers refuse to serve requests until it has. Versions are
+ * consecutive integers. Never edit a migration that has shipped: add a new
+ * one, and add its columns to tables.js in the same change.
+ *
+ * Steps come from migrationSteps.js and are safe to re-run, so a sheet that
+ * already has some of a migration's columns (an install that predates this
+ * file, a restored backup) ends up in the same shape as a fresh one.
+ */
+
+import { TABLES } from './tables.js';
+import { formatRow, columnIndex } from './schema.js';
+import { ensureTable, addColumn, backfill } from './migrationSteps.js';
+import { computeHRAwakeAsleepByDate } from '../sleepValidation.js';
+import { discoverMedications } from '../entries.js';
+import { parseDose, formatDose } from '../doses.js';
+
+// Health_Daily stores "M/D/YYYY"; sleepValidation keys its results by "YYYY-MM-DD"
+function toIsoDate(dateStr) {
+  if (!dateStr) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(dateStr)) return dateStr.slice(0, 10);
+  const parts = dateStr.split('/');
+  if (parts.length !== 3) return null;
+  return `${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
+}
+
+// Rewrite Sheet1's medication cells as canonical doses ("1g" -> "1 g"), and
+// give each medication without a unit the one most of its doses use, with
+// its latest dose in that unit as the default amount. Cells that don't read
+// as a dose are left as they are.
+async function structureDoses(ws) {
+  const [header = [], ...rows] = (await ws.rows(TABLES.entries.name)) || [];
+  const cells = [];
+  const seeds = [];
+
+  for (const med of discoverMedications(header)) {
+    const units = new Map(); // unit -> { count, latest }
+    let unreadable = 0;
+    rows.forEach((row, i) => {
+      const value = row[med.columnIndex];
+      if (!value) return;
+      const dose = parseDose(value);
+      if (!dose) {
+        unreadable++;
+        return;
+      }
+      cells.push({ rowNumber: i + 2, column: med.columnIndex, value: formatDose(dose) });
+      if (dose.unit && dose.amount) {
+        // Sheet1 is sorted newest first, so the first dose seen is the latest
+        const seen = units.get(dose.unit) || { count: 0, latest: dose.amount };
+        units.set(dose.unit, { ...seen, count: seen.count + 1 });
+      }
+    });
+
+    if (unreadable > 0) {
+      console.warn(`${med.label}: ${unreadable} dose(s) don't read as an amount and unit; left as text`);
+    }
+    const [unit, { latest } = {}] = [...units].sort((a, b) => b[1].count - a[1].count)[0] || [];
+    if (unit) seeds.push({ key: med.key, unit, defaultAmount: latest });
+  }
+  await ws.setCells(TABLES.entries.name, cells);
+
+  const settings = new Map((await ws.records(TABLES.medications)).map(record => [record.key, record]));
+  const settingCells = [];
+  let nextRow = (await ws.rows(TABLES.medications.name)).length + 1;
+  for (const seed of seeds) {
+    const record = settings.get(seed.key);
+    if (record?.unit) continue;
+    const row = formatRow(TABLES.medications, { ...record, ...seed, defaultAmount: record?.defaultAmount ?? seed.defaultAmount });
+    const rowNumber = record ? record.rowNumber : nextRow++;
+    row.forEach((value, column) => settingCells.push({ rowNumber, column, value }));
+  }
+  await ws.setCells(TABLES.medications.name, settingCells);
+}
+
+// The original medications the daily form started ON, from the MED_DEFAULTS
+// map DailyEntry.jsx had before defaults were stored in the Medications tab
+const ORIGINALLY_ON = ['amitriptyline', 'melatonin', 'metoprolol', 'modafinilnew', 'senna', 'venlafaxine', 'vitamind'];
+
+// Fill in Default On and Carry Forward where they're blank, so every
+// medication starts the way the form used to start it: ON for the ones in
+// ORIGINALLY_ON, carried forward from the last recorded dose for all of them.
+async function seedMedicationDefaults(ws) {
+  const header = ((await ws.rows(TABLES.entries.name)) || [])[0] || [];
+  const rows = await ws.rows(TABLES.medications.name);
+  const records = await ws.records(TABLES.medications);
+  const cells = [];
+
+  for (const key of ['defaultOn', 'carryForward']) {
+    const column = columnIndex(TABLES.medications, key);
+    for (const record of records) {
+      if (rows[record.rowNumber - 1][column]) continue;
+      const value = key === 'carryForward' || ORIGINALLY_ON.includes(record.key);
+      cells.push({ rowNumber: record.rowNumber, column, value: String(value) });
+    }
+  }
+
+  // Medications without a row already default to OFF and carried forward
+  let nextRow = rows.length + 1;
+  for (const med of discoverMedications(header)) {
+    if (!ORIGINALLY_ON.includes(med.key) || records.some(record => record.key === med.key)) continue;
+    const rowNumber = nextRow++;
+    formatRow(TABLES.medications, { key: med.key, defaultOn: true, carryForward: true })
+      .forEach((value, column) => cells.push({ rowNumber, column, value }));
+  }
+  await ws.setCells(TABLES.medications.name, cells);
+}
+
+// The symptom scales a new CustomFields tab starts with
+const STARTER_FIELDS = ['Fatigue', 'Pain', 'Brain Fog', 'Orthostatic Intolerance'];
+
+// Fill an empty CustomFields tab with STARTER_FIELDS, as 0-10 scales. Their
+// Sheet1 columns are added when a value is first saved.
+async function seedCustomFields(ws) {
+  if ((await ws.rows(TABLES.customFields.name)).length > 1) return;
+  const cells = [];
+  STARTER_FIELDS.forEach((label, i) => {
+    formatRow(TABLES.customFields, { label, type: 'scale', min: 0, max: 10, position: i + 1, archived: false })
+      .forEach((value, column) => cells.push({ rowNumber: i + 2, column, value }));
+  });
+  await ws.setCells(TABLES.customFields.name, cells);
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the core tabs with their header rows',
+    steps: [
+      ensureTable(TABLES.entries),
+      ensureTable(TABLES.healthHourly),
+      ensureTable(TABLES.healthDaily),
+      ensureTable(TABLES.ecgReadings),
+      ensureTable(TABLES.ecgWaveforms),
+    ],
+  },
+  {
+    // Replaces scripts/backfill_hr_awake_asleep.js, using the cross-midnight
+    // sleep attribution the app now computes these values with
+    version: 2,
+    description: 'Health_Daily sample counts, awake minutes and HR awake/asleep',
+    steps: [
+      addColumn(TABLES.healthDaily, 'hrCount'),
+      addColumn(TABLES.healthDaily, 'hrvCount'),
+      addColumn(TABLES.healthDaily, 'awakeMinutes'),
+      addColumn(TABLES.healthDaily, 'avgHR_awake'),
+      addColumn(TABLES.healthDaily, 'avgHR_asleep'),
+      async (ws) => {
+        const hourlyRows = ((await ws.rows(TABLES.healthHourly.name)) || []).slice(1);
+        const byDate = computeHRAwakeAsleepByDate(hourlyRows, () => true, toIsoDate);
+
+        await backfill(TABLES.healthDaily, (record) => {
+          if (record.avgHR_awake !== null || record.avgHR_asleep !== null) return null;
+          const computed = byDate[toIsoDate(record.date)];
+          if (!computed || (computed.avgHR_awake === null && computed.avgHR_asleep === null)) return null;
+          return computed;
+        })(ws);
+      },
+    ],
+  },
+  {
+    version: 3,
+    description: 'ECG_Readings waveform link, sample info and HR difference',
+    steps: [
+      addColumn(TABLES.ecgReadings, 'ecgId'),
+      addColumn(TABLES.ecgReadings, 'samples'),
+      addColumn(TABLES.ecgReadings, 'samplingFrequency'),
+      addColumn(TABLES.ecgReadings, 'hrDiff'),
+      backfill(TABLES.ecgReadings, (record) => {
+        if (record.hrDiff !== null || record.avgHR === null || record.calculatedHR === null) return null;
+        return { hrDiff: Math.abs(record.calculatedHR - record.avgHR) };
+      }),
+    ],
+  },
+  {
+    // Existing rows keep an empty revision, which submit-entry reads as 0
+    version: 4,
+    description: 'Sheet1 revision column for edit conflict detection',
+    steps: [
+      addColumn(TABLES.entries, 'revision'),
+    ],
+  },
+  {
+    // AuditLog used to be created on first write, so it may not exist yet
+    version: 5,
+    description: 'AuditLog actor column for per-field entry history',
+    steps: [
+      ensureTable(TABLES.auditLog),
+      addColumn(TABLES.auditLog, 'actor'),
+    ],
+  },
+  {
+    // Medications used to be created on first write, so it may not exist yet
+    version: 6,
+    description: 'Structured medication doses: Medications unit, default amount and schedule',
+    steps: [
+      ensureTable(TABLES.medications),
+      addColumn(TABLES.medications, 'unit'),
+      addColumn(TABLES.medications, 'defaultAmount'),
+      addColumn(TABLES.medications, 'schedule'),
+      structureDoses,
+    ],
+  },
+  {
+    version: 7,
+    description: 'Medications Default On and Carry Forward, replacing the defaults built into the daily form',
+    steps: [
+      addColumn(TABLES.medications, 'defaultOn'),
+      addColumn(TABLES.medications, 'carryForward'),
+      seedMedicationDefaults,
+    ],
+  },
+  {
+    // UserSettings used to be created on first save, so it may not exist yet
+    version: 8,
+    description: 'Medication supply (refills) and the low-supply alert threshold',
+    steps: [
+      addColumn(TABLES.medications, 'supply'),
+      addColumn(TABLES.medications, 'supplyUnit'),
+      addColumn(TABLES.medications, 'supplyDate'),
+      addColumn(TABLES.medications, 'supplyAlerted'),
+      ensureTable(TABLES.settings),
+      addColumn(TABLES.settings, 'lowSupplyDays'),
+    ],
+  },
+  {
+    version: 9,
+    description: 'CustomFields tab defining the daily form\'s custom tracked fields',
+    steps: [
+      ensureTable(TABLES.customFields),
+      seedCustomFields,
+    ],
+  },
+  {
+    version: 10,
+    description: 'Crashes tab for logged post-exertional malaise crashes',
+    steps: [
+      ensureTable(TABLES.crashes),
+    ],
+  },
+  {
+    version: 11,
+    description: 'Energy budget pacing alert thresholds',
+    steps: [
+      ensureTable(TABLES.settings),
+      addColumn(TABLES.settings, 'pacingAlerts'),
+      addColumn(TABLES.settings, 'pacingAlerted'),
+    ],
+  },
+  {
+    version: 12,
+    description: 'Heart-rate ceiling settings and the HR_Events tab of breaches',
+    steps: [
+      addColumn(TABLES.settings, 'hrCeiling'),
+      addColumn(TABLES.settings, 'hrCeilingMinutes'),
+      addColumn(TABLES.settings, 'hrCeilingAlerted'),
+      ensureTable(TABLES.hrEvents),
+    ],
+  },
+  {
+    version: 13,
+    description: 'Baseline anomaly threshold and morning summary settings',
+    steps: [
+      addColumn(TABLES.settings, 'anomalyThreshold'),
+      addColumn(TABLES.settings, 'morningSummaryTime'),
+      addColumn(TABLES.settings, 'morningSummarySent'),
+    ],
+  },
+];
@@ -0,0 +1,163 @@
+/**
+ * Column schema helpers.
+ *
+ * Every table in tables.js lists its columns as { key, header, type }. These
+ * helpers turn spreadsheet rows into objects keyed by column key and back, so
+ * handlers say `record.avgHR_awake` instead of `row[15]` and a new column only
+ * has to be added to the table definition.
+ *
+ * Types describe how a cell is stored:
+ *
+ *   string   - text; empty cell reads as null
+ *   number   - parseFloat; empty or unparseable reads as null
+ *   integer  - parseInt; empty or unparseable reads as null
+ *   boolean  - "true" / "false"
+ *   yesNo    - "Yes" / "" (Sheet1's Will Do ECG)
+ *   list     - comma-separated values, read as an array
+ *   json     - JSON text; unparseable reads as null
+ *
+ * Reading is forgiving (a bad cell becomes null, never an exception) because
+ * the sheet is hand-editable. Writing leaves strings and numbers as they are so
+ * Sheets' own USER_ENTERED parsing still applies.
+ */
+
+const isEmpty = cell => cell === undefined || cell === null || cell === '';
+
+export const TYPES = {
+  string: {
+    parse: cell => (isEmpty(cell) ? null : String(cell)),
+    format: value => value ?? '',
+  },
+  number: {
+    parse: cell => {
+      if (isEmpty(cell)) return null;
+      const value = parseFloat(cell);
+      return Number.isNaN(value) ? null : value;
+    },
+    format: value => value ?? '',
+  },
+  integer: {
+    parse: cell => {
+      if (isEmpty(cell)) return null;
+      const value = parseInt(cell, 10);
+      return Number.isNaN(value) ? null : value;
+    },
+    format: value => value ?? '',
+  },
+  boolean: {
+    parse: cell => String(cell).toLowerCase() === 'true',
+    format: value => (value === undefined || value === null || value === '' ? '' : String(!!value)),
+  },
+  yesNo: {
+    parse: cell => cell === 'Yes',
+    format: value => (value ? 'Yes' : ''),
+  },
+  list: {
+    parse: cell => (isEmpty(cell) ? [] : String(cell).split(',').map(s => s.trim()).filter(Boolean)),
+    format: value => (Array.isArray(value) ? value.join(',') : value ?? ''),
+  },
+  json: {
+    parse: cell => {
+      if (isEmpty(cell)) return null;
+      try {
+        return JSON.parse(cell);
+      } catch {
+        return null;
+      }
+    },
+    format: value => (value === undefined || value === null ? '' : typeof value === 'string' ? value : JSON.stringify(value)),
+  },
+};
+
+/**
+ * Build a table definition. Columns are [key, header, type?] tuples (type
+ * defaults to string). `dynamicColumns: true` marks tables whose header row
+ * continues with user-defined columns after the fixed ones (Sheet1's
+ * medications).
+ */
+export function defineTable(name, columns, { dynamicColumns = false } = {}) {
+  const defs = columns.map(([key, header, type = 'string']) => {
+    if (!TYPES[type]) throw new Error(`Unknown column type "${type}" for ${name}.${key}`);
+    return { key, header, type };
+  });
+
+  const index = {};
+  defs.forEach((column, i) => {
+    if (Object.hasOwn(index, column.key)) {
+      throw new Error(`Duplicate column key "${column.key}" in ${name}`);
+    }
+    index[column.key] = i;
+  });
+
+  return {
+    name,
+    columns: defs,
+    headers: defs.map(c => c.header),
+    index,
+    dynamicColumns,
+  };
+}
+
+/**
+ * 0-based position of a column. Throws for unknown keys so a typo fails
+ * loudly instead of reading the wrong cell.
+ */
+export function columnIndex(table, key) {
+  if (!Object.hasOwn(table.index, key)) {
+    throw new Error(`Unknown column "${key}" in ${table.name}`);
+  }
+  return table.index[key];
+}
+
+/**
+ * Parse a row into { key: value } for the table's fixed columns.
+ */
+export function parseRow(table, row = []) {
+  const record = {};
+  table.columns.forEach((column, i) => {
+    record[column.key] = TYPES[column.type].parse(row[i]);
+  });
+  return record;
+}
+
+/**
+ * Format a record as a row covering every fixed column. Missing keys become
+ * empty cells, so writing a full row never leaves stale values behind.
+ */
+export function formatRow(table, record = {}) {
+  return table.columns.map(column => TYPES[column.type].format(record[column.key]));
+}
+
+/**
+ * A row of empty cells as wide as the fixed columns.
+ */
+export function emptyRow(table) {
+  return table.columns.map(() => '');
+}
+
+/**
+ * Turn a partial record into cell writes for batchUpdate, one per column.
+ */
+export function fieldUpdates(table, rowNumber, fields) {
+  return Object.entries(fields).map(([key, value]) => {
+    const column = table.columns[columnIndex(table, key)];
+    return {
+      rowNumber,
+      startColumn: table.index[key],
+      values: [TYPES[column.type].format(value)],
+    };
+  });
+}
+
+/**
+ * Header cells past the fixed columns ({ header, index }), for tables with
+ * dynamicColumns. Blank headers are skipped.
+ */
+export function getDynamicColumns(table, headerRow = []) {
+  const columns = [];
+  for (let i = table.columns.length; i < headerRow.length; i++) {
+    const header = headerRow[i]?.trim();
+    if (header) columns.push({ header, index: i });
+  }
+  return columns;
+}
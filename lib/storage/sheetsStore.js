@@ -0,0 +1,239 @@
+/**
+ * Google Sheets storage backend.
+ *
+ * Every table is a tab in the spreadsheet named by GOOGLE_SHEET_ID. Values
+ * come back exactly as the Sheets API returns them (formatted strings, header
+ * row included, trailing empty cells trimmed).
+ *
+ * A pre-built `sheets` client can be injected (tests use an in-memory fake);
+ * otherwise one is created lazily from GOOGLE_SERVICE_ACCOUNT_KEY.
+ */
+
+import { google } from 'googleapis';
+import { columnIndexToLetter } from './tables.js';
+
+export function createSheetsStore({ sheets, spreadsheetId } = {}) {
+  let client = sheets || null;
+
+  function api() {
+    if (!client) {
+      const auth = new google.auth.GoogleAuth({
+        credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
+        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+      });
+      client = google.sheets({ version: 'v4', auth });
+    }
+    return client.spreadsheets;
+  }
+
+  function id() {
+    return spreadsheetId || process.env.GOOGLE_SHEET_ID.trim();
+  }
+
+  async function getSheetProperties() {
+    const spreadsheet = await api().get({
+      spreadsheetId: id(),
+      fields: 'sheets(properties(sheetId,title))'
+    });
+    return (spreadsheet.data.sheets || []).map(s => s.properties);
+  }
+
+  async function getSheetId(name) {
+    const props = (await getSheetProperties()).find(p => p.title === name);
+    if (!props) {
+      throw new Error(`Sheet not found: ${name}`);
+    }
+    return props.sheetId;
+  }
+
+  // Build an A1 range covering `rows` starting at (rowNumber, startColumn)
+  function blockRange(name, rowNumber, rows, startColumn = 0) {
+    const width = Math.max(1, ...rows.map(r => r.length));
+    const first = columnIndexToLetter(startColumn);
+    const last = columnIndexToLetter(startColumn + width - 1);
+    return `${name}!${first}${rowNumber}:${last}${rowNumber + rows.length - 1}`;
+  }
+
+  return {
+    backend: 'sheets',
+
+    async listTables() {
+      return (await getSheetProperties()).map(p => p.title);
+    },
+
+    async createTables(names) {
+      if (names.length === 0) return;
+      await api().batchUpdate({
+        spreadsheetId: id(),
+        requestBody: {
+          requests: names.map(title => ({ addSheet: { properties: { title } } })),
+        },
+      });
+    },
+
+    async deleteTables(names) {
+      if (names.length === 0) return;
+      const props = await getSheetProperties();
+      const requests = props
+        .filter(p => names.includes(p.title))
+        .map(p => ({ deleteSheet: { sheetId: p.sheetId } }));
+      if (requests.length === 0) return;
+      await api().batchUpdate({
+        spreadsheetId: id(),
+        requestBody: { requests },
+      });
+    },
+
+    async getValues(name) {
+      const response = await api().values.get({
+        spreadsheetId: id(),
+        range: name,
+      });
+      return response.data.values || [];
+    },
+
+    async append(name, rows, { raw = false, insertRows = false } = {}) {
+      const width = Math.max(1, ...rows.map(r => r.length));
+      const response = await api().values.append({
+        spreadsheetId: id(),
+        range: `${name}!A:${columnIndexToLetter(width - 1)}`,
+        valueInputOption: raw ? 'RAW' : 'USER_ENTERED',
+        ...(insertRows ? { insertDataOption: 'INSERT_ROWS' } : {}),
+        requestBody: { values: rows },
+      });
+      // updatedRange looks like "Sheet1!A42:J42"
+      const updatedRange = response.data.updates?.updatedRange || '';
+      const match = updatedRange.match(/![A-Z]+(\d+)/);
+      return { firstRow: match ? parseInt(match[1], 10) : null };
+    },
+
+    async writeRows(name, rowNumber, rows, { startColumn = 0, raw = false } = {}) {
+      await api().values.update({
+        spreadsheetId: id(),
+        range: blockRange(name, rowNumber, rows, startColumn),
+        valueInputOption: raw ? 'RAW' : 'USER_ENTERED',
+        requestBody: { values: rows },
+      });
+    },
+
+    async batchUpdate(name, updates, { raw = false } = {}) {
+      if (updates.length === 0) return;
+      await api().values.batchUpdate({
+        spreadsheetId: id(),
+        requestBody: {
+          valueInputOption: raw ? 'RAW' : 'USER_ENTERED',
+          data: updates.map(u => ({
+            range: blockRange(name, u.rowNumber, [u.values], u.startColumn || 0),
+            values: [u.values],
+          })),
+        },
+      });
+    },
+
+    async clear(name) {
+      await api().values.clear({
+        spreadsheetId: id(),
+        range: name,
+      });
+    },
+
+    async deleteRows(name, rowNumbers) {
+      if (rowNumbers.length === 0) return;
+      const sheetId = await getSheetId(name);
+      // Delete from the bottom up so earlier deletions don't shift later ones
+      const sorted = [...new Set(rowNumbers)].sort((a, b) => b - a);
+      await api().batchUpdate({
+        spreadsheetId: id(),
+        requestBody: {
+          requests: sorted.map(rowNumber => ({
+            deleteDimension: {
+              range: {
+                sheetId,
+                dimension: 'ROWS',
+                startIndex: rowNumber - 1,
+                endIndex: rowNumber,
+              },
+            },
+          })),
+        },
+      });
+    },
+
+    /**
+     * Insert `count` empty columns before a 0-based column index, shifting
+     * the cells to its right (used by migrations that add a fixed column to a
+     * table with dynamic columns after it).
+     */
+    async insertColumns(name, startColumn, count = 1) {
+      const sheetId = await getSheetId(name);
+      await api().batchUpdate({
+        spreadsheetId: id(),
+        requestBody: {
+          requests: [{
+            insertDimension: {
+              range: {
+                sheetId,
+                dimension: 'COLUMNS',
+                startIndex: startColumn,
+                endIndex: startColumn + count,
+              },
+              inheritFromBefore: startColumn > 0,
+            },
+          }],
+        },
+      });
+    },
+
+    /**
+     * Delete `count` columns starting at a 0-based column index, shifting the
+     * cells to their right left (used to merge a duplicate medication column).
+     */
+    async deleteColumns(name, startColumn, count = 1) {
+      const sheetId = await getSheetId(name);
+      await api().batchUpdate({
+        spreadsheetId: id(),
+        requestBody: {
+          requests: [{
+            deleteDimension: {
+              range: {
+                sheetId,
+                dimension: 'COLUMNS',
+                startIndex: startColumn,
+                endIndex: startColumn + count,
+              },
+            },
+          }],
+        },
+      });
+    },
+
+    /**
+     * Sort by column A (date/timestamp) descending, keeping the header row in place.
+     * Failures are logged, not thrown: a missed sort never loses data.
+     */
+    async sortByFirstColumnDesc(name, endColumnIndex) {
+      try {
+        const props = (await getSheetProperties()).find(p => p.title === name);
+        if (!props) return;
+        await api().batchUpdate({
+          spreadsheetId: id(),
+          requestBody: {
+            requests: [{
+              sortRange: {
+                range: {
+                  sheetId: props.sheetId,
+                  startRowIndex: 1,
+                  startColumnIndex: 0,
+                  endColumnIndex
+                },
+                sortSpecs: [{ dimensionIndex: 0, sortOrder: 'DESCENDING' }]
+              }
+            }]
+          }
+        });
+      } catch (error) {
+        console.error(`Error sorting ${name} sheet:`, error);
+      }
+    },
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * Schema registry: every tab the app reads or writes, with its columns by
+ * key, header and type (see schema.js for the types).
+ *
+ * The Sheets backend uses the names as tab titles. The local backend uses
+ * them as file names and seeds new data directories with these headers, so a
+ * self-hosted install starts with the same shape as the production spreadsheet.
+ *
+ * Adding a column: append it to the table here (new columns go at the end of
+ * the fixed ones so existing rows keep their positions), add a migration for
+ * it in migrations.js, then read/write it by key. Handlers never hard-code
+ * column positions.
+ */
+
+import { defineTable } from './schema.js';
+
+export const TABLES = {
+  // Daily entries. Medication and custom field columns follow the fixed
+  // ones; their headers are the medication and field names (see
+  // getDynamicColumns). Revision counts the writes to a row so submit-entry
+  // can tell a stale edit from a current one.
+  entries: defineTable('Sheet1', [
+    ['timestamp', 'Timestamp'],
+    ['dateFor', 'Date For'],
+    ['hours', 'Hours', 'number'],
+    ['comments', 'Comments'],
+    ['oxaloacetate', 'Oxaloacetate', 'number'],
+    ['exercise', 'Exercise', 'integer'],
+    ['brainTime', 'Brain Time', 'number'],
+    ['modafinil', 'Modafinil'],
+    ['willDoECG', 'Will Do ECG', 'yesNo'],
+    ['ecgPlanDate', 'ECG Plan Date'],
+    ['revision', 'Revision', 'integer'],
+  ], { dynamicColumns: true }),
+
+  // Per-medication settings, keyed like Sheet1's medication columns. The
+  // columns and their names stay in Sheet1's header; a medication without a
+  // row here is active and listed by name after the positioned ones. Unit and
+  // Default Amount describe its doses (see lib/doses.js); Schedule is one of
+  // SCHEDULES there. Default On and Carry Forward decide how the daily form
+  // starts a day: from the last recorded dose, or from the defaults. Supply,
+  // Supply Unit and Supply Date are what was on hand as of the last refill
+  // (see lib/supply.js); Supply Alerted is when the low-supply push went out,
+  // cleared by the next refill.
+  medications: defineTable('Medications', [
+    ['key', 'Key'],
+    ['archived', 'Archived', 'boolean'],
+    ['position', 'Position', 'integer'],
+    ['updatedAt', 'Updated At'],
+    ['unit', 'Unit'],
+    ['defaultAmount', 'Default Amount', 'number'],
+    ['schedule', 'Schedule'],
+    ['defaultOn', 'Default On', 'boolean'],
+    ['carryForward', 'Carry Forward', 'boolean'],
+    ['supply', 'Supply', 'number'],
+    ['supplyUnit', 'Supply Unit'],
+    ['supplyDate', 'Supply Date'],
+    ['supplyAlerted', 'Supply Alerted'],
+  ]),
+
+  // Custom fields the daily form asks for (symptom scales, yes/no questions,
+  // numbers), edited here by hand. Like medications, a field's values are the
+  // Sheet1 column headed by its label; Type is one of FIELD_TYPES in
+  // lib/customFields.js, and Min/Max bound its values (a scale is 0-10 unless
+  // set). Fields are listed by Position, then label.
+  customFields: defineTable('CustomFields', [
+    ['label', 'Label'],
+    ['type', 'Type'],
+    ['min', 'Min', 'number'],
+    ['max', 'Max', 'number'],
+    ['unit', 'Unit'],
+    ['position', 'Position', 'integer'],
+    ['archived', 'Archived', 'boolean'],
+  ]),
+
+  // Post-exertional malaise crashes the user logged (see lib/crashes.js).
+  // Onset is YYYY-MM-DD; a blank Duration (days) means still ongoing.
+  crashes: defineTable('Crashes', [
+    ['id', 'ID'],
+    ['onset', 'Onset'],
+    ['severity', 'Severity'],
+    ['durationDays', 'Duration (days)', 'integer'],
+    ['trigger', 'Suspected Trigger'],
+    ['createdAt', 'Created At'],
+    ['updatedAt', 'Updated At'],
+  ]),
+
+  // Heart-rate ceiling breaches found in incoming heart_rate readings (see
+  // lib/hrCeiling.js). Date is as Health_Hourly has it; Start and End are
+  // the device-local timestamps of the first and last reading above the
+  // ceiling. Notified At is blank when the push was throttled.
+  hrEvents: defineTable('HR_Events', [
+    ['date', 'Date'],
+    ['start', 'Start'],
+    ['end', 'End'],
+    ['minutes', 'Minutes', 'integer'],
+    ['peakHR', 'Peak HR', 'number'],
+    ['avgHR', 'Avg HR', 'number'],
+    ['ceiling', 'Ceiling', 'integer'],
+    ['notifiedAt', 'Notified At'],
+  ]),
+
+  // One row per metric sample. Value holds numbers for most metrics and the
+  // stage name for sleep_stage rows, so it stays a string.
+  healthHourly: defineTable('Health_Hourly', [
+    ['timestamp', 'Timestamp'],
+    ['date', 'Date'],
+    ['hour', 'Hour', 'integer'],
+    ['metric', 'Metric'],
+    ['value', 'Value'],
+    ['min', 'Min', 'number'],
+    ['max', 'Max', 'number'],
+    ['source', 'Source'],
+    ['raw', 'Raw Data', 'json'],
+  ]),
+
+  healthDaily: defineTable('Health_Daily', [
+    ['date', 'Date'],
+    ['steps', 'Steps', 'number'],
+    ['avgHR', 'Avg HR', 'number'],
+    ['restingHR', 'Resting HR', 'number'],
+    ['minHR', 'Min HR', 'number'],
+    ['maxHR', 'Max HR', 'number'],
+    ['hrv', 'HRV (SDNN)', 'number'],
+    ['sleepMinutes', 'Sleep Duration (min)', 'number'],
+    ['sleepEfficiency', 'Sleep Efficiency'],
+    ['deepSleep', 'Deep Sleep (min)', 'number'],
+    ['remSleep', 'REM Sleep (min)', 'number'],
+    ['lastUpdated', 'Last Updated'],
+    ['hrCount', 'HR Sample Count', 'integer'],
+    ['hrvCount', 'HRV Sample Count', 'integer'],
+    ['awakeMinutes', 'Awake Minutes', 'number'],
+    ['avgHR_awake', 'HR Awake', 'number'],
+    ['avgHR_asleep', 'HR Asleep', 'number'],
+  ]),
+
+  ecgReadings: defineTable('ECG_Readings', [
+    ['timestamp', 'Timestamp'],
+    ['date', 'Date'],
+    ['classification', 'Classification'],
+    ['avgHR', 'Avg HR (Apple)', 'number'],
+    ['rsRatio', 'R/S Ratio', 'number'],
+    ['rAmplitude', 'R Amp', 'number'],
+    ['sAmplitude', 'S Amp', 'number'],
+    ['calculatedHR', 'Calc HR', 'number'],
+    ['hrValid', 'HR Valid'],
+    ['beats', 'Beats', 'integer'],
+    ['notes', 'Notes'],
+    ['ecgId', 'ECG_ID'],
+    ['samples', 'Samples', 'integer'],
+    ['samplingFrequency', 'Sampling_Freq', 'number'],
+    ['hrDiff', 'HR Diff', 'number'],
+  ]),
+
+  ecgWaveforms: defineTable('ECG_Waveforms', [
+    ['ecgId', 'ECG_ID'],
+    ['samplingFrequency', 'Sampling_Freq', 'number'],
+    ['voltage1', 'Voltage_1'],
+    ['voltage2', 'Voltage_2'],
+    ['voltage3', 'Voltage_3'],
+    ['voltage4', 'Voltage_4'],
+  ]),
+
+  // A single settings row (row 2). Pacing Alerts and Pacing Alerted belong
+  // to the energy budget (see lib/energyBudget.js), the HR Ceiling columns
+  // to its alerts (see lib/hrCeiling.js; a blank ceiling is off), and the
+  // Anomaly Threshold and Morning Summary columns to the baseline flags (see
+  // lib/baselines.js).
+  settings: defineTable('UserSettings', [
+    ['firstReminderTime', 'First Reminder Time'],
+    ['repeatInterval', 'Repeat Interval (min)', 'integer'],
+    ['stopAfterLog', 'Stop After Log', 'boolean'],
+    ['lastUpdated', 'Last Updated'],
+    ['snoozeUntil', 'Snooze Until'],
+    ['localTimeZone', 'Timezone'],
+    ['lowSupplyDays', 'Low Supply Days', 'integer'],
+    ['pacingAlerts', 'Pacing Alerts'],
+    ['pacingAlerted', 'Pacing Alerted'],
+    ['hrCeiling', 'HR Ceiling', 'integer'],
+    ['hrCeilingMinutes', 'HR Ceiling Minutes', 'integer'],
+    ['hrCeilingAlerted', 'HR Ceiling Alerted'],
+    ['anomalyThreshold', 'Anomaly Threshold', 'number'],
+    ['morningSummaryTime', 'Morning Summary Time'],
+    ['morningSummarySent', 'Morning Summary Sent'],
+  ]),
+
+  subscriptions: defineTable('Subscriptions', [
+    ['timestamp', 'Timestamp'],
+    ['endpoint', 'Endpoint'],
+    ['keys', 'Keys', 'json'],
+    ['subscription', 'Full Subscription', 'json'],
+  ]),
+
+  // Write-ahead log of entry changes. Actor is the name of the token,
+  // device or passkey that made the request.
+  auditLog: defineTable('AuditLog', [
+    ['timestamp', 'Timestamp'],
+    ['action', 'Action'],
+    ['dateFor', 'DateFor'],
+    ['body', 'RequestBody (JSON)', 'json'],
+    ['actor', 'Actor'],
+  ]),
+
+  devices: defineTable('Devices', [
+    ['id', 'Device ID'],
+    ['name', 'Name'],
+    ['tokenHash', 'Token Hash'],
+    ['scopes', 'Scopes', 'list'],
+    ['createdAt', 'Created At'],
+    ['createdBy', 'Created By'],
+    ['lastUsedAt', 'Last Used At'],
+    ['revokedAt', 'Revoked At'],
+  ]),
+
+  passkeys: defineTable('Passkeys', [
+    ['id', 'Credential ID'],
+    ['name', 'Name'],
+    ['publicKey', 'Public Key'],
+    ['counter', 'Counter', 'integer'],
+    ['transports', 'Transports', 'list'],
+    ['scopes', 'Scopes', 'list'],
+    ['deviceType', 'Device Type'],
+    ['backedUp', 'Backed Up', 'boolean'],
+    ['createdAt', 'Created At'],
+    ['createdBy', 'Created By'],
+    ['lastUsedAt', 'Last Used At'],
+    ['revokedAt', 'Revoked At'],
+  ]),
+
+  // Processed idempotency keys and the response each one got (see lib/idempotency.js)
+  idempotencyKeys: defineTable('IdempotencyKeys', [
+    ['key', 'Key'],
+    ['action', 'Action'],
+    ['createdAt', 'Created At'],
+    ['response', 'Response (JSON)', 'json'],
+  ]),
+
+  // Key/value facts about the spreadsheet itself (e.g. the applied schema
+  // version, see migrate.js)
+  meta: defineTable('Meta', [
+    ['key', 'Key'],
+    ['value', 'Value'],
+    ['updatedAt', 'Updated At'],
+  ]),
+};
+
+// Convert column index to letter (0 = A, 25 = Z, 26 = AA, etc.)
+export function columnIndexToLetter(index) {
+  let letter = '';
+  while (index >= 0) {
+    letter = String.fromCharCode((index % 26) + 65) + letter;
+    index = Math.floor(index / 26) - 1;
+  }
+  return letter;
+}
@@ -0,0 +1,140 @@
+/**
+ * Medication supply: how much is left and how long it will last.
+ *
+ * A refill sets a medication's supply (Medications tab: Supply, Supply Unit,
+ * Supply Date): what was on hand at the start of Supply Date, before that
+ * day's dose. Every dose logged in Sheet1 from that day on is taken off it,
+ * so nothing has to be counted by hand between refills.
+ *
+ * Days left divides what remains by recent use: the average logged dose
+ * over the last USAGE_LOOKBACK_DAYS days with an entry (Off counts as 0),
+ * or the medication's default amount and schedule when too few days were
+ * logged to tell.
+ *
+ * Everything here is pure; medications.js reads the sheet.
+ */
+
+import { addDays, isoDate } from './days.js';
+import { convertAmount, parseDose } from './doses.js';
+
+// Alert when fewer days than this are left, unless UserSettings says otherwise
+export const DEFAULT_LOW_SUPPLY_DAYS = 7;
+
+export const USAGE_LOOKBACK_DAYS = 14;
+
+// Fewer logged days than this, and use comes from the schedule instead
+const MIN_USAGE_DAYS = 3;
+
+// Doses per day for each schedule (as-needed has no fixed rate)
+const DOSES_PER_DAY = { 'daily': 1, 'twice-daily': 2, 'weekly': 1 / 7 };
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Today's date (YYYY-MM-DD) in a time zone.
+ */
+export function todayIn(timeZone, now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Each medication's logged doses from Sheet1 ({ header, rows, records } as
+ * getRecords returns it): { key: [{ date: YYYY-MM-DD, dose }] }, oldest
+ * first. The last row for a day wins; blank cells are left out.
+ */
+export function doseHistory({ rows, records }, medications) {
+  const byDate = new Map();
+  records.forEach((record, i) => {
+    const date = isoDate(record.dateFor || '');
+    if (date) byDate.set(date, rows[i]);
+  });
+  const dates = [...byDate.keys()].sort();
+
+  const history = {};
+  for (const med of medications) {
+    history[med.key] = [];
+    for (const date of dates) {
+      const dose = parseDose(byDate.get(date)[med.columnIndex], med.unit);
+      if (dose) history[med.key].push({ date, dose });
+    }
+  }
+  return history;
+}
+
+// A logged dose in `unit`, or null when it can't be counted (On with no
+// default amount, or a unit that doesn't convert)
+function amountIn(dose, med, unit) {
+  const amount = dose.amount ?? med.defaultAmount;
+  if (amount === null || amount === undefined) return null;
+  return convertAmount(amount, dose.unit || med.unit, unit);
+}
+
+// Average use per day in `unit`, or null when it can't be told
+function dailyUse(med, history, today, unit) {
+  const since = addDays(today, -USAGE_LOOKBACK_DAYS);
+  const recent = history
+    .filter(({ date }) => date > since && date <= today)
+    .map(({ dose }) => amountIn(dose, med, unit))
+    .filter(amount => amount !== null);
+  if (recent.length >= MIN_USAGE_DAYS) {
+    return recent.reduce((sum, amount) => sum + amount, 0) / recent.length;
+  }
+
+  const perDay = DOSES_PER_DAY[med.schedule];
+  const amount = med.defaultAmount === null ? null : convertAmount(med.defaultAmount, med.unit, unit);
+  return perDay && amount !== null ? amount * perDay : null;
+}
+
+/**
+ * Where a medication's supply stands at the end of `today`, or null when it
+ * has none recorded. `med` is from listMedications, `history` its entry in
+ * doseHistory. Returns:
+ *
+ *   { remaining, unit, asOf, used, uncounted, dailyUse, daysLeft, runsOutOn }
+ *
+ * `uncounted` is the number of doses since asOf that couldn't be taken off
+ * (see amountIn). dailyUse, daysLeft and runsOutOn are null when use can't
+ * be told or is zero.
+ */
+export function supplyStatus(med, history, today) {
+  if (med.supply === null || med.supply === undefined || !med.supplyDate) return null;
+
+  const unit = med.supplyUnit || med.unit;
+  let used = 0;
+  let uncounted = 0;
+  for (const { date, dose } of history) {
+    if (date < med.supplyDate || date > today) continue;
+    const amount = amountIn(dose, med, unit);
+    if (amount === null) uncounted++;
+    else used += amount;
+  }
+
+  const remaining = Math.max(0, med.supply - used);
+  const use = dailyUse(med, history, today, unit);
+  const daysLeft = use > 0 ? Math.floor(remaining / use) : null;
+
+  return {
+    remaining: round(remaining),
+    unit,
+    asOf: med.supplyDate,
+    used: round(used),
+    uncounted,
+    dailyUse: use === null ? null : round(use),
+    daysLeft,
+    runsOutOn: daysLeft === null ? null : addDays(today, daysLeft),
+  };
+}
+
+/**
+ * Whether a supply status is below the alert threshold (in days).
+ */
+export function isLowSupply(status, thresholdDays) {
+  return !!status && status.daysLeft !== null && status.daysLeft < thresholdDays;
+}
+
+/**
+ * The day before a date (YYYY-MM-DD); a refill's supply counts doses up to it.
+ */
+export function dayBefore(date) {
+  return addDays(date, -1);
+}
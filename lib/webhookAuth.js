@@ -0,0 +1,203 @@
+/**
+ * Webhook authentication for the Health Auto Export endpoints.
+ *
+ * Each webhook has its own secret:
+ *   health - HEALTH_WEBHOOK_SECRET (falls back to ECG_WEBHOOK_SECRET, which
+ *            both webhooks used to share)
+ *   ecg    - ECG_WEBHOOK_SECRET
+ *
+ * A request authenticates in one of two ways:
+ *
+ * 1. Signed (preferred). The sender never transmits the secret:
+ *      X-Webhook-Timestamp: <unix seconds>
+ *      X-Webhook-Nonce:     <random string, unique per request>
+ *      X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>">
+ *    Requests outside the timestamp window (WEBHOOK_SIGNATURE_TOLERANCE_SECONDS,
+ *    default 300) or reusing a nonce seen inside it are rejected.
+ *
+ * 2. Static secret (X-Webhook-Secret or Bearer), checked by requireAuth() with
+ *    the webhook scope. Set WEBHOOK_REQUIRE_SIGNATURE=true to turn this off
+ *    once every sender signs its requests.
+ *
+ * The nonce cache lives in function memory, so a replay that lands on a
+ * different (cold) instance inside the window isn't caught; the window keeps
+ * that exposure to a few minutes.
+ */
+
+import crypto from 'crypto';
+import { requireAuth, safeEqual } from './auth.js';
+
+export const WEBHOOKS = ['health', 'ecg'];
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const MAX_NONCE_LENGTH = 128;
+const MAX_CACHED_NONCES = 10000;
+
+// nonce key -> expiry (ms)
+const seenNonces = new Map();
+
+// Bodies over this are rejected with 413 (what bodyParser's sizeLimit used
+// to enforce before the webhooks read their own bodies)
+export const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+export class BodyTooLargeError extends Error {
+  constructor(limit) {
+    super(`Request body is larger than ${limit} bytes`);
+    this.name = 'BodyTooLargeError';
+    this.status = 413;
+  }
+}
+
+/**
+ * Read the raw request body as a Buffer. Handlers using this must set
+ * bodyParser: false. Chunks are joined as bytes and only decoded by the
+ * caller, so a multi-byte character split across chunks survives. Rejects
+ * with BodyTooLargeError past `limit` bytes.
+ */
+export async function readRawBody(req, { limit = MAX_BODY_BYTES } = {}) {
+  if (Number(req.headers?.['content-length']) > limit) {
+    req.resume(); // Discard the body so the 413 can still be sent
+    throw new BodyTooLargeError(limit);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      size += bytes.length;
+      if (size > limit) {
+        req.off('data', onData);
+        req.resume();
+        reject(new BodyTooLargeError(limit));
+        return;
+      }
+      chunks.push(bytes);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * The secret a webhook signs with, or null if none is configured.
+ */
+export function getWebhookSecret(webhook, env = process.env) {
+  const secret = webhook === 'health'
+    ? (env.HEALTH_WEBHOOK_SECRET?.trim() || env.ECG_WEBHOOK_SECRET?.trim())
+    : env.ECG_WEBHOOK_SECRET?.trim();
+  return secret || null;
+}
+
+/**
+ * The X-Webhook-Signature value for a body (a Buffer of the bytes received,
+ * or a string, which is signed as UTF-8).
+ */
+export function signWebhookPayload(secret, timestamp, nonce, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody)
+    .digest('hex');
+  return `sha256=${hmac}`;
+}
+
+function getToleranceSeconds(env) {
+  const value = Number(env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TOLERANCE_SECONDS;
+}
+
+/**
+ * Record a nonce; false if it was already seen and hasn't expired.
+ */
+function rememberNonce(key, expiresAt, now) {
+  for (const [seen, expiry] of seenNonces) {
+    if (expiry <= now) seenNonces.delete(seen);
+  }
+
+  if (seenNonces.has(key)) return false;
+
+  if (seenNonces.size >= MAX_CACHED_NONCES) {
+    // Map iteration is insertion order, so this drops the oldest
+    seenNonces.delete(seenNonces.keys().next().value);
+  }
+  seenNonces.set(key, expiresAt);
+  return true;
+}
+
+/**
+ * Check a signed request. Returns null when valid, otherwise the reason it
+ * was rejected (for logs; never includes the secret or signature).
+ */
+export function verifyWebhookSignature(req, webhook, rawBody, { env = process.env, now = Date.now() } = {}) {
+  const secret = getWebhookSecret(webhook, env);
+  if (!secret) return 'no secret configured';
+
+  const signature = String(req.headers['x-webhook-signature'] || '').trim();
+  const timestamp = String(req.headers['x-webhook-timestamp'] || '').trim();
+  const nonce = String(req.headers['x-webhook-nonce'] || '').trim();
+
+  if (!/^\d+$/.test(timestamp)) return 'missing or malformed timestamp';
+  if (!nonce || nonce.length > MAX_NONCE_LENGTH) return 'missing or malformed nonce';
+
+  const toleranceMs = getToleranceSeconds(env) * 1000;
+  const sentAt = Number(timestamp) * 1000;
+  if (Math.abs(now - sentAt) > toleranceMs) return 'timestamp outside window';
+
+  if (!safeEqual(signature, signWebhookPayload(secret, timestamp, nonce, rawBody))) {
+    return 'bad signature';
+  }
+
+  // Only remember nonces of authentic requests, so junk can't fill the cache.
+  // Keep each until its timestamp can no longer pass the window check.
+  if (!rememberNonce(`${webhook}:${nonce}`, sentAt + toleranceMs, now)) return 'replayed nonce';
+
+  return null;
+}
+
+/**
+ * Guard for webhook handlers; like requireAuth(), resolves to the principal
+ * or sends 401/403 and resolves to null:
+ *
+ *   const rawBody = await readRawBody(req); // see BodyTooLargeError
+ *   if (!(await requireWebhookAuth(req, res, 'ecg', rawBody))) return;
+ */
+export async function requireWebhookAuth(req, res, webhook, rawBody, options = {}) {
+  const env = options.env || process.env;
+
+  if (req.headers?.['x-webhook-signature']) {
+    const reason = verifyWebhookSignature(req, webhook, rawBody, { env, now: options.now });
+    if (reason) {
+      console.warn(`Webhook auth failed (${webhook}): ${reason}`);
+      res.status(401).json({ error: 'Unauthorized' });
+      return null;
+    }
+    return { name: `${webhook}-webhook`, scopes: ['webhook'], webhooks: [webhook], signed: true };
+  }
+
+  if (env.WEBHOOK_REQUIRE_SIGNATURE === 'true') {
+    console.warn(`Webhook auth failed (${webhook}): unsigned request`);
+    res.status(401).json({ error: 'Unauthorized', details: 'Signed request required' });
+    return null;
+  }
+
+  const principal = await requireAuth(req, res, 'webhook', options);
+  if (!principal) return null;
+
+  if (principal.webhooks && !principal.webhooks.includes(webhook)) {
+    console.warn(`Webhook auth failed: token "${principal.name}" is not valid for the ${webhook} webhook`);
+    res.status(403).json({ error: 'Forbidden', requiredScope: 'webhook' });
+    return null;
+  }
+
+  return principal;
+}
+
+/**
+ * Forget every recorded nonce (tests).
+ */
+export function clearNonceCache() {
+  seenNonces.clear();
+}
@@ -51,13 +51,12 @@ self.addEventListener('notificationclick', (event) => {
 
   event.notification.close();
 
-  // Handle snooze action
-  if (event.action === 'snooze') {
+  // Handle snooze action. Notifications carry a signed action token that
+  // only /api/snooze accepts; older notifications without one just open the app.
+  const actionToken = event.notification.data?.actionToken;
+  if (event.action === 'snooze' && actionToken) {
     console.log('Snooze action clicked');
 
-    // Get token from notification data
-    const token = event.notification.data?.token || 'dev-secret-token-12345';
-
     // Attempt to get timezone if possible in service worker
     const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
@@ -66,11 +65,16 @@ self.addEventListener('notificationclick', (event) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${actionToken}`
         },
         body: JSON.stringify({ duration: 60, localTimeZone })
       })
-        .then(response => response.json())
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Snooze rejected (${response.status})`);
+          }
+          return response.json();
+        })
         .then(data => {
           console.log('Snooze successful:', data);
 
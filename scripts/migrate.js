@@ -0,0 +1,42 @@
+/**
+ * Apply pending spreadsheet schema migrations (lib/storage/migrations.js).
+ *
+ *   npm run migrate               # apply
+ *   npm run migrate -- --dry-run  # print the changes only
+ *
+ * Uses the same storage settings as the API (.env.local, then .env):
+ * STORAGE_BACKEND, GOOGLE_SERVICE_ACCOUNT_KEY / GOOGLE_SHEET_ID or LOCAL_DATA_DIR.
+ */
+
+import dotenv from 'dotenv';
+import { runMigrations, LATEST_SCHEMA_VERSION } from '../lib/storage/migrate.js';
+
+dotenv.config({ path: '.env.local' });
+dotenv.config({ path: '.env' });
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  const result = await runMigrations({ dryRun });
+
+  if (result.migrations.length === 0) {
+    console.log(`Schema is up to date (version ${result.fromVersion}).`);
+  }
+
+  for (const migration of result.migrations) {
+    console.log(`\nv${migration.version}: ${migration.description}`);
+    if (migration.changes.length === 0) {
+      console.log('  (no changes needed)');
+    }
+    for (const change of migration.changes) {
+      const where = change.cell ? `${change.table}!${change.cell}` : change.table;
+      const from = change.from !== undefined ? `${JSON.stringify(change.from)} -> ` : '';
+      console.log(`  ${change.type.padEnd(12)} ${where}: ${from}${JSON.stringify(change.to)}`);
+    }
+  }
+
+  console.log(`\n${dryRun ? 'Dry run: nothing written. Would move' : 'Moved'} from version ${result.fromVersion} to ${result.toVersion} (latest ${LATEST_SCHEMA_VERSION}).`);
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+}
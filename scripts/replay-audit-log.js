@@ -0,0 +1,53 @@
+/**
+ * Rebuild Sheet1 by replaying the AuditLog (lib/auditReplay.js).
+ *
+ *   npm run replay-audit-log -- --dry-run   # print the diff only
+ *   npm run replay-audit-log                # write the result to Sheet1_Replay
+ *   npm run replay-audit-log -- --replace   # write it over Sheet1 (old copy in Sheet1_BeforeReplay)
+ *
+ * Uses the same storage settings as the API (.env.local, then .env):
+ * STORAGE_BACKEND, GOOGLE_SERVICE_ACCOUNT_KEY / GOOGLE_SHEET_ID or LOCAL_DATA_DIR.
+ */
+
+import dotenv from 'dotenv';
+import { rebuildEntries } from '../lib/auditReplay.js';
+
+dotenv.config({ path: '.env.local' });
+dotenv.config({ path: '.env' });
+
+const dryRun = process.argv.includes('--dry-run');
+const replace = process.argv.includes('--replace');
+
+try {
+  const result = await rebuildEntries({ dryRun, replace });
+  const { diff } = result;
+
+  console.log(`Replayed ${result.applied} AuditLog records into ${result.rows} rows` +
+    (result.skipped ? ` (${result.skipped} unreadable records skipped)` : '') + '.');
+
+  for (const label of diff.columns.added) console.log(`  + column  ${label}`);
+  for (const label of diff.columns.removed) console.log(`  - column  ${label}`);
+  for (const dateFor of diff.added) console.log(`  + ${dateFor}`);
+  for (const dateFor of diff.removed) console.log(`  - ${dateFor} (not in the AuditLog)`);
+  for (const { dateFor, changes } of diff.changed) {
+    console.log(`  ~ ${dateFor}`);
+    for (const { field, from, to } of changes) {
+      console.log(`      ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    }
+  }
+
+  const differences = diff.columns.added.length + diff.columns.removed.length +
+    diff.added.length + diff.removed.length + diff.changed.length;
+  if (differences === 0) {
+    console.log('The replay matches the current Sheet1.');
+  }
+
+  if (dryRun) {
+    console.log('\nDry run: nothing written.');
+  } else {
+    console.log(`\nWrote ${result.target}${result.backup ? ` (previous contents copied to ${result.backup})` : ''}.`);
+  }
+} catch (error) {
+  console.error(`Replay failed: ${error.message}`);
+  process.exit(1);
+}
@@ -3,7 +3,8 @@ import DailyEntry from './components/DailyEntry'
 import EntryHistory from './components/EntryHistory'
 import StatsTab from './components/Stats/StatsTab'
 import Settings from './components/Settings'
-import { submitEntry } from './utils/api'
+import SignIn from './components/SignIn'
+import { submitEntry, newIdempotencyKey } from './utils/api'
 import {
   saveOfflineEntry,
   setupOfflineSync,
@@ -11,11 +12,16 @@ import {
   getPendingEntries,
   syncPendingEntries
 } from './utils/offlineStorage'
-import { getSecretToken } from './utils/auth'
+import { getSecretToken, getAuthMethod, isAuthenticated } from './utils/auth'
 import './App.css'
 
+function conflictMessage(count) {
+  return `${count} queued ${count === 1 ? 'entry was' : 'entries were'} changed on another device. Open the day to merge.`
+}
+
 function App() {
   const [view, setView] = useState('entry') // 'entry' | 'history' | 'stats' | 'settings'
+  const [editDate, setEditDate] = useState(null) // "YYYY-MM-DD" opened from History, else the form's default day
   const [lastSaved, setLastSaved] = useState(null)
   const [isOnline, setIsOnline] = useState(navigator.onLine)
   const [pendingCount, setPendingCount] = useState(0)
@@ -23,6 +29,7 @@ function App() {
   const [syncError, setSyncError] = useState(null) // Error message for failed syncs
   const [showDebug, setShowDebug] = useState(false) // Debug panel toggle
   const [debugLogs, setDebugLogs] = useState([]) // Debug log entries
+  const [authenticated, setAuthenticated] = useState(() => isAuthenticated())
 
   // Add debug log entry
   const addDebugLog = (type, message, details = null) => {
@@ -53,7 +60,7 @@ function App() {
       message: 'App initialized',
       details: {
         hasToken: !!token,
-        tokenLength: token?.length,
+        authMethod: getAuthMethod(),
         isOnline: navigator.onLine,
         userAgent: navigator.userAgent.substring(0, 100)
       }
@@ -86,10 +93,8 @@ function App() {
   // Set up offline sync
   useEffect(() => {
     const cleanup = setupOfflineSync(
-      async (entry) => {
-        // Submit function for sync
-        await submitEntry(entry)
-      },
+      // Submit function for sync; the result lets later saves of the same day follow on
+      (entry) => submitEntry(entry),
       async (result) => {
         // Sync complete callback
         console.log('Sync complete:', result)
@@ -97,6 +102,9 @@ function App() {
         if (result.failed > 0) {
           setSyncStatus('error')
           setSyncError(`Failed to sync ${result.failed} of ${result.synced + result.failed} entries`)
+        } else if (result.conflicts > 0) {
+          setSyncStatus('error')
+          setSyncError(conflictMessage(result.conflicts))
         } else {
           setSyncStatus('success')
           setSyncError(null)
@@ -121,14 +129,15 @@ function App() {
 
     setSyncStatus('syncing')
     try {
-      const result = await syncPendingEntries(async (entry) => {
-        await submitEntry(entry)
-      })
+      const result = await syncPendingEntries((entry) => submitEntry(entry))
 
       // Use same callback logic as auto-sync
       if (result.failed > 0) {
         setSyncStatus('error')
         setSyncError(`Failed to sync ${result.failed} entries`)
+      } else if (result.conflicts > 0) {
+        setSyncStatus('error')
+        setSyncError(conflictMessage(result.conflicts))
       } else {
         setSyncStatus('success')
         setSyncError(null)
@@ -151,21 +160,30 @@ function App() {
     }
   }
 
-  const handleSave = async (data) => {
+  const refreshPendingCount = async () => {
+    const entries = await getPendingEntries()
+    setPendingCount(entries.length)
+  }
+
+  // Resolves to the server's result when saved online, undefined when queued
+  const handleSave = async (formData) => {
     const today = new Date().toDateString()
     const token = getSecretToken()
+    // One key per save, shared by the online attempt and any offline retry
+    const data = { ...formData, idempotencyKey: newIdempotencyKey() }
 
     addDebugLog('info', 'Attempting to save entry', {
       isOnline: navigator.onLine,
       hasToken: !!token,
-      tokenPreview: token ? `${token.substring(0, 10)}...` : 'none'
+      authMethod: getAuthMethod()
     })
 
+    let result
     try {
       if (navigator.onLine) {
         // Try to submit online
         addDebugLog('info', 'Submitting entry online...')
-        await submitEntry(data)
+        result = await submitEntry(data)
         addDebugLog('success', 'Entry saved online successfully')
       } else {
         // Save offline
@@ -180,6 +198,13 @@ function App() {
       localStorage.setItem('lastEntryDate', today)
       setLastSaved(today)
     } catch (error) {
+      // The day changed on another device: DailyEntry shows the merge prompt.
+      // Queuing this save would only conflict again.
+      if (error.status === 409) {
+        addDebugLog('info', 'Entry conflicts with a newer save', error.data)
+        throw error
+      }
+
       // If online submission fails, fall back to offline
       if (navigator.onLine) {
         addDebugLog('error', 'Online submission failed', {
@@ -199,6 +224,17 @@ function App() {
         throw error
       }
     }
+
+    return result
+  }
+
+  // No session and no stored link (e.g. a passkey-only device whose session expired)
+  if (!authenticated) {
+    return (
+      <div className="app">
+        <SignIn onSignedIn={() => setAuthenticated(true)} />
+      </div>
+    )
   }
 
   return (
@@ -245,7 +281,7 @@ function App() {
             <button onClick={() => setDebugLogs([])}>Clear</button>
           </div>
           <div className="debug-info">
-            <div><strong>Token:</strong> {getSecretToken() ? `${getSecretToken().substring(0, 15)}...` : 'MISSING'}</div>
+            <div><strong>Auth:</strong> {getAuthMethod() === 'passkey' ? 'Passkey session' : getAuthMethod() ? 'Secret link' : 'MISSING'}</div>
             <div><strong>Online:</strong> {isOnline ? 'Yes' : 'No'}</div>
             <div><strong>Pending:</strong> {pendingCount}</div>
           </div>
@@ -269,10 +305,20 @@ function App() {
 
       <main className="app-main">
         {view === 'entry' && (
-          <DailyEntry onSave={handleSave} />
+          <DailyEntry
+            key={editDate || 'default'}
+            initialDate={editDate}
+            onSave={handleSave}
+            onQueueChange={refreshPendingCount}
+          />
         )}
         {view === 'history' && (
-          <EntryHistory />
+          <EntryHistory
+            onEdit={(entry) => {
+              setEditDate(entry.normalizedDate)
+              setView('entry')
+            }}
+          />
         )}
         {view === 'stats' && (
           <StatsTab />
@@ -285,7 +331,10 @@ function App() {
       <nav className="app-nav">
         <button
           className={view === 'entry' ? 'active' : ''}
-          onClick={() => setView('entry')}
+          onClick={() => {
+            setEditDate(null)
+            setView('entry')
+          }}
         >
           Today
         </button>
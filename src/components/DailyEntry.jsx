@@ -1,5 +1,8 @@
 import { useState, useMemo, useEffect } from 'react'
 import { getEntries } from '../utils/api'
+import { getConflictedEntry, deletePendingEntry } from '../utils/offlineStorage'
+import { fieldLabel, formatFieldValue } from '../utils/entryFields'
+import EnergyBudgetGauge from './EnergyBudgetGauge'
 
 // Helper to get a date at midnight in local time
 function getLocalMidnight(date) {
@@ -15,6 +18,12 @@ function getYesterday() {
   return today
 }
 
+// "YYYY-MM-DD" (History's normalizedDate) to local midnight
+function parseIsoDate(iso) {
+  const [year, month, day] = iso.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
 // Format date for display: "Thursday, January 1, 2025"
 function formatDateFull(date) {
   return date.toLocaleDateString('en-US', {
@@ -45,36 +54,48 @@ function getRelativeLabel(date) {
   return `${diffDays} days ago`
 }
 
-// Default configuration for original medications (fallback for defaults)
-// New medications added dynamically will default to OFF with no default dose
-const MED_DEFAULTS = {
-  'amitriptyline': { defaultDose: '', defaultOn: true },
-  'dayquil': { defaultDose: '', defaultOn: false },
-  'dextromethorphan': { defaultDose: '', defaultOn: false },
-  'melatonin': { defaultDose: '', defaultOn: true },
-  'metoprolol': { defaultDose: '', defaultOn: true },
-  'modafinilnew': { defaultDose: '1 pill', defaultOn: true },
-  'nyquil': { defaultDose: '', defaultOn: false },
-  'oxaloacetatenew': { defaultDose: '1g', defaultOn: false },
-  'senna': { defaultDose: '', defaultOn: true },
-  'tirzepatide': { defaultDose: '', defaultOn: false },
-  'venlafaxine': { defaultDose: '', defaultOn: true },
-  'vitamind': { defaultDose: '', defaultOn: true }
+// Form state for a medication's dose: the amount as typed, and its unit.
+// `dose` is a parsed dose from the API ({ amount, unit }); without one (or
+// for Off, amount 0) the medication's default amount is used.
+function doseFields(med, dose) {
+  if (dose && dose.amount !== 0) {
+    return { amount: dose.amount ?? '', unit: dose.unit || med.unit || '' }
+  }
+  return { amount: med.defaultAmount ?? '', unit: med.unit || '' }
 }
 
-// Get default values for a medication
-function getMedDefaults(key) {
-  const defaults = MED_DEFAULTS[key]
-  if (defaults) {
-    return defaults
+// A medication's form state for a recorded dose
+function medState(med, dose) {
+  return { status: dose.amount === 0 ? 'off' : 'on', ...doseFields(med, dose) }
+}
+
+// A custom field's form value: a number for scales and numbers, true/false
+// for yes/no, or '' (null for yes/no) when not answered. `value` is a typed
+// value from the API or the form, or stored cell text ("7", "Yes").
+function fieldState(field, value) {
+  if (field.type === 'yesNo') {
+    if (typeof value === 'boolean') return value
+    if (value === 'Yes') return true
+    if (value === 'No') return false
+    return null
   }
-  // New medications default to OFF with no dose
-  return { defaultDose: '', defaultOn: false }
+  const number = value === null || value === undefined || value === '' ? NaN : Number(value)
+  return Number.isNaN(number) ? '' : number
+}
+
+// Every value from a scale field's Min to its Max
+function scaleSteps(field) {
+  const steps = []
+  for (let value = field.min ?? 0; value <= (field.max ?? 10); value++) steps.push(value)
+  return steps
 }
 
-function DailyEntry({ onSave }) {
-  // Date selector - defaults to yesterday
-  const [dateFor, setDateFor] = useState(() => getYesterday())
+// Offline queue bookkeeping that isn't part of the entry
+const QUEUE_FIELDS = ['id', 'savedAt', 'conflict', 'idempotencyKey']
+
+function DailyEntry({ onSave, onQueueChange, initialDate }) {
+  // Date selector - defaults to yesterday, or the day picked in History
+  const [dateFor, setDateFor] = useState(() => initialDate ? parseIsoDate(initialDate) : getYesterday())
 
   // Default to 6 hours for feet on ground
   const [hours, setHours] = useState(6)
@@ -91,11 +112,22 @@ function DailyEntry({ onSave }) {
   // Medications State - will be populated after medConfig loads
   const [meds, setMeds] = useState({})
 
+  // Custom fields from the CustomFields tab, and their values (see fieldState)
+  const [fieldConfig, setFieldConfig] = useState([])
+  const [fieldValues, setFieldValues] = useState({})
+
   const [saving, setSaving] = useState(false)
   const [showSuccess, setShowSuccess] = useState(false)
   const [showSyncECG, setShowSyncECG] = useState(false)
   const [error, setError] = useState(null)
 
+  // Revision of the saved entry the form was filled from: { dateFor, revision }
+  const [loaded, setLoaded] = useState(null)
+  // A save the server refused because the day changed on another device:
+  // { revision, current, fields, yours, pendingId } (pendingId: queued offline copy)
+  const [conflict, setConflict] = useState(null)
+  const [choices, setChoices] = useState({}) // field -> 'mine' | 'theirs'
+
   // Fetch history and medication config to populate defaults
   useEffect(() => {
     async function fetchDefaults() {
@@ -106,39 +138,25 @@ function DailyEntry({ onSave }) {
         const entries = result.entries
         const dateForStr = formatDateForApi(dateFor)
 
-        // Get medications from API response (or use empty array if not present)
-        const apiMedications = result.medications || []
-        setMedConfig(apiMedications)
-
         // Check if we have an entry for the selected date
         const currentEntry = entries.find(e => e.date === dateForStr)
 
-        // Helper to find last valid dose in history
-        const findLastDose = (key, entriesToSearch) => {
-          const entry = entriesToSearch.find(e => e[key] && e[key] !== 'Off')
-          return entry ? entry[key] : getMedDefaults(key).defaultDose
-        }
+        // Medications from the API, in their display order. Archived ones stay
+        // off the form unless this day recorded them (so an edit keeps the dose).
+        const apiMedications = (result.medications || [])
+          .filter(med => !med.archived || currentEntry?.[med.key])
+        setMedConfig(apiMedications)
 
         const newMeds = {}
 
         // Process each medication from the API
         apiMedications.forEach(med => {
           const key = med.key
-          const defaults = getMedDefaults(key)
+          const savedDose = currentEntry?.doses?.[key]
 
-          if (currentEntry && currentEntry[key]) {
+          if (savedDose) {
             // We have a saved entry for this date
-            if (currentEntry[key] === 'Off') {
-              newMeds[key] = {
-                status: 'off',
-                dose: findLastDose(key, entries.filter(e => e.date !== dateForStr))
-              }
-            } else {
-              newMeds[key] = {
-                status: 'on',
-                dose: currentEntry[key]
-              }
-            }
+            newMeds[key] = medState(med, savedDose)
           } else {
             // No entry for this date, look at history
             // Convert dateFor to YYYY-MM-DD
@@ -150,26 +168,19 @@ function DailyEntry({ onSave }) {
 
             const priorEntries = entries.filter(e => e.normalizedDate < targetDateISO)
 
-            // Find most recent prior entry for this med
-            const lastEntry = priorEntries.find(e => e[key])
-
-            if (lastEntry) {
-              if (lastEntry[key] === 'Off') {
-                newMeds[key] = {
-                  status: 'off',
-                  dose: findLastDose(key, priorEntries)
-                }
-              } else {
-                newMeds[key] = {
-                  status: 'on',
-                  dose: lastEntry[key]
-                }
-              }
+            // Most recent prior dose of this med: on/off and the amount carry
+            // forward, unless the medication is set to start from its defaults
+            const lastDose = med.carryForward
+              ? priorEntries.find(e => e.doses?.[key])?.doses[key]
+              : null
+
+            if (lastDose) {
+              newMeds[key] = medState(med, lastDose)
             } else {
-              // No history, use default
+              // No history, use the medication's defaults from Settings
               newMeds[key] = {
-                dose: defaults.defaultDose,
-                status: defaults.defaultOn ? 'on' : 'off'
+                status: med.defaultOn ? 'on' : 'off',
+                ...doseFields(med, null)
               }
             }
           }
@@ -177,6 +188,15 @@ function DailyEntry({ onSave }) {
 
         setMeds(newMeds)
 
+        // Custom fields start blank on a new day; like archived medications,
+        // archived fields only show on days that recorded them
+        const apiFields = (result.customFields || [])
+          .filter(field => !field.archived || (currentEntry?.[field.key] ?? null) !== null)
+        setFieldConfig(apiFields)
+        setFieldValues(Object.fromEntries(
+          apiFields.map(field => [field.key, fieldState(field, currentEntry?.[field.key])])
+        ))
+
         // Also populate other fields if editing existing entry
         if (currentEntry) {
           setHours(currentEntry.hours ?? 6)
@@ -192,6 +212,14 @@ function DailyEntry({ onSave }) {
           setExercise('')
           setWillDoECG(false)
         }
+        setLoaded({ dateFor: dateForStr, revision: currentEntry?.revision ?? 0 })
+
+        // A queued offline save of this day that sync couldn't apply
+        const queued = await getConflictedEntry(dateForStr)
+        if (queued) {
+          setConflict({ ...queued.conflict, yours: queued, pendingId: queued.id })
+          setChoices(Object.fromEntries(queued.conflict.fields.map(key => [key, 'mine'])))
+        }
 
       } catch (err) {
         console.error('Failed to fetch history for defaults:', err)
@@ -201,13 +229,14 @@ function DailyEntry({ onSave }) {
     fetchDefaults()
   }, [dateFor]) // Re-run when date changes
 
-  // Calculate date bounds (5 days ago through today)
+  // Calculate date bounds (5 days ago through today, or back to a day picked in History)
   const dateBounds = useMemo(() => {
     const today = getLocalMidnight(new Date())
     const minDate = getLocalMidnight(new Date())
     minDate.setDate(minDate.getDate() - 5)
-    return { min: minDate, max: today }
-  }, [])
+    const picked = initialDate ? parseIsoDate(initialDate) : null
+    return { min: picked && picked < minDate ? picked : minDate, max: today }
+  }, [initialDate])
 
   // Can navigate left/right?
   const canGoBack = dateFor > dateBounds.min
@@ -281,30 +310,48 @@ function DailyEntry({ onSave }) {
     }))
   }
 
-  const handleSave = async () => {
-    setSaving(true)
-
-    // Prepare meds for API
-    const medsPayload = {}
-    Object.keys(meds).forEach(key => {
-      const med = meds[key]
-      // If On, send dose. If Off, send "Off".
-      medsPayload[key] = med.status === 'on' ? med.dose : 'Off'
+  // Put saved or merged values back into the form. Medication values are
+  // doses from the form ({ amount, unit }), or cell text parsed in `doses`.
+  const applyValues = (values, doses = {}) => {
+    setHours(values.hours ?? 6)
+    setBrainTime(values.brainTime ?? 1)
+    setComments(values.comments || '')
+    setExercise(values.exercise ?? '')
+    setWillDoECG(!!values.willDoECG)
+    setMeds(prev => {
+      const next = { ...prev }
+      medConfig.forEach(med => {
+        const { key } = med
+        if (!(key in values)) return
+        const value = values[key]
+        const dose = value && typeof value === 'object' ? value : doses[key]
+        next[key] = dose && dose.amount !== 0
+          ? medState(med, dose)
+          : { ...prev[key], status: 'off' }
+      })
+      return next
+    })
+    setFieldValues(prev => {
+      const next = { ...prev }
+      fieldConfig.forEach(field => {
+        if (field.key in values) next[field.key] = fieldState(field, values[field.key])
+      })
+      return next
     })
+  }
 
-    const entry = {
-      date: new Date().toISOString(),
-      dateFor: formatDateForApi(dateFor),
-      hours,
-      comments: comments || null,
-      exercise: exercise ? parseInt(exercise) : null,
-      brainTime: brainTime,
-      willDoECG: willDoECG,
-      ...medsPayload
-    }
+  // Returns true once saved (online or queued)
+  const saveEntry = async (entry, pendingId = null) => {
+    setSaving(true)
 
     try {
-      await onSave(entry)
+      const result = await onSave(entry)
+
+      // Further saves from this screen build on the revision just written.
+      // A queued save has no result; sync moves later queued saves along.
+      if (result?.revision !== undefined) {
+        setLoaded({ dateFor: entry.dateFor, revision: result.revision })
+      }
 
       setShowSuccess(true)
       setTimeout(() => setShowSuccess(false), 1500)
@@ -320,15 +367,99 @@ function DailyEntry({ onSave }) {
       // Actually, we usually stay on the same page or reset defaults.
       // But preserving the entered data on screen is better UX for verification.
       setShowOptional(false)
+      return true
     } catch (error) {
+      if (error.status === 409 && error.data?.fields) {
+        setConflict({ ...error.data, yours: entry, pendingId })
+        setChoices(Object.fromEntries(error.data.fields.map(key => [key, 'mine'])))
+        return false
+      }
       console.error('Failed to save:', error)
       setError(error.message || 'Failed to save. Please try again.')
       setTimeout(() => setError(null), 5000)
+      return false
     } finally {
       setSaving(false)
     }
   }
 
+  // Tapping the selected scale value or answer again clears it
+  const handleFieldChange = (field, value) => {
+    triggerHaptic()
+    setFieldValues(prev => ({
+      ...prev,
+      [field.key]: prev[field.key] === value ? fieldState(field, null) : value
+    }))
+  }
+
+  const handleSave = async () => {
+    // Prepare meds for API
+    const medsPayload = {}
+    Object.keys(meds).forEach(key => {
+      const med = meds[key]
+      // If On, send the amount (none recorded if left empty) and unit. If Off, send "Off".
+      medsPayload[key] = med.status === 'on'
+        ? { amount: med.amount === '' ? null : Number(med.amount), unit: med.unit }
+        : 'Off'
+    })
+
+    // Unanswered custom fields are sent blank
+    const fieldsPayload = {}
+    fieldConfig.forEach(field => {
+      const value = fieldValues[field.key]
+      fieldsPayload[field.key] = value === '' || value === undefined ? null : value
+    })
+
+    const dateForStr = formatDateForApi(dateFor)
+    const entry = {
+      date: new Date().toISOString(),
+      dateFor: dateForStr,
+      hours,
+      comments: comments || null,
+      exercise: exercise ? parseInt(exercise) : null,
+      brainTime: brainTime,
+      willDoECG: willDoECG,
+      // Unknown if the saved entry never loaded; the save then always applies
+      baseRevision: loaded?.dateFor === dateForStr ? loaded.revision : undefined,
+      ...medsPayload,
+      ...fieldsPayload
+    }
+
+    await saveEntry(entry)
+  }
+
+  const handleMerge = async () => {
+    const merged = Object.fromEntries(
+      Object.entries(conflict.yours).filter(([key]) => !QUEUE_FIELDS.includes(key))
+    )
+    conflict.fields.forEach(key => {
+      if (choices[key] === 'theirs') {
+        merged[key] = conflict.current[key]
+      }
+    })
+    merged.date = new Date().toISOString()
+    merged.baseRevision = conflict.revision
+
+    if (!(await saveEntry(merged, conflict.pendingId))) return
+
+    if (conflict.pendingId) {
+      await deletePendingEntry(conflict.pendingId)
+      if (onQueueChange) onQueueChange()
+    }
+    applyValues(merged, conflict.doses)
+    setConflict(null)
+  }
+
+  const handleKeepSaved = async () => {
+    if (conflict.pendingId) {
+      await deletePendingEntry(conflict.pendingId)
+      if (onQueueChange) onQueueChange()
+    }
+    applyValues(conflict.current, conflict.doses)
+    setLoaded({ dateFor: conflict.yours.dateFor, revision: conflict.revision })
+    setConflict(null)
+  }
+
   return (
     <div className="daily-entry">
       {showSuccess && (
@@ -347,6 +478,8 @@ function DailyEntry({ onSave }) {
         <div className="error-feedback">{error}</div>
       )}
 
+      <EnergyBudgetGauge />
+
       {/* Date Selector */}
       <div className="date-selector">
         <button
@@ -371,6 +504,46 @@ function DailyEntry({ onSave }) {
         </button>
       </div>
 
+      {conflict && conflict.yours.dateFor === formatDateForApi(dateFor) && (
+        <div className="merge-prompt">
+          <h3 className="section-title">Changed on another device</h3>
+          <p className="merge-hint">
+            This day was saved elsewhere after you started editing. Choose which value to keep for each difference.
+          </p>
+          {conflict.fields.map(key => (
+            <div key={key} className="merge-field">
+              <span className="merge-label">{fieldLabel(key, [...medConfig, ...fieldConfig])}</span>
+              <div className="merge-options">
+                <button
+                  type="button"
+                  className={`merge-option ${choices[key] === 'mine' ? 'selected' : ''}`}
+                  onClick={() => setChoices(prev => ({ ...prev, [key]: 'mine' }))}
+                >
+                  <span className="merge-source">Yours</span>
+                  {formatFieldValue(key, conflict.yours[key])}
+                </button>
+                <button
+                  type="button"
+                  className={`merge-option ${choices[key] === 'theirs' ? 'selected' : ''}`}
+                  onClick={() => setChoices(prev => ({ ...prev, [key]: 'theirs' }))}
+                >
+                  <span className="merge-source">Saved</span>
+                  {formatFieldValue(key, conflict.current[key])}
+                </button>
+              </div>
+            </div>
+          ))}
+          <div className="merge-actions">
+            <button type="button" className="save-button" onClick={handleMerge} disabled={saving}>
+              {saving ? 'Saving...' : 'Save merged'}
+            </button>
+            <button type="button" className="merge-discard" onClick={handleKeepSaved} disabled={saving}>
+              Keep saved version
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="hours-section">
         <span className="hours-label">Feet on the ground</span>
         <div className="hours-display">
@@ -405,6 +578,68 @@ function DailyEntry({ onSave }) {
         />
       </div>
 
+      {fieldConfig.length > 0 && (
+        <div className="custom-fields">
+          {fieldConfig.map(field => {
+            const value = fieldValues[field.key]
+            return (
+              <div key={field.key} className="custom-field">
+                <span className="custom-field-label">
+                  {field.label}
+                  {field.type === 'number' && field.unit && <span className="custom-field-unit"> ({field.unit})</span>}
+                </span>
+                {field.type === 'scale' && (
+                  <div className="scale-options" role="group" aria-label={field.label}>
+                    {scaleSteps(field).map(step => (
+                      <button
+                        key={step}
+                        type="button"
+                        className={`scale-option ${value === step ? 'selected' : ''}`}
+                        onClick={() => handleFieldChange(field, step)}
+                        aria-pressed={value === step}
+                      >
+                        {step}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {field.type === 'yesNo' && (
+                  <div className="scale-options" role="group" aria-label={field.label}>
+                    {[true, false].map(answer => (
+                      <button
+                        key={String(answer)}
+                        type="button"
+                        className={`scale-option yes-no-option ${value === answer ? 'selected' : ''}`}
+                        onClick={() => handleFieldChange(field, answer)}
+                        aria-pressed={value === answer}
+                      >
+                        {answer ? 'Yes' : 'No'}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {field.type === 'number' && (
+                  <input
+                    type="number"
+                    inputMode="decimal"
+                    step="any"
+                    min={field.min ?? undefined}
+                    max={field.max ?? undefined}
+                    className="custom-field-input"
+                    value={value ?? ''}
+                    onChange={(e) => setFieldValues(prev => ({
+                      ...prev,
+                      [field.key]: e.target.value === '' ? '' : Number(e.target.value)
+                    }))}
+                    aria-label={field.label}
+                  />
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
       <button
         className="optional-toggle"
         onClick={() => setShowOptional(!showOptional)}
@@ -435,7 +670,7 @@ function DailyEntry({ onSave }) {
               <p className="loading-text">Loading medications...</p>
             ) : (
               medConfig.map(med => {
-                const state = meds[med.key] || { status: 'off', dose: '' }
+                const state = meds[med.key] || { status: 'off', amount: '', unit: med.unit || '' }
                 const isOn = state.status === 'on'
 
                 return (
@@ -452,11 +687,24 @@ function DailyEntry({ onSave }) {
                     </div>
                     <div className="med-body">
                       <input
-                        type="text"
+                        type="number"
+                        inputMode="decimal"
+                        min="0"
+                        step="any"
                         className="med-dose-input"
-                        value={state.dose}
-                        onChange={(e) => handleMedChange(med.key, 'dose', e.target.value)}
-                        placeholder="Enter dose..."
+                        value={state.amount}
+                        onChange={(e) => handleMedChange(med.key, 'amount', e.target.value)}
+                        placeholder="Amount"
+                        aria-label={`${med.label} amount`}
+                        disabled={!isOn}
+                      />
+                      <input
+                        type="text"
+                        className="med-dose-input med-unit-input"
+                        value={state.unit}
+                        onChange={(e) => handleMedChange(med.key, 'unit', e.target.value)}
+                        placeholder="Unit"
+                        aria-label={`${med.label} unit`}
                         disabled={!isOn}
                       />
                     </div>
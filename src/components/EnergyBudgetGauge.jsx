@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react'
+import { getEnergyBudget } from '../utils/api'
+
+// Steps arrive from Health Auto Export through the day; refresh this often
+const REFRESH_MS = 5 * 60 * 1000
+
+// The pacing zone a share of the budget is in, by the user's alert thresholds
+function zoneFor(percent, thresholds) {
+  if (percent >= 100) return 'over'
+  const highest = thresholds.filter(threshold => threshold < 100 && percent >= threshold).length
+  if (highest === 0) return 'ok'
+  return highest === thresholds.filter(threshold => threshold < 100).length ? 'high' : 'warn'
+}
+
+/**
+ * Today's steps against the energy budget (see lib/energyBudget.js), with
+ * a mark at each pacing alert threshold. Hidden until there's a budget, and
+ * when it can't be fetched (offline).
+ */
+function EnergyBudgetGauge() {
+  const [status, setStatus] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function refresh() {
+      try {
+        const result = await getEnergyBudget()
+        if (!cancelled) setStatus(result)
+      } catch (err) {
+        console.error('Failed to fetch energy budget:', err)
+      }
+    }
+
+    function handleVisible() {
+      if (document.visibilityState === 'visible') refresh()
+    }
+
+    refresh()
+    const timer = setInterval(refresh, REFRESH_MS)
+    document.addEventListener('visibilitychange', handleVisible)
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+      document.removeEventListener('visibilitychange', handleVisible)
+    }
+  }, [])
+
+  if (!status || status.budget === null) return null
+
+  const { used, budget, percent, basedOnDays, pacingAlerts } = status
+  const zone = zoneFor(percent, pacingAlerts)
+  const left = budget - used
+
+  return (
+    <div className={`energy-budget ${zone}`}>
+      <div className="energy-budget-header">
+        <span className="energy-budget-title">Today's energy budget</span>
+        <span className="energy-budget-percent">{percent}%</span>
+      </div>
+      <div
+        className="energy-budget-track"
+        role="meter"
+        aria-label="Today's energy budget used"
+        aria-valuemin={0}
+        aria-valuemax={budget}
+        aria-valuenow={used}
+      >
+        <div className="energy-budget-fill" style={{ width: `${Math.min(percent, 100)}%` }} />
+        {pacingAlerts.filter(threshold => threshold < 100).map(threshold => (
+          <span key={threshold} className="energy-budget-mark" style={{ left: `${threshold}%` }} />
+        ))}
+      </div>
+      <div className="energy-budget-detail">
+        <span>{used.toLocaleString()} of {budget.toLocaleString()} steps</span>
+        <span>
+          {left > 0 ? `${left.toLocaleString()} left` : `${(-left).toLocaleString()} over`}
+        </span>
+      </div>
+      <p className="energy-budget-note">
+        Budget from your last {basedOnDays} days that didn't lead into a crash
+      </p>
+    </div>
+  )
+}
+
+export default EnergyBudgetGauge
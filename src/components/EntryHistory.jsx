@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
-import { getEntries } from '../utils/api';
+import { getEntries, deleteEntry, getEntryHistory, restoreEntry } from '../utils/api';
 import { isNoWatchDay } from '../utils/noWatchDays';
+import { fieldLabel, formatFieldValue } from '../utils/entryFields';
+import { describeAnomaly, directionArrow } from '../utils/baselineFlags';
 import './EntryHistory.css';
 
 /**
@@ -9,12 +11,22 @@ import './EntryHistory.css';
  * Displays the last 10 days of data from Google Sheets.
  * Shows daily entries and ECG data merged by date.
  * ECG data is attributed to the date it was collected.
+ *
+ * Cards with a daily entry can be edited (onEdit opens the entry form on that
+ * date) or deleted, and show the day's change history, from which an earlier
+ * version can be restored. Watch metrics flagged against their baselines
+ * (see lib/baselines.js) are listed under the day's health data.
  */
-export default function EntryHistory() {
+export default function EntryHistory({ onEdit }) {
   const [entries, setEntries] = useState([]);
   const [medications, setMedications] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [deleting, setDeleting] = useState(null); // normalizedDate being deleted
+  const [historyFor, setHistoryFor] = useState(null); // normalizedDate with history open
+  const [reloadCount, setReloadCount] = useState(0);
 
   useEffect(() => {
     async function fetchEntries() {
@@ -24,6 +36,7 @@ export default function EntryHistory() {
         const data = await getEntries(10);
         setEntries(data.entries || []);
         setMedications(data.medications || []);
+        setCustomFields(data.customFields || []);
       } catch (err) {
         console.error('Failed to fetch entries:', err);
         setError(err.message || 'Failed to load entries');
@@ -33,7 +46,26 @@ export default function EntryHistory() {
     }
 
     fetchEntries();
-  }, []);
+  }, [reloadCount]);
+
+  const handleDelete = async (entry) => {
+    const label = formatDate(entry.normalizedDate || entry.date);
+    if (!window.confirm(`Delete the entry for ${label}? Health and ECG data for the day are kept.`)) return;
+
+    setDeleting(entry.normalizedDate);
+    setActionError(null);
+    try {
+      await deleteEntry(entry.date, entry.revision);
+      setReloadCount(count => count + 1);
+    } catch (err) {
+      console.error('Failed to delete entry:', err);
+      setActionError(err.message || 'Failed to delete entry');
+      // Show what the other device saved
+      if (err.status === 409) setReloadCount(count => count + 1);
+    } finally {
+      setDeleting(null);
+    }
+  };
 
   if (loading) {
     return (
@@ -65,6 +97,7 @@ export default function EntryHistory() {
   return (
     <div className="entry-history">
       <h2>Recent Entries</h2>
+      {actionError && <p className="error">{actionError}</p>}
       <div className="entries-list">
         {entries.map((entry, index) => (
           <EntryCard
@@ -72,6 +105,13 @@ export default function EntryHistory() {
             entry={entry}
             previousEntry={entries[index + 1] || null}
             medications={medications}
+            customFields={customFields}
+            onEdit={onEdit}
+            onDelete={handleDelete}
+            deleting={deleting === entry.normalizedDate}
+            showHistory={historyFor === entry.normalizedDate}
+            onToggleHistory={() => setHistoryFor(open => open === entry.normalizedDate ? null : entry.normalizedDate)}
+            onRestored={() => setReloadCount(count => count + 1)}
           />
         ))}
       </div>
@@ -82,7 +122,9 @@ export default function EntryHistory() {
 /**
  * Individual entry card component
  */
-function EntryCard({ entry, previousEntry, medications }) {
+function EntryCard({
+  entry, previousEntry, medications, customFields, onEdit, onDelete, deleting, showHistory, onToggleHistory, onRestored
+}) {
   const hasAnyData = entry.hasEntryData || entry.hasECGData;
   const noWatch = isNoWatchDay(entry.normalizedDate || entry.date);
 
@@ -104,13 +146,43 @@ function EntryCard({ entry, previousEntry, medications }) {
     }
   });
 
+  // Custom fields answered that day
+  const fieldsRecorded = customFields.filter(field => entry[field.key] !== null && entry[field.key] !== undefined);
+
   return (
     <div className={`entry-card ${!entry.hasEntryData && entry.hasECGData ? 'ecg-only' : ''}`}>
       {/* Header with date */}
       <div className="entry-header">
         <span className="entry-date">{formatDate(entry.normalizedDate || entry.date)}</span>
+        <div className="entry-actions">
+          {onEdit && (
+            <button type="button" className="entry-action" onClick={() => onEdit(entry)}>
+              {entry.hasEntryData ? 'Edit' : 'Add entry'}
+            </button>
+          )}
+          {entry.hasEntryData && (
+            <button type="button" className="entry-action" onClick={onToggleHistory}>
+              {showHistory ? 'Hide history' : 'History'}
+            </button>
+          )}
+          {entry.hasEntryData && (
+            <button
+              type="button"
+              className="entry-action delete"
+              onClick={() => onDelete(entry)}
+              disabled={deleting}
+            >
+              {deleting ? 'Deleting...' : 'Delete'}
+            </button>
+          )}
+        </div>
       </div>
 
+      {/* Change history (remounted, and so reloaded, after each save) */}
+      {showHistory && (
+        <EntryVersions key={entry.revision} entry={entry} onRestored={onRestored} />
+      )}
+
       {/* Row 1: Daily entry metrics */}
       {entry.hasEntryData && (
         <div className="entry-main-metrics">
@@ -144,7 +216,7 @@ function EntryCard({ entry, previousEntry, medications }) {
       )}
 
       {/* Secondary details */}
-      {(entry.comments || medsTaken.length > 0 || entry.exercise || entry.willDoECG) && (
+      {(entry.comments || medsTaken.length > 0 || fieldsRecorded.length > 0 || entry.exercise || entry.willDoECG) && (
         <div className="entry-details">
           {entry.comments && (
             <p className="entry-comments">{entry.comments}</p>
@@ -163,6 +235,13 @@ function EntryCard({ entry, previousEntry, medications }) {
                 ))}
               </div>
             )}
+            {fieldsRecorded.map(field => (
+              <span key={field.key} className="metric">
+                {field.label}: {formatFieldValue(field.key, entry[field.key])}
+                {field.type === 'scale' && `/${field.max}`}
+                {field.type === 'number' && field.unit && ` ${field.unit}`}
+              </span>
+            ))}
             {entry.exercise && (
               <span className="metric">
                 {entry.exercise} min exercise
@@ -237,6 +316,17 @@ function EntryCard({ entry, previousEntry, medications }) {
               </div>
             )}
           </div>
+
+          {entry.anomalies?.length > 0 && (
+            <ul className="baseline-flags" aria-label="Outside your usual range">
+              {entry.anomalies.map(flag => (
+                <li key={flag.key} className="baseline-flag" title={`z-score ${flag.z} against your 28-day baseline`}>
+                  <span className="baseline-flag-arrow">{directionArrow(flag)}</span>
+                  {describeAnomaly(flag)}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
 
@@ -248,6 +338,89 @@ function EntryCard({ entry, previousEntry, medications }) {
   );
 }
 
+/**
+ * A day's logged versions, newest first, each with the fields it changed.
+ * Restoring a version saves its values as a new version of the day.
+ */
+function EntryVersions({ entry, onRestored }) {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const [restoring, setRestoring] = useState(null); // version number
+
+  useEffect(() => {
+    getEntryHistory(entry.date)
+      .then(setHistory)
+      .catch(err => {
+        console.error('Failed to fetch entry history:', err);
+        setError(err.message || 'Failed to load history');
+      });
+  }, [entry.date]);
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version.version} from ${version.timestamp}?`)) return;
+
+    setRestoring(version.version);
+    setError(null);
+    try {
+      await restoreEntry(entry.date, version.version, history.revision);
+      onRestored();
+    } catch (err) {
+      console.error('Failed to restore entry:', err);
+      setError(err.message || 'Failed to restore entry');
+      if (err.status === 409) onRestored();
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (error) return <p className="error entry-versions">{error}</p>;
+  if (!history) return <p className="loading entry-versions">Loading history...</p>;
+  if (history.versions.length === 0) {
+    return <p className="empty entry-versions">No logged changes for this day.</p>;
+  }
+
+  const latest = history.versions[history.versions.length - 1].version;
+
+  return (
+    <ol className="entry-versions">
+      {[...history.versions].reverse().map(version => (
+        <li key={version.version} className="entry-version">
+          <div className="entry-version-header">
+            <span>
+              v{version.version} · {version.timestamp}{version.actor ? ` · ${version.actor}` : ''}
+            </span>
+            {version.values && version.version !== latest && (
+              <button
+                type="button"
+                className="entry-action"
+                onClick={() => handleRestore(version)}
+                disabled={restoring !== null}
+              >
+                {restoring === version.version ? 'Restoring...' : 'Restore'}
+              </button>
+            )}
+          </div>
+          {version.action === 'DELETE_ENTRY' && <span className="entry-version-note">Deleted</span>}
+          {version.restoredFrom && (
+            <span className="entry-version-note">Restored from v{version.restoredFrom}</span>
+          )}
+          {version.action !== 'DELETE_ENTRY' && (
+            <ul className="entry-version-changes">
+              {version.changes.length === 0 && <li>No changes</li>}
+              {version.changes.map(change => (
+                <li key={change.field}>
+                  {fieldLabel(change.field, [...history.medications, ...(history.customFields || [])])}:{' '}
+                  {formatFieldValue(change.field, change.from)} → {formatFieldValue(change.field, change.to)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
 /**
  * Format sleep duration in minutes to "Xh Ym" display string.
  */
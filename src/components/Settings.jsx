@@ -7,16 +7,97 @@ import {
   unsubscribeFromPush,
   isSubscribed
 } from '../utils/pushNotification.js';
-import { getAuthToken } from '../utils/auth.js';
+import {
+  getAuthToken,
+  getAuthenticatedUrl,
+  getAuthMethod,
+  getSession,
+  getStoredSecret,
+  forgetStoredSecret,
+  clearSession
+} from '../utils/auth.js';
+import { isPasskeySupported, registerPasskey, signInWithPasskey } from '../utils/passkey.js';
 import {
   getEntries,
   addMedication,
+  renameMedication,
+  setMedicationArchived,
+  setMedicationDose,
+  refillMedication,
+  getMedicationSupply,
+  reorderMedications,
+  mergeMedications,
   getNotificationSettings,
   saveNotificationSettings,
-  sendNotification
+  sendNotification,
+  getDevices,
+  createDevice,
+  revokeDevice,
+  getPasskeys,
+  revokePasskey
 } from '../utils/api.js';
 import './Settings.css';
 
+// Access levels offered when linking a device, mapped to API token scopes
+const DEVICE_ACCESS_LEVELS = [
+  { value: 'write', label: 'Log & view', scopes: ['write'] },
+  { value: 'admin', label: 'Full access (can manage devices)', scopes: ['admin'] },
+  { value: 'read', label: 'View only', scopes: ['read'] }
+];
+
+function describeDeviceScopes(scopes) {
+  if (scopes.includes('admin')) return 'Full access';
+  if (scopes.includes('write')) return 'Log & view';
+  if (scopes.includes('read')) return 'View only';
+  return scopes.join(', ');
+}
+
+// Medication schedules the API accepts, with how they read
+const SCHEDULE_LABELS = {
+  'daily': 'Daily',
+  'twice-daily': 'Twice daily',
+  'weekly': 'Weekly',
+  'as-needed': 'As needed'
+};
+
+function describeMedicationDose(med) {
+  const dose = med.defaultAmount !== null && med.defaultAmount !== undefined
+    ? `${med.defaultAmount} ${med.unit || ''}`.trim()
+    : med.unit || 'No dose set';
+  const parts = [dose, med.defaultOn ? 'On by default' : 'Off by default'];
+  if (med.schedule) parts.push(SCHEDULE_LABELS[med.schedule] || med.schedule);
+  if (!med.carryForward) parts.push('Ignores yesterday');
+  return parts.join(' · ');
+}
+
+// Energy budget percentages offered as pacing alerts (100 is going over)
+const PACING_ALERT_OPTIONS = [50, 60, 70, 80, 90, 100];
+
+// How far (in robust z-scores) a day strays from baseline before it's flagged
+const ANOMALY_THRESHOLD_OPTIONS = [
+  { value: 1.5, label: 'Sensitive (1.5)' },
+  { value: 2, label: 'Standard (2)' },
+  { value: 2.5, label: 'Fewer flags (2.5)' },
+  { value: 3, label: 'Only big changes (3)' }
+];
+
+// "24 pills left · about 12 days (to Nov 1)"
+function describeSupply(supply) {
+  const left = supply.remaining > 0
+    ? `${supply.remaining} ${supply.unit || ''}`.trim() + ' left'
+    : 'None left';
+  if (supply.daysLeft === null) return left;
+  const runsOut = new Date(`${supply.runsOutOn}T12:00:00`)
+    .toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return `${left} · about ${supply.daysLeft} day${supply.daysLeft === 1 ? '' : 's'} (to ${runsOut})`;
+}
+
+function formatDeviceTime(iso) {
+  if (!iso) return 'Never';
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? iso : date.toLocaleString();
+}
+
 export default function Settings() {
   const [pushSupported, setPushSupported] = useState(false);
   const [subscribed, setSubscribed] = useState(false);
@@ -34,28 +115,63 @@ export default function Settings() {
   const [reminderSettings, setReminderSettings] = useState({
     firstReminderTime: '20:00',
     repeatInterval: 60,
-    stopAfterLog: true
+    stopAfterLog: true,
+    lowSupplyDays: 7,
+    pacingAlerts: [70, 90, 100],
+    hrCeiling: null,
+    hrCeilingMinutes: 5,
+    anomalyThreshold: 2,
+    morningSummaryTime: null
   });
   const [settingsLoading, setSettingsLoading] = useState(false);
   const [settingsMessage, setSettingsMessage] = useState({ type: '', text: '' });
 
   // Medication management
   const [medications, setMedications] = useState([]);
+  const [supplies, setSupplies] = useState({});
   const [medsLoading, setMedsLoading] = useState(true);
   const [newMedName, setNewMedName] = useState('');
   const [medPreview, setMedPreview] = useState(null);
   const [medAdding, setMedAdding] = useState(false);
   const [medMessage, setMedMessage] = useState({ type: '', text: '' });
   const [showAddMed, setShowAddMed] = useState(false);
+  // Rename, dose or merge form open for one medication: { key, mode: 'rename' | 'dose' | 'merge', value }
+  // (value is { unit, defaultAmount, schedule, defaultOn, carryForward } for 'dose')
+  const [medEditing, setMedEditing] = useState(null);
+  const [medBusy, setMedBusy] = useState(false);
+  const [medManageMessage, setMedManageMessage] = useState({ type: '', text: '' });
+
+  // Linked devices
+  const [devices, setDevices] = useState([]);
+  const [currentDeviceId, setCurrentDeviceId] = useState(null);
+  const [devicesLoading, setDevicesLoading] = useState(true);
+  const [showAddDevice, setShowAddDevice] = useState(false);
+  const [newDeviceName, setNewDeviceName] = useState('');
+  const [newDeviceAccess, setNewDeviceAccess] = useState('write');
+  const [deviceCreating, setDeviceCreating] = useState(false);
+  const [newDeviceLink, setNewDeviceLink] = useState(null);
+  const [deviceMessage, setDeviceMessage] = useState({ type: '', text: '' });
+
+  // Passkeys
+  const [passkeySupported] = useState(() => isPasskeySupported());
+  const [authMethod, setAuthMethod] = useState(() => getAuthMethod());
+  const [session, setSession] = useState(() => getSession());
+  const [hasStoredSecret, setHasStoredSecret] = useState(() => !!getStoredSecret());
+  const [passkeys, setPasskeys] = useState([]);
+  const [currentPasskeyId, setCurrentPasskeyId] = useState(null);
+  const [passkeyName, setPasskeyName] = useState('');
+  const [passkeyBusy, setPasskeyBusy] = useState(false);
+  const [passkeyMessage, setPasskeyMessage] = useState({ type: '', text: '' });
 
   useEffect(() => {
     checkPushStatus();
     fetchReminderSettings();
     fetchMedications();
+    fetchDevices();
+    fetchPasskeys();
 
-    // Load current auth token
-    const currentToken = getAuthToken();
-    setAuthToken(currentToken || '');
+    // Load the stored secret token (not a passkey session, which expires)
+    setAuthToken(getStoredSecret() || '');
   }, []);
 
   async function fetchMedications() {
@@ -68,6 +184,13 @@ export default function Settings() {
     } finally {
       setMedsLoading(false);
     }
+
+    try {
+      const data = await getMedicationSupply();
+      setSupplies(Object.fromEntries(data.supplies.map(supply => [supply.key, supply])));
+    } catch (err) {
+      console.error('Failed to fetch medication supply:', err);
+    }
   }
 
   // Format medication name for preview (capitalize each word)
@@ -133,6 +256,293 @@ export default function Settings() {
     }
   }
 
+  // Run one medication change, then reload the list
+  async function runMedAction(action, describeResult) {
+    setMedBusy(true);
+    setMedManageMessage({ type: '', text: '' });
+
+    try {
+      const result = await action();
+      setMedManageMessage({ type: 'success', text: describeResult(result) });
+      setMedEditing(null);
+      await fetchMedications();
+    } catch (err) {
+      console.error('Failed to update medication:', err);
+      setMedManageMessage({
+        type: 'error',
+        text: err.message || 'Failed to update medication'
+      });
+    } finally {
+      setMedBusy(false);
+    }
+  }
+
+  function handleMedMove(index, offset) {
+    const order = medications.map(med => med.key);
+    const [moved] = order.splice(index, 1);
+    order.splice(index + offset, 0, moved);
+    runMedAction(() => reorderMedications(order), () => 'Order saved.');
+  }
+
+  function handleMedArchive(med) {
+    runMedAction(
+      () => setMedicationArchived(med.key, !med.archived),
+      () => med.archived
+        ? `"${med.label}" is back on the daily form.`
+        : `Archived "${med.label}". Its past doses stay in your history.`
+    );
+  }
+
+  function handleMedRename(med) {
+    if (!medEditing.value.trim()) return;
+    runMedAction(
+      () => renameMedication(med.key, medEditing.value),
+      result => `Renamed "${result.medication.previousLabel}" to "${result.medication.label}".`
+    );
+  }
+
+  function handleMedDose(med) {
+    const { unit, defaultAmount, schedule, defaultOn, carryForward } = medEditing.value;
+    runMedAction(
+      () => setMedicationDose(med.key, {
+        unit: unit.trim(),
+        defaultAmount: defaultAmount === '' ? null : Number(defaultAmount),
+        schedule: schedule || null,
+        defaultOn,
+        carryForward
+      }),
+      result => `Saved the dose for "${result.medication.label}".`
+    );
+  }
+
+  function handleMedRefill(med) {
+    const { quantity, unit } = medEditing.value;
+    if (!(Number(quantity) > 0)) return;
+    runMedAction(
+      () => refillMedication(med.key, Number(quantity), unit.trim() || undefined),
+      result => `Refilled "${result.medication.label}": ${describeSupply(result.medication)}.`
+    );
+  }
+
+  function handleMedMerge(med) {
+    const into = medications.find(other => other.key === medEditing.value);
+    if (!into) return;
+    if (!window.confirm(`Merge "${med.label}" into "${into.label}"? Its doses move to "${into.label}" and its column is deleted.`)) return;
+
+    runMedAction(
+      () => mergeMedications(med.key, into.key),
+      result => {
+        const kept = result.dropped.length > 0
+          ? ` On ${result.dropped.length} day(s) both had a dose; "${into.label}"'s was kept (the other is in the AuditLog).`
+          : '';
+        return `Merged "${med.label}" into "${into.label}" (${result.moved} dose(s) moved).${kept}`;
+      }
+    );
+  }
+
+  async function fetchDevices() {
+    try {
+      setDevicesLoading(true);
+      const data = await getDevices();
+      setDevices((data.devices || []).filter(device => !device.revokedAt));
+      setCurrentDeviceId(data.currentDeviceId);
+    } catch (err) {
+      console.error('Failed to fetch devices:', err);
+      setDeviceMessage({
+        type: 'error',
+        text: err.message === 'Forbidden'
+          ? 'This device does not have full access, so it cannot manage linked devices.'
+          : (err.message || 'Failed to load linked devices')
+      });
+    } finally {
+      setDevicesLoading(false);
+    }
+  }
+
+  async function handleCreateDevice() {
+    const name = newDeviceName.trim();
+    if (!name) return;
+
+    const level = DEVICE_ACCESS_LEVELS.find(l => l.value === newDeviceAccess);
+
+    setDeviceCreating(true);
+    setDeviceMessage({ type: '', text: '' });
+
+    try {
+      const result = await createDevice(name, level.scopes);
+      setNewDeviceLink({ name: result.device.name, url: getAuthenticatedUrl(result.token) });
+      setNewDeviceName('');
+      setShowAddDevice(false);
+      await fetchDevices();
+    } catch (err) {
+      console.error('Failed to link device:', err);
+      setDeviceMessage({
+        type: 'error',
+        text: err.message || 'Failed to link device'
+      });
+    } finally {
+      setDeviceCreating(false);
+    }
+  }
+
+  async function handleRevokeDevice(device) {
+    const isCurrent = device.id === currentDeviceId;
+    const prompt = isCurrent
+      ? `"${device.name}" is THIS device. Revoking it will sign this device out. Continue?`
+      : `Revoke access for "${device.name}"? It will stop working immediately.`;
+    if (!window.confirm(prompt)) return;
+
+    setDeviceMessage({ type: '', text: '' });
+
+    try {
+      await revokeDevice(device.id);
+      setDeviceMessage({
+        type: 'success',
+        text: `Revoked "${device.name}".`
+      });
+      if (isCurrent) {
+        setDevices([]);
+        return;
+      }
+      await fetchDevices();
+    } catch (err) {
+      console.error('Failed to revoke device:', err);
+      setDeviceMessage({
+        type: 'error',
+        text: err.message || 'Failed to revoke device'
+      });
+    }
+  }
+
+  async function handleCopyDeviceLink() {
+    try {
+      await navigator.clipboard.writeText(newDeviceLink.url);
+      setDeviceMessage({ type: 'success', text: 'Link copied to clipboard.' });
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+      setDeviceMessage({ type: 'error', text: 'Could not copy automatically. Select the link and copy it manually.' });
+    }
+  }
+
+  function refreshAuthState() {
+    setAuthMethod(getAuthMethod());
+    setSession(getSession());
+    setHasStoredSecret(!!getStoredSecret());
+  }
+
+  async function fetchPasskeys() {
+    try {
+      const data = await getPasskeys();
+      setPasskeys((data.passkeys || []).filter(passkey => !passkey.revokedAt));
+      setCurrentPasskeyId(data.currentPasskeyId);
+    } catch (err) {
+      // Devices without full access can still register and use passkeys,
+      // they just can't list or revoke them.
+      console.error('Failed to fetch passkeys:', err);
+      setPasskeys([]);
+    }
+  }
+
+  async function handleRegisterPasskey() {
+    const name = passkeyName.trim();
+    if (!name) return;
+
+    setPasskeyBusy(true);
+    setPasskeyMessage({ type: '', text: '' });
+
+    try {
+      const passkey = await registerPasskey(name);
+      setPasskeyName('');
+      setPasskeyMessage({
+        type: 'success',
+        text: `Passkey "${passkey.name}" added. Use "Sign in with Passkey" to start using it on this device.`
+      });
+      await fetchPasskeys();
+    } catch (err) {
+      console.error('Failed to register passkey:', err);
+      setPasskeyMessage({
+        type: 'error',
+        text: err.name === 'NotAllowedError'
+          ? 'Passkey setup was cancelled.'
+          : (err.message || 'Failed to add passkey')
+      });
+    } finally {
+      setPasskeyBusy(false);
+    }
+  }
+
+  async function handlePasskeySignIn() {
+    setPasskeyBusy(true);
+    setPasskeyMessage({ type: '', text: '' });
+
+    try {
+      const result = await signInWithPasskey();
+      refreshAuthState();
+      setPasskeyMessage({
+        type: 'success',
+        text: `Signed in with "${result.passkey.name}" until ${formatDeviceTime(result.session.expiresAt)}.`
+      });
+      await fetchPasskeys();
+    } catch (err) {
+      console.error('Passkey sign-in failed:', err);
+      setPasskeyMessage({
+        type: 'error',
+        text: err.name === 'NotAllowedError'
+          ? 'Passkey sign-in was cancelled.'
+          : (err.message || 'Passkey sign-in failed')
+      });
+    } finally {
+      setPasskeyBusy(false);
+    }
+  }
+
+  function handleForgetSecret() {
+    if (!window.confirm('Remove the secret link from this device? After your session expires you will need your passkey (or the link again) to get back in.')) {
+      return;
+    }
+    forgetStoredSecret();
+    setAuthToken('');
+    refreshAuthState();
+    setPasskeyMessage({
+      type: 'success',
+      text: 'Secret link removed. This device now signs in with its passkey only.'
+    });
+  }
+
+  function handlePasskeySignOut() {
+    clearSession();
+    refreshAuthState();
+    setPasskeyMessage({ type: 'success', text: 'Passkey session ended on this device.' });
+  }
+
+  async function handleRevokePasskey(passkey) {
+    const isCurrent = passkey.id === currentPasskeyId;
+    const prompt = isCurrent
+      ? `"${passkey.name}" is the passkey this device is signed in with. Revoking it will sign this device out. Continue?`
+      : `Revoke passkey "${passkey.name}"? Sessions it started stop working immediately.`;
+    if (!window.confirm(prompt)) return;
+
+    setPasskeyMessage({ type: '', text: '' });
+
+    try {
+      await revokePasskey(passkey.id);
+      setPasskeyMessage({ type: 'success', text: `Revoked passkey "${passkey.name}".` });
+      if (isCurrent) {
+        clearSession();
+        refreshAuthState();
+        setPasskeys([]);
+        return;
+      }
+      await fetchPasskeys();
+    } catch (err) {
+      console.error('Failed to revoke passkey:', err);
+      setPasskeyMessage({
+        type: 'error',
+        text: err.message || 'Failed to revoke passkey'
+      });
+    }
+  }
+
   function saveAuthToken() {
     const trimmedToken = authToken.trim();
     if (!trimmedToken) {
@@ -493,6 +903,149 @@ export default function Settings() {
               Reminders will resume tomorrow.
             </p>
           </div>
+
+          <div className="form-group">
+            <label htmlFor="lowSupplyDays">Low Supply Alert</label>
+            <select
+              id="lowSupplyDays"
+              value={reminderSettings.lowSupplyDays}
+              onChange={(e) => setReminderSettings({
+                ...reminderSettings,
+                lowSupplyDays: parseInt(e.target.value)
+              })}
+              className="select-input"
+            >
+              <option value="0">Off</option>
+              <option value="3">3 days left</option>
+              <option value="5">5 days left</option>
+              <option value="7">7 days left</option>
+              <option value="10">10 days left</option>
+              <option value="14">14 days left</option>
+            </select>
+            <p className="help-text">
+              Get a notification when a refilled medication will run out in fewer days than this.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <span className="group-label" id="pacingAlertsLabel">Pacing Alerts</span>
+            <div className="pacing-alerts" role="group" aria-labelledby="pacingAlertsLabel">
+              {PACING_ALERT_OPTIONS.map(percent => (
+                <label key={percent} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={reminderSettings.pacingAlerts.includes(percent)}
+                    onChange={(e) => setReminderSettings({
+                      ...reminderSettings,
+                      pacingAlerts: e.target.checked
+                        ? [...reminderSettings.pacingAlerts, percent].sort((a, b) => a - b)
+                        : reminderSettings.pacingAlerts.filter(p => p !== percent)
+                    })}
+                  />
+                  <span>{percent === 100 ? 'Over budget' : `${percent}%`}</span>
+                </label>
+              ))}
+            </div>
+            <p className="help-text">
+              Get a notification as today's steps reach these shares of your energy budget, the
+              typical day that didn't lead into a crash. Uncheck them all to turn pacing alerts off.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="hrCeiling">Heart Rate Ceiling</label>
+            <div className="hr-ceiling-fields">
+              <input
+                type="number"
+                id="hrCeiling"
+                inputMode="numeric"
+                min="60"
+                max="220"
+                step="1"
+                value={reminderSettings.hrCeiling ?? ''}
+                onChange={(e) => setReminderSettings({
+                  ...reminderSettings,
+                  hrCeiling: e.target.value === '' ? null : parseInt(e.target.value)
+                })}
+                className="text-input"
+                placeholder="Off"
+                aria-label="Heart rate ceiling in bpm"
+              />
+              <span>bpm for</span>
+              <select
+                value={reminderSettings.hrCeilingMinutes}
+                onChange={(e) => setReminderSettings({
+                  ...reminderSettings,
+                  hrCeilingMinutes: parseInt(e.target.value)
+                })}
+                className="select-input"
+                aria-label="Minutes above the ceiling before an alert"
+              >
+                <option value="1">1 minute</option>
+                <option value="2">2 minutes</option>
+                <option value="3">3 minutes</option>
+                <option value="5">5 minutes</option>
+                <option value="10">10 minutes</option>
+                <option value="15">15 minutes</option>
+              </select>
+            </div>
+            <p className="help-text">
+              Get a notification when your heart rate stays above this for that long, at most
+              one every 30 minutes. Each time is listed on the day in Stats. Leave it blank to
+              turn it off.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="anomalyThreshold">Baseline Flags</label>
+            <select
+              id="anomalyThreshold"
+              value={reminderSettings.anomalyThreshold}
+              onChange={(e) => setReminderSettings({
+                ...reminderSettings,
+                anomalyThreshold: parseFloat(e.target.value)
+              })}
+              className="select-input"
+            >
+              {ANOMALY_THRESHOLD_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <p className="help-text">
+              Days when resting HR rises, HRV drops or sleep changes this far from the last 28 days
+              are flagged in History and Stats.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={reminderSettings.morningSummaryTime !== null}
+                onChange={(e) => setReminderSettings({
+                  ...reminderSettings,
+                  morningSummaryTime: e.target.checked ? '08:00' : null
+                })}
+              />
+              <span>Morning summary</span>
+            </label>
+            {reminderSettings.morningSummaryTime !== null && (
+              <input
+                type="time"
+                value={reminderSettings.morningSummaryTime}
+                onChange={(e) => setReminderSettings({
+                  ...reminderSettings,
+                  morningSummaryTime: e.target.value || null
+                })}
+                className="time-input"
+                aria-label="Morning summary time"
+              />
+            )}
+            <p className="help-text">
+              Get a notification each morning with your latest resting HR, HRV and sleep against
+              your baselines, and anything flagged.
+            </p>
+          </div>
         </div>
 
         {settingsMessage.text && (
@@ -516,7 +1069,12 @@ export default function Settings() {
       <div className="settings-section">
         <h3>Manage Medications</h3>
         <p className="settings-description">
-          View current medications and add new ones to track.
+          Add, rename and order the medications on the daily form, and set each
+          one's unit, schedule and what a new day starts with: the last recorded
+          dose, or on/off with its default amount. Record a refill and the
+          supply counts down with each logged dose. Archive one you've stopped to
+          hide it from the form while keeping its history, or merge a duplicate
+          into the one you want to keep.
         </p>
 
         {/* Current Medications List */}
@@ -527,12 +1085,224 @@ export default function Settings() {
           ) : medications.length === 0 ? (
             <p className="empty-text">No medications configured.</p>
           ) : (
-            <div className="medications-grid">
-              {medications.map(med => (
-                <span key={med.key} className="medication-chip">
-                  {med.label}
-                </span>
+            <ul className="device-list">
+              {medications.map((med, index) => (
+                <li key={med.key} className={`device-item medication-item${med.archived ? ' archived' : ''}`}>
+                  <div className="medication-item-row">
+                    <div className="device-info">
+                      <span className="device-name">{med.label}</span>
+                      <span className="device-meta">{describeMedicationDose(med)}</span>
+                      {supplies[med.key] && (
+                        <span className={`device-meta${supplies[med.key].low ? ' supply-low' : ''}`}>
+                          {describeSupply(supplies[med.key])}
+                        </span>
+                      )}
+                      {med.archived && <span className="device-meta">Archived</span>}
+                    </div>
+                    <div className="medication-actions">
+                      <button
+                        onClick={() => handleMedMove(index, -1)}
+                        disabled={medBusy || index === 0}
+                        className="btn-secondary medication-action"
+                        aria-label={`Move ${med.label} up`}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        onClick={() => handleMedMove(index, 1)}
+                        disabled={medBusy || index === medications.length - 1}
+                        className="btn-secondary medication-action"
+                        aria-label={`Move ${med.label} down`}
+                      >
+                        ↓
+                      </button>
+                      <button
+                        onClick={() => setMedEditing({ key: med.key, mode: 'rename', value: med.label })}
+                        disabled={medBusy}
+                        className="btn-secondary medication-action"
+                      >
+                        Rename
+                      </button>
+                      <button
+                        onClick={() => setMedEditing({
+                          key: med.key,
+                          mode: 'dose',
+                          value: {
+                            unit: med.unit || '',
+                            defaultAmount: med.defaultAmount ?? '',
+                            schedule: med.schedule || '',
+                            defaultOn: med.defaultOn,
+                            carryForward: med.carryForward
+                          }
+                        })}
+                        disabled={medBusy}
+                        className="btn-secondary medication-action"
+                      >
+                        Dose
+                      </button>
+                      <button
+                        onClick={() => setMedEditing({
+                          key: med.key,
+                          mode: 'refill',
+                          value: { quantity: '', unit: supplies[med.key]?.unit || med.unit || '' }
+                        })}
+                        disabled={medBusy}
+                        className="btn-secondary medication-action"
+                      >
+                        Refill
+                      </button>
+                      <button
+                        onClick={() => handleMedArchive(med)}
+                        disabled={medBusy}
+                        className="btn-secondary medication-action"
+                      >
+                        {med.archived ? 'Unarchive' : 'Archive'}
+                      </button>
+                      {medications.length > 1 && (
+                        <button
+                          onClick={() => setMedEditing({ key: med.key, mode: 'merge', value: '' })}
+                          disabled={medBusy}
+                          className="btn-secondary medication-action"
+                        >
+                          Merge
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {medEditing?.key === med.key && (
+                    <div className="medication-edit">
+                      {medEditing.mode === 'dose' ? (
+                        <div className="medication-dose-fields">
+                          <input
+                            type="number"
+                            inputMode="decimal"
+                            min="0"
+                            step="any"
+                            value={medEditing.value.defaultAmount}
+                            onChange={(e) => setMedEditing({ ...medEditing, value: { ...medEditing.value, defaultAmount: e.target.value } })}
+                            className="text-input"
+                            placeholder="Default amount"
+                            aria-label={`Default amount of ${med.label}`}
+                          />
+                          <input
+                            type="text"
+                            value={medEditing.value.unit}
+                            onChange={(e) => setMedEditing({ ...medEditing, value: { ...medEditing.value, unit: e.target.value } })}
+                            className="text-input"
+                            maxLength={20}
+                            placeholder="Unit (g, mg, pill...)"
+                            aria-label={`Unit of ${med.label}`}
+                          />
+                          <select
+                            value={medEditing.value.schedule}
+                            onChange={(e) => setMedEditing({ ...medEditing, value: { ...medEditing.value, schedule: e.target.value } })}
+                            className="text-input"
+                            aria-label={`Schedule of ${med.label}`}
+                          >
+                            <option value="">No schedule</option>
+                            {Object.entries(SCHEDULE_LABELS).map(([schedule, label]) => (
+                              <option key={schedule} value={schedule}>{label}</option>
+                            ))}
+                          </select>
+                          <label className="checkbox-label">
+                            <input
+                              type="checkbox"
+                              checked={medEditing.value.defaultOn}
+                              onChange={(e) => setMedEditing({ ...medEditing, value: { ...medEditing.value, defaultOn: e.target.checked } })}
+                            />
+                            <span>On by default</span>
+                          </label>
+                          <label className="checkbox-label">
+                            <input
+                              type="checkbox"
+                              checked={medEditing.value.carryForward}
+                              onChange={(e) => setMedEditing({ ...medEditing, value: { ...medEditing.value, carryForward: e.target.checked } })}
+                            />
+                            <span>Start from the last recorded dose</span>
+                          </label>
+                        </div>
+                      ) : medEditing.mode === 'refill' ? (
+                        <div className="medication-dose-fields">
+                          <input
+                            type="number"
+                            inputMode="decimal"
+                            min="0"
+                            step="any"
+                            value={medEditing.value.quantity}
+                            onChange={(e) => setMedEditing({ ...medEditing, value: { ...medEditing.value, quantity: e.target.value } })}
+                            className="text-input"
+                            placeholder="Quantity"
+                            aria-label={`Refill quantity of ${med.label}`}
+                          />
+                          <input
+                            type="text"
+                            value={medEditing.value.unit}
+                            onChange={(e) => setMedEditing({ ...medEditing, value: { ...medEditing.value, unit: e.target.value } })}
+                            className="text-input"
+                            maxLength={20}
+                            placeholder="Unit (g, mg, pill...)"
+                            aria-label={`Refill unit of ${med.label}`}
+                          />
+                        </div>
+                      ) : medEditing.mode === 'rename' ? (
+                        <input
+                          type="text"
+                          value={medEditing.value}
+                          onChange={(e) => setMedEditing({ ...medEditing, value: e.target.value })}
+                          className="text-input"
+                          maxLength={50}
+                          aria-label={`New name for ${med.label}`}
+                        />
+                      ) : (
+                        <select
+                          value={medEditing.value}
+                          onChange={(e) => setMedEditing({ ...medEditing, value: e.target.value })}
+                          className="text-input"
+                          aria-label={`Merge ${med.label} into`}
+                        >
+                          <option value="">Merge into...</option>
+                          {medications.filter(other => other.key !== med.key).map(other => (
+                            <option key={other.key} value={other.key}>{other.label}</option>
+                          ))}
+                        </select>
+                      )}
+                      <div className="settings-actions">
+                        <button onClick={() => setMedEditing(null)} disabled={medBusy} className="btn-secondary">
+                          Cancel
+                        </button>
+                        {medEditing.mode === 'dose' ? (
+                          <button onClick={() => handleMedDose(med)} disabled={medBusy} className="btn-primary">
+                            Save Dose
+                          </button>
+                        ) : medEditing.mode === 'refill' ? (
+                          <button
+                            onClick={() => handleMedRefill(med)}
+                            disabled={medBusy || !(Number(medEditing.value.quantity) > 0)}
+                            className="btn-primary"
+                          >
+                            Save Refill
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => medEditing.mode === 'rename' ? handleMedRename(med) : handleMedMerge(med)}
+                            disabled={medBusy || !medEditing.value.trim()}
+                            className="btn-primary"
+                          >
+                            {medEditing.mode === 'rename' ? 'Save Name' : 'Merge'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </li>
               ))}
+            </ul>
+          )}
+
+          {medManageMessage.text && (
+            <div className={`settings-message ${medManageMessage.type}`}>
+              {medManageMessage.text}
             </div>
           )}
         </div>
@@ -750,6 +1520,238 @@ export default function Settings() {
         </div>
       </div>
 
+      {/* Passkeys Section */}
+      <div className="settings-section">
+        <h3>Passkeys</h3>
+        <p className="settings-description">
+          Sign in with Face ID, fingerprint or your device PIN instead of keeping
+          the secret link on this device. Sessions last 12 hours.
+        </p>
+
+        <div className="notification-status">
+          <div className="status-item">
+            <span className="status-label">This device:</span>
+            <span className={`status-value ${authMethod === 'passkey' ? 'success' : authMethod ? 'warning' : 'error'}`}>
+              {authMethod === 'passkey' ? 'Passkey session' : authMethod ? 'Secret link' : 'Signed out'}
+            </span>
+          </div>
+          {session && (
+            <div className="status-item">
+              <span className="status-label">Session expires:</span>
+              <span className="status-value inactive">{formatDeviceTime(session.expiresAt)}</span>
+            </div>
+          )}
+        </div>
+
+        {!passkeySupported ? (
+          <p className="help-text error">This browser does not support passkeys.</p>
+        ) : (
+          <>
+            <div className="settings-actions">
+              <button
+                onClick={handlePasskeySignIn}
+                disabled={passkeyBusy}
+                className="btn-primary"
+              >
+                {passkeyBusy ? 'Waiting for passkey...' : 'Sign in with Passkey'}
+              </button>
+              {session && (
+                <button
+                  onClick={handlePasskeySignOut}
+                  disabled={passkeyBusy}
+                  className="btn-secondary"
+                >
+                  End Session
+                </button>
+              )}
+            </div>
+
+            {session && hasStoredSecret && (
+              <div className="settings-actions">
+                <button onClick={handleForgetSecret} className="btn-secondary">
+                  Forget Secret Link on This Device
+                </button>
+              </div>
+            )}
+
+            {authMethod && (
+              <div className="add-medication-form device-link">
+                <div className="form-group">
+                  <label htmlFor="passkeyName">Add a passkey for this device</label>
+                  <input
+                    type="text"
+                    id="passkeyName"
+                    value={passkeyName}
+                    onChange={(e) => setPasskeyName(e.target.value)}
+                    placeholder="e.g., Amiel's iPhone"
+                    className="text-input"
+                    maxLength={50}
+                  />
+                </div>
+                <div className="settings-actions">
+                  <button
+                    onClick={handleRegisterPasskey}
+                    disabled={!passkeyName.trim() || passkeyBusy}
+                    className="btn-primary"
+                  >
+                    Add Passkey
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {passkeys.length > 0 && (
+          <div className="medications-list-container">
+            <h4 className="subsection-title">Registered Passkeys</h4>
+            <ul className="device-list">
+              {passkeys.map(passkey => (
+                <li key={passkey.id} className="device-item">
+                  <div className="device-info">
+                    <span className="device-name">
+                      {passkey.name}
+                      {passkey.id === currentPasskeyId && <span className="device-current"> (this session)</span>}
+                    </span>
+                    <span className="device-meta">
+                      {describeDeviceScopes(passkey.scopes)} · Last used: {formatDeviceTime(passkey.lastUsedAt)}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleRevokePasskey(passkey)}
+                    className="btn-secondary device-revoke"
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {passkeyMessage.text && (
+          <div className={`settings-message ${passkeyMessage.type}`}>
+            {passkeyMessage.text}
+          </div>
+        )}
+      </div>
+
+      {/* Linked Devices Section */}
+      <div className="settings-section">
+        <h3>Linked Devices</h3>
+        <p className="settings-description">
+          Each phone or browser gets its own access link. If a device is lost,
+          revoke it here without affecting the others.
+        </p>
+
+        <div className="medications-list-container">
+          <h4 className="subsection-title">Active Devices</h4>
+          {devicesLoading ? (
+            <p className="loading-text">Loading devices...</p>
+          ) : devices.length === 0 ? (
+            <p className="empty-text">No linked devices yet.</p>
+          ) : (
+            <ul className="device-list">
+              {devices.map(device => (
+                <li key={device.id} className="device-item">
+                  <div className="device-info">
+                    <span className="device-name">
+                      {device.name}
+                      {device.id === currentDeviceId && <span className="device-current"> (this device)</span>}
+                    </span>
+                    <span className="device-meta">
+                      {describeDeviceScopes(device.scopes)} · Last used: {formatDeviceTime(device.lastUsedAt)}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleRevokeDevice(device)}
+                    className="btn-secondary device-revoke"
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {newDeviceLink && (
+          <div className="add-medication-form device-link">
+            <p className="preview-label">Open this link on &quot;{newDeviceLink.name}&quot; to sign it in:</p>
+            <input
+              type="text"
+              readOnly
+              value={newDeviceLink.url}
+              onFocus={(e) => e.target.select()}
+              className="text-input device-link-input"
+            />
+            <p className="help-text">
+              This link is shown only once. Anyone with it has the access you chose.
+            </p>
+            <div className="settings-actions preview-actions">
+              <button onClick={() => setNewDeviceLink(null)} className="btn-secondary">
+                Done
+              </button>
+              <button onClick={handleCopyDeviceLink} className="btn-primary">
+                Copy Link
+              </button>
+            </div>
+          </div>
+        )}
+
+        <button
+          className="add-med-toggle"
+          onClick={() => setShowAddDevice(!showAddDevice)}
+        >
+          {showAddDevice ? '− Close' : '+ Link New Device'}
+        </button>
+
+        {showAddDevice && (
+          <div className="add-medication-form">
+            <div className="form-group">
+              <label htmlFor="newDeviceName">Device Name</label>
+              <input
+                type="text"
+                id="newDeviceName"
+                value={newDeviceName}
+                onChange={(e) => setNewDeviceName(e.target.value)}
+                placeholder="e.g., Amiel's iPad"
+                className="text-input"
+                maxLength={50}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="newDeviceAccess">Access</label>
+              <select
+                id="newDeviceAccess"
+                value={newDeviceAccess}
+                onChange={(e) => setNewDeviceAccess(e.target.value)}
+                className="select-input"
+              >
+                {DEVICE_ACCESS_LEVELS.map(level => (
+                  <option key={level.value} value={level.value}>{level.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="settings-actions">
+              <button
+                onClick={handleCreateDevice}
+                disabled={!newDeviceName.trim() || deviceCreating}
+                className="btn-primary"
+              >
+                {deviceCreating ? 'Creating...' : 'Create Link'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {deviceMessage.text && (
+          <div className={`settings-message ${deviceMessage.type}`}>
+            {deviceMessage.text}
+          </div>
+        )}
+      </div>
+
       {/* Authentication Token Section */}
       <div className="settings-section">
         <h3>Authentication Token</h3>
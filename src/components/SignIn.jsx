@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { isPasskeySupported, signInWithPasskey } from '../utils/passkey.js';
+import './SignIn.css';
+
+/**
+ * Shown when this device has no session and no stored secret link,
+ * e.g. after a passkey session expired on a device that forgot its link.
+ */
+export default function SignIn({ onSignedIn }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const supported = isPasskeySupported();
+
+  async function handleSignIn() {
+    setBusy(true);
+    setError('');
+
+    try {
+      await signInWithPasskey();
+      onSignedIn();
+    } catch (err) {
+      console.error('Passkey sign-in failed:', err);
+      setError(err.name === 'NotAllowedError'
+        ? 'Sign-in was cancelled.'
+        : (err.message || 'Sign-in failed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="sign-in">
+      <h2>Sign in</h2>
+      <p className="sign-in-description">
+        Use the passkey you set up on this device, or open your secret app link again.
+      </p>
+
+      {supported ? (
+        <button onClick={handleSignIn} disabled={busy} className="sign-in-button">
+          {busy ? 'Waiting for passkey...' : 'Sign in with Passkey'}
+        </button>
+      ) : (
+        <p className="sign-in-error">This browser does not support passkeys. Open your secret app link to sign in.</p>
+      )}
+
+      {error && <p className="sign-in-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { describeAnomaly, directionArrow } from '../../utils/baselineFlags';
+
+function formatDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${months[m - 1]} ${d}, ${y}`;
+}
+
+/**
+ * Days in the Multi-Day range whose resting HR rose, HRV dropped or sleep
+ * changed beyond the anomaly threshold, against the 28 days before each
+ * (see lib/baselines.js). Hidden when there are none.
+ *
+ * Props:
+ *   days: the range's days from get-hourly-data (with anomalies)
+ */
+export default function BaselinePanel({ days = [] }) {
+  // Most recent first
+  const flagged = days.filter(day => day.anomalies?.length > 0).reverse();
+  if (flagged.length === 0) return null;
+
+  return (
+    <div className="crash-panel baseline-panel">
+      <div className="chart-section-header">
+        <span className="chart-section-title">Outside your usual range</span>
+      </div>
+
+      {flagged.map(day => (
+        <div key={day.date} className="impact-card baseline-card">
+          <div className="impact-card-header">
+            <span className="impact-card-title">{formatDate(day.date)}</span>
+          </div>
+          {day.anomalies.map(flag => (
+            <div key={flag.key} className="impact-card-dose">
+              <span className="baseline-card-arrow">{directionArrow(flag)}</span>
+              {describeAnomaly(flag)} · z {flag.z}
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <p className="impact-note">
+        Compared with the median of the 28 days before, leaving out no-watch days. Resting HR
+        going up or HRV going down can be an early sign of an infection or a crash.
+      </p>
+    </div>
+  );
+}
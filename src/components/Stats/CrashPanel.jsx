@@ -0,0 +1,246 @@
+import { useState } from 'react';
+import { logCrash, updateCrash, deleteCrash } from '../../utils/api';
+
+const SEVERITIES = ['mild', 'moderate', 'severe', 'very severe'];
+
+const EMPTY_FORM = { onset: '', severity: 'moderate', durationDays: '', trigger: '' };
+
+function formatDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${months[m - 1]} ${d}, ${y}`;
+}
+
+// "Mar 3, 2026 – Mar 5, 2026", "Mar 3, 2026 – ongoing" or one day
+function formatSpan(start, end) {
+  if (end === null) return `${formatDate(start)} – ongoing`;
+  if (end === start) return formatDate(start);
+  return `${formatDate(start)} – ${formatDate(end)}`;
+}
+
+// Days from start to end, both included
+function spanDays(start, end) {
+  return Math.round((Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+const orDash = value => (value == null ? '–' : value);
+
+// Steps, exercise, brain time and feet on ground in the days before a crash
+function LookBack({ days }) {
+  return (
+    <table className="impact-table crash-look-back">
+      <thead>
+        <tr>
+          <th />
+          <th>Steps</th>
+          <th>Exercise</th>
+          <th>Brain time</th>
+          <th>Feet on ground</th>
+        </tr>
+      </thead>
+      <tbody>
+        {days.map(day => (
+          <tr key={day.date}>
+            <th scope="row">{day.daysBefore === 1 ? '1 day before' : `${day.daysBefore} days before`}</th>
+            <td>{day.steps == null ? '–' : day.steps.toLocaleString()}</td>
+            <td>{day.exercise == null ? '–' : `${day.exercise} min`}</td>
+            <td>{day.brainTime == null ? '–' : `${day.brainTime} h`}</td>
+            <td>{day.feetOnGround == null ? '–' : `${day.feetOnGround} h`}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function CrashForm({ initial, saving, onSave, onCancel }) {
+  const [form, setForm] = useState(initial);
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      onset: form.onset,
+      severity: form.severity,
+      durationDays: form.durationDays === '' ? null : Number(form.durationDays),
+      trigger: form.trigger,
+    });
+  };
+
+  return (
+    <form className="crash-form" onSubmit={handleSubmit}>
+      <label>
+        Onset
+        <input type="date" value={form.onset} onChange={set('onset')} required />
+      </label>
+      <label>
+        Severity
+        <select value={form.severity} onChange={set('severity')}>
+          {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+        </select>
+      </label>
+      <label>
+        Duration (days)
+        <input
+          type="number"
+          inputMode="numeric"
+          min="1"
+          step="1"
+          value={form.durationDays}
+          onChange={set('durationDays')}
+          placeholder="Ongoing"
+        />
+      </label>
+      <label>
+        Suspected trigger
+        <input type="text" value={form.trigger} onChange={set('trigger')} placeholder="e.g., long drive, visitors" />
+      </label>
+      <div className="crash-form-actions">
+        <button type="submit" className="preset-btn active" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="preset-btn" onClick={onCancel} disabled={saving}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Crash log for the Multi-Day range: the crashes logged in it and the
+ * possible ones the detector found (a sharp drop in feet on ground), each
+ * with a look-back at the days before. Possible crashes can be logged from
+ * here, prefilled.
+ *
+ * Props:
+ *   crashes: logged crashes from get-hourly-data (with lookBack)
+ *   possibleCrashes: detected drops from get-hourly-data (with lookBack)
+ *   onChange: function() - called after a crash is logged, changed or deleted
+ */
+export default function CrashPanel({ crashes = [], possibleCrashes = [], onChange }) {
+  // null, 'new', a crash id, or `possible:<start>` while its form is open
+  const [editing, setEditing] = useState(null);
+  const [formInitial, setFormInitial] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const openForm = (key, initial) => {
+    setEditing(key);
+    setFormInitial(initial);
+    setError(null);
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      setEditing(null);
+      onChange?.();
+    } catch (err) {
+      setError(err.message || 'Failed to save the crash');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (fields) => run(() => (
+    editing === 'new' || editing.startsWith('possible:')
+      ? logCrash(fields)
+      : updateCrash(editing, fields)
+  ));
+
+  const handleDelete = (crash) => {
+    if (!window.confirm(`Delete the crash of ${formatDate(crash.onset)}?`)) return;
+    run(() => deleteCrash(crash.id));
+  };
+
+  const form = (
+    <CrashForm
+      key={editing}
+      initial={formInitial}
+      saving={saving}
+      onSave={handleSave}
+      onCancel={() => setEditing(null)}
+    />
+  );
+
+  // Most recent first
+  const logged = [...crashes].reverse();
+  const possible = [...possibleCrashes].reverse();
+
+  return (
+    <div className="crash-panel">
+      <div className="chart-section-header">
+        <span className="chart-section-title">Crashes</span>
+        {editing !== 'new' && (
+          <button className="preset-btn" onClick={() => openForm('new', EMPTY_FORM)}>+ Log crash</button>
+        )}
+      </div>
+
+      {error && <div className="stats-error">{error}</div>}
+      {editing === 'new' && form}
+
+      {logged.map(crash => (
+        <div key={crash.id} className="impact-card crash-card">
+          <div className="impact-card-header">
+            <span className="impact-card-title crash-severity">{crash.severity} crash</span>
+            <span className="impact-card-date">{formatSpan(crash.onset, crash.end)}</span>
+          </div>
+          {crash.trigger && <div className="impact-card-dose">Trigger: {crash.trigger}</div>}
+          {editing === crash.id ? form : (
+            <>
+              <LookBack days={crash.lookBack} />
+              <div className="crash-form-actions">
+                <button
+                  className="preset-btn"
+                  onClick={() => openForm(crash.id, {
+                    onset: crash.onset,
+                    severity: crash.severity,
+                    durationDays: crash.durationDays ?? '',
+                    trigger: crash.trigger,
+                  })}
+                >
+                  Edit
+                </button>
+                <button className="preset-btn" onClick={() => handleDelete(crash)} disabled={saving}>Delete</button>
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+
+      {possible.map(drop => (
+        <div key={drop.start} className="impact-card crash-card possible">
+          <div className="impact-card-header">
+            <span className="impact-card-title">Possible crash</span>
+            <span className="impact-card-date">{formatSpan(drop.start, drop.end)}</span>
+          </div>
+          <div className="impact-card-dose">
+            Feet on ground down to {orDash(drop.lowest)} h, from a baseline of {orDash(drop.baseline)} h
+          </div>
+          {editing === `possible:${drop.start}` ? form : (
+            <>
+              <LookBack days={drop.lookBack} />
+              <div className="crash-form-actions">
+                <button
+                  className="preset-btn"
+                  onClick={() => openForm(`possible:${drop.start}`, {
+                    ...EMPTY_FORM,
+                    onset: drop.start,
+                    durationDays: spanDays(drop.start, drop.end),
+                  })}
+                >
+                  Log this crash
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+
+      {logged.length === 0 && possible.length === 0 && editing !== 'new' && (
+        <p className="impact-note">No crashes logged or detected in this range</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import { getMedicationImpact } from '../../utils/api';
+import { formatFieldValue } from '../../utils/entryFields';
+import { NO_WATCH_GREY } from '../../utils/noWatchDays';
+
+const WINDOW_PRESETS = [7, 14, 28];
+
+const CHANGE_LABELS = { start: 'started', stop: 'stopped', dose: 'dose changed' };
+
+function formatDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${months[m - 1]} ${d}, ${y}`;
+}
+
+// Cohen's conventional thresholds
+function describeEffect(d) {
+  const size = Math.abs(d);
+  if (size < 0.2) return 'negligible';
+  if (size < 0.5) return 'small';
+  if (size < 0.8) return 'medium';
+  return 'large';
+}
+
+const signed = value => (value > 0 ? `+${value}` : String(value));
+
+function MetricRow({ metric, result }) {
+  const { before, after, difference, ci, effectSize } = result;
+  // A confidence interval that doesn't cross zero is a difference worth a look
+  const clear = ci && (ci[0] > 0 || ci[1] < 0);
+
+  return (
+    <tr className={clear ? 'impact-clear' : ''}>
+      <th scope="row">
+        {metric.label}
+        {metric.watch && <span className="impact-watch-mark" title="Leaves out no-watch days">*</span>}
+      </th>
+      <td>{before.mean ?? '–'} <span className="impact-n">({before.n})</span></td>
+      <td>{after.mean ?? '–'} <span className="impact-n">({after.n})</span></td>
+      <td>
+        {difference == null ? '–' : `${signed(difference)} ${metric.unit}`}
+        {ci && <div className="impact-ci">95% CI {ci[0]} to {ci[1]}</div>}
+      </td>
+      <td>{effectSize == null ? '–' : <>{effectSize} <span className="impact-n">{describeEffect(effectSize)}</span></>}</td>
+    </tr>
+  );
+}
+
+// One square per day in the two windows; no-watch days are greyed
+function DayStrip({ change, isDark }) {
+  const grey = isDark ? NO_WATCH_GREY.dark : NO_WATCH_GREY.light;
+  const square = day => (
+    <span
+      key={day.date}
+      className={`impact-day ${day.noWatch ? 'no-watch' : ''}`}
+      style={day.noWatch ? { background: grey } : undefined}
+      title={`${formatDate(day.date)}${day.noWatch ? ' (no watch)' : ''}`}
+    />
+  );
+
+  return (
+    <div className="impact-day-strip">
+      {change.before.days.map(square)}
+      <span className="impact-change-marker" title={`Change on ${formatDate(change.date)}`} />
+      {change.after.days.map(square)}
+    </div>
+  );
+}
+
+function ChangeCard({ change, metrics, isDark }) {
+  return (
+    <div className="impact-card">
+      <div className="impact-card-header">
+        <span className="impact-card-title">{change.label} {CHANGE_LABELS[change.type]}</span>
+        <span className="impact-card-date">{formatDate(change.date)}</span>
+      </div>
+      <div className="impact-card-dose">
+        {formatFieldValue(change.key, change.from)} → {formatFieldValue(change.key, change.to)}
+      </div>
+      <DayStrip change={change} isDark={isDark} />
+      <table className="impact-table">
+        <thead>
+          <tr>
+            <th />
+            <th>Before</th>
+            <th>After</th>
+            <th>Change</th>
+            <th>Effect (d)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {metrics.map(metric => (
+            <MetricRow key={metric.key} metric={metric} result={change.metrics[metric.key]} />
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Medications view: for each time a medication started, stopped or changed
+ * dose, the metrics in the days before vs. the days after.
+ *
+ * Props:
+ *   isDark: boolean
+ */
+export default function MedicationImpactView({ isDark }) {
+  const [windowDays, setWindowDays] = useState(14);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getMedicationImpact(windowDays)
+      .then(result => {
+        if (!cancelled) {
+          setData(result);
+          setLoading(false);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.message);
+          setLoading(false);
+        }
+      });
+
+    return () => { cancelled = true; };
+  }, [windowDays]);
+
+  const selectWindow = (days) => {
+    if (days === windowDays) return;
+    setLoading(true);
+    setError(null);
+    setWindowDays(days);
+  };
+
+  // Most recent change first
+  const changes = [...(data?.changes || [])].reverse();
+
+  return (
+    <div className="medication-impact-view">
+      <div className="multi-day-presets">
+        {WINDOW_PRESETS.map(days => (
+          <button
+            key={days}
+            className={`preset-btn ${windowDays === days ? 'active' : ''}`}
+            onClick={() => selectWindow(days)}
+          >
+            {days} days
+          </button>
+        ))}
+      </div>
+
+      <p className="impact-note">
+        Up to {windowDays} days before each change vs. {windowDays} days from it, stopping at the
+        medication&apos;s other changes. * Watch metrics leave out no-watch days (grey).
+      </p>
+
+      {loading && !data && <div className="stats-loading">Loading...</div>}
+      {error && <div className="stats-error">Error: {error}</div>}
+
+      {!error && changes.map(change => (
+        <ChangeCard key={change.id} change={change} metrics={data.metrics} isDark={isDark} />
+      ))}
+
+      {!loading && !error && data && changes.length === 0 && (
+        <div className="stats-no-data">No medication changes recorded yet</div>
+      )}
+    </div>
+  );
+}
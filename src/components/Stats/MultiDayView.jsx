@@ -4,6 +4,8 @@ import FullscreenChart from './FullscreenChart';
 import HRBoxPlotChart from './charts/HRBoxPlotChart';
 import SleepStackedBar from './charts/SleepStackedBar';
 import MetricLineChart from './charts/MetricLineChart';
+import CrashPanel from './CrashPanel';
+import BaselinePanel from './BaselinePanel';
 
 // Format date as "Jan 21" or full "Jan 21, 2026"
 function formatDateShort(dateStr) {
@@ -55,9 +57,14 @@ const METRIC_CONFIGS = [
   { key: 'brainTime', label: 'Brain Time', defaultOn: true },
 ];
 
+// Colors for custom field charts, in field order
+const FIELD_COLORS = ['#ec4899', '#14b8a6', '#eab308', '#0ea5e9', '#a855f7', '#84cc16'];
+
 /**
  * Multi-Day Stats View.
- * Shows date range navigation, quick selectors, and stacked metric charts.
+ * Shows date range navigation, quick selectors, and stacked metric charts,
+ * with logged crashes shaded red and possible ones amber. Below them, the
+ * days flagged against their baselines and the crash log for the range.
  *
  * Props:
  *   isDark: boolean
@@ -77,10 +84,15 @@ export default function MultiDayView({ isDark }) {
     return m;
   });
 
+  // Custom field toggles the user changed; the rest show unless archived
+  const [fieldVisibility, setFieldVisibility] = useState({});
+
   // Data state
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Bumped after the crash log changes, to fetch the range again
+  const [reloadKey, setReloadKey] = useState(0);
 
   // Fetch data when date range changes
   useEffect(() => {
@@ -103,7 +115,7 @@ export default function MultiDayView({ isDark }) {
       });
 
     return () => { cancelled = true; };
-  }, [startDate, endDate]);
+  }, [startDate, endDate, reloadKey]);
 
   // Navigation handlers
   const canNext = endDate < today;
@@ -128,6 +140,23 @@ export default function MultiDayView({ isDark }) {
     setVisibleMetrics(prev => ({ ...prev, [key]: !prev[key] }));
   }, []);
 
+  const customFields = useMemo(() => data?.customFields || [], [data]);
+  const isFieldVisible = (field) => fieldVisibility[field.key] ?? !field.archived;
+
+  const toggleField = useCallback((field) => {
+    setFieldVisibility(prev => ({ ...prev, [field.key]: !(prev[field.key] ?? !field.archived) }));
+  }, []);
+
+  // One value extractor per custom field (yes/no plotted as 1/0), kept
+  // stable so the charts don't recompute on every render
+  const fieldExtractors = useMemo(() => Object.fromEntries(customFields.map(field => [
+    field.key,
+    (day) => {
+      const value = day.fields?.[field.key] ?? null;
+      return typeof value === 'boolean' ? Number(value) : value;
+    },
+  ])), [customFields]);
+
   // Extract HRV values from nested structure
   const hrvExtractor = useCallback((day) => day.hrv?.avg ?? null, []);
 
@@ -136,6 +165,12 @@ export default function MultiDayView({ isDark }) {
 
   const days = data?.days || [];
 
+  // Logged and possible crashes, shaded on every chart
+  const crashSpans = useMemo(() => [
+    ...(data?.crashes || []).map(crash => ({ start: crash.onset, end: crash.end, possible: false })),
+    ...(data?.possibleCrashes || []).map(drop => ({ start: drop.start, end: drop.end, possible: true })),
+  ], [data]);
+
   // Date range string for fullscreen display
   const dateRangeStr = formatDateRange(startDate, endDate);
 
@@ -179,6 +214,16 @@ export default function MultiDayView({ isDark }) {
             <span>{mc.label}</span>
           </label>
         ))}
+        {customFields.map(field => (
+          <label key={field.key} className="metric-toggle">
+            <input
+              type="checkbox"
+              checked={isFieldVisible(field)}
+              onChange={() => toggleField(field)}
+            />
+            <span>{field.label}</span>
+          </label>
+        ))}
       </div>
 
       {/* Error */}
@@ -205,6 +250,7 @@ export default function MultiDayView({ isDark }) {
                   color="#f59e0b"
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                 />
               )}
             </FullscreenChart>
@@ -228,6 +274,7 @@ export default function MultiDayView({ isDark }) {
                   color="#10b981"
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                   formatValue={(v) => Math.round(v).toLocaleString()}
                   isDeviceData
                 />
@@ -249,6 +296,7 @@ export default function MultiDayView({ isDark }) {
                   days={days}
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                 />
               )}
             </FullscreenChart>
@@ -268,6 +316,7 @@ export default function MultiDayView({ isDark }) {
                   days={days}
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                 />
               )}
             </FullscreenChart>
@@ -291,6 +340,7 @@ export default function MultiDayView({ isDark }) {
                   color="#f97316"
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                   formatValue={(v) => `${Math.round(v)} bpm`}
                   isDeviceData
                 />
@@ -316,6 +366,7 @@ export default function MultiDayView({ isDark }) {
                   color="#6366f1"
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                   formatValue={(v) => `${Math.round(v)} bpm`}
                   isDeviceData
                 />
@@ -341,6 +392,7 @@ export default function MultiDayView({ isDark }) {
                   color="#06b6d4"
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                   formatValue={(v) => `${v.toFixed(1)} ms`}
                   isDeviceData
                 />
@@ -366,6 +418,7 @@ export default function MultiDayView({ isDark }) {
                   color="#ef4444"
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                   formatValue={(v) => v.toFixed(2)}
                   tooltipExtra={(day) => day.ecg?.avgHr ? `ECG HR: ${Math.round(day.ecg.avgHr)} BPM` : null}
                   pointsOnly={true}
@@ -392,13 +445,51 @@ export default function MultiDayView({ isDark }) {
                   color="#8b5cf6"
                   isDark={isDark}
                   isFullscreen={isFullscreen}
+                  crashes={crashSpans}
                 />
               )}
             </FullscreenChart>
           )}
+
+          {/* Custom fields (CustomFields tab) */}
+          {customFields.map((field, i) => isFieldVisible(field) && (
+            <FullscreenChart
+              key={field.key}
+              title={field.label}
+              date={dateRangeStr}
+              onPrev={navigatePrev}
+              onNext={navigateNext}
+              canNext={canNext}
+            >
+              {({ isFullscreen }) => (
+                <MetricLineChart
+                  days={days}
+                  valueExtractor={fieldExtractors[field.key]}
+                  label={field.label}
+                  unit={field.type === 'scale' ? `${field.min ?? 0}-${field.max ?? 10}` : field.unit}
+                  color={FIELD_COLORS[i % FIELD_COLORS.length]}
+                  isDark={isDark}
+                  isFullscreen={isFullscreen}
+                  crashes={crashSpans}
+                  formatValue={field.type === 'yesNo' ? (v) => (v ? 'Yes' : 'No') : undefined}
+                  pointsOnly={field.type === 'yesNo'}
+                />
+              )}
+            </FullscreenChart>
+          ))}
         </div>
       )}
 
+      {!error && data && <BaselinePanel days={days} />}
+
+      {!error && data && (
+        <CrashPanel
+          crashes={data.crashes}
+          possibleCrashes={data.possibleCrashes}
+          onChange={() => setReloadKey(key => key + 1)}
+        />
+      )}
+
       {!loading && !error && days.length === 0 && (
         <div className="stats-no-data">No data for this date range</div>
       )}
@@ -7,7 +7,8 @@ import { isNoWatchDay } from '../../utils/noWatchDays';
 
 /**
  * Single Day Stats view.
- * Shows HR scatter plot + activity bar + summary stats for one day.
+ * Shows HR scatter plot + activity bar + summary stats for one day, and the
+ * day's heart-rate ceiling breaches.
  *
  * Props:
  *   isDark: boolean - current theme
@@ -18,6 +19,7 @@ export default function SingleDayView({ isDark }) {
     return formatDateISO(now);
   });
   const [data, setData] = useState(null);
+  const [hrEvents, setHrEvents] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -29,6 +31,7 @@ export default function SingleDayView({ isDark }) {
     try {
       // Use centralized API utility
       const json = await getHourlyData(dateStr);
+      setHrEvents(json.hrEvents || []);
 
       if (json.rows.length === 0) {
         setData({ empty: true, summary: null });
@@ -167,6 +170,23 @@ export default function SingleDayView({ isDark }) {
                 <span className="stats-summary-value">{data.summary.hrCount}</span>
               </div>
             </div>
+
+            {hrEvents.length > 0 && (
+              <div className="hr-events">
+                <div className="chart-section-title">Above HR ceiling</div>
+                {hrEvents.map(event => (
+                  <div key={event.start} className="hr-event">
+                    <span className="hr-event-time">
+                      {formatEventTime(event.start)} – {formatEventTime(event.end)}
+                    </span>
+                    <span className="hr-event-detail">
+                      {event.minutes} min above {event.ceiling} bpm · avg {event.avgHR}, peak {event.peakHR}
+                      {!event.notified && ' · no alert (one was sent shortly before)'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
           </>
         )}
       </div>
@@ -191,3 +211,11 @@ function formatDisplayDate(dateStr) {
     day: 'numeric',
   });
 }
+
+// Helper: device-local timestamp ("2026-01-28 14:05:00 -0500") to "2:05 PM"
+function formatEventTime(at) {
+  const match = String(at).match(/\d{4}-\d{2}-\d{2}[ T](\d{2}):(\d{2})/);
+  if (!match) return at;
+  const hour = parseInt(match[1], 10);
+  return `${hour % 12 || 12}:${match[2]} ${hour >= 12 ? 'PM' : 'AM'}`;
+}
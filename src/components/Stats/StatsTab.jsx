@@ -1,6 +1,7 @@
 import { useState, useSyncExternalStore } from 'react';
 import SingleDayView from './SingleDayView';
 import MultiDayView from './MultiDayView';
+import MedicationImpactView from './MedicationImpactView';
 import './StatsTab.css';
 
 // Dark mode detection using useSyncExternalStore (avoids setState-in-effect lint error)
@@ -18,11 +19,10 @@ function getDarkModeSnapshot() {
 }
 
 /**
- * Top-level Stats tab with Single Day / Multi Day toggle.
- * Multi Day view will be added in Phase C/D.
+ * Top-level Stats tab with Single Day / Multi Day / Medications toggle.
  */
 export default function StatsTab() {
-  const [activeView, setActiveView] = useState('single'); // 'single' | 'multi'
+  const [activeView, setActiveView] = useState('single'); // 'single' | 'multi' | 'meds'
   const isDark = useSyncExternalStore(subscribeToDarkMode, getDarkModeSnapshot);
 
   return (
@@ -41,6 +41,12 @@ export default function StatsTab() {
         >
           Multi Day
         </button>
+        <button
+          className={`stats-toggle-btn ${activeView === 'meds' ? 'active' : ''}`}
+          onClick={() => setActiveView('meds')}
+        >
+          Medications
+        </button>
       </div>
 
       {/* View Content */}
@@ -50,6 +56,9 @@ export default function StatsTab() {
       {activeView === 'multi' && (
         <MultiDayView isDark={isDark} />
       )}
+      {activeView === 'meds' && (
+        <MedicationImpactView isDark={isDark} />
+      )}
     </div>
   );
 }
@@ -9,6 +9,7 @@ import {
   Interaction,
 } from 'chart.js';
 import { isNoWatchDay, NO_WATCH_GREY } from '../../../utils/noWatchDays';
+import { crashShadingPlugin, crashShadingOptions } from './crashShading';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
 
@@ -64,8 +65,9 @@ Interaction.modes.boxplotWhisker = function(chart, e, _options, _useFinalPositio
  *   days: Array<{ date, hr: { min, q1, median, q3, max, count } | null }>
  *   isDark: boolean
  *   isFullscreen: boolean
+ *   crashes: Array<{ start, end, possible }> - crash days to shade (see crashShading.js)
  */
-export default function HRBoxPlotChart({ days = [], isDark, isFullscreen }) {
+export default function HRBoxPlotChart({ days = [], isDark, isFullscreen, crashes }) {
   const daysRef = useRef(days);
   daysRef.current = days;
 
@@ -241,6 +243,7 @@ export default function HRBoxPlotChart({ days = [], isDark, isFullscreen }) {
     },
     plugins: {
       legend: { display: false },
+      crashShading: crashShadingOptions(days, crashes, isDark),
       tooltip: {
         filter: (item) => item.datasetIndex === 0, // Only show tooltip once per bar
         callbacks: {
@@ -270,7 +273,7 @@ export default function HRBoxPlotChart({ days = [], isDark, isFullscreen }) {
         borderWidth: 1,
       },
     },
-  }), [isDark, isFullscreen, rawData]);
+  }), [isDark, isFullscreen, rawData, days, crashes]);
 
   if (days.length === 0 || days.every(d => !d.hr)) {
     return <div className="stats-no-data">No HR data available</div>;
@@ -278,7 +281,7 @@ export default function HRBoxPlotChart({ days = [], isDark, isFullscreen }) {
 
   return (
     <div className="stats-chart-container" style={{ height: isFullscreen ? '100%' : '250px' }}>
-      <Bar data={data} options={options} plugins={[whiskerPlugin]} />
+      <Bar data={data} options={options} plugins={[whiskerPlugin, crashShadingPlugin]} />
     </div>
   );
 }
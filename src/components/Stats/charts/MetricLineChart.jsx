@@ -10,6 +10,7 @@ import {
   Filler,
 } from 'chart.js';
 import { isNoWatchDay, NO_WATCH_GREY } from '../../../utils/noWatchDays';
+import { crashShadingPlugin, crashShadingOptions } from './crashShading';
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Filler);
 
@@ -29,6 +30,7 @@ ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip,
  *   tooltipExtra: function(day) => string|null - optional extra line for tooltip
  *   pointsOnly: boolean - if true, show only points (no connecting line or fill)
  *   isDeviceData: boolean - if true, grey out Fri/Sat points and use dashed segments
+ *   crashes: Array<{ start, end, possible }> - crash days to shade (see crashShading.js)
  */
 export default function MetricLineChart({
   days = [],
@@ -43,6 +45,7 @@ export default function MetricLineChart({
   tooltipExtra,
   pointsOnly = false,
   isDeviceData = false,
+  crashes,
 }) {
   const { labels, values, noWatchFlags } = useMemo(() => {
     const labels = [];
@@ -146,6 +149,7 @@ export default function MetricLineChart({
     },
     plugins: {
       legend: { display: false },
+      crashShading: crashShadingOptions(days, crashes, isDark),
       tooltip: {
         callbacks: {
           title: (items) => {
@@ -179,7 +183,7 @@ export default function MetricLineChart({
         borderWidth: 1,
       },
     },
-  }), [isDark, isFullscreen, days, label, unit, formatValue, tooltipExtra]);
+  }), [isDark, isFullscreen, days, label, unit, formatValue, tooltipExtra, crashes]);
 
   const hasData = values.some(v => v != null);
   if (days.length === 0 || !hasData) {
@@ -188,7 +192,7 @@ export default function MetricLineChart({
 
   return (
     <div className="stats-chart-container" style={{ height: isFullscreen ? '100%' : '220px' }}>
-      <Line data={data} options={options} />
+      <Line data={data} options={options} plugins={[crashShadingPlugin]} />
     </div>
   );
 }
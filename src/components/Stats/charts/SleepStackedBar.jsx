@@ -9,6 +9,7 @@ import {
   Legend,
 } from 'chart.js';
 import { isNoWatchDay } from '../../../utils/noWatchDays';
+import { crashShadingPlugin, crashShadingOptions } from './crashShading';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
 
@@ -20,8 +21,9 @@ ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
  *   days: Array<{ date, sleep: { total, deep, rem, core, awake } | null }>
  *   isDark: boolean
  *   isFullscreen: boolean
+ *   crashes: Array<{ start, end, possible }> - crash days to shade (see crashShading.js)
  */
-export default function SleepStackedBar({ days = [], isDark, isFullscreen }) {
+export default function SleepStackedBar({ days = [], isDark, isFullscreen, crashes }) {
   const { labels, deepData, remData, coreData, awakeData, noWatchFlags } = useMemo(() => {
     const labels = [];
     const deepData = [];
@@ -144,6 +146,7 @@ export default function SleepStackedBar({ days = [], isDark, isFullscreen }) {
       },
     },
     plugins: {
+      crashShading: crashShadingOptions(days, crashes, isDark),
       legend: {
         display: true,
         position: 'bottom',
@@ -202,7 +205,7 @@ export default function SleepStackedBar({ days = [], isDark, isFullscreen }) {
         borderWidth: 1,
       },
     },
-  }), [isDark, isFullscreen, days]);
+  }), [isDark, isFullscreen, days, crashes]);
 
   if (days.length === 0 || days.every(d => !d.sleep)) {
     return <div className="stats-no-data">No sleep data available</div>;
@@ -210,7 +213,7 @@ export default function SleepStackedBar({ days = [], isDark, isFullscreen }) {
 
   return (
     <div className="stats-chart-container" style={{ height: isFullscreen ? '100%' : '250px' }}>
-      <Bar data={data} options={options} />
+      <Bar data={data} options={options} plugins={[crashShadingPlugin]} />
     </div>
   );
 }
@@ -0,0 +1,54 @@
+/**
+ * Shaded crash days behind the Multi-Day charts.
+ *
+ * Each chart registers crashShadingPlugin and passes
+ * crashShadingOptions(days, crashes, isDark) as options.plugins.crashShading.
+ * `crashes` are spans of dates: [{ start, end, possible }] (YYYY-MM-DD, end
+ * null while a logged crash is ongoing); logged crashes are shaded red,
+ * possible ones from the detector amber.
+ */
+
+const COLORS = {
+  logged: { light: 'rgba(239, 68, 68, 0.14)', dark: 'rgba(239, 68, 68, 0.22)' },
+  possible: { light: 'rgba(245, 158, 11, 0.14)', dark: 'rgba(245, 158, 11, 0.2)' },
+};
+
+/**
+ * Plugin options for a chart of `days` (the chart's x labels, in order):
+ * { ranges: [{ from, to, color }] } by label index.
+ */
+export function crashShadingOptions(days, crashes = [], isDark = false) {
+  const ranges = [];
+  for (const crash of crashes) {
+    const inCrash = days
+      .map((day, i) => (day.date >= crash.start && (crash.end === null || day.date <= crash.end) ? i : -1))
+      .filter(i => i !== -1);
+    if (inCrash.length === 0) continue;
+    const palette = crash.possible ? COLORS.possible : COLORS.logged;
+    ranges.push({ from: inCrash[0], to: inCrash[inCrash.length - 1], color: isDark ? palette.dark : palette.light });
+  }
+  return { ranges };
+}
+
+export const crashShadingPlugin = {
+  id: 'crashShading',
+  beforeDatasetsDraw(chart, _args, options) {
+    const ranges = options?.ranges;
+    if (!ranges || ranges.length === 0) return;
+
+    const { ctx, chartArea, scales: { x } } = chart;
+    // Shade whole days: half a category either side of the first and last
+    const step = chart.data.labels.length > 1
+      ? x.getPixelForValue(1) - x.getPixelForValue(0)
+      : chartArea.width;
+
+    ctx.save();
+    for (const { from, to, color } of ranges) {
+      const left = Math.max(chartArea.left, x.getPixelForValue(from) - step / 2);
+      const right = Math.min(chartArea.right, x.getPixelForValue(to) + step / 2);
+      ctx.fillStyle = color;
+      ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+    }
+    ctx.restore();
+  },
+};
@@ -1,11 +1,11 @@
 /**
  * API utility functions
  *
- * All API calls include the secret token for authentication.
- * Token is retrieved from URL on first visit, then stored in localStorage.
+ * All API calls include the current token for authentication: a passkey
+ * session if there is one, otherwise the secret token from the URL.
  */
 
-import { getSecretToken } from './auth';
+import { getSecretToken, getSession, clearSession } from './auth';
 
 // Use VITE_API_URL for local dev, otherwise use relative URLs
 // In production (Vercel), relative URLs automatically hit the same domain's /api endpoints
@@ -16,12 +16,13 @@ const API_BASE = import.meta.env.DEV
 console.log('API config:', { DEV: import.meta.env.DEV, VITE_API_URL: import.meta.env.VITE_API_URL, API_BASE });
 
 /**
- * Make an authenticated API request
+ * Make an authenticated API request. Pass { auth: false } for the few
+ * endpoints that work without a token (passkey sign-in).
  */
-async function apiRequest(endpoint, options = {}) {
-  const token = getSecretToken();
+async function apiRequest(endpoint, { auth = true, ...options } = {}) {
+  const token = auth ? getSecretToken() : null;
 
-  if (!token) {
+  if (auth && !token) {
     throw new Error('No authentication token found');
   }
 
@@ -29,11 +30,17 @@ async function apiRequest(endpoint, options = {}) {
     ...options,
     headers: {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`,
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
       ...options.headers,
     },
   });
 
+  // A rejected passkey session (expired or revoked) is dropped so the next
+  // request falls back to the stored secret, or the app asks to sign in again.
+  if (response.status === 401 && token && token === getSession()?.token) {
+    clearSession();
+  }
+
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({ error: 'Request failed' }));
     const errorMessage = errorData.details || errorData.error || 'Request failed';
@@ -42,23 +49,44 @@ async function apiRequest(endpoint, options = {}) {
       statusText: response.statusText,
       error: errorData
     });
-    throw new Error(errorMessage);
+    // Callers that handle particular statuses (409 conflicts) read these
+    const error = new Error(errorMessage);
+    error.status = response.status;
+    error.data = errorData;
+    throw error;
   }
 
   return response.json();
 }
 
 /**
- * Submit a daily entry
+ * Submit a daily entry. `entry.idempotencyKey` (see newIdempotencyKey) is
+ * sent as the Idempotency-Key header, so a resubmission of the same save is
+ * answered with the original result instead of being applied twice.
+ * Medication values are { amount, unit } or 'Off'.
+ *
+ * `entry.baseRevision` is the revision of the entry the form was loaded
+ * from. If the day was saved elsewhere since, the request fails with
+ * error.status 409 and error.data = { revision, current, doses, fields } for a merge.
+ * Resolves to { success, row, revision }.
  */
-export async function submitEntry(entry) {
+export async function submitEntry({ idempotencyKey, ...entry }) {
   const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
   return apiRequest('/api/submit-entry', {
     method: 'POST',
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
     body: JSON.stringify({ ...entry, localTimeZone }),
   });
 }
 
+/**
+ * A fresh key for one save of an entry. Keep it with the entry for every
+ * retry of that save; a new save (even of the same date) gets a new key.
+ */
+export function newIdempotencyKey() {
+  return crypto.randomUUID();
+}
+
 /**
  * Get recent entries
  */
@@ -80,6 +108,14 @@ export async function getHourlyData(dateStr) {
   return apiRequest(`/api/get-hourly-data?date=${dateStr}`);
 }
 
+/**
+ * Before/after comparisons around each medication start, stop or dose change
+ * (Medications view): { windowDays, metrics, changes }
+ */
+export async function getMedicationImpact(windowDays = 14) {
+  return apiRequest(`/api/get-hourly-data?mode=medication-impact&window=${windowDays}`);
+}
+
 /**
  * Subscribe to push notifications
  */
@@ -106,6 +142,150 @@ export async function addMedication(name) {
   });
 }
 
+/**
+ * Post one of the submit-entry actions (medications, crash log)
+ */
+async function submitAction(action, fields) {
+  const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return apiRequest('/api/submit-entry', {
+    method: 'POST',
+    body: JSON.stringify({ action, ...fields, localTimeZone }),
+  });
+}
+
+/**
+ * Rename a medication; recorded doses keep their column. Its key follows the
+ * new name: resolves to { success, medication: { key, label, previousKey, previousLabel } }
+ */
+export async function renameMedication(key, name) {
+  return submitAction('rename-medication', { key, name });
+}
+
+/**
+ * Archive a medication (hidden from the daily form, kept in history) or restore it
+ */
+export async function setMedicationArchived(key, archived) {
+  return submitAction('archive-medication', { key, archived });
+}
+
+/**
+ * Set a medication's unit, default amount and schedule ('daily',
+ * 'twice-daily', 'weekly' or 'as-needed'), and how the daily form starts a
+ * day: from the last recorded dose (carryForward) or ON/OFF by defaultOn.
+ * Fields left undefined keep their value.
+ */
+export async function setMedicationDose(key, { unit, defaultAmount, schedule, defaultOn, carryForward }) {
+  return submitAction('set-medication-dose', { key, unit, defaultAmount, schedule, defaultOn, carryForward });
+}
+
+/**
+ * Record a refill of `quantity` (in `unit`, or the medication's unit) today;
+ * logged doses count down from it. Resolves to { success, medication: { key,
+ * label, remaining, unit, daysLeft, runsOutOn, ... } }
+ */
+export async function refillMedication(key, quantity, unit) {
+  return submitAction('refill-medication', { key, quantity, unit });
+}
+
+/**
+ * Supply left for each refilled medication:
+ * { today, lowSupplyDays, supplies: [{ key, label, remaining, unit, dailyUse, daysLeft, runsOutOn, low }] }
+ */
+export async function getMedicationSupply() {
+  return apiRequest('/api/get-entries?view=supply');
+}
+
+/**
+ * Today's energy budget and steps so far:
+ * { today, budget, used, percent, basedOnDays, excludedDays, pacingAlerts }
+ * (budget and percent are null until enough days are recorded)
+ */
+export async function getEnergyBudget() {
+  return apiRequest('/api/get-entries?view=budget');
+}
+
+/**
+ * Set the medication display order (keys, first to last)
+ */
+export async function reorderMedications(order) {
+  return submitAction('reorder-medications', { order });
+}
+
+/**
+ * Merge a duplicate medication column into another. Resolves to
+ * { success, from, into, moved, dropped: [{ dateFor, value }] }; dropped
+ * doses were on days where both columns had different values.
+ */
+export async function mergeMedications(from, into) {
+  return submitAction('merge-medication', { from, into });
+}
+
+/**
+ * Delete the entry for a date. `baseRevision` is the revision shown to the
+ * user; a day changed since fails with error.status 409 instead.
+ */
+export async function deleteEntry(dateFor, baseRevision) {
+  const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return apiRequest('/api/submit-entry', {
+    method: 'POST',
+    body: JSON.stringify({
+      action: 'delete-entry',
+      dateFor,
+      baseRevision,
+      localTimeZone
+    }),
+  });
+}
+
+/**
+ * Every logged change to one day, oldest first:
+ * { dateFor, revision, medications, versions: [{ version, timestamp, actor, changes, ... }] }
+ */
+export async function getEntryHistory(dateFor) {
+  return apiRequest(`/api/get-entries?view=history&date=${encodeURIComponent(dateFor)}`);
+}
+
+/**
+ * Save an earlier version of a day back as its current entry. Like any save,
+ * it fails with error.status 409 if the day changed since `baseRevision`.
+ */
+export async function restoreEntry(dateFor, version, baseRevision) {
+  const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return apiRequest('/api/submit-entry', {
+    method: 'POST',
+    body: JSON.stringify({
+      action: 'restore-entry',
+      dateFor,
+      version,
+      baseRevision,
+      localTimeZone
+    }),
+  });
+}
+
+/**
+ * Log a post-exertional malaise crash: { onset: YYYY-MM-DD, severity ('mild',
+ * 'moderate', 'severe' or 'very severe'), durationDays (null while ongoing),
+ * trigger }. Resolves to { success, crash }
+ */
+export async function logCrash({ onset, severity, durationDays, trigger }) {
+  return submitAction('log-crash', { onset, severity, durationDays, trigger });
+}
+
+/**
+ * Change a logged crash; fields left undefined keep their value
+ */
+export async function updateCrash(id, { onset, severity, durationDays, trigger }) {
+  return submitAction('update-crash', { id, onset, severity, durationDays, trigger });
+}
+
+/**
+ * Remove a logged crash
+ */
+export async function deleteCrash(id) {
+  return submitAction('delete-crash', { id });
+}
+
 /**
  * Get notification settings
  */
@@ -133,3 +313,89 @@ export async function sendNotification(payload = {}) {
     body: JSON.stringify(payload),
   });
 }
+
+/**
+ * List linked devices (requires a full-access token)
+ */
+export async function getDevices() {
+  return apiRequest('/api/auth?view=devices');
+}
+
+/**
+ * Mint a token for a new device. The returned token is only shown once.
+ */
+export async function createDevice(name, scopes) {
+  return apiRequest('/api/auth', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'create-device', name, scopes }),
+  });
+}
+
+/**
+ * Revoke a linked device's token
+ */
+export async function revokeDevice(id) {
+  return apiRequest('/api/auth', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'revoke-device', id }),
+  });
+}
+
+/**
+ * List registered passkeys (requires a full-access token)
+ */
+export async function getPasskeys() {
+  return apiRequest('/api/auth?view=passkeys');
+}
+
+/**
+ * Start passkey registration for this device: returns { options, challengeToken }
+ */
+export async function getPasskeyRegistrationOptions() {
+  return apiRequest('/api/auth', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'passkey-register-options' }),
+  });
+}
+
+/**
+ * Finish passkey registration with the browser's credential response
+ */
+export async function verifyPasskeyRegistration({ response, challengeToken, name }) {
+  return apiRequest('/api/auth', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'passkey-register', response, challengeToken, name }),
+  });
+}
+
+/**
+ * Start a passkey sign-in (no token needed): returns { options, challengeToken }
+ */
+export async function getPasskeyLoginOptions() {
+  return apiRequest('/api/auth', {
+    method: 'POST',
+    auth: false,
+    body: JSON.stringify({ action: 'passkey-login-options' }),
+  });
+}
+
+/**
+ * Finish a passkey sign-in: returns { session: { token, expiresAt, scopes }, passkey }
+ */
+export async function verifyPasskeyLogin({ response, challengeToken }) {
+  return apiRequest('/api/auth', {
+    method: 'POST',
+    auth: false,
+    body: JSON.stringify({ action: 'passkey-login', response, challengeToken }),
+  });
+}
+
+/**
+ * Revoke a passkey; any sessions it issued stop working immediately
+ */
+export async function revokePasskey(id) {
+  return apiRequest('/api/auth', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'revoke-passkey', id }),
+  });
+}
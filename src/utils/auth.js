@@ -1,49 +1,92 @@
 /**
  * Authentication utilities
  *
- * Uses a simple secret URL token approach:
- * 1. User visits app with ?secret=TOKEN in URL
- * 2. Token is stored in localStorage
- * 3. All subsequent API calls use the stored token
+ * Two ways a device can hold credentials:
+ * 1. Passkey session (preferred): after signing in with a passkey the server
+ *    issues a short-lived session token, stored here until it expires.
+ * 2. Secret URL token (bootstrap/fallback): visiting the app with ?secret=TOKEN
+ *    stores that token in localStorage. Once a passkey is set up, the stored
+ *    secret can be forgotten so only the expiring session remains.
  *
- * This approach has zero friction (no login) while still
- * protecting the API from unauthorized access.
+ * All API calls use whichever token getSecretToken() returns.
  */
 
 const TOKEN_KEY = 'cfs_auth_token';
+const SESSION_KEY = 'cfs_session';
 
 /**
- * Get the secret token from URL or localStorage
+ * Current passkey session ({ token, expiresAt, scopes }), or null if there is
+ * none or it has expired.
  */
-export function getSecretToken() {
-  // Development bypass for local testing
-  if (import.meta.env.DEV || window.location.hostname === 'localhost') {
-    const devToken = localStorage.getItem(TOKEN_KEY) || import.meta.env.VITE_SECRET_TOKEN || 'dev-secret-token-12345';
-    return devToken ? devToken.trim() : devToken;
+export function getSession() {
+  let session = null;
+  try {
+    session = JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    session = null;
   }
 
-  // First, check URL for token (initial visit)
+  if (!session?.token || !(Date.parse(session.expiresAt) > Date.now())) {
+    if (session) localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+  return session;
+}
+
+export function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * Pick up a ?secret= token from the URL (initial visit), store it, and clean
+ * the URL so the token doesn't linger in history.
+ */
+function storeTokenFromUrl() {
   const urlParams = new URLSearchParams(window.location.search);
   const urlToken = urlParams.get('secret');
+  if (!urlToken) return;
+
+  localStorage.setItem(TOKEN_KEY, urlToken.trim());
+  window.history.replaceState({}, document.title, window.location.pathname);
+}
+
+/**
+ * The raw secret/device token stored on this device, if any.
+ */
+export function getStoredSecret() {
+  const storedToken = localStorage.getItem(TOKEN_KEY);
+  return storedToken ? storedToken.trim() : null;
+}
 
-  if (urlToken) {
-    // Store token and clean up URL (trim to prevent whitespace issues)
-    const trimmedToken = urlToken.trim();
-    localStorage.setItem(TOKEN_KEY, trimmedToken);
-    console.log('Token stored from URL:', trimmedToken);
+/**
+ * Get the token to authenticate API calls with: a live passkey session
+ * first, otherwise the stored secret token.
+ */
+export function getSecretToken() {
+  storeTokenFromUrl();
 
-    // Remove token from URL without page reload
-    const cleanUrl = window.location.pathname;
-    window.history.replaceState({}, document.title, cleanUrl);
+  const session = getSession();
+  if (session) return session.token;
 
-    return trimmedToken;
+  // Development bypass for local testing
+  if (import.meta.env.DEV || window.location.hostname === 'localhost') {
+    const devToken = localStorage.getItem(TOKEN_KEY) || import.meta.env.VITE_SECRET_TOKEN || 'dev-secret-token-12345';
+    return devToken ? devToken.trim() : devToken;
   }
 
-  // Otherwise, get from localStorage (trim to prevent whitespace issues)
-  const storedToken = localStorage.getItem(TOKEN_KEY);
-  const trimmedToken = storedToken ? storedToken.trim() : storedToken;
-  console.log('Token from localStorage:', trimmedToken);
-  return trimmedToken;
+  return getStoredSecret();
+}
+
+/**
+ * How this device is currently authenticated: 'passkey', 'secret' or null.
+ */
+export function getAuthMethod() {
+  if (getSession()) return 'passkey';
+  return getSecretToken() ? 'secret' : null;
 }
 
 /**
@@ -53,18 +96,28 @@ export function isAuthenticated() {
   return !!getSecretToken();
 }
 
+/**
+ * Remove the stored secret token but keep any passkey session, so this
+ * device can only get back in with its passkey.
+ */
+export function forgetStoredSecret() {
+  localStorage.removeItem(TOKEN_KEY);
+}
+
 /**
  * Clear authentication (for testing/debugging)
  */
 export function clearAuth() {
   localStorage.removeItem(TOKEN_KEY);
+  clearSession();
 }
 
 /**
- * Get the app URL with secret token (for sharing)
+ * Get the app URL with secret token (for sharing). Pass a device token to
+ * build the link for a newly linked device instead of this one. Passkey
+ * sessions are never put in links; they expire and belong to this device.
  */
-export function getAuthenticatedUrl() {
-  const token = getSecretToken();
+export function getAuthenticatedUrl(token = getStoredSecret()) {
   if (!token) return null;
 
   const baseUrl = window.location.origin;
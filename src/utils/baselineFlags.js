@@ -0,0 +1,23 @@
+/**
+ * How baseline anomaly flags read (History cards, Stats). Each flag is a
+ * score from lib/baselines.js: { key, label, unit, value, median, z, direction }.
+ */
+
+// "6h 5m" for sleep minutes, "58 bpm" / "42 ms" otherwise
+export function formatBaselineValue(value, unit) {
+  if (unit === 'min') {
+    const minutes = Math.round(value);
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+  return `${Math.round(value)} ${unit}`;
+}
+
+/**
+ * "Resting HR 66 bpm (usual 58)"
+ */
+export function describeAnomaly(flag) {
+  return `${flag.label} ${formatBaselineValue(flag.value, flag.unit)} (usual ${formatBaselineValue(flag.median, flag.unit)})`;
+}
+
+// Arrow for the way the value moved
+export const directionArrow = flag => (flag.direction === 'up' ? '↑' : '↓');
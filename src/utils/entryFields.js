@@ -0,0 +1,40 @@
+/**
+ * How daily-entry fields read when shown one by one (merge prompt, change
+ * history). Keys match the entry values the API returns: the form fields
+ * below plus one key per medication and custom field.
+ */
+
+// Labels for the built-in fields (medications and custom fields use their names)
+export const FIELD_LABELS = {
+  hours: 'Feet on the ground',
+  brainTime: 'Productive brain time',
+  comments: 'Comments',
+  exercise: 'Exercise (minutes)',
+  willDoECG: 'ECG Today',
+};
+
+/**
+ * Label for a field key; `medications` is a list of { key, label }, with
+ * the custom fields too when they can come up.
+ */
+export function fieldLabel(key, medications = []) {
+  return FIELD_LABELS[key] || medications.find(med => med.key === key)?.label || key;
+}
+
+/**
+ * Display text for one field value. Medication values are the stored text
+ * ("1 pill", "Off") or, for an unsaved form, { amount, unit }; a yes/no
+ * custom field's are true/false or the stored "Yes"/"No".
+ */
+export function formatFieldValue(key, value) {
+  if (key === 'willDoECG') return value ? 'Yes' : 'No';
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') {
+    if (value.amount === 0) return 'Off';
+    if (value.amount === null || value.amount === undefined) return 'On';
+    return `${value.amount} ${value.unit || ''}`.trim();
+  }
+  if (key === 'hours' || key === 'brainTime') return `${value} hrs`;
+  return String(value);
+}
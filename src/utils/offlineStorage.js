@@ -29,12 +29,14 @@ async function getDB() {
 }
 
 /**
- * Save an entry to offline storage
+ * Save an entry to offline storage. The entry keeps its idempotency key (one
+ * is added if missing) so every sync attempt is recognised as the same save.
  */
 export async function saveOfflineEntry(entry) {
   const db = await getDB();
   const entryWithTimestamp = {
     ...entry,
+    idempotencyKey: entry.idempotencyKey || crypto.randomUUID(),
     savedAt: new Date().toISOString(),
   };
   await db.add(STORE_NAME, entryWithTimestamp);
@@ -73,33 +75,80 @@ export async function hasPendingEntries() {
   return entries.length > 0;
 }
 
+/**
+ * Entries whose sync was refused because the day changed on another device.
+ * They stay queued with the server's `conflict` ({ revision, current, fields })
+ * until the user merges them in the entry form.
+ */
+export async function markEntryConflict(entry, conflict) {
+  const db = await getDB();
+  await db.put(STORE_NAME, { ...entry, conflict });
+}
+
+/**
+ * The queued entry for a date (as sent in dateFor) that is waiting for a
+ * merge, or null.
+ */
+export async function getConflictedEntry(dateFor) {
+  const entries = await getPendingEntries();
+  return entries.find(e => e.conflict && e.dateFor === dateFor) || null;
+}
+
 /**
  * Sync all pending entries to the server
- * Returns { synced: number, failed: number }
+ * Returns { synced: number, failed: number, conflicts: number }
+ *
+ * An entry is only deleted once a submit succeeds, so one whose response was
+ * lost is sent again; its idempotency key stops the server applying it twice.
+ *
+ * Entries refused with 409 are kept for a merge and not retried. Later saves
+ * of the same day were made on top of an earlier queued one, so when that one
+ * syncs they move to the revision it produced instead of conflicting with it.
  */
 export async function syncPendingEntries(submitFn) {
   const entries = await getPendingEntries();
   let synced = 0;
   let failed = 0;
+  let conflicts = 0;
+
+  for (const [i, entry] of entries.entries()) {
+    if (entry.conflict) {
+      conflicts++;
+      continue;
+    }
 
-  for (const entry of entries) {
     try {
       console.log('Syncing entry:', { id: entry.id, date: entry.date });
-      await submitFn(entry);
+      const result = await submitFn(entry);
       await deletePendingEntry(entry.id);
       console.log('Successfully synced entry:', entry.id);
       synced++;
+
+      if (result?.revision !== undefined && entry.baseRevision !== undefined) {
+        const db = await getDB();
+        for (const later of entries.slice(i + 1)) {
+          if (later.dateFor === entry.dateFor && later.baseRevision === entry.baseRevision) {
+            later.baseRevision = result.revision;
+            await db.put(STORE_NAME, later);
+          }
+        }
+      }
     } catch (error) {
       console.error('Failed to sync entry:', {
         id: entry.id,
         error: error.message,
         status: error.status
       });
-      failed++;
+      if (error.status === 409) {
+        await markEntryConflict(entry, error.data);
+        conflicts++;
+      } else {
+        failed++;
+      }
     }
   }
 
-  return { synced, failed };
+  return { synced, failed, conflicts };
 }
 
 /**
@@ -0,0 +1,45 @@
+/**
+ * Passkey (WebAuthn) registration and sign-in
+ *
+ * Wraps @simplewebauthn/browser around the /api/auth passkey actions.
+ * Signing in stores the returned session via saveSession(), after which
+ * every API call uses it instead of the secret URL token.
+ */
+
+import { browserSupportsWebAuthn, startRegistration, startAuthentication } from '@simplewebauthn/browser';
+import {
+  getPasskeyRegistrationOptions,
+  verifyPasskeyRegistration,
+  getPasskeyLoginOptions,
+  verifyPasskeyLogin
+} from './api.js';
+import { saveSession } from './auth.js';
+
+/**
+ * Check if this browser can create and use passkeys
+ */
+export function isPasskeySupported() {
+  return browserSupportsWebAuthn();
+}
+
+/**
+ * Register a passkey on this device. Needs an existing token (secret link,
+ * device link or session); the passkey gets that token's access level.
+ */
+export async function registerPasskey(name) {
+  const { options, challengeToken } = await getPasskeyRegistrationOptions();
+  const response = await startRegistration({ optionsJSON: options });
+  const result = await verifyPasskeyRegistration({ response, challengeToken, name });
+  return result.passkey;
+}
+
+/**
+ * Sign in with a passkey and store the resulting session.
+ */
+export async function signInWithPasskey() {
+  const { options, challengeToken } = await getPasskeyLoginOptions();
+  const response = await startAuthentication({ optionsJSON: options });
+  const result = await verifyPasskeyLogin({ response, challengeToken });
+  saveSession(result.session);
+  return result;
+}
@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createActionToken, verifyActionToken } from '../lib/actionTokens.js';
+import { createSession } from '../lib/sessions.js';
+import snooze from '../api/snooze.js';
+import getEntries from '../api/get-entries.js';
+import submitEntry from '../api/submit-entry.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const bearer = token => ({ authorization: `Bearer ${token}` });
+
+function postSnooze(headers) {
+  return invoke(snooze, { method: 'POST', headers, body: { duration: 60, localTimeZone: 'UTC' } });
+}
+
+describe('notification action tokens', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('round-trips the allowed actions and expires after 12 hours', () => {
+    const token = createActionToken(['snooze'], 0);
+    assert.match(token, /^act_/);
+    assert.deepEqual(verifyActionToken(token, 60_000).actions, ['snooze']);
+    assert.equal(verifyActionToken(token, 12 * 60 * 60 * 1000 + 1000), null);
+  });
+
+  it('refuses to mint tokens for unknown actions', () => {
+    assert.throws(() => createActionToken(['delete-everything']), /Invalid notification actions/);
+    assert.throws(() => createActionToken([]), /Invalid notification actions/);
+  });
+
+  it('lets the snooze button snooze', async () => {
+    const fake = installFakeSheets();
+
+    const res = await postSnooze(bearer(createActionToken(['snooze'])));
+
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.ok(fake.getValues('UserSettings')[1][4], 'snooze-until is stored');
+  });
+
+  it('does not accept API tokens or sessions on the snooze endpoint', async () => {
+    installFakeSheets();
+    const { token: session } = createSession({ id: 'pk', name: 'n', scopes: ['admin'] });
+
+    assert.equal((await postSnooze(bearer('test-token'))).statusCode, 401);
+    assert.equal((await postSnooze(bearer(session))).statusCode, 401);
+    assert.equal((await postSnooze({})).statusCode, 401);
+  });
+
+  it('rejects expired, tampered or wrongly scoped action tokens', async () => {
+    installFakeSheets();
+
+    const expired = createActionToken(['snooze'], Date.now() - 13 * 60 * 60 * 1000);
+    assert.equal((await postSnooze(bearer(expired))).statusCode, 401);
+
+    const [body, sig] = createActionToken(['quick-log']).slice(4).split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ actions: ['snooze'], purpose: 'notification-action', exp: 9e9 })).toString('base64url');
+    assert.equal((await postSnooze(bearer(`act_${forgedBody}.${sig}`))).statusCode, 401);
+
+    const res = await postSnooze(bearer(`act_${body}.${sig}`));
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.requiredAction, 'snooze');
+  });
+
+  it('cannot read or write health data', async () => {
+    installFakeSheets();
+    const headers = bearer(createActionToken(['snooze', 'quick-log']));
+
+    const read = await invoke(getEntries, { method: 'GET', headers, query: {} });
+    assert.equal(read.statusCode, 401);
+    const write = await invoke(submitEntry, { method: 'POST', headers, body: { dateFor: '01/02/2026', hours: 5 } });
+    assert.equal(write.statusCode, 401);
+  });
+});
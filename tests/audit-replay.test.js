@@ -0,0 +1,162 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import submitEntry from '../api/submit-entry.js';
+import backupData from '../api/backup-data.js';
+import { getRepository } from '../lib/storage/index.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { REPLAY_TABLE, PRE_REPLAY_BACKUP_TABLE } from '../lib/auditReplay.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const OWNER = { authorization: 'Bearer test-token' };
+
+function submit(body) {
+  return invoke(submitEntry, { method: 'POST', headers: OWNER, body });
+}
+
+function replay(query) {
+  return invoke(backupData, { headers: OWNER, query: { mode: 'replay', ...query } });
+}
+
+// A week of normal use: a medication added, days saved, edited and deleted
+async function useTheApp() {
+  await submit({ action: 'add-medication', name: 'vitamin d' });
+  await submit({ dateFor: '02/05/2026', hours: 5, vitamind: '1 pill' });
+  await submit({ dateFor: '02/06/2026', hours: 7, comments: 'good day', willDoECG: true });
+  await submit({ dateFor: '02/05/2026', hours: 6, vitamind: '2 pills' });
+  await submit({ dateFor: '02/07/2026', hours: 3 });
+  await submit({ action: 'delete-entry', dateFor: '02/07/2026' });
+}
+
+const MED = TABLES.entries.columns.length;
+
+describe('AuditLog replay', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('logs added medications', async () => {
+    const fake = installFakeSheets();
+    await submit({ action: 'add-medication', name: 'vitamin d' });
+
+    const [, logged] = fake.getValues(TABLES.auditLog.name);
+    assert.equal(logged[TABLES.auditLog.index.action], 'ADD_MEDICATION');
+    assert.equal(JSON.parse(logged[TABLES.auditLog.index.body]).label, 'Vitamin D');
+    assert.equal(logged[TABLES.auditLog.index.actor], 'owner');
+  });
+
+  it('reproduces an intact Sheet1', async () => {
+    installFakeSheets();
+    await useTheApp();
+
+    const res = await replay({ dryRun: 'true' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.rows, 2);
+    assert.deepEqual(res.body.diff, {
+      columns: { added: [], removed: [] },
+      added: [],
+      removed: [],
+      changed: [],
+    });
+  });
+
+  it('previews, then rebuilds a cleared Sheet1 into a scratch tab', async () => {
+    const fake = installFakeSheets();
+    await useTheApp();
+    const intact = fake.getValues('Sheet1');
+
+    const repo = getRepository();
+    await repo.entries.clear();
+    await repo.entries.writeRows(1, [TABLES.entries.headers], { raw: true });
+
+    const preview = await replay({ dryRun: 'true' });
+    assert.deepEqual(preview.body.diff.columns.added, ['Vitamin D']);
+    assert.deepEqual(preview.body.diff.added.sort(), ['02/05/2026', '02/06/2026']);
+    assert.equal(fake.sheetNames().includes(REPLAY_TABLE), false, 'dry run writes nothing');
+
+    const written = await replay({ confirm: 'true' });
+    assert.equal(written.body.target, REPLAY_TABLE);
+    assert.deepEqual(fake.getValues(REPLAY_TABLE), intact);
+    assert.deepEqual(fake.getValues('Sheet1'), [TABLES.entries.headers], 'Sheet1 is left alone');
+  });
+
+  it('replaces a damaged Sheet1, keeping a copy of it', async () => {
+    const fake = installFakeSheets();
+    await useTheApp();
+    const intact = fake.getValues('Sheet1');
+
+    // A hand edit gone wrong, and a row that was never logged
+    const damaged = intact.map(row => [...row]);
+    damaged[1][TABLES.entries.index.hours] = '0';
+    damaged.push(['1/1/2026, 09:00:00', '1/1/2026', '4']);
+    const repo = getRepository();
+    await repo.entries.clear();
+    await repo.entries.writeRows(1, damaged, { raw: true });
+
+    const res = await replay({ confirm: 'true', replace: 'true' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.target, 'Sheet1');
+    assert.deepEqual(res.body.diff.removed, ['1/1/2026']);
+    assert.deepEqual(res.body.diff.changed, [{
+      dateFor: damaged[1][TABLES.entries.index.dateFor],
+      changes: [{ field: 'hours', from: 0, to: Number(intact[1][TABLES.entries.index.hours]) }],
+    }]);
+    assert.deepEqual(fake.getValues('Sheet1'), intact);
+    assert.deepEqual(fake.getValues(PRE_REPLAY_BACKUP_TABLE), damaged);
+  });
+
+  it('numbers revisions and dates ECG plans as the saves did', async () => {
+    const fake = installFakeSheets();
+    await useTheApp();
+
+    await replay({ confirm: 'true' });
+
+    const byDate = Object.fromEntries(fake.getValues(REPLAY_TABLE).slice(1).map(row => [row[TABLES.entries.index.dateFor], row]));
+    assert.equal(byDate['2/5/2026'][TABLES.entries.index.revision], '2');
+    assert.equal(byDate['2/5/2026'][MED], '2 pills');
+    assert.notEqual(byDate['2/6/2026'][TABLES.entries.index.ecgPlanDate], '');
+  });
+
+  it('continues a deleted day\'s revisions when it is saved again', async () => {
+    const fake = installFakeSheets();
+    await submit({ dateFor: '02/05/2026', hours: 5 });
+    await submit({ dateFor: '02/05/2026', hours: 6 });
+    await submit({ action: 'delete-entry', dateFor: '02/05/2026', baseRevision: 2 });
+    await submit({ dateFor: '02/05/2026', hours: 7, baseRevision: 0 });
+
+    const res = await replay({ confirm: 'true' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(fake.getValues('Sheet1')[1][TABLES.entries.index.revision], '3');
+    assert.deepEqual(fake.getValues(REPLAY_TABLE), fake.getValues('Sheet1'));
+  });
+
+  it('needs dryRun or confirm, an AuditLog and an admin token', async () => {
+    installFakeSheets();
+
+    assert.equal((await replay({})).statusCode, 400);
+    assert.equal((await replay({ dryRun: 'true' })).statusCode, 409);
+
+    process.env.CRON_SECRET = 'cron-secret';
+    try {
+      const res = await invoke(backupData, {
+        headers: { authorization: 'Bearer cron-secret' },
+        query: { mode: 'replay', dryRun: 'true' },
+      });
+      assert.equal(res.statusCode, 403);
+    } finally {
+      delete process.env.CRON_SECRET;
+    }
+  });
+});
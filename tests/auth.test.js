@@ -0,0 +1,181 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { safeEqual, loadTokens, hasScope, authenticate, requireAuth } from '../lib/auth.js';
+import submitEntry from '../api/submit-entry.js';
+import getEntries from '../api/get-entries.js';
+import snooze from '../api/snooze.js';
+import healthWebhook from '../api/health-webhook.js';
+import cronTrigger from '../api/cron-trigger.js';
+import backupData from '../api/backup-data.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { createResponse, invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+process.env.ECG_WEBHOOK_SECRET = 'webhook-secret';
+process.env.CRON_SECRET = 'cron-secret';
+process.env.API_TOKENS = JSON.stringify([
+  { name: 'caregiver', token: 'read-only-token', scopes: ['read'] },
+]);
+
+const bearer = token => ({ authorization: `Bearer ${token}` });
+
+describe('lib/auth', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('safeEqual compares strings of any length', () => {
+    assert.equal(safeEqual('abc', 'abc'), true);
+    assert.equal(safeEqual('abc', 'abd'), false);
+    assert.equal(safeEqual('abc', 'abcd'), false);
+    assert.equal(safeEqual('abc', undefined), false);
+  });
+
+  it('loads the owner, webhook and extra tokens, skipping invalid entries', () => {
+    const tokens = loadTokens({
+      SECRET_TOKEN: ' owner \n',
+      ECG_WEBHOOK_SECRET: 'hook',
+      API_TOKENS: JSON.stringify([
+        { name: 'phone', token: 'p', scopes: ['write'] },
+        { name: 'bad-scope', token: 'x', scopes: ['root'] },
+        { token: 'no-name', scopes: ['read'] },
+      ]),
+    });
+
+    assert.deepEqual(tokens.map(t => [t.name, t.token, t.scopes]), [
+      ['owner', 'owner', ['admin']],
+      ['webhook', 'hook', ['webhook']],
+      ['phone', 'p', ['write']],
+    ]);
+  });
+
+  it('lets admin imply every scope and write imply read', () => {
+    assert.ok(hasScope({ scopes: ['admin'] }, 'webhook'));
+    assert.ok(hasScope({ scopes: ['write'] }, 'read'));
+    assert.ok(!hasScope({ scopes: ['read'] }, 'write'));
+    assert.ok(!hasScope({ scopes: ['webhook'] }, 'read'));
+  });
+
+  it('accepts a bearer token case-insensitively or the webhook header', async () => {
+    const tokens = loadTokens();
+    assert.equal((await authenticate({ headers: { authorization: 'bearer  test-token ' } }, tokens)).name, 'owner');
+    assert.equal((await authenticate({ headers: { 'x-webhook-secret': 'webhook-secret' } }, tokens)).name, 'webhook');
+    assert.equal(await authenticate({ headers: {} }, tokens), null);
+  });
+
+  it('answers 401 for unknown tokens and 403 for a missing scope', async () => {
+    const unknown = createResponse();
+    assert.equal(await requireAuth({ method: 'GET', headers: bearer('nope') }, unknown, 'read'), null);
+    assert.equal(unknown.statusCode, 401);
+    assert.deepEqual(unknown.body, { error: 'Unauthorized' });
+
+    const forbidden = createResponse();
+    assert.equal(await requireAuth({ method: 'POST', headers: bearer('read-only-token') }, forbidden, 'write'), null);
+    assert.equal(forbidden.statusCode, 403);
+    assert.deepEqual(forbidden.body, { error: 'Forbidden', requiredScope: 'write' });
+  });
+
+  it('never logs the presented token', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    await requireAuth({ method: 'GET', headers: bearer('super-secret-value') }, createResponse(), 'read');
+    const logged = warn.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.doesNotMatch(logged, /super-secret-value/);
+  });
+});
+
+describe('scoped tokens on the endpoints', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('a read-only token can fetch entries but not submit them', async () => {
+    const fake = installFakeSheets();
+
+    const read = await invoke(getEntries, { method: 'GET', headers: bearer('read-only-token'), query: {} });
+    assert.equal(read.statusCode, 200);
+
+    const write = await invoke(submitEntry, {
+      method: 'POST',
+      headers: bearer('read-only-token'),
+      body: { dateFor: '01/02/2026', hours: 5 },
+    });
+    assert.equal(write.statusCode, 403);
+    assert.equal(fake.getValues('Sheet1').length, 1);
+  });
+
+  it('snooze rejects a prefix-mangled token', async () => {
+    installFakeSheets();
+    const res = await invoke(snooze, { method: 'POST', headers: { authorization: 'test-token-extra' }, body: {} });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('the webhook secret cannot be used against the app API', async () => {
+    installFakeSheets();
+    const res = await invoke(getEntries, { method: 'GET', headers: bearer('webhook-secret'), query: {} });
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('a read-only token cannot post to the health webhook', async () => {
+    installFakeSheets();
+    const res = await invoke(healthWebhook, {
+      method: 'POST',
+      headers: { 'x-webhook-secret': 'read-only-token' },
+      rawBody: JSON.stringify({ data: { metrics: [] } }),
+    });
+    assert.equal(res.statusCode, 403);
+  });
+});
+
+describe('scheduled and maintenance endpoints', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('cron-trigger refuses anonymous and non-admin callers and logs them', async () => {
+    installFakeSheets();
+
+    assert.equal((await invoke(cronTrigger, { method: 'GET', headers: {} })).statusCode, 401);
+    assert.equal((await invoke(cronTrigger, { method: 'GET', headers: bearer('read-only-token') })).statusCode, 403);
+    assert.equal(console.warn.mock.calls.length, 2);
+
+    const cron = await invoke(cronTrigger, { method: 'GET', headers: bearer('cron-secret') });
+    assert.equal(cron.statusCode, 200, JSON.stringify(cron.body));
+  });
+
+  it('archive mode cannot delete health data without a token', async () => {
+    const fake = installFakeSheets({
+      Health_Hourly: [TABLES.healthHourly.headers, ['2020-01-01T09:00:00Z', '1/1/2020', 9, 'heart_rate', 70]],
+    });
+
+    const res = await invoke(backupData, { method: 'GET', headers: {}, query: { mode: 'archive', confirm: 'true' } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(fake.getValues('Health_Hourly').length, 2);
+  });
+
+  it('archive mode and backups accept the cron secret or an admin token', async () => {
+    installFakeSheets();
+
+    const dryRun = await invoke(backupData, { method: 'GET', headers: bearer('test-token'), query: { mode: 'archive', dryRun: 'true' } });
+    assert.equal(dryRun.statusCode, 200, JSON.stringify(dryRun.body));
+
+    const webhook = await invoke(backupData, { method: 'GET', headers: bearer('webhook-secret'), query: {} });
+    assert.equal(webhook.statusCode, 403);
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import webpush from 'web-push';
+
+import getEntries from '../api/get-entries.js';
+import getHourlyData from '../api/get-hourly-data.js';
+import cronTrigger from '../api/cron-trigger.js';
+import notificationSettings from '../api/notification-settings.js';
+import { baselineFor, scoreDay, isSummaryDue } from '../lib/baselines.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { addDays, sheetDate } from './helpers/dates.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+process.env.CRON_SECRET = 'cron-secret';
+
+const AUTH = { authorization: 'Bearer test-token' };
+
+// A Wednesday; the Friday and Saturday before it are no-watch days
+const TODAY = '2026-03-04';
+
+const isFriOrSat = date => [5, 6].includes(new Date(`${date}T12:00:00Z`).getUTCDay());
+
+// 28 steady days before TODAY (wild readings on the no-watch days), and a
+// resting HR up and HRV down on TODAY
+function steadyHistory() {
+  const history = {};
+  for (let i = 1; i <= 28; i++) {
+    const date = addDays(TODAY, -i);
+    history[date] = isFriOrSat(date)
+      ? { restingHR: 90, hrv: 15, sleep: 200 }
+      : { restingHR: 56 + (i % 3), hrv: 48 + (i % 5), sleep: 420 + (i % 4) * 10 };
+  }
+  history[TODAY] = { restingHR: 66, hrv: 36, sleep: 430 };
+  return history;
+}
+
+// Health_Daily rows for a history as steadyHistory builds it
+function dailyRows(history) {
+  return [
+    TABLES.healthDaily.headers,
+    ...Object.entries(history).map(([date, day]) => {
+      const row = Array(TABLES.healthDaily.columns.length).fill('');
+      row[TABLES.healthDaily.index.date] = sheetDate(date);
+      row[TABLES.healthDaily.index.restingHR] = String(day.restingHR);
+      row[TABLES.healthDaily.index.hrv] = String(day.hrv);
+      row[TABLES.healthDaily.index.sleepMinutes] = String(day.sleep);
+      return row;
+    }),
+  ];
+}
+
+describe('lib/baselines', () => {
+  it('takes the median and MAD of the watch days before', () => {
+    const baseline = baselineFor(steadyHistory(), 'restingHR', TODAY);
+
+    assert.equal(baseline.days, 20, 'the eight Fridays and Saturdays left out');
+    assert.deepEqual([baseline.median, baseline.mad], [57, 1]);
+  });
+
+  it('flags resting HR going up and HRV going down, not sleep within range', () => {
+    const scores = scoreDay(steadyHistory(), TODAY, 2);
+
+    assert.deepEqual(
+      scores.map(score => [score.key, score.direction, score.flagged]),
+      [['restingHR', 'up', true], ['hrv', 'down', true], ['sleep', 'down', false]]
+    );
+    assert.equal(scores[0].z, 6.1);
+  });
+
+  it('only flags the direction that matters', () => {
+    const history = steadyHistory();
+    history[TODAY] = { restingHR: 45, hrv: 70, sleep: 600 };
+
+    assert.deepEqual(
+      scoreDay(history, TODAY, 2).filter(score => score.flagged).map(score => score.key),
+      ['sleep']
+    );
+  });
+
+  it('scores nothing on a no-watch day or without enough days before', () => {
+    const history = steadyHistory();
+    assert.deepEqual(scoreDay(history, '2026-02-27', 2), [], 'a Friday');
+
+    const short = { [TODAY]: history[TODAY] };
+    for (let i = 1; i <= 5; i++) short[addDays(TODAY, -i)] = history[addDays(TODAY, -i)];
+    assert.deepEqual(scoreDay(short, TODAY, 2), []);
+  });
+
+  it('is due once a day from the set time', () => {
+    assert.equal(isSummaryDue(null, null, TODAY, 600), false, 'off');
+    assert.equal(isSummaryDue('08:00', null, TODAY, 479), false);
+    assert.equal(isSummaryDue('08:00', '2026-03-03', TODAY, 480), true);
+    assert.equal(isSummaryDue('08:00', TODAY, TODAY, 600), false);
+  });
+});
+
+describe('baseline flags', () => {
+  let sent;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    const keys = webpush.generateVAPIDKeys();
+    process.env.VAPID_EMAIL = 'test@example.com';
+    process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+    sent = [];
+    mock.method(webpush, 'sendNotification', async (subscription, payload) => {
+      sent.push(JSON.parse(payload));
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    delete process.env.VAPID_EMAIL;
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+  });
+
+  // steadyHistory in Health_Daily, a subscribed device, and the morning
+  // summary at `morningSummaryTime`
+  function withHistory(morningSummaryTime = '') {
+    const settings = ['20:00', '60', 'true', '', '', 'America/New_York', ...Array(TABLES.settings.columns.length - 6).fill('')];
+    settings[TABLES.settings.index.morningSummaryTime] = morningSummaryTime;
+    const subscription = { endpoint: 'https://push.example.com/1', keys: { p256dh: 'key', auth: 'auth' } };
+    return installFakeSheets({
+      Sheet1: [TABLES.entries.headers],
+      Health_Daily: dailyRows(steadyHistory()),
+      Health_Hourly: [TABLES.healthHourly.headers],
+      ECG_Readings: [TABLES.ecgReadings.headers],
+      Subscriptions: [TABLES.subscriptions.headers, ['', subscription.endpoint, '', JSON.stringify(subscription)]],
+      UserSettings: [TABLES.settings.headers, settings],
+    });
+  }
+
+  it('flags History entries', async () => {
+    withHistory();
+
+    const res = await invoke(getEntries, { method: 'GET', headers: AUTH, query: { limit: '3' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(
+      res.body.entries.map(entry => [entry.normalizedDate, entry.anomalies.map(flag => flag.key)]),
+      [[TODAY, ['restingHR', 'hrv']], ['2026-03-03', []], ['2026-03-02', []]]
+    );
+    assert.deepEqual(
+      [res.body.entries[0].anomalies[0].value, res.body.entries[0].anomalies[0].median],
+      [66, 57]
+    );
+  });
+
+  it('flags days in Multi-Day stats from baselines before the range', async () => {
+    withHistory();
+
+    const res = await invoke(getHourlyData, {
+      method: 'GET', headers: AUTH, query: { startDate: '2026-03-03', endDate: TODAY },
+    });
+
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.deepEqual(
+      res.body.days.map(day => [day.date, day.anomalies.map(flag => flag.key)]),
+      [['2026-03-03', []], [TODAY, ['restingHR', 'hrv']]]
+    );
+  });
+
+  it('pushes the morning summary once a day', async () => {
+    const fake = withHistory('08:00');
+    // 9:00 in New York
+    mock.timers.enable({ apis: ['Date'], now: new Date(`${TODAY}T14:00:00Z`) });
+    const cron = () => invoke(cronTrigger, { method: 'GET', headers: { authorization: 'Bearer cron-secret' } });
+
+    const first = await cron();
+    assert.equal(first.statusCode, 200, JSON.stringify(first.body));
+    assert.deepEqual(
+      [first.body.morningSummary.sent, first.body.morningSummary.date, first.body.morningSummary.flagged],
+      [true, TODAY, ['restingHR', 'hrv']]
+    );
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].title, 'Outside your usual range');
+    assert.match(sent[0].body, /Resting HR 66 bpm \(usual 57 bpm\), higher than usual/);
+    assert.match(sent[0].body, /Sleep 7h 10m \(usual 7h 15m\)$/);
+    assert.equal(sent[0].actions, undefined, 'no snooze button on a summary');
+
+    assert.equal((await cron()).body.morningSummary.sent, false, 'not sent twice');
+    assert.equal(sent.length, 1);
+    assert.equal(fake.getValues(TABLES.settings.name)[1][TABLES.settings.index.morningSummarySent], TODAY);
+  });
+
+  it('saves the threshold and summary time with the notification settings', async () => {
+    withHistory();
+    const save = fields => invoke(notificationSettings, {
+      method: 'POST',
+      headers: AUTH,
+      body: { firstReminderTime: '20:00', repeatInterval: 60, stopAfterLog: true, ...fields },
+    });
+
+    assert.equal((await save({ anomalyThreshold: 2.5, morningSummaryTime: '07:30' })).statusCode, 200);
+    const saved = await invoke(notificationSettings, { method: 'GET', headers: AUTH });
+    assert.deepEqual([saved.body.anomalyThreshold, saved.body.morningSummaryTime], [2.5, '07:30']);
+
+    assert.equal((await save({ morningSummaryTime: null })).statusCode, 200);
+    assert.equal((await invoke(notificationSettings, { method: 'GET', headers: AUTH })).body.morningSummaryTime, null);
+
+    assert.equal((await save({ anomalyThreshold: 0.5 })).statusCode, 400);
+    assert.equal((await save({ morningSummaryTime: '25:00' })).statusCode, 400);
+  });
+});
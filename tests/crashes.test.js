@@ -0,0 +1,139 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import submitEntry from '../api/submit-entry.js';
+import getHourlyData from '../api/get-hourly-data.js';
+import { detectPossibleCrashes, lookBack } from '../lib/crashes.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const AUTH = { authorization: 'Bearer test-token' };
+
+function submit(body) {
+  return invoke(submitEntry, { method: 'POST', headers: AUTH, body });
+}
+
+// "2026-03-05" for day 5 of March
+const march = day => `2026-03-${String(day).padStart(2, '0')}`;
+
+// Feet on ground for March 1 onwards, one value per day (null: no entry)
+const feetOnGround = hours => hours.map((value, i) => ({ date: march(i + 1), feetOnGround: value }));
+
+describe('lib/crashes', () => {
+  it('flags sharp drops below the rolling baseline as one run', () => {
+    const runs = detectPossibleCrashes(feetOnGround([6, 7, 6, 5, 6, 7, 6, 1, 2, null, 1, 6, 6, 4]));
+
+    assert.deepEqual(runs, [
+      { start: march(8), end: march(11), days: 3, baseline: 6, lowest: 1 },
+    ]);
+  });
+
+  it('needs enough baseline days and a drop of real hours', () => {
+    assert.deepEqual(detectPossibleCrashes(feetOnGround([6, 6, 6, 6, 1])), [], 'four days is no baseline');
+    assert.deepEqual(detectPossibleCrashes(feetOnGround([3, 3, 3, 3, 3, 1.5])), [], 'half of 3 hours is a small drop');
+    assert.equal(detectPossibleCrashes(feetOnGround([3, 3, 3, 3, 3, 1])).length, 1);
+  });
+
+  it('keeps a long crash out of its own baseline', () => {
+    const hours = [6, 6, 6, 6, 6, ...Array(20).fill(1)];
+    const [run] = detectPossibleCrashes(feetOnGround(hours));
+
+    assert.deepEqual([run.start, run.end, run.days], [march(6), march(25), 20]);
+  });
+
+  it('looks back at the days before, nearest first', () => {
+    const days = lookBack(march(5), {
+      [march(4)]: { steps: 9000, exercise: 20, brainTime: 3, feetOnGround: 8 },
+      [march(2)]: { steps: 3000 },
+    });
+
+    assert.deepEqual(days, [
+      { date: march(4), daysBefore: 1, steps: 9000, exercise: 20, brainTime: 3, feetOnGround: 8 },
+      { date: march(3), daysBefore: 2, steps: null, exercise: null, brainTime: null, feetOnGround: null },
+      { date: march(2), daysBefore: 3, steps: 3000, exercise: null, brainTime: null, feetOnGround: null },
+    ]);
+  });
+});
+
+describe('crash log', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('logs, updates and deletes crashes, writing each change to the AuditLog first', async () => {
+    const fake = installFakeSheets();
+
+    const logged = await submit({ action: 'log-crash', onset: '2026-03-08', severity: 'severe', trigger: ' long drive ' });
+    assert.equal(logged.statusCode, 200);
+    const { crash } = logged.body;
+    assert.deepEqual(
+      [crash.onset, crash.end, crash.severity, crash.durationDays, crash.trigger],
+      ['2026-03-08', null, 'severe', null, 'long drive'],
+      'ongoing until a duration is set'
+    );
+
+    const updated = await submit({ action: 'update-crash', id: crash.id, durationDays: 4 });
+    assert.equal(updated.statusCode, 200);
+    assert.deepEqual([updated.body.crash.end, updated.body.crash.severity], ['2026-03-11', 'severe']);
+
+    const deleted = await submit({ action: 'delete-crash', id: crash.id });
+    assert.equal(deleted.statusCode, 200);
+    assert.equal(fake.getValues(TABLES.crashes.name).length, 1, 'only the header is left');
+
+    const actions = fake.getValues(TABLES.auditLog.name).slice(1).map(row => row[TABLES.auditLog.index.action]);
+    assert.deepEqual(actions, ['LOG_CRASH', 'UPDATE_CRASH', 'DELETE_CRASH']);
+  });
+
+  it('refuses invalid fields and unknown crashes', async () => {
+    installFakeSheets();
+
+    const badOnset = await submit({ action: 'log-crash', onset: '3/8/2026', severity: 'severe' });
+    assert.equal(badOnset.statusCode, 400);
+    const badSeverity = await submit({ action: 'log-crash', onset: '2026-03-08', severity: 'awful' });
+    assert.equal(badSeverity.statusCode, 400);
+    const badDuration = await submit({ action: 'log-crash', onset: '2026-03-08', severity: 'mild', durationDays: 1.5 });
+    assert.equal(badDuration.statusCode, 400);
+
+    const unknown = await submit({ action: 'update-crash', id: 'nope', severity: 'mild' });
+    assert.equal(unknown.statusCode, 404);
+  });
+
+  it('lists logged and possible crashes with look-backs in the multi-day stats', async () => {
+    const hours = [6, 7, 6, 5, 6, 7, 6, 1, 2, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 0, 1];
+    installFakeSheets({
+      Sheet1: [
+        TABLES.entries.headers,
+        ...hours.map((value, i) => {
+          const row = Array(TABLES.entries.columns.length).fill('');
+          row[TABLES.entries.index.dateFor] = `3/${i + 1}/2026`;
+          row[TABLES.entries.index.hours] = String(value);
+          row[TABLES.entries.index.exercise] = i === 6 ? '30' : '';
+          return row;
+        }),
+      ],
+    });
+    await submit({ action: 'log-crash', onset: '2026-03-21', severity: 'moderate' });
+
+    const res = await invoke(getHourlyData, {
+      method: 'GET', headers: AUTH, query: { startDate: '2026-03-05', endDate: '2026-03-31' },
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.crashes.map(c => [c.onset, c.severity]), [['2026-03-21', 'moderate']]);
+    assert.deepEqual(
+      res.body.possibleCrashes.map(run => [run.start, run.end]),
+      [['2026-03-08', '2026-03-09']],
+      'the drop on the 21st is the logged crash'
+    );
+    const [dayBefore] = res.body.possibleCrashes[0].lookBack;
+    assert.deepEqual([dayBefore.date, dayBefore.exercise, dayBefore.feetOnGround], ['2026-03-07', 30, 6]);
+  });
+});
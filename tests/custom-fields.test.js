@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import submitEntry from '../api/submit-entry.js';
+import getEntries from '../api/get-entries.js';
+import backupData from '../api/backup-data.js';
+import { parseFieldDefinitions, fieldCell, describeFieldValue } from '../lib/customFields.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const AUTH = { authorization: 'Bearer test-token' };
+// First dynamic column
+const DYNAMIC = TABLES.entries.columns.length;
+
+function submit(body) {
+  return invoke(submitEntry, { method: 'POST', headers: AUTH, body });
+}
+
+function get(query = {}) {
+  return invoke(getEntries, { method: 'GET', headers: AUTH, query });
+}
+
+// Fatigue (0-10), Crashed (yes/no) and Water (litres, 0-5)
+function withFields(sheet1 = [[...TABLES.entries.headers, 'Vitamin D']]) {
+  return installFakeSheets({
+    Sheet1: sheet1,
+    CustomFields: [
+      TABLES.customFields.headers,
+      ['Fatigue', 'scale', '', '', '', '1', 'false'],
+      ['Crashed', 'yesNo', '', '', '', '2', 'false'],
+      ['Water', 'number', '0', '5', 'L', '3', 'false'],
+    ],
+  });
+}
+
+describe('lib/customFields', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reads definitions in order, skipping rows it cannot use', () => {
+    const fields = parseFieldDefinitions([
+      { label: 'Pain', type: 'Scale', min: null, max: null, unit: '', position: 2, archived: false },
+      { label: 'Naps', type: 'number', min: 0, max: null, unit: 'naps', position: null, archived: false },
+      { label: 'Brain Fog', type: 'scale', min: 1, max: 5, unit: '', position: 1, archived: true },
+      { label: 'Mood', type: 'slider', position: 3 },
+      { label: 'Hours', type: 'number', position: 4 },
+      { label: 'pain', type: 'scale', position: 5 },
+      { label: '  ', type: 'scale' },
+    ]);
+
+    assert.deepEqual(fields.map(f => [f.key, f.type, f.min, f.max, f.archived]), [
+      ['brainfog', 'scale', 1, 5, true],
+      ['pain', 'scale', 0, 10, false],
+      ['naps', 'number', 0, null, false],
+    ]);
+    assert.equal(console.warn.mock.callCount(), 3, 'unknown type, built-in name and duplicate');
+  });
+
+  it('stores one canonical cell per value and refuses the rest', () => {
+    const scale = { type: 'scale', min: 0, max: 10 };
+    const yesNo = { type: 'yesNo', min: null, max: null };
+    const number = { type: 'number', min: 0, max: null };
+
+    assert.equal(fieldCell(7, scale), '7');
+    assert.equal(fieldCell(' 07 ', scale), '7');
+    assert.equal(fieldCell(null, scale), '');
+    assert.equal(fieldCell(11, scale), null);
+    assert.equal(fieldCell(6.5, scale), null);
+    assert.equal(fieldCell(true, yesNo), 'Yes');
+    assert.equal(fieldCell('no', yesNo), 'No');
+    assert.equal(fieldCell('maybe', yesNo), null);
+    assert.equal(fieldCell('2.50', number), '2.5');
+    assert.equal(fieldCell(-1, number), null);
+    assert.equal(describeFieldValue(scale), 'a whole number from 0 to 10');
+    assert.equal(describeFieldValue(number), 'a number of at least 0');
+  });
+});
+
+describe('custom fields on daily entries', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('adds a field\'s column on its first value and stores canonical cells', async () => {
+    const fake = withFields();
+
+    const res = await submit({ dateFor: '02/05/2026', hours: 5, vitamind: '1 pill', fatigue: '7', crashed: true, water: null });
+
+    assert.equal(res.statusCode, 200);
+    const [header, row] = fake.getValues('Sheet1');
+    assert.deepEqual(header.slice(DYNAMIC), ['Vitamin D', 'Fatigue', 'Crashed'], 'no column for a blank field');
+    assert.deepEqual(row.slice(DYNAMIC), ['1 pill', '7', 'Yes']);
+  });
+
+  it('refuses a value outside the field\'s range', async () => {
+    const fake = withFields();
+
+    const res = await submit({ dateFor: '02/05/2026', hours: 5, fatigue: 12, water: 'lots' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Fatigue must be a whole number from 0 to 10. Water must be a number from 0 to 5.');
+    assert.deepEqual(res.body.fields, ['fatigue', 'water']);
+    assert.equal(fake.getValues('Sheet1').length, 1, 'nothing saved');
+  });
+
+  it('returns typed values and keeps field columns out of the medications', async () => {
+    withFields();
+    await submit({ dateFor: '02/05/2026', hours: 5, vitamind: '1 pill', fatigue: 3, crashed: false, water: 1.5 });
+    await submit({ dateFor: '02/06/2026', hours: 6, fatigue: 8 });
+
+    const res = await get();
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.medications.map(m => m.key), ['vitamind']);
+    assert.deepEqual(
+      res.body.customFields.map(f => [f.key, f.type, f.columnIndex]),
+      [['fatigue', 'scale', DYNAMIC + 1], ['crashed', 'yesNo', DYNAMIC + 2], ['water', 'number', DYNAMIC + 3]]
+    );
+    const byDate = Object.fromEntries(res.body.entries.map(e => [e.normalizedDate, e]));
+    assert.deepEqual(
+      [byDate['2026-02-05'].fatigue, byDate['2026-02-05'].crashed, byDate['2026-02-05'].water],
+      [3, false, 1.5]
+    );
+    assert.deepEqual([byDate['2026-02-06'].fatigue, byDate['2026-02-06'].crashed], [8, null]);
+  });
+
+  it('shows field changes in a day\'s history', async () => {
+    withFields();
+    await submit({ dateFor: '02/05/2026', hours: 5, fatigue: 3 });
+    await submit({ dateFor: '02/05/2026', hours: 5, fatigue: 6, crashed: 'yes' });
+
+    const res = await get({ view: 'history', date: '02/05/2026' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.customFields.map(f => f.key), ['fatigue', 'crashed', 'water']);
+    assert.deepEqual(res.body.versions[1].changes, [
+      { field: 'fatigue', from: '3', to: '6' },
+      { field: 'crashed', from: null, to: 'Yes' },
+    ]);
+  });
+
+  it('replays field values from the AuditLog', async () => {
+    withFields();
+    await submit({ dateFor: '02/05/2026', hours: 5, fatigue: 3, crashed: true });
+    await submit({ dateFor: '02/06/2026', hours: 6, fatigue: 9, water: '2' });
+
+    const res = await invoke(backupData, { headers: AUTH, query: { mode: 'replay', dryRun: 'true' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.diff, {
+      columns: { added: [], removed: [] },
+      added: [],
+      removed: [],
+      changed: [],
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import webpush from 'web-push';
+
+import authHandler from '../api/auth.js';
+import getEntries from '../api/get-entries.js';
+import submitEntry from '../api/submit-entry.js';
+import sendNotification from '../api/send-notification.js';
+import { touchDevice, listDevices } from '../lib/devices.js';
+import { getRepository } from '../lib/storage/index.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { TABLES } from '../lib/storage/tables.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const bearer = token => ({ authorization: `Bearer ${token}` });
+const OWNER = bearer('test-token');
+
+function linkDevice(body, headers = OWNER) {
+  return invoke(authHandler, { method: 'POST', headers, body: { action: 'create-device', ...body } });
+}
+
+function listAs(headers = OWNER) {
+  return invoke(authHandler, { method: 'GET', headers, query: { view: 'devices' } });
+}
+
+describe('/api/auth linked devices', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VAPID_EMAIL;
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+  });
+
+  it('mints a token that authenticates and stores only its hash', async () => {
+    const fake = installFakeSheets();
+
+    const created = await linkDevice({ name: 'iPad' });
+
+    assert.equal(created.statusCode, 200);
+    const { device, token } = created.body;
+    assert.match(token, /^dev_/);
+    assert.deepEqual(device.scopes, ['write']);
+    assert.equal(device.createdBy, 'owner');
+    assert.equal(device.tokenHash, undefined);
+
+    const [header, row] = fake.getValues('Devices');
+    assert.deepEqual(header, TABLES.devices.headers);
+    assert.ok(!row.includes(token), 'the plain token must not be stored');
+
+    const res = await invoke(getEntries, { method: 'GET', headers: bearer(token), query: {} });
+    assert.equal(res.statusCode, 200);
+  });
+
+  it('enforces the device scopes', async () => {
+    installFakeSheets();
+    const { body } = await linkDevice({ name: 'Caregiver laptop', scopes: ['read'] });
+
+    const write = await invoke(submitEntry, {
+      method: 'POST',
+      headers: bearer(body.token),
+      body: { dateFor: '01/02/2026', hours: 5 },
+    });
+    assert.equal(write.statusCode, 403);
+
+    const manage = await listAs(bearer(body.token));
+    assert.equal(manage.statusCode, 403);
+  });
+
+  it('records last-used time and marks the calling device in the list', async () => {
+    installFakeSheets();
+    const { body } = await linkDevice({ name: 'Phone', scopes: ['admin'] });
+
+    const res = await listAs(bearer(body.token));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.currentDeviceId, body.device.id);
+    const [listed] = res.body.devices;
+    assert.ok(listed.lastUsedAt, 'using the token should set lastUsedAt');
+    assert.equal(listed.tokenHash, undefined);
+  });
+
+  it('only rewrites last-used time every few minutes', async () => {
+    installFakeSheets();
+    const repo = getRepository();
+    await linkDevice({ name: 'Phone' });
+    const [device] = await listDevices(repo);
+
+    const first = new Date('2026-03-01T12:00:00Z');
+    assert.equal(await touchDevice(device, repo, first), true);
+    const [touched] = await listDevices(repo);
+    assert.equal(await touchDevice(touched, repo, new Date(first.getTime() + 60 * 1000)), false);
+    assert.equal(await touchDevice(touched, repo, new Date(first.getTime() + 10 * 60 * 1000)), true);
+  });
+
+  it('revokes one device without affecting the others', async () => {
+    installFakeSheets();
+    const lost = (await linkDevice({ name: 'Lost phone' })).body;
+    const kept = (await linkDevice({ name: 'Laptop' })).body;
+
+    const revoked = await invoke(authHandler, {
+      method: 'POST',
+      headers: OWNER,
+      body: { action: 'revoke-device', id: lost.device.id },
+    });
+    assert.equal(revoked.statusCode, 200);
+    assert.ok(revoked.body.device.revokedAt);
+
+    const lostRes = await invoke(getEntries, { method: 'GET', headers: bearer(lost.token), query: {} });
+    assert.equal(lostRes.statusCode, 401);
+    const keptRes = await invoke(getEntries, { method: 'GET', headers: bearer(kept.token), query: {} });
+    assert.equal(keptRes.statusCode, 200);
+  });
+
+  it('validates names, scopes and ids', async () => {
+    installFakeSheets();
+
+    assert.equal((await linkDevice({ name: '  ' })).statusCode, 400);
+    assert.equal((await linkDevice({ name: 'x', scopes: ['root'] })).statusCode, 400);
+    assert.equal((await linkDevice({ name: 'x', scopes: [] })).statusCode, 400);
+
+    const missing = await invoke(authHandler, {
+      method: 'POST',
+      headers: OWNER,
+      body: { action: 'revoke-device', id: 'no-such-device' },
+    });
+    assert.equal(missing.statusCode, 404);
+  });
+
+  it('lets a linked device send the test notification, but not a read-only one', async () => {
+    const subscription = { endpoint: 'https://push.example.com/1', keys: { p256dh: 'key', auth: 'auth' } };
+    installFakeSheets({
+      Subscriptions: [TABLES.subscriptions.headers, ['', subscription.endpoint, '', JSON.stringify(subscription)]],
+    });
+    const keys = webpush.generateVAPIDKeys();
+    process.env.VAPID_EMAIL = 'test@example.com';
+    process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+    mock.method(webpush, 'sendNotification', async () => ({}));
+    const { body: phone } = await linkDevice({ name: 'Phone' });
+    const { body: viewer } = await linkDevice({ name: 'Caregiver laptop', scopes: ['read'] });
+
+    const send = headers => invoke(sendNotification, {
+      method: 'POST',
+      headers,
+      body: { message: 'Test', includeJoke: false },
+    });
+
+    const sent = await send(bearer(phone.token));
+    assert.equal(sent.statusCode, 200, JSON.stringify(sent.body));
+    assert.equal(webpush.sendNotification.mock.callCount(), 1);
+    assert.equal((await send(bearer(viewer.token))).statusCode, 403);
+  });
+
+  it('answers 500 when storing a device fails', async () => {
+    const fake = installFakeSheets();
+    mock.method(console, 'error', () => {});
+    mock.method(fake.spreadsheets.values, 'append', async () => {
+      throw new Error('Quota exceeded');
+    });
+
+    const res = await linkDevice({ name: 'iPad' });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.details, 'Quota exceeded');
+  });
+
+  it('lists nothing before any device is linked', async () => {
+    installFakeSheets();
+    const res = await listAs();
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { devices: [], currentDeviceId: null });
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import submitEntry from '../api/submit-entry.js';
+import getEntries from '../api/get-entries.js';
+import { parseDose, formatDose, doseCell } from '../lib/doses.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const AUTH = { authorization: 'Bearer test-token' };
+// First medication column
+const MED = TABLES.entries.columns.length;
+
+function submit(body) {
+  return invoke(submitEntry, { method: 'POST', headers: AUTH, body });
+}
+
+describe('lib/doses', () => {
+  it('reads free-text doses as an amount and a unit', () => {
+    const cases = [
+      ['1 pill', '', { amount: 1, unit: 'pill' }],
+      ['2 Pills', '', { amount: 2, unit: 'pill' }],
+      ['1g', '', { amount: 1, unit: 'g' }],
+      ['0.5 grams', '', { amount: 0.5, unit: 'g' }],
+      ['1/2 tab', '', { amount: 0.5, unit: 'tablet' }],
+      ['half a pill', '', { amount: 0.5, unit: 'pill' }],
+      ['10,000 iu', '', { amount: 10000, unit: 'IU' }],
+      ['2', 'caps', { amount: 2, unit: 'cap' }],
+      ['Off', 'caps', { amount: 0, unit: 'cap' }],
+      ['On', 'caps', { amount: null, unit: 'cap' }],
+      [{ amount: 2 }, 'caps', { amount: 2, unit: 'cap' }],
+      [{ amount: 2, unit: 'mg' }, 'caps', { amount: 2, unit: 'mg' }],
+      [3, 'caps', { amount: 3, unit: 'cap' }],
+    ];
+    for (const [value, defaultUnit, expected] of cases) {
+      assert.deepEqual(parseDose(value, defaultUnit), expected, JSON.stringify(value));
+    }
+
+    assert.equal(parseDose(''), null);
+    assert.equal(parseDose('with food'), null);
+    assert.equal(parseDose({ amount: -1 }), null);
+    assert.equal(parseDose({ amount: '1' }), null);
+  });
+
+  it('writes one canonical form', () => {
+    assert.equal(formatDose({ amount: 1, unit: 'pill' }), '1 pill');
+    assert.equal(formatDose({ amount: 2, unit: 'pill' }), '2 pills');
+    assert.equal(formatDose({ amount: 0.5, unit: 'g' }), '0.5 g');
+    assert.equal(formatDose({ amount: 2, unit: '' }), '2');
+    assert.equal(formatDose({ amount: 0, unit: 'g' }), 'Off');
+    assert.equal(formatDose({ amount: null, unit: 'g' }), 'On');
+
+    assert.equal(doseCell('2 caps'), '2 caps');
+    assert.equal(doseCell('1g'), '1 g');
+    assert.equal(doseCell(' with food '), 'with food');
+    assert.equal(doseCell(null), '');
+  });
+});
+
+describe('structured medication doses', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores a medication\'s unit, default amount and schedule', async () => {
+    installFakeSheets();
+    await submit({ action: 'add-medication', name: 'oxaloacetate new' });
+
+    const res = await submit({
+      action: 'set-medication-dose', key: 'oxaloacetatenew', unit: 'Grams', defaultAmount: 1, schedule: 'daily',
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.medication, {
+      key: 'oxaloacetatenew', label: 'Oxaloacetate New', unit: 'g', defaultAmount: 1, schedule: 'daily',
+      defaultOn: false, carryForward: true,
+    });
+
+    await submit({ action: 'set-medication-dose', key: 'oxaloacetatenew', defaultAmount: 2 });
+    await submit({ action: 'rename-medication', key: 'oxaloacetatenew', name: 'oxaloacetate' });
+
+    const [med] = (await invoke(getEntries, { headers: AUTH })).body.medications;
+    assert.deepEqual(
+      { key: med.key, unit: med.unit, defaultAmount: med.defaultAmount, schedule: med.schedule },
+      { key: 'oxaloacetate', unit: 'g', defaultAmount: 2, schedule: 'daily' },
+      'settings are kept across an update and a rename'
+    );
+  });
+
+  it('refuses invalid dose settings', async () => {
+    installFakeSheets();
+    await submit({ action: 'add-medication', name: 'senna' });
+
+    for (const fields of [{ schedule: 'hourly' }, { defaultAmount: 0 }, { defaultAmount: '1' }, { unit: 'x'.repeat(21) }]) {
+      const res = await submit({ action: 'set-medication-dose', key: 'senna', ...fields });
+      assert.equal(res.statusCode, 400, JSON.stringify(fields));
+    }
+    assert.equal((await submit({ action: 'set-medication-dose', key: 'nope', unit: 'g' })).statusCode, 404);
+  });
+
+  it('records submitted doses as an amount and the medication\'s unit', async () => {
+    const fake = installFakeSheets();
+    await submit({ action: 'add-medication', name: 'modafinil new' });
+    await submit({ action: 'add-medication', name: 'vitamin d' });
+    await submit({ action: 'set-medication-dose', key: 'modafinilnew', unit: 'pill' });
+
+    const res = await submit({ dateFor: '02/05/2026', hours: 5, modafinilnew: { amount: 0.5 }, vitamind: '2000 iu' });
+
+    assert.equal(res.statusCode, 200);
+    const [, row] = fake.getValues('Sheet1');
+    assert.equal(row[MED], '0.5 pills');
+    assert.equal(row[MED + 1], '2000 IU');
+
+    const logged = fake.getValues(TABLES.auditLog.name)
+      .find(record => record[TABLES.auditLog.index.action] === 'SUBMIT_ENTRY');
+    assert.equal(JSON.parse(logged[TABLES.auditLog.index.body]).modafinilnew, '0.5 pills', 'the log has what was written');
+
+    const [entry] = (await invoke(getEntries, { headers: AUTH })).body.entries;
+    assert.deepEqual(entry.doses, { modafinilnew: { amount: 0.5, unit: 'pill' }, vitamind: { amount: 2000, unit: 'IU' } });
+  });
+
+  it('refuses a dose it cannot read', async () => {
+    const fake = installFakeSheets();
+    await submit({ action: 'add-medication', name: 'vitamin d' });
+
+    const res = await submit({ dateFor: '02/05/2026', hours: 5, vitamind: 'with food' });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.fields, ['vitamind']);
+    assert.match(res.body.error, /Vitamin D/);
+    assert.equal(fake.getValues('Sheet1').length, 1, 'nothing written');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/ecg-webhook.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.ECG_WEBHOOK_SECRET = 'webhook-secret';
+
+const SAMPLING_RATE = 512;
+
+// Synthetic lead-I trace: flat baseline with a sharp R peak and shallower S
+// dip once per beat, enough for the R/S and HR detection to lock on.
+function syntheticVoltages({ seconds = 6, bpm = 60 } = {}) {
+  const samplesPerBeat = Math.round((SAMPLING_RATE * 60) / bpm);
+  const voltages = [];
+  for (let i = 0; i < seconds * SAMPLING_RATE; i++) {
+    const phase = i % samplesPerBeat;
+    let v = 0;
+    if (phase === 100) v = 1000;
+    else if (phase === 104) v = -250;
+    voltages.push({ voltage: v });
+  }
+  return voltages;
+}
+
+function ecgPayload(start, overrides = {}) {
+  return JSON.stringify({
+    data: {
+      ecg: [{
+        classification: 'Sinus Rhythm',
+        averageHeartRate: 60,
+        samplingFrequency: SAMPLING_RATE,
+        voltageMeasurements: syntheticVoltages(),
+        start,
+        ...overrides,
+      }],
+    },
+  });
+}
+
+function post(rawBody) {
+  return invoke(handler, {
+    method: 'POST',
+    headers: { 'x-webhook-secret': 'webhook-secret', 'content-type': 'application/json' },
+    rawBody,
+  });
+}
+
+describe('POST /api/ecg-webhook', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects a wrong webhook secret', async () => {
+    installFakeSheets();
+    const res = await invoke(handler, {
+      method: 'POST',
+      headers: { 'x-webhook-secret': 'nope' },
+      rawBody: ecgPayload('2026-03-01 21:29:10 -0500'),
+    });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('stores the reading and its waveform under a shared ECG_ID', async () => {
+    const fake = installFakeSheets();
+
+    const res = await post(ecgPayload('2026-03-01 21:29:10 -0500'));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.savedCount, 1);
+    const [result] = res.body.results;
+    assert.equal(result.date, '3/1/2026, 9:29:10 PM');
+    assert.equal(result.waveformStored, true);
+    assert.equal(result.calculatedHR, 60);
+
+    const readings = fake.getValues('ECG_Readings').slice(1);
+    assert.equal(readings.length, 1);
+    assert.equal(readings[0][1], '3/1/2026, 9:29:10 PM');
+    assert.equal(readings[0][2], 'Sinus Rhythm');
+    assert.equal(readings[0][11], result.ecgId);
+    assert.equal(readings[0][12], String(6 * SAMPLING_RATE));
+
+    const waveforms = fake.getValues('ECG_Waveforms').slice(1);
+    assert.equal(waveforms.length, 1);
+    assert.equal(waveforms[0][0], result.ecgId);
+    assert.equal(waveforms[0][2].split(',').length, 6 * SAMPLING_RATE);
+  });
+
+  it('skips an ECG it has already stored', async () => {
+    const fake = installFakeSheets();
+
+    await post(ecgPayload('2026-03-01 21:29:10 -0500'));
+    const res = await post(ecgPayload('2026-03-01 21:29:10 -0500'));
+
+    assert.equal(res.body.savedCount, 0);
+    assert.equal(res.body.skippedCount, 1);
+    assert.equal(fake.getValues('ECG_Readings').length, 2);
+    assert.equal(fake.getValues('ECG_Waveforms').length, 2);
+  });
+
+  it('stores a second ECG taken at a different time', async () => {
+    const fake = installFakeSheets();
+
+    await post(ecgPayload('2026-03-01 21:29:10 -0500'));
+    const res = await post(ecgPayload('2026-03-02 08:15:00 -0500'));
+
+    assert.equal(res.body.savedCount, 1);
+    const ids = fake.getValues('ECG_Readings').slice(1).map(r => r[11]);
+    assert.equal(new Set(ids).size, 2);
+  });
+
+  it('returns 400 when the payload has no ECG records', async () => {
+    installFakeSheets();
+    const res = await post(JSON.stringify({ data: { metrics: [] } }));
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import webpush from 'web-push';
+
+import healthWebhook from '../api/health-webhook.js';
+import getEntries from '../api/get-entries.js';
+import notificationSettings from '../api/notification-settings.js';
+import { computeBudget, parsePacingAlerts, dueThreshold } from '../lib/energyBudget.js';
+import { todayIn } from '../lib/supply.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { addDays, sheetDate } from './helpers/dates.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+process.env.ECG_WEBHOOK_SECRET = 'webhook-secret';
+
+const AUTH = { authorization: 'Bearer test-token' };
+const TIME_ZONE = 'America/New_York';
+
+// Health_Daily rows of steps by date
+function dailySteps(stepsByDate) {
+  return [
+    TABLES.healthDaily.headers,
+    ...Object.entries(stepsByDate).map(([date, steps]) => {
+      const row = Array(TABLES.healthDaily.columns.length).fill('');
+      row[TABLES.healthDaily.index.date] = sheetDate(date);
+      row[TABLES.healthDaily.index.steps] = String(steps);
+      return row;
+    }),
+  ];
+}
+
+describe('lib/energyBudget', () => {
+  it('takes the median of days that did not lead into a crash', () => {
+    const today = '2026-03-31';
+    const history = {};
+    for (let i = 1; i <= 10; i++) history[addDays(today, -i)] = { steps: 4000 + i * 100 };
+    // Three big days, then a crash on the 15th and 16th
+    for (const date of ['2026-03-12', '2026-03-13', '2026-03-14']) history[date] = { steps: 15000 };
+    history['2026-03-15'] = { steps: 500 };
+    history['2026-03-16'] = { steps: 800 };
+    history[today] = { steps: 9000 };
+
+    const status = computeBudget(history, [{ start: '2026-03-15', end: '2026-03-16' }], today);
+
+    assert.deepEqual(status, { budget: 4550, basedOnDays: 10, excludedDays: 5 });
+  });
+
+  it('has no budget with too few days, and an ongoing crash excludes every day since', () => {
+    const today = '2026-03-31';
+    const history = {};
+    for (let i = 1; i <= 10; i++) history[addDays(today, -i)] = { steps: 5000 };
+
+    assert.equal(computeBudget(history, [{ start: '2026-03-25', end: null }], today).budget, null);
+    assert.equal(computeBudget({ '2026-03-30': { steps: 5000 } }, [], today).budget, null);
+  });
+
+  it('reads thresholds and pushes each one once a day', () => {
+    assert.deepEqual(parsePacingAlerts(''), [70, 90, 100]);
+    assert.deepEqual(parsePacingAlerts('100,50'), [50, 100]);
+    assert.deepEqual(parsePacingAlerts('off'), []);
+
+    assert.equal(dueThreshold(65, [70, 90, 100], null, '2026-03-05'), null);
+    assert.equal(dueThreshold(95, [70, 90, 100], null, '2026-03-05'), 90, 'the highest one reached');
+    assert.equal(dueThreshold(95, [70, 90, 100], '2026-03-05:90', '2026-03-05'), null);
+    assert.equal(dueThreshold(95, [70, 90, 100], '2026-03-04:100', '2026-03-05'), 90, 'yesterday\'s push');
+    assert.equal(dueThreshold(120, [70, 90, 100], '2026-03-05:90', '2026-03-05'), 100);
+  });
+});
+
+describe('energy budget', () => {
+  let sent;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    const keys = webpush.generateVAPIDKeys();
+    process.env.VAPID_EMAIL = 'test@example.com';
+    process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+    sent = [];
+    mock.method(webpush, 'sendNotification', async (subscription, payload) => {
+      sent.push(JSON.parse(payload));
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VAPID_EMAIL;
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+  });
+
+  // Ten days of 5,000 steps before today, and a subscribed device
+  function withHistory(settingsRow = ['20:00', '60', 'true', '', '', TIME_ZONE, '7']) {
+    const today = todayIn(TIME_ZONE);
+    const steps = {};
+    for (let i = 1; i <= 10; i++) steps[addDays(today, -i)] = 5000;
+    const subscription = { endpoint: 'https://push.example.com/1', keys: { p256dh: 'key', auth: 'auth' } };
+    const fake = installFakeSheets({
+      Health_Daily: dailySteps(steps),
+      Subscriptions: [TABLES.subscriptions.headers, ['', subscription.endpoint, '', JSON.stringify(subscription)]],
+      UserSettings: [TABLES.settings.headers, settingsRow],
+    });
+    return { fake, today };
+  }
+
+  function postSteps(today, hour, qty) {
+    const body = {
+      data: {
+        metrics: [{
+          name: 'step_count',
+          data: [{ date: `${today} ${hour}:00:00 -0400`, qty, source: 'iPhone' }],
+        }],
+      },
+    };
+    return invoke(healthWebhook, { method: 'POST', headers: { 'x-webhook-secret': 'webhook-secret' }, rawBody: JSON.stringify(body) });
+  }
+
+  it('pushes as new steps cross each threshold, once a day', async () => {
+    const { fake, today } = withHistory();
+
+    const first = await postSteps(today, '09', 3000);
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual([first.body.pacingAlert.sent, first.body.pacingAlert.percent], [false, 60]);
+
+    const second = await postSteps(today, '10', 1600);
+    assert.deepEqual([second.body.pacingAlert.sent, second.body.pacingAlert.threshold], [true, 90], 'past 70 and 90 at once');
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].title, '90% of today\'s energy budget');
+    assert.match(sent[0].body, /4,600 of 5,000 steps/);
+    assert.equal(sent[0].actions, undefined, 'no snooze button on a pacing alert');
+
+    const third = await postSteps(today, '11', 100);
+    assert.equal(third.body.pacingAlert.sent, false, 'not sent twice');
+
+    const fourth = await postSteps(today, '12', 600);
+    assert.deepEqual([fourth.body.pacingAlert.sent, fourth.body.pacingAlert.threshold], [true, 100]);
+    assert.equal(sent[1].title, 'Over today\'s energy budget');
+
+    const settings = fake.getValues(TABLES.settings.name)[1];
+    assert.equal(settings[TABLES.settings.index.pacingAlerted], `${today}:100`);
+  });
+
+  it('does nothing for steps on another day, or with alerts off', async () => {
+    const { today } = withHistory(['20:00', '60', 'true', '', '', TIME_ZONE, '7', 'off']);
+
+    const yesterday = await postSteps(addDays(today, -1), '09', 9000);
+    assert.equal(yesterday.body.pacingAlert.sent, false);
+    assert.equal(yesterday.body.pacingAlert.percent, undefined, 'the budget isn\'t read');
+
+    const off = await postSteps(today, '09', 9000);
+    assert.deepEqual([off.body.pacingAlert.sent, off.body.pacingAlert.percent], [false, 180]);
+    assert.equal(sent.length, 0);
+  });
+
+  it('returns today\'s budget for the gauge', async () => {
+    const { today } = withHistory();
+    await postSteps(today, '09', 1000);
+
+    const res = await invoke(getEntries, { method: 'GET', headers: AUTH, query: { view: 'budget' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(
+      [res.body.today, res.body.budget, res.body.used, res.body.percent, res.body.basedOnDays, res.body.pacingAlerts],
+      [today, 5000, 1000, 20, 10, [70, 90, 100]]
+    );
+  });
+
+  it('saves pacing alert thresholds with the notification settings', async () => {
+    const { fake } = withHistory();
+    const save = pacingAlerts => invoke(notificationSettings, {
+      method: 'POST',
+      headers: AUTH,
+      body: { firstReminderTime: '20:00', repeatInterval: 60, stopAfterLog: true, localTimeZone: TIME_ZONE, pacingAlerts },
+    });
+
+    assert.equal((await save([80, 150])).statusCode, 200);
+    assert.equal(fake.getValues(TABLES.settings.name)[1][TABLES.settings.index.pacingAlerts], '80,150');
+    const saved = await invoke(notificationSettings, { method: 'GET', headers: AUTH });
+    assert.deepEqual(saved.body.pacingAlerts, [80, 150]);
+
+    assert.equal((await save([])).statusCode, 200);
+    assert.deepEqual((await invoke(notificationSettings, { method: 'GET', headers: AUTH })).body.pacingAlerts, []);
+
+    assert.equal((await save([90, 90])).statusCode, 400);
+    assert.equal((await save([0])).statusCode, 400);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import submitEntry from '../api/submit-entry.js';
+import getEntries from '../api/get-entries.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { TABLES } from '../lib/storage/tables.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const OWNER = { authorization: 'Bearer test-token' };
+const PHONE = { authorization: 'Bearer phone-token' };
+
+function submit(body, headers = OWNER) {
+  return invoke(submitEntry, { method: 'POST', headers, body });
+}
+
+function history(date) {
+  return invoke(getEntries, { headers: OWNER, query: { view: 'history', date } });
+}
+
+describe('entry history and restore', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    process.env.API_TOKENS = JSON.stringify([{ name: 'partner-phone', token: 'phone-token', scopes: ['write'] }]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.API_TOKENS;
+  });
+
+  it('lists who changed which fields of a day, oldest first', async () => {
+    installFakeSheets({ Sheet1: [[...TABLES.entries.headers, 'Vitamin D']] });
+
+    await submit({ dateFor: '02/05/2026', hours: 5, comments: 'tired', vitamind: '1 pill' });
+    await submit({ dateFor: '02/06/2026', hours: 8 });
+    await submit({ dateFor: '2/5/2026', hours: 6, comments: 'tired', vitamind: '1 pill' }, PHONE);
+    await submit({ action: 'delete-entry', dateFor: '2/5/2026' });
+
+    const res = await history('02/05/2026');
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.revision, 0, 'deleted');
+    assert.deepEqual(res.body.medications, [{ key: 'vitamind', label: 'Vitamin D' }]);
+
+    const [created, edited, deleted] = res.body.versions;
+    assert.equal(res.body.versions.length, 3, 'other days are left out');
+
+    assert.equal(created.actor, 'owner');
+    assert.deepEqual(created.changes.map(c => c.field), ['hours', 'comments', 'vitamind']);
+
+    assert.equal(edited.actor, 'partner-phone');
+    assert.deepEqual(edited.changes, [{ field: 'hours', from: 5, to: 6 }]);
+
+    assert.equal(deleted.action, 'DELETE_ENTRY');
+    assert.equal(deleted.values, null);
+    assert.deepEqual(deleted.changes.find(c => c.field === 'comments'), { field: 'comments', from: 'tired', to: null });
+  });
+
+  it('restores an earlier version as a new save', async () => {
+    const fake = installFakeSheets();
+
+    await submit({ dateFor: '02/05/2026', hours: 5, comments: 'before' });
+    await submit({ dateFor: '02/05/2026', hours: 9, comments: 'mistake' });
+
+    const res = await submit({ action: 'restore-entry', dateFor: '02/05/2026', version: 1, baseRevision: 2 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.revision, 3);
+    const row = fake.getValues('Sheet1')[1];
+    assert.equal(row[TABLES.entries.index.hours], '5');
+    assert.equal(row[TABLES.entries.index.comments], 'before');
+
+    const { versions } = (await history('2/5/2026')).body;
+    assert.equal(versions.length, 3);
+    assert.equal(versions[2].restoredFrom, 1);
+    assert.deepEqual(versions[2].changes.map(c => c.field), ['hours', 'comments']);
+  });
+
+  it('restores a deleted day, but not a deletion', async () => {
+    installFakeSheets();
+    await submit({ dateFor: '02/05/2026', hours: 5 });
+    await submit({ action: 'delete-entry', dateFor: '02/05/2026' });
+
+    const deletion = await submit({ action: 'restore-entry', dateFor: '02/05/2026', version: 2 });
+    assert.equal(deletion.statusCode, 400);
+
+    const restored = await submit({ action: 'restore-entry', dateFor: '02/05/2026', version: 1, baseRevision: 0 });
+    assert.equal(restored.statusCode, 200);
+    assert.equal(restored.body.revision, 2, 'continues from the deleted revision');
+  });
+
+  it('refuses a restore based on a stale revision', async () => {
+    installFakeSheets();
+    await submit({ dateFor: '02/05/2026', hours: 5 });
+    await submit({ dateFor: '02/05/2026', hours: 6 });
+
+    const res = await submit({ action: 'restore-entry', dateFor: '02/05/2026', version: 1, baseRevision: 1 });
+
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(res.body.fields, ['hours']);
+  });
+
+  it('answers 404 for an unknown version', async () => {
+    installFakeSheets();
+    const res = await submit({ action: 'restore-entry', dateFor: '02/05/2026', version: 1 });
+    assert.equal(res.statusCode, 404);
+  });
+});
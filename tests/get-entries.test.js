@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/get-entries.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { TABLES } from '../lib/storage/tables.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const AUTH = { authorization: 'Bearer test-token' };
+// First medication column
+const MED = TABLES.entries.columns.length;
+
+function get(query = {}) {
+  return invoke(handler, { method: 'GET', headers: AUTH, query });
+}
+
+function entryRow(timestamp, dateFor, hours, extra = {}) {
+  const row = [timestamp, dateFor, String(hours), ...Array(MED - 3).fill('')];
+  for (const [index, value] of Object.entries(extra)) row[index] = value;
+  return row;
+}
+
+describe('GET /api/get-entries', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects requests without the secret token', async () => {
+    installFakeSheets();
+    const res = await invoke(handler, { method: 'GET', headers: {}, query: {} });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('discovers medication columns and returns them sorted by label', async () => {
+    installFakeSheets({
+      Sheet1: [
+        [...TABLES.entries.headers, 'Vitamin D', '', 'Co Q10'],
+        entryRow('03/01/2026, 20:00:00', '3/1/2026', 5, { [MED]: '1 pill', [MED + 2]: 'Off' }),
+      ],
+    });
+
+    const res = await get();
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.medications, [
+      { key: 'coq10', label: 'Co Q10', columnIndex: MED + 2, archived: false, position: null, unit: '', defaultAmount: null, schedule: null, defaultOn: false, carryForward: true, supply: null, supplyUnit: '', supplyDate: null, supplyAlerted: null },
+      { key: 'vitamind', label: 'Vitamin D', columnIndex: MED, archived: false, position: null, unit: '', defaultAmount: null, schedule: null, defaultOn: false, carryForward: true, supply: null, supplyUnit: '', supplyDate: null, supplyAlerted: null },
+    ]);
+    const [entry] = res.body.entries;
+    assert.equal(entry.vitamind, '1 pill');
+    assert.equal(entry.coq10, 'Off');
+    assert.deepEqual(entry.doses, { vitamind: { amount: 1, unit: 'pill' }, coq10: { amount: 0, unit: '' } });
+  });
+
+  it('merges entries, health and ECG data by date, newest first', async () => {
+    installFakeSheets({
+      Sheet1: [
+        TABLES.entries.headers,
+        entryRow('03/02/2026, 20:00:00', '3/2/2026', 6, { 8: 'Yes', 9: '03/02/2026', 10: '4' }),
+        entryRow('03/01/2026, 20:00:00', '3/1/2026', 4),
+      ],
+      Health_Daily: [
+        TABLES.healthDaily.headers,
+        ['3/3/2026', '900'],
+        ['3/1/2026', '420', '75', '58'],
+      ],
+      ECG_Readings: [
+        TABLES.ecgReadings.headers,
+        ['3/2/2026, 9:00:00 PM', '3/1/2026, 9:29:10 PM', 'Sinus Rhythm', '61', '2.50'],
+      ],
+    });
+
+    const res = await get();
+
+    const byDate = Object.fromEntries(res.body.entries.map(e => [e.normalizedDate, e]));
+    assert.deepEqual(res.body.entries.map(e => e.normalizedDate), ['2026-03-03', '2026-03-02', '2026-03-01']);
+
+    assert.equal(byDate['2026-03-01'].hours, 4);
+    assert.equal(byDate['2026-03-01'].health.steps, 420);
+    assert.equal(byDate['2026-03-01'].health.restingHR, 58);
+    assert.equal(byDate['2026-03-01'].ecgRSRatio, 2.5, 'ECG is keyed by when it was taken, not received');
+
+    assert.equal(byDate['2026-03-02'].willDoECG, true);
+    assert.equal(byDate['2026-03-02'].hasHealthData, false);
+    assert.equal(byDate['2026-03-02'].revision, 4);
+    assert.equal(byDate['2026-03-01'].revision, 0, 'an unrevised row counts as revision 0');
+
+    assert.equal(byDate['2026-03-03'].hasEntryData, false);
+    assert.equal(byDate['2026-03-03'].hours, null);
+    assert.equal(byDate['2026-03-03'].revision, 0);
+  });
+
+  it('still returns entries when the optional sheets are missing', async () => {
+    const fake = installFakeSheets({
+      Sheet1: [TABLES.entries.headers, entryRow('03/01/2026, 20:00:00', '3/1/2026', 4)],
+    });
+    const { data } = await fake.spreadsheets.get();
+    await fake.spreadsheets.batchUpdate({
+      requestBody: {
+        requests: data.sheets
+          .filter(s => ['ECG_Readings', 'Health_Daily', 'Health_Hourly'].includes(s.properties.title))
+          .map(s => ({ deleteSheet: { sheetId: s.properties.sheetId } })),
+      },
+    });
+
+    const res = await get();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.entries.length, 1);
+  });
+
+  it('honours the limit parameter', async () => {
+    installFakeSheets({
+      Sheet1: [
+        TABLES.entries.headers,
+        entryRow('03/03/2026, 20:00:00', '3/3/2026', 3),
+        entryRow('03/02/2026, 20:00:00', '3/2/2026', 2),
+        entryRow('03/01/2026, 20:00:00', '3/1/2026', 1),
+      ],
+    });
+
+    const res = await get({ limit: '2' });
+
+    assert.deepEqual(res.body.entries.map(e => e.hours), [3, 2]);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/health-webhook.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { TABLES } from '../lib/storage/tables.js';
+
+process.env.ECG_WEBHOOK_SECRET = 'webhook-secret';
+
+const HEADERS = { 'x-webhook-secret': 'webhook-secret' };
+
+// Health Auto Export JSON shape: { data: { metrics: [{ name, data: [points] }] } }
+function payload(metrics) {
+  return { data: { metrics: Object.entries(metrics).map(([name, data]) => ({ name, data })) } };
+}
+
+const WATCH = "Amiel's Apple Watch";
+const PHONE = "Amiel's iPhone";
+
+const MARCH_1 = payload({
+  heart_rate: [
+    { date: '2026-03-01 09:00:00 -0500', Avg: 70, Min: 62, Max: 81, source: WATCH },
+    { date: '2026-03-01 10:00:00 -0500', Avg: 80, Min: 75, Max: 95, source: WATCH },
+  ],
+  step_count: [
+    { date: '2026-03-01 09:00:00 -0500', qty: 120, source: PHONE },
+    { date: '2026-03-01 10:00:00 -0500', qty: 300, source: PHONE },
+  ],
+});
+
+function post(body) {
+  return invoke(handler, { method: 'POST', headers: HEADERS, rawBody: JSON.stringify(body) });
+}
+
+describe('POST /api/health-webhook', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects a wrong webhook secret', async () => {
+    const fake = installFakeSheets();
+    const res = await invoke(handler, { method: 'POST', headers: { 'x-webhook-secret': 'nope' }, rawBody: JSON.stringify(MARCH_1) });
+    assert.equal(res.statusCode, 401);
+    assert.equal(fake.getValues('Health_Hourly').length, 1);
+  });
+
+  it('stores hourly rows in device-local time and aggregates the day', async () => {
+    const fake = installFakeSheets();
+
+    const res = await post(MARCH_1);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.processed, 4);
+    assert.deepEqual(res.body.datesUpdated, ['3/1/2026']);
+
+    const hourly = fake.getValues('Health_Hourly').slice(1);
+    assert.equal(hourly.length, 4);
+    assert.ok(hourly.every(r => r[1] === '3/1/2026'));
+    assert.deepEqual(new Set(hourly.map(r => r[7])), new Set(['Apple Watch', 'iPhone']));
+
+    const daily = fake.getValues('Health_Daily').slice(1);
+    assert.equal(daily.length, 1);
+    const [date, steps, avgHr, , minHr, maxHr] = daily[0];
+    assert.deepEqual([date, steps, avgHr, minHr, maxHr], ['3/1/2026', '420', '75', '62', '95']);
+  });
+
+  it('ignores points it has already stored', async () => {
+    const fake = installFakeSheets();
+
+    await post(MARCH_1);
+    const res = await post(MARCH_1);
+
+    assert.equal(res.body.processed, 0);
+    assert.equal(fake.getValues('Health_Hourly').length, 5);
+    const daily = fake.getValues('Health_Daily').slice(1);
+    assert.equal(daily.length, 1);
+    assert.equal(daily[0][1], '420', 'steps must not be double counted');
+  });
+
+  it('re-aggregates an existing day in place when new points arrive', async () => {
+    const fake = installFakeSheets();
+
+    await post(MARCH_1);
+    await post(payload({ step_count: [{ date: '2026-03-01 11:00:00 -0500', qty: 80, source: PHONE }] }));
+
+    const daily = fake.getValues('Health_Daily').slice(1);
+    assert.equal(daily.length, 1);
+    assert.equal(daily[0][1], '500');
+  });
+
+  it('clears duplicate Health_Daily rows for the same date', async () => {
+    const fake = installFakeSheets({
+      Health_Daily: [
+        TABLES.healthDaily.headers,
+        ['3/1/2026', '1'],
+        ['3/1/2026', '2'],
+      ],
+    });
+
+    await post(MARCH_1);
+
+    const dated = fake.getValues('Health_Daily').slice(1).filter(r => r[0] === '3/1/2026');
+    assert.equal(dated.length, 1);
+    assert.equal(dated[0][1], '420');
+  });
+
+  it('keeps both sheets sorted newest first', async () => {
+    const fake = installFakeSheets();
+
+    await post(MARCH_1);
+    await post(payload({
+      step_count: [
+        { date: '2026-02-27 08:00:00 -0500', qty: 10, source: PHONE },
+        { date: '2026-03-02 08:00:00 -0500', qty: 20, source: PHONE },
+      ],
+    }));
+
+    const dailyDates = fake.getValues('Health_Daily').slice(1).map(r => r[0]);
+    assert.deepEqual(dailyDates, ['3/2/2026', '3/1/2026', '2/27/2026']);
+
+    const hourlyTimes = fake.getValues('Health_Hourly').slice(1).map(r => new Date(r[0]).getTime());
+    const sorted = [...hourlyTimes].sort((a, b) => b - a);
+    assert.deepEqual(hourlyTimes, sorted);
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * Date builders for test fixtures.
+ */
+
+export { addDays } from '../../lib/days.js';
+
+/** "2026-03-05" -> "3/5/2026", as the sheets store dates. */
+export function sheetDate(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return `${m}/${d}/${y}`;
+}
@@ -0,0 +1,351 @@
+/**
+ * In-memory stand-in for the googleapis `sheets` client.
+ *
+ * Implements the slice of `sheets.spreadsheets` the app uses:
+ *   values.get / append / update / batchUpdate / clear
+ *   get (sheet metadata)
+ *   batchUpdate: addSheet, deleteSheet, deleteDimension, insertDimension, sortRange
+ *
+ * Cells are held as the formatted strings the real API returns. Writes with
+ * valueInputOption USER_ENTERED mimic the Sheets parser for the cases the
+ * handlers depend on: numbers become plain strings and "MM/DD/YYYY" dates lose
+ * their leading zeros ("02/05/2026" reads back as "2/5/2026").
+ *
+ * Usage:
+ *   const fake = installFakeSheets({ Sheet1: [['Timestamp', 'Date For', ...]] });
+ *   ...call handlers...
+ *   fake.getValues('Sheet1');
+ */
+
+import { createSheetsStore, setStore, TABLES } from '../../lib/storage/index.js';
+import { SCHEMA_VERSION_KEY, LATEST_SCHEMA_VERSION } from '../../lib/storage/migrate.js';
+
+function apiError(message, code = 400) {
+  return Object.assign(new Error(message), { code });
+}
+
+function letterToColumnIndex(letters) {
+  let index = 0;
+  for (const ch of letters) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function columnIndexToLetter(index) {
+  let letter = '';
+  while (index >= 0) {
+    letter = String.fromCharCode((index % 26) + 65) + letter;
+    index = Math.floor(index / 26) - 1;
+  }
+  return letter;
+}
+
+// "A1" / "A" / "1" -> { col, row } (0-based; null when omitted)
+function parseCell(ref) {
+  const match = ref.match(/^([A-Z]*)(\d*)$/);
+  if (!match) throw apiError(`Unable to parse range: ${ref}`);
+  return {
+    col: match[1] ? letterToColumnIndex(match[1]) : null,
+    row: match[2] ? parseInt(match[2], 10) - 1 : null,
+  };
+}
+
+/**
+ * Parse an A1 range ("Sheet1", "Sheet1!A:ZZ", "Sheet1!A2:I", "'My Tab'!K1")
+ * into a sheet name and a 0-based, end-exclusive box.
+ */
+function parseRange(range) {
+  const bang = range.lastIndexOf('!');
+  let sheet = bang === -1 ? range : range.slice(0, bang);
+  const cells = bang === -1 ? '' : range.slice(bang + 1);
+  if (sheet.startsWith("'") && sheet.endsWith("'")) {
+    sheet = sheet.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (!cells) {
+    return { sheet, startRow: 0, endRow: Infinity, startCol: 0, endCol: Infinity };
+  }
+
+  const [first, second] = cells.split(':');
+  const start = parseCell(first);
+  const end = second !== undefined ? parseCell(second) : start;
+  return {
+    sheet,
+    startRow: start.row ?? 0,
+    endRow: end.row !== null ? end.row + 1 : Infinity,
+    startCol: start.col ?? 0,
+    endCol: end.col !== null ? end.col + 1 : Infinity,
+  };
+}
+
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+function formatCell(value, valueInputOption) {
+  if (typeof value === 'boolean') {
+    return valueInputOption === 'RAW' ? String(value) : (value ? 'TRUE' : 'FALSE');
+  }
+  const str = String(value);
+  if (valueInputOption === 'USER_ENTERED') {
+    const date = str.match(US_DATE);
+    if (date) return `${parseInt(date[1], 10)}/${parseInt(date[2], 10)}/${date[3]}`;
+  }
+  return str;
+}
+
+function trimTrailing(cells) {
+  const out = [...cells];
+  while (out.length > 0 && (out[out.length - 1] === '' || out[out.length - 1] === undefined)) out.pop();
+  return out.map(c => (c === undefined ? '' : c));
+}
+
+// Sort key roughly matching Sheets: numbers and dates compare numerically,
+// then text; empty cells always go last regardless of direction.
+function sortKey(cell) {
+  if (cell === undefined || cell === '') return { kind: 2 };
+  const num = Number(cell);
+  if (!isNaN(num)) return { kind: 0, value: num };
+  const time = new Date(cell).getTime();
+  if (!isNaN(time)) return { kind: 0, value: time };
+  return { kind: 1, value: cell };
+}
+
+function compareCells(a, b, descending) {
+  const ka = sortKey(a);
+  const kb = sortKey(b);
+  if (ka.kind === 2 || kb.kind === 2) return ka.kind - kb.kind;
+  let result;
+  if (ka.kind !== kb.kind) result = ka.kind - kb.kind;
+  else if (ka.kind === 0) result = ka.value - kb.value;
+  else result = ka.value.localeCompare(kb.value);
+  return descending ? -result : result;
+}
+
+export function createFakeSheets(initialTabs = {}) {
+  const tabs = new Map();
+  let nextSheetId = 0;
+
+  function addTab(title, rows = []) {
+    if (tabs.has(title)) {
+      throw apiError(`Invalid requests[0].addSheet: A sheet with the name "${title}" already exists.`);
+    }
+    const tab = { sheetId: nextSheetId++, title, rows: rows.map(r => r.map(c => formatCell(c, 'RAW'))) };
+    tabs.set(title, tab);
+    return tab;
+  }
+
+  function getTab(name) {
+    const tab = tabs.get(name);
+    if (!tab) throw apiError(`Unable to parse range: ${name}`);
+    return tab;
+  }
+
+  function tabById(sheetId) {
+    const tab = [...tabs.values()].find(t => t.sheetId === sheetId);
+    if (!tab) throw apiError(`No grid with id: ${sheetId}`);
+    return tab;
+  }
+
+  function writeBlock(tab, startRow, startCol, values, valueInputOption) {
+    values.forEach((rowValues, r) => {
+      const rowIndex = startRow + r;
+      while (tab.rows.length <= rowIndex) tab.rows.push([]);
+      const row = tab.rows[rowIndex];
+      (rowValues || []).forEach((value, c) => {
+        // null / undefined cells are left unchanged, like the real API
+        if (value === null || value === undefined) return;
+        const colIndex = startCol + c;
+        while (row.length < colIndex) row.push('');
+        row[colIndex] = formatCell(value, valueInputOption);
+      });
+    });
+  }
+
+  function lastNonEmptyRow(tab) {
+    for (let i = tab.rows.length - 1; i >= 0; i--) {
+      if (tab.rows[i].some(c => c !== '' && c !== undefined)) return i;
+    }
+    return -1;
+  }
+
+  function a1(tab, startRow, startCol, rowCount, colCount) {
+    const first = `${columnIndexToLetter(startCol)}${startRow + 1}`;
+    const last = `${columnIndexToLetter(startCol + Math.max(colCount, 1) - 1)}${startRow + rowCount}`;
+    return `${tab.title}!${first}:${last}`;
+  }
+
+  for (const [title, rows] of Object.entries(initialTabs)) {
+    addTab(title, rows);
+  }
+
+  const values = {
+    async get({ range }) {
+      const box = parseRange(range);
+      const tab = getTab(box.sheet);
+      const rows = tab.rows
+        .slice(box.startRow, box.endRow === Infinity ? undefined : box.endRow)
+        .map(row => trimTrailing(row.slice(box.startCol, box.endCol === Infinity ? undefined : box.endCol)));
+      while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+      return { data: { range, majorDimension: 'ROWS', ...(rows.length > 0 ? { values: rows } : {}) } };
+    },
+
+    async append({ range, valueInputOption, requestBody, resource }) {
+      const box = parseRange(range);
+      const tab = getTab(box.sheet);
+      const rows = (requestBody || resource).values;
+      const startRow = lastNonEmptyRow(tab) + 1;
+      writeBlock(tab, startRow, box.startCol, rows, valueInputOption);
+      const width = Math.max(...rows.map(r => r.length));
+      const updatedRange = a1(tab, startRow, box.startCol, rows.length, width);
+      return { data: { updates: { updatedRange, updatedRows: rows.length } } };
+    },
+
+    async update({ range, valueInputOption, requestBody, resource }) {
+      const box = parseRange(range);
+      const tab = getTab(box.sheet);
+      const rows = (requestBody || resource).values;
+      writeBlock(tab, box.startRow, box.startCol, rows, valueInputOption);
+      return { data: { updatedRange: range, updatedRows: rows.length } };
+    },
+
+    async batchUpdate({ requestBody, resource }) {
+      const body = requestBody || resource;
+      for (const entry of body.data) {
+        const box = parseRange(entry.range);
+        writeBlock(getTab(box.sheet), box.startRow, box.startCol, entry.values, body.valueInputOption);
+      }
+      return { data: { totalUpdatedRows: body.data.reduce((n, d) => n + d.values.length, 0) } };
+    },
+
+    async clear({ range }) {
+      const box = parseRange(range);
+      const tab = getTab(box.sheet);
+      tab.rows.forEach((row, r) => {
+        if (r < box.startRow || r >= box.endRow) return;
+        for (let c = box.startCol; c < Math.min(row.length, box.endCol); c++) row[c] = '';
+      });
+      return { data: { clearedRange: range } };
+    },
+  };
+
+  const requestHandlers = {
+    addSheet({ properties }) {
+      const tab = addTab(properties.title);
+      return { addSheet: { properties: { sheetId: tab.sheetId, title: tab.title } } };
+    },
+
+    deleteSheet({ sheetId }) {
+      tabs.delete(tabById(sheetId).title);
+      return {};
+    },
+
+    deleteDimension({ range }) {
+      const tab = tabById(range.sheetId);
+      if (range.dimension === 'COLUMNS') {
+        for (const row of tab.rows) row.splice(range.startIndex, range.endIndex - range.startIndex);
+      } else {
+        tab.rows.splice(range.startIndex, range.endIndex - range.startIndex);
+      }
+      return {};
+    },
+
+    insertDimension({ range }) {
+      if (range.dimension !== 'COLUMNS') throw apiError('Fake only supports COLUMNS insertDimension');
+      const count = range.endIndex - range.startIndex;
+      for (const row of tabById(range.sheetId).rows) {
+        if (row.length > range.startIndex) row.splice(range.startIndex, 0, ...Array(count).fill(''));
+      }
+      return {};
+    },
+
+    // Sorts only the cells inside the range: columns past endColumnIndex stay put
+    sortRange({ range, sortSpecs }) {
+      const tab = tabById(range.sheetId);
+      const startRow = range.startRowIndex || 0;
+      const endRow = range.endRowIndex ?? tab.rows.length;
+      const startCol = range.startColumnIndex || 0;
+      const endCol = range.endColumnIndex ?? Math.max(0, ...tab.rows.map(r => r.length));
+
+      const segments = [];
+      for (let r = startRow; r < Math.min(endRow, tab.rows.length); r++) {
+        const row = tab.rows[r];
+        const segment = [];
+        for (let c = startCol; c < endCol; c++) segment.push(row[c] ?? '');
+        segments.push(segment);
+      }
+
+      segments.sort((a, b) => {
+        for (const spec of sortSpecs) {
+          const col = spec.dimensionIndex - startCol;
+          const result = compareCells(a[col], b[col], spec.sortOrder === 'DESCENDING');
+          if (result !== 0) return result;
+        }
+        return 0;
+      });
+
+      segments.forEach((segment, i) => {
+        const row = tab.rows[startRow + i];
+        while (row.length < startCol) row.push('');
+        segment.forEach((cell, j) => { row[startCol + j] = cell; });
+        tab.rows[startRow + i] = trimTrailing(row);
+      });
+      return {};
+    },
+  };
+
+  const spreadsheets = {
+    values,
+
+    async get({ ranges } = {}) {
+      for (const range of ranges || []) {
+        getTab(parseRange(range).sheet);
+      }
+      return {
+        data: {
+          properties: { title: 'Fake Spreadsheet' },
+          sheets: [...tabs.values()].map(t => ({ properties: { sheetId: t.sheetId, title: t.title } })),
+        },
+      };
+    },
+
+    async batchUpdate({ requestBody, resource }) {
+      const replies = (requestBody || resource).requests.map(request => {
+        const [type] = Object.keys(request);
+        if (!requestHandlers[type]) throw apiError(`Fake does not support ${type} requests`);
+        return requestHandlers[type](request[type]);
+      });
+      return { data: { replies } };
+    },
+  };
+
+  return {
+    spreadsheets,
+
+    /** Current contents of a tab as the API would return them (trailing blanks trimmed). */
+    getValues(name) {
+      const rows = getTab(name).rows.map(trimTrailing);
+      while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+      return rows;
+    },
+
+    sheetNames() {
+      return [...tabs.keys()];
+    },
+  };
+}
+
+/**
+ * Create a fake spreadsheet and make it the app's storage backend.
+ * Tabs not listed in `tabs` start with just their header row; Meta records
+ * the latest schema version so handlers don't refuse to run.
+ */
+export function installFakeSheets(tabs = {}) {
+  const initial = {};
+  for (const key of ['entries', 'healthHourly', 'healthDaily', 'ecgReadings', 'ecgWaveforms']) {
+    initial[TABLES[key].name] = [TABLES[key].headers];
+  }
+  initial[TABLES.meta.name] = [TABLES.meta.headers, [SCHEMA_VERSION_KEY, String(LATEST_SCHEMA_VERSION)]];
+  const fake = createFakeSheets({ ...initial, ...tabs });
+  setStore(createSheetsStore({ sheets: fake, spreadsheetId: 'test-spreadsheet' }));
+  return fake;
+}
@@ -0,0 +1,48 @@
+/**
+ * Minimal Vercel-style req/res objects for calling API handlers directly.
+ */
+
+import { Readable } from 'stream';
+
+/**
+ * Build a request. Pass `rawBody` instead of `body` for handlers that read
+ * the stream themselves (bodyParser: false): a string or Buffer, or an array
+ * of them to arrive as separate chunks.
+ */
+export function createRequest({ method = 'GET', headers = {}, query = {}, body, rawBody } = {}) {
+  const req = rawBody !== undefined
+    ? Readable.from([].concat(rawBody).map(chunk => Buffer.from(chunk)))
+    : new Readable({ read() { this.push(null); } });
+  return Object.assign(req, { method, headers, query, body });
+}
+
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      res.body = payload;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+  return res;
+}
+
+/** Call a handler and return the finished response. */
+export async function invoke(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+}
@@ -0,0 +1,121 @@
+/**
+ * A minimal software WebAuthn authenticator (ES256, "none" attestation) for
+ * exercising the passkey endpoints end to end without a browser.
+ */
+
+import crypto from 'node:crypto';
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// Just enough CBOR for attestation objects and COSE keys:
+// unsigned/negative ints, byte strings, text strings and maps.
+function cborHead(major, length) {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+}
+
+function cbor(value) {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([cborHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([cborHead(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [cborHead(5, value.size)];
+    for (const [k, v] of value) parts.push(cbor(k), cbor(v));
+    return Buffer.concat(parts);
+  }
+  throw new Error(`cbor: unsupported value ${value}`);
+}
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+/**
+ * `synced: true` behaves like a synced (iCloud/Google) passkey, whose
+ * signature counter is always 0.
+ */
+export function createSoftAuthenticator({ origin, rpID, synced = false }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  function authData(flags, attested = Buffer.alloc(0)) {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(counter);
+    return Buffer.concat([sha256(rpID), Buffer.from([flags]), count, attested]);
+  }
+
+  function clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+  }
+
+  return {
+    credentialId: b64url(credentialId),
+
+    /** Answer navigator.credentials.create() options. */
+    register(options) {
+      const jwk = publicKey.export({ format: 'jwk' });
+      const coseKey = cbor(new Map([
+        [1, 2], // kty: EC2
+        [3, -7], // alg: ES256
+        [-1, 1], // crv: P-256
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')],
+      ]));
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, coseKey]);
+
+      const attestationObject = cbor(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authData(FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_DATA, attested)],
+      ]));
+
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(clientData('webauthn.create', options.challenge)),
+          attestationObject: b64url(attestationObject),
+          transports: ['internal'],
+        },
+        clientExtensionResults: {},
+      };
+    },
+
+    /** Answer navigator.credentials.get() options. */
+    authenticate(options) {
+      if (!synced) counter += 1;
+      const data = authData(FLAG_USER_PRESENT | FLAG_USER_VERIFIED);
+      const client = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([data, sha256(client)]), privateKey);
+
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(client),
+          authenticatorData: b64url(data),
+          signature: b64url(signature),
+          userHandle: b64url(Buffer.from('cfs-tracker-owner')),
+        },
+        clientExtensionResults: {},
+      };
+    },
+  };
+}
@@ -0,0 +1,183 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import webpush from 'web-push';
+
+import healthWebhook from '../api/health-webhook.js';
+import getHourlyData from '../api/get-hourly-data.js';
+import notificationSettings from '../api/notification-settings.js';
+import { findBreaches, isThrottled } from '../lib/hrCeiling.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+process.env.ECG_WEBHOOK_SECRET = 'webhook-secret';
+
+const AUTH = { authorization: 'Bearer test-token' };
+
+// "2026-03-01 09:05:00 -0500" for minute 5 past 9
+const at = (hour, minute) => `2026-03-01 ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00 -0500`;
+
+// Readings as heartRateReadings returns them, one a minute from 9:00
+function readings(values) {
+  return values.map((value, i) => ({ at: at(9, i), time: new Date(at(9, i)).getTime(), value, peak: value + 5 }));
+}
+
+// heart_rate points a minute apart from hour:minute
+function heartRate(hour, minute, values) {
+  return {
+    data: {
+      metrics: [{
+        name: 'heart_rate',
+        data: values.map((value, i) => ({ date: at(hour, minute + i), Avg: value, Min: value - 2, Max: value + 4, source: 'Apple Watch' })),
+      }],
+    },
+  };
+}
+
+function post(body) {
+  return invoke(healthWebhook, { method: 'POST', headers: { 'x-webhook-secret': 'webhook-secret' }, rawBody: JSON.stringify(body) });
+}
+
+describe('lib/hrCeiling', () => {
+  it('finds runs above the ceiling that last long enough', () => {
+    const breaches = findBreaches(readings([90, 120, 125, 130, 118, 121, 119, 95, 130, 131]), 110, 5);
+
+    assert.deepEqual(breaches, [{
+      start: at(9, 1),
+      end: at(9, 6),
+      startTime: new Date(at(9, 1)).getTime(),
+      endTime: new Date(at(9, 6)).getTime(),
+      minutes: 5,
+      peakHR: 135,
+      avgHR: 122,
+    }]);
+    assert.equal(findBreaches(readings([120, 120, 120, 120, 120]), 110, 5).length, 0, 'four minutes');
+  });
+
+  it('breaks a run where the watch stopped measuring', () => {
+    const spaced = [0, 2, 4, 10, 12, 14].map(minute => ({
+      at: at(9, minute), time: new Date(at(9, minute)).getTime(), value: 120, peak: 120,
+    }));
+
+    assert.equal(findBreaches(spaced, 110, 5).length, 0);
+    assert.equal(findBreaches(spaced, 110, 4).length, 2);
+  });
+
+  it('throttles pushes', () => {
+    const now = new Date('2026-03-01T15:00:00Z');
+    assert.equal(isThrottled('', now), false);
+    assert.equal(isThrottled('2026-03-01T14:45:00Z', now), true);
+    assert.equal(isThrottled('2026-03-01T14:00:00Z', now), false);
+  });
+});
+
+describe('HR ceiling alerts', () => {
+  let sent;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    const keys = webpush.generateVAPIDKeys();
+    process.env.VAPID_EMAIL = 'test@example.com';
+    process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+    sent = [];
+    mock.method(webpush, 'sendNotification', async (subscription, payload) => {
+      sent.push(JSON.parse(payload));
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VAPID_EMAIL;
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+  });
+
+  // A ceiling of 110 bpm for 5 minutes, and a subscribed device
+  function withCeiling(hrCeiling = '110') {
+    const settings = ['20:00', '60', 'true', '', '', 'America/New_York', ...Array(TABLES.settings.columns.length - 6).fill('')];
+    settings[TABLES.settings.index.hrCeiling] = hrCeiling;
+    settings[TABLES.settings.index.hrCeilingMinutes] = '5';
+    const subscription = { endpoint: 'https://push.example.com/1', keys: { p256dh: 'key', auth: 'auth' } };
+    return installFakeSheets({
+      Subscriptions: [TABLES.subscriptions.headers, ['', subscription.endpoint, '', JSON.stringify(subscription)]],
+      UserSettings: [TABLES.settings.headers, settings],
+    });
+  }
+
+  it('logs a breach that builds up across batches and pushes once', async () => {
+    const fake = withCeiling();
+
+    const first = await post(heartRate(9, 0, [120, 122, 125, 124]));
+    assert.deepEqual(first.body.hrCeilingAlert, { sent: false, events: [] }, 'three minutes so far');
+
+    const second = await post(heartRate(9, 4, [126, 121, 118]));
+    assert.equal(second.body.hrCeilingAlert.sent, true);
+    assert.deepEqual(second.body.hrCeilingAlert.events, [{ start: at(9, 0), end: at(9, 6), minutes: 6, peakHR: 130 }]);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].title, 'Heart rate above your ceiling');
+    assert.match(sent[0].body, /6 min above 110 bpm from 09:00 \(peak 130 bpm\)/);
+    assert.equal(sent[0].actions, undefined, 'no snooze button on an HR alert');
+
+    const third = await post(heartRate(9, 7, [119, 100]));
+    assert.deepEqual(third.body.hrCeilingAlert.events, [], 'the same run, not a new one');
+
+    const events = fake.getValues(TABLES.hrEvents.name).slice(1);
+    assert.equal(events.length, 1);
+    assert.deepEqual(
+      [events[0][TABLES.hrEvents.index.end], events[0][TABLES.hrEvents.index.minutes]],
+      [at(9, 7), '7']
+    );
+  });
+
+  it('logs a breach without a push shortly after another', async () => {
+    withCeiling();
+    await post(heartRate(9, 0, [120, 120, 120, 120, 120, 120]));
+    const later = await post(heartRate(9, 20, [130, 130, 130, 130, 130, 130]));
+
+    assert.equal(later.body.hrCeilingAlert.sent, false);
+    assert.equal(later.body.hrCeilingAlert.events.length, 1);
+    assert.equal(sent.length, 1);
+
+    const res = await invoke(getHourlyData, { method: 'GET', headers: AUTH, query: { date: '2026-03-01' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(
+      res.body.hrEvents.map(event => [event.start, event.minutes, event.ceiling, event.notified]),
+      [[at(9, 0), 5, 110, true], [at(9, 20), 5, 110, false]]
+    );
+  });
+
+  it('stays quiet without a ceiling', async () => {
+    const fake = withCeiling('');
+
+    const res = await post(heartRate(9, 0, [180, 180, 180, 180, 180, 180]));
+
+    assert.deepEqual(res.body.hrCeilingAlert, { sent: false, events: [] });
+    assert.equal(sent.length, 0);
+    assert.ok(!fake.sheetNames().includes(TABLES.hrEvents.name), 'no HR_Events tab');
+  });
+
+  it('saves the ceiling with the notification settings', async () => {
+    withCeiling('');
+    const save = fields => invoke(notificationSettings, {
+      method: 'POST',
+      headers: AUTH,
+      body: { firstReminderTime: '20:00', repeatInterval: 60, stopAfterLog: true, ...fields },
+    });
+
+    assert.equal((await save({ hrCeiling: 105, hrCeilingMinutes: 3 })).statusCode, 200);
+    const saved = await invoke(notificationSettings, { method: 'GET', headers: AUTH });
+    assert.deepEqual([saved.body.hrCeiling, saved.body.hrCeilingMinutes], [105, 3]);
+
+    assert.equal((await save({ hrCeiling: null })).statusCode, 200);
+    assert.equal((await invoke(notificationSettings, { method: 'GET', headers: AUTH })).body.hrCeiling, null);
+
+    assert.equal((await save({ hrCeiling: 30 })).statusCode, 400);
+    assert.equal((await save({ hrCeilingMinutes: 0 })).statusCode, 400);
+  });
+});
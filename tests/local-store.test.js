@@ -0,0 +1,104 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import submitEntry from '../api/submit-entry.js';
+import getEntries from '../api/get-entries.js';
+import { createLocalStore, createStore, setStore, getRepository, TABLES } from '../lib/storage/index.js';
+import { LATEST_SCHEMA_VERSION, getSchemaVersion } from '../lib/storage/migrate.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const AUTH = { authorization: 'Bearer test-token' };
+
+function submit(body) {
+  return invoke(submitEntry, { method: 'POST', headers: AUTH, body });
+}
+
+function get(query = {}) {
+  return invoke(getEntries, { method: 'GET', headers: AUTH, query });
+}
+
+describe('local storage backend', () => {
+  let tmp;
+  let dataDir;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cfs-local-store-'));
+    dataDir = path.join(tmp, 'data');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setStore(null);
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.LOCAL_DATA_DIR;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('seeds a new data directory at the latest schema version', async () => {
+    setStore(createLocalStore({ dir: dataDir }));
+
+    assert.equal(await getSchemaVersion(getRepository()), LATEST_SCHEMA_VERSION);
+    const header = JSON.parse(fs.readFileSync(path.join(dataDir, 'Sheet1.json'), 'utf8'))[0];
+    assert.deepEqual(header, TABLES.entries.headers);
+  });
+
+  it('is picked by STORAGE_BACKEND=local and serves requests without a migration', async () => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.LOCAL_DATA_DIR = dataDir;
+    setStore(createStore());
+
+    const saved = await submit({ dateFor: '03/01/2026', hours: 5 });
+    assert.equal(saved.statusCode, 200, JSON.stringify(saved.body));
+    assert.ok(fs.existsSync(path.join(dataDir, 'Sheet1.json')));
+  });
+
+  it('round-trips entries and medications through the handlers', async () => {
+    setStore(createLocalStore({ dir: dataDir }));
+
+    const added = await submit({ action: 'add-medication', name: 'vitamin d' });
+    assert.equal(added.statusCode, 200, JSON.stringify(added.body));
+    const dose = await submit({ action: 'set-medication-dose', key: 'vitamind', unit: 'pill', defaultAmount: 1 });
+    assert.equal(dose.statusCode, 200, JSON.stringify(dose.body));
+
+    await submit({ dateFor: '03/01/2026', hours: 5, comments: 'ok day', vitamind: '2 pills', baseRevision: 0 });
+    await submit({ dateFor: '03/02/2026', hours: 3, vitamind: 'Off', baseRevision: 0 });
+    const renamed = await submit({ action: 'rename-medication', key: 'vitamind', name: 'Vitamin D3' });
+    assert.equal(renamed.statusCode, 200, JSON.stringify(renamed.body));
+
+    // A store reopened on the same directory sees everything written
+    setStore(createLocalStore({ dir: dataDir }));
+    const res = await get();
+
+    assert.equal(res.statusCode, 200);
+    const medication = res.body.medications.find(med => med.key === 'vitamind3');
+    assert.equal(medication.label, 'Vitamin D3');
+    assert.equal(medication.unit, 'pill');
+    const byDate = Object.fromEntries(res.body.entries.map(entry => [entry.normalizedDate, entry]));
+    assert.equal(byDate['2026-03-01'].hours, 5);
+    assert.equal(byDate['2026-03-01'].comments, 'ok day');
+    assert.deepEqual(byDate['2026-03-01'].doses.vitamind3, { amount: 2, unit: 'pill' });
+    assert.deepEqual(byDate['2026-03-02'].doses.vitamind3, { amount: 0, unit: 'pill' });
+    assert.equal(byDate['2026-03-01'].revision, 1);
+  });
+
+  it('refuses a save based on a stale revision', async () => {
+    setStore(createLocalStore({ dir: dataDir }));
+    await submit({ dateFor: '03/01/2026', hours: 5, baseRevision: 0 });
+    await submit({ dateFor: '03/01/2026', hours: 6, baseRevision: 1 });
+
+    const stale = await submit({ dateFor: '03/01/2026', hours: 7, baseRevision: 1 });
+
+    assert.equal(stale.statusCode, 409);
+    assert.equal(stale.body.revision, 2);
+    assert.equal(stale.body.current.hours, 6);
+    const [, row] = JSON.parse(fs.readFileSync(path.join(dataDir, 'Sheet1.json'), 'utf8'));
+    assert.equal(row[TABLES.entries.index.hours], '6');
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/get-hourly-data.js';
+import { analyzeChanges, compareSamples, detectMedicationChanges, tCritical } from '../lib/medicationImpact.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const AUTH = { authorization: 'Bearer test-token' };
+// First medication column
+const MED = TABLES.entries.columns.length;
+
+const pill = amount => ({ amount, unit: 'pill' });
+const OFF = { amount: 0, unit: 'pill' };
+
+function get(query) {
+  return invoke(handler, { method: 'GET', headers: AUTH, query });
+}
+
+describe('lib/medicationImpact', () => {
+  it('finds starts, stops and dose changes, skipping days with nothing recorded', () => {
+    const days = [
+      { date: '2026-03-04', doses: { vitamind: pill(2) } },
+      { date: '2026-03-01', doses: { vitamind: OFF, senna: pill(1) } },
+      { date: '2026-03-02', doses: {} },
+      { date: '2026-03-03', doses: { vitamind: pill(1), senna: pill(1) } },
+      { date: '2026-03-05', doses: { vitamind: OFF, senna: { amount: null, unit: 'pill' } } },
+    ];
+    const medications = [{ key: 'senna', label: 'Senna' }, { key: 'vitamind', label: 'Vitamin D' }];
+
+    const changes = detectMedicationChanges(days, medications);
+
+    assert.deepEqual(changes.map(c => [c.date, c.key, c.type]), [
+      ['2026-03-03', 'vitamind', 'start'],
+      ['2026-03-04', 'vitamind', 'dose'],
+      ['2026-03-05', 'senna', 'dose'],
+      ['2026-03-05', 'vitamind', 'stop'],
+    ]);
+    assert.deepEqual([changes[1].from, changes[1].to], [pill(1), pill(2)]);
+  });
+
+  it('compares means with a Welch confidence interval and Cohen\'s d', () => {
+    const result = compareSamples([1, 2, 3], [4, 5, 6]);
+
+    assert.deepEqual(result.before, { n: 3, mean: 2, sd: 1 });
+    assert.equal(result.difference, 3);
+    assert.equal(result.effectSize, 3);
+    // Exact: 3 ± 2.776 × 0.8165 (t with 4 degrees of freedom)
+    assert.ok(Math.abs(result.ci[0] - 0.73) < 0.05, `low ${result.ci[0]}`);
+    assert.ok(Math.abs(result.ci[1] - 5.27) < 0.05, `high ${result.ci[1]}`);
+
+    assert.deepEqual(compareSamples([1], [2]), {
+      before: { n: 1, mean: 1, sd: null }, after: { n: 1, mean: 2, sd: null },
+      difference: 1, ci: null, effectSize: null,
+    });
+  });
+
+  it('uses exact t values for few degrees of freedom', () => {
+    assert.equal(tCritical(1), 12.706);
+    assert.equal(tCritical(2), 4.303);
+    // Fractional (Welch) degrees of freedom fall between their neighbours
+    assert.ok(tCritical(1.5) < 12.706 && tCritical(1.5) > 4.303);
+    assert.ok(Math.abs(tCritical(30) - 2.042) < 0.002, `df 30: ${tCritical(30)}`);
+
+    // 1 ± 4.303 × 0.7071: two values a side with equal spread give 2 degrees of freedom
+    assert.deepEqual(compareSamples([0, 1], [1, 2]).ci, [-2.04, 4.04]);
+  });
+
+  it('stops each window at the medication\'s other changes and leaves no-watch days out of watch metrics', () => {
+    const changes = [
+      { key: 'vitamind', label: 'Vitamin D', date: '2026-03-09', type: 'start', from: OFF, to: pill(1) },
+      { key: 'vitamind', label: 'Vitamin D', date: '2026-03-12', type: 'stop', from: pill(1), to: OFF },
+    ];
+    const metricsByDate = {};
+    for (let day = 1; day <= 20; day++) {
+      const date = `2026-03-${String(day).padStart(2, '0')}`;
+      metricsByDate[date] = { feetOnGround: day, brainTime: null, restingHR: 60, hrv: null, sleep: null };
+    }
+
+    const [start, stop] = analyzeChanges(changes, metricsByDate, { windowDays: 7 });
+
+    assert.deepEqual([start.before.start, start.before.end, start.after.start, start.after.end],
+      ['2026-03-02', '2026-03-08', '2026-03-09', '2026-03-11']);
+    assert.deepEqual([stop.before.start, stop.after.end], ['2026-03-09', '2026-03-18']);
+    // Mar 6/7 are a Friday and Saturday
+    assert.deepEqual(start.before.days.filter(d => d.noWatch).map(d => d.date), ['2026-03-06', '2026-03-07']);
+    assert.equal(start.metrics.feetOnGround.before.n, 7);
+    assert.equal(start.metrics.restingHR.before.n, 5);
+    assert.equal(start.metrics.brainTime.before.n, 0);
+  });
+});
+
+describe('GET /api/get-hourly-data?mode=medication-impact', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('compares the days around a medication start', async () => {
+    const entries = [[...TABLES.entries.headers, 'Vitamin D']];
+    const daily = [TABLES.healthDaily.headers];
+    for (let day = 2; day <= 15; day++) {
+      const dateFor = `3/${day}/2026`;
+      const started = day >= 9;
+      const entry = Array(MED + 1).fill('');
+      entry[TABLES.entries.index.timestamp] = `${dateFor}, 20:00:00`;
+      entry[TABLES.entries.index.dateFor] = dateFor;
+      entry[TABLES.entries.index.hours] = String((started ? 4 : 2) + (day % 2) * 0.5);
+      entry[MED] = started ? '1 pill' : 'Off';
+      entries.push(entry);
+
+      // No-watch Fridays/Saturdays (Mar 6, 7, 13, 14) read high and are left out
+      const noWatch = [6, 7, 13, 14].includes(day);
+      const row = Array(TABLES.healthDaily.headers.length).fill('');
+      row[TABLES.healthDaily.index.date] = dateFor;
+      row[TABLES.healthDaily.index.restingHR] = String(noWatch ? 100 : (started ? 62 : 70) + (day % 2));
+      daily.push(row);
+    }
+    installFakeSheets({ Sheet1: entries, Health_Daily: daily });
+
+    const res = await get({ mode: 'medication-impact', window: '7' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.windowDays, 7);
+    const [change] = res.body.changes;
+    assert.equal(res.body.changes.length, 1);
+    assert.deepEqual([change.key, change.date, change.type], ['vitamind', '2026-03-09', 'start']);
+    assert.deepEqual(change.to, { amount: 1, unit: 'pill' });
+
+    const hours = change.metrics.feetOnGround;
+    assert.deepEqual([hours.before.n, hours.after.n, hours.difference], [7, 7, 2.07]);
+    assert.ok(hours.ci[0] > 0, 'the interval is clear of zero');
+
+    const hr = change.metrics.restingHR;
+    assert.deepEqual([hr.before.n, hr.after.n, hr.difference], [5, 5, -7.8]);
+    assert.ok(hr.effectSize < -0.8);
+    assert.ok(change.after.days.some(day => day.noWatch), 'no-watch days are still listed');
+  });
+
+  it('rejects a bad window or an unknown mode', async () => {
+    installFakeSheets();
+    assert.equal((await get({ mode: 'medication-impact', window: '1' })).statusCode, 400);
+    assert.equal((await get({ mode: 'nope' })).statusCode, 400);
+
+    const empty = await get({ mode: 'medication-impact' });
+    assert.equal(empty.statusCode, 200);
+    assert.deepEqual([empty.body.windowDays, empty.body.changes], [14, []]);
+  });
+});
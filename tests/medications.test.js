@@ -0,0 +1,190 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import submitEntry from '../api/submit-entry.js';
+import getEntries from '../api/get-entries.js';
+import backupData from '../api/backup-data.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { TABLES } from '../lib/storage/tables.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const AUTH = { authorization: 'Bearer test-token' };
+// First medication column
+const MED = TABLES.entries.columns.length;
+
+function submit(body) {
+  return invoke(submitEntry, { method: 'POST', headers: AUTH, body });
+}
+
+async function listed() {
+  const res = await invoke(getEntries, { headers: AUTH });
+  return res.body.medications.map(({ key, archived }) => ({ key, archived }));
+}
+
+// Sheet1 with two medications and two days of doses
+async function twoMedications() {
+  const fake = installFakeSheets();
+  await submit({ action: 'add-medication', name: 'vitamin d' });
+  await submit({ action: 'add-medication', name: 'fish oil' });
+  await submit({ dateFor: '02/05/2026', hours: 5, vitamind: '1 pill', fishoil: '2 caps' });
+  await submit({ dateFor: '02/06/2026', hours: 6, vitamind: 'Off' });
+  return fake;
+}
+
+describe('medication lifecycle actions', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('rename-medication', () => {
+    it('renames the column and keeps its doses', async () => {
+      const fake = await twoMedications();
+
+      const res = await submit({ action: 'rename-medication', key: 'vitamind', name: 'vitamin d3' });
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(res.body.medication, {
+        key: 'vitamind3', label: 'Vitamin D3', previousKey: 'vitamind', previousLabel: 'Vitamin D',
+      });
+      const [header] = fake.getValues('Sheet1');
+      assert.equal(header[MED], 'Vitamin D3');
+
+      const { entries } = (await invoke(getEntries, { headers: AUTH })).body;
+      assert.equal(entries.find(e => e.date === '2/5/2026').vitamind3, '1 pill');
+    });
+
+    it('keeps archived state and position under the new key', async () => {
+      await twoMedications();
+      await submit({ action: 'reorder-medications', order: ['vitamind', 'fishoil'] });
+      await submit({ action: 'archive-medication', key: 'vitamind', archived: true });
+
+      await submit({ action: 'rename-medication', key: 'vitamind', name: 'Vitamin D3' });
+
+      assert.deepEqual(await listed(), [
+        { key: 'vitamind3', archived: true },
+        { key: 'fishoil', archived: false },
+      ]);
+    });
+
+    it('refuses a name another medication already has', async () => {
+      await twoMedications();
+
+      const res = await submit({ action: 'rename-medication', key: 'vitamind', name: 'FishOil' });
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.error, /Fish Oil/);
+    });
+
+    it('answers 404 for an unknown medication', async () => {
+      await twoMedications();
+      const res = await submit({ action: 'rename-medication', key: 'nope', name: 'Anything' });
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  describe('archive-medication and reorder-medications', () => {
+    it('lists medications in the saved order with their archived flag', async () => {
+      await twoMedications();
+      assert.deepEqual(await listed(), [
+        { key: 'fishoil', archived: false },
+        { key: 'vitamind', archived: false },
+      ], 'by name until ordered');
+
+      const reordered = await submit({ action: 'reorder-medications', order: ['vitamind'] });
+      assert.equal(reordered.statusCode, 200);
+      assert.deepEqual(reordered.body.medications.map(m => m.key), ['vitamind', 'fishoil']);
+
+      const archived = await submit({ action: 'archive-medication', key: 'fishoil', archived: true });
+      assert.deepEqual(archived.body.medication, { key: 'fishoil', label: 'Fish Oil', archived: true });
+
+      assert.deepEqual(await listed(), [
+        { key: 'vitamind', archived: false },
+        { key: 'fishoil', archived: true },
+      ]);
+    });
+
+    it('validates the request', async () => {
+      await twoMedications();
+
+      assert.equal((await submit({ action: 'archive-medication', key: 'fishoil', archived: 'yes' })).statusCode, 400);
+      assert.equal((await submit({ action: 'reorder-medications', order: ['fishoil', 'fishoil'] })).statusCode, 400);
+      assert.equal((await submit({ action: 'reorder-medications', order: ['fishoil', 'nope'] })).statusCode, 404);
+    });
+  });
+
+  describe('merge-medication', () => {
+    it('moves doses into the kept column and deletes the duplicate', async () => {
+      const fake = await twoMedications();
+      await submit({ action: 'add-medication', name: 'vit d' });
+      await submit({ dateFor: '02/07/2026', hours: 4, vitd: '1 pill' });
+      await submit({ dateFor: '02/05/2026', hours: 5, vitamind: '1 pill', fishoil: '2 caps', vitd: '3 pills' });
+
+      const res = await submit({ action: 'merge-medication', from: 'vitd', into: 'vitamind' });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.moved, 1);
+      assert.deepEqual(res.body.dropped, [{ dateFor: '2/5/2026', value: '3 pills' }]);
+
+      const [header, ...rows] = fake.getValues('Sheet1');
+      assert.deepEqual(header.slice(MED), ['Vitamin D', 'Fish Oil']);
+      const byDate = Object.fromEntries(rows.map(row => [row[TABLES.entries.index.dateFor], row]));
+      assert.equal(byDate['2/7/2026'][MED], '1 pill');
+      assert.equal(byDate['2/5/2026'][MED], '1 pill');
+      assert.equal(byDate['2/5/2026'][MED + 1], '2 caps');
+    });
+
+    it('refuses to merge a medication into itself', async () => {
+      await twoMedications();
+      const res = await submit({ action: 'merge-medication', from: 'fishoil', into: 'fishoil' });
+      assert.equal(res.statusCode, 400);
+    });
+  });
+
+  describe('daily form defaults', () => {
+    async function defaults() {
+      const res = await invoke(getEntries, { headers: AUTH });
+      return Object.fromEntries(res.body.medications.map(med => [med.key, [med.defaultOn, med.carryForward]]));
+    }
+
+    it('start OFF and carried forward, and are kept with the medication', async () => {
+      await twoMedications();
+      assert.deepEqual(await defaults(), { fishoil: [false, true], vitamind: [false, true] });
+
+      const res = await submit({ action: 'set-medication-dose', key: 'vitamind', defaultOn: true, carryForward: false });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.medication.defaultOn, true);
+      assert.equal(res.body.medication.carryForward, false);
+
+      await submit({ action: 'archive-medication', key: 'fishoil', archived: true });
+      await submit({ action: 'rename-medication', key: 'vitamind', name: 'vitamin d3' });
+
+      assert.deepEqual(await defaults(), { fishoil: [false, true], vitamind3: [true, false] });
+    });
+
+    it('must be true or false', async () => {
+      await twoMedications();
+      const res = await submit({ action: 'set-medication-dose', key: 'vitamind', defaultOn: 'yes' });
+      assert.equal(res.statusCode, 400);
+    });
+  });
+
+  it('replays renames and merges from the AuditLog', async () => {
+    await twoMedications();
+    await submit({ action: 'rename-medication', key: 'fishoil', name: 'omega 3' });
+    await submit({ action: 'add-medication', name: 'vit d' });
+    await submit({ dateFor: '02/07/2026', hours: 4, vitd: '1 pill', omega3: '1 cap' });
+    await submit({ action: 'merge-medication', from: 'vitd', into: 'vitamind' });
+
+    const res = await invoke(backupData, { headers: AUTH, query: { mode: 'replay', dryRun: 'true' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.diff, { columns: { added: [], removed: [] }, added: [], removed: [], changed: [] });
+  });
+});
@@ -0,0 +1,312 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import backupData from '../api/backup-data.js';
+import getEntries from '../api/get-entries.js';
+import { createSheetsStore, getRepository, setStore } from '../lib/storage/index.js';
+import { runMigrations, getSchemaVersion, LATEST_SCHEMA_VERSION } from '../lib/storage/migrate.js';
+import { addColumn, renameHeader, MigrationError } from '../lib/storage/migrationSteps.js';
+import { defineTable } from '../lib/storage/schema.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { createFakeSheets, installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const OWNER = { authorization: 'Bearer test-token' };
+
+function installSheets(tabs) {
+  const fake = createFakeSheets(tabs);
+  setStore(createSheetsStore({ sheets: fake, spreadsheetId: 'test-spreadsheet' }));
+  return fake;
+}
+
+// A sheet from before migrations existed: Sheet1 has no Revision column,
+// Health_Daily stops at Last Updated, ECG_Readings at Notes, AuditLog at the
+// request body, and there is no Meta tab.
+function legacySheets() {
+  const hourly = (metric, value, raw) => ['2/10/2026, 12:00', '2/10/2026', '0', metric, value, '', '', 'Watch', JSON.stringify(raw)];
+  return installSheets({
+    Sheet1: [
+      [...TABLES.entries.headers.slice(0, 10), 'Vitamin D'],
+      ['2/10/2026, 20:00:00', '2/10/2026', '5', '', '', '', '', '', '', '', '1 pill'],
+    ],
+    Health_Hourly: [
+      TABLES.healthHourly.headers,
+      hourly('sleep_stage', 'asleepCore', {
+        startDate: '2026-02-10 01:00:00 -0500', endDate: '2026-02-10 06:00:00 -0500', stage: 'asleepCore',
+      }),
+      hourly('heart_rate', '60', { date: '2026-02-10 03:00:00 -0500', Avg: 60 }),
+      hourly('heart_rate', '90', { date: '2026-02-10 14:00:00 -0500', Avg: 90 }),
+    ],
+    Health_Daily: [
+      TABLES.healthDaily.headers.slice(0, 12),
+      ['2/10/2026', '4000', '75'],
+    ],
+    ECG_Readings: [
+      TABLES.ecgReadings.headers.slice(0, 11),
+      ['2/10/2026, 9:00:00 AM', '2/10/2026, 8:59:00 AM', 'Sinus Rhythm', '70', '1.5', '', '', '74', '✓', '10', 'Auto-sync'],
+    ],
+    ECG_Waveforms: [TABLES.ecgWaveforms.headers],
+    AuditLog: [TABLES.auditLog.headers.slice(0, 4)],
+  });
+}
+
+describe('schema migrations', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('creates a fresh spreadsheet from nothing, and a dry run writes nothing', async () => {
+    const fake = installSheets({});
+
+    const preview = await runMigrations({ dryRun: true });
+    assert.equal(preview.fromVersion, 0);
+    assert.equal(preview.toVersion, LATEST_SCHEMA_VERSION);
+    assert.deepEqual(
+      preview.migrations[0].changes.map(c => [c.type, c.table]),
+      ['Sheet1', 'Health_Hourly', 'Health_Daily', 'ECG_Readings', 'ECG_Waveforms'].map(t => ['createTable', t])
+    );
+    assert.deepEqual(fake.sheetNames(), []);
+
+    const applied = await runMigrations();
+    assert.deepEqual(applied.migrations.map(m => m.changes), preview.migrations.map(m => m.changes));
+    assert.deepEqual(fake.getValues('Health_Daily'), [TABLES.healthDaily.headers]);
+    assert.equal(await getSchemaVersion(getRepository()), LATEST_SCHEMA_VERSION);
+
+    const again = await runMigrations();
+    assert.deepEqual(again.migrations, []);
+  });
+
+  it('brings a legacy sheet up to date and backfills derived values', async () => {
+    const fake = legacySheets();
+
+    const preview = await runMigrations({ dryRun: true });
+    assert.deepEqual(preview.migrations[0].changes, [], 'core tabs already exist');
+    assert.deepEqual(
+      preview.migrations[1].changes.filter(c => c.cell?.endsWith('2')).map(c => [c.cell, c.to]),
+      [['P2', '90'], ['Q2', '60']]
+    );
+    assert.deepEqual(fake.getValues('Health_Daily')[0], TABLES.healthDaily.headers.slice(0, 12));
+
+    await runMigrations();
+
+    const [dailyHeader, daily] = fake.getValues('Health_Daily');
+    assert.deepEqual(dailyHeader, TABLES.healthDaily.headers);
+    assert.equal(daily[TABLES.healthDaily.index.avgHR_awake], '90');
+    assert.equal(daily[TABLES.healthDaily.index.avgHR_asleep], '60');
+
+    const [ecgHeader, ecg] = fake.getValues('ECG_Readings');
+    assert.deepEqual(ecgHeader, TABLES.ecgReadings.headers);
+    assert.equal(ecg[TABLES.ecgReadings.index.hrDiff], '4');
+
+    const [entriesHeader, entry] = fake.getValues('Sheet1');
+    assert.deepEqual(entriesHeader, [...TABLES.entries.headers, 'Vitamin D'], 'Revision goes before the medications');
+    assert.equal(entry[TABLES.entries.columns.length], '1 pill');
+
+    assert.deepEqual(fake.getValues('AuditLog')[0], TABLES.auditLog.headers);
+
+    const [meta] = (await getRepository().meta.getRecords()).records;
+    assert.equal(meta.value, String(LATEST_SCHEMA_VERSION));
+  });
+
+  it('rewrites free-text doses and seeds medication units from them', async () => {
+    const MED = TABLES.entries.columns.length;
+    const day = (dateFor, oxaloacetate, modafinil) =>
+      [`${dateFor}, 20:00:00`, dateFor, '5', '', '', '', '', '', '', '', '1', oxaloacetate, modafinil];
+    const fake = installSheets({
+      Sheet1: [
+        [...TABLES.entries.headers, 'Oxaloacetate New', 'Modafinil New'],
+        day('2/12/2026', '2g', 'Off'),
+        day('2/11/2026', '1 gram', 'half pill'),
+        day('2/10/2026', '1g', 'with food'),
+      ],
+      Medications: [
+        TABLES.medications.headers.slice(0, 4),
+        ['modafinilnew', 'true', '1', ''],
+      ],
+      Meta: [TABLES.meta.headers, ['schemaVersion', '5', '']],
+    });
+
+    const preview = await runMigrations({ dryRun: true });
+    assert.equal(preview.fromVersion, 5);
+    assert.deepEqual(fake.getValues('Sheet1')[1][MED], '2g', 'dry run writes nothing');
+
+    await runMigrations();
+
+    const rows = fake.getValues('Sheet1').slice(1);
+    assert.deepEqual(rows.map(row => row.slice(MED)), [
+      ['2 g', 'Off'],
+      ['1 g', '0.5 pills'],
+      ['1 g', 'with food'],
+    ]);
+
+    const { records } = await getRepository().medications.getRecords();
+    const byKey = Object.fromEntries(records.map(r => [r.key, r]));
+    assert.deepEqual(
+      [byKey.oxaloacetatenew.unit, byKey.oxaloacetatenew.defaultAmount, byKey.oxaloacetatenew.archived],
+      ['g', 2, false],
+      'most common unit, latest amount'
+    );
+    assert.deepEqual(
+      [byKey.modafinilnew.unit, byKey.modafinilnew.defaultAmount, byKey.modafinilnew.archived, byKey.modafinilnew.position],
+      ['pill', 0.5, true, 1],
+      'existing settings are kept'
+    );
+  });
+
+  it('moves the daily form\'s built-in medication defaults into the Medications tab', async () => {
+    installSheets({
+      Sheet1: [[...TABLES.entries.headers, 'Vitamin D', 'Nyquil', 'Senna']],
+      Medications: [
+        TABLES.medications.headers.slice(0, 7),
+        ['nyquil', 'false', '', '', '', '', ''],
+        ['senna', 'true', '2', '', 'pill', '1', 'daily'],
+      ],
+      Meta: [TABLES.meta.headers, ['schemaVersion', '6', '']],
+    });
+
+    await runMigrations();
+
+    const { records } = await getRepository().medications.getRecords();
+    const byKey = Object.fromEntries(records.map(r => [r.key, r]));
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(byKey).map(([key, r]) => [key, [r.defaultOn, r.carryForward]])),
+      { nyquil: [false, true], senna: [true, true], vitamind: [true, true] }
+    );
+    assert.deepEqual([byKey.senna.archived, byKey.senna.position, byKey.senna.unit], [true, 2, 'pill'], 'other settings kept');
+  });
+
+  it('starts the custom fields with the symptom scales, leaving an existing tab alone', async () => {
+    installSheets({
+      Sheet1: [TABLES.entries.headers],
+      Meta: [TABLES.meta.headers, ['schemaVersion', '8', '']],
+    });
+    await runMigrations();
+
+    const { records } = await getRepository().customFields.getRecords();
+    assert.deepEqual(
+      records.map(r => [r.label, r.type, r.min, r.max, r.position]),
+      [['Fatigue', 'scale', 0, 10, 1], ['Pain', 'scale', 0, 10, 2], ['Brain Fog', 'scale', 0, 10, 3], ['Orthostatic Intolerance', 'scale', 0, 10, 4]]
+    );
+
+    const fake = installSheets({
+      Sheet1: [TABLES.entries.headers],
+      CustomFields: [TABLES.customFields.headers, ['Nausea', 'yesNo']],
+      Meta: [TABLES.meta.headers, ['schemaVersion', '8', '']],
+    });
+    await runMigrations();
+    assert.deepEqual(fake.getValues('CustomFields').slice(1), [['Nausea', 'yesNo']]);
+  });
+
+  it('inserts new fixed columns before dynamic ones', async () => {
+    const table = defineTable('Things', [['a', 'A'], ['b', 'B'], ['c', 'C']], { dynamicColumns: true });
+    const fake = installSheets({ Things: [['A', 'B', 'Vitamin D'], ['1', '2', '5mg']] });
+
+    await runMigrations({ migrations: [{ version: 1, description: 'add C', steps: [addColumn(table, 'c')] }] });
+
+    assert.deepEqual(fake.getValues('Things'), [['A', 'B', 'C', 'Vitamin D'], ['1', '2', '', '5mg']]);
+  });
+
+  it('accepts hand-typed headers that differ only in case and spacing', async () => {
+    // Before migrations nothing wrote Sheet1's or ECG_Readings' headers
+    const typed = (headers) => headers.map((header, i) => (i % 2 ? ` ${header.toLowerCase()} ` : header.toUpperCase()));
+    const fake = installSheets({
+      Sheet1: [typed(TABLES.entries.headers.slice(0, 10)), ['2/10/2026, 20:00:00', '2/10/2026', '5']],
+      Health_Hourly: [TABLES.healthHourly.headers],
+      Health_Daily: [TABLES.healthDaily.headers.slice(0, 12)],
+      ECG_Readings: [typed(TABLES.ecgReadings.headers.slice(0, 11))],
+      ECG_Waveforms: [TABLES.ecgWaveforms.headers],
+    });
+
+    await runMigrations();
+
+    assert.equal(await getSchemaVersion(getRepository()), LATEST_SCHEMA_VERSION);
+    assert.deepEqual(fake.getValues('Sheet1')[0].slice(10), ['Revision']);
+    assert.deepEqual(fake.getValues('ECG_Readings')[0].slice(11), TABLES.ecgReadings.headers.slice(11));
+  });
+
+  it('names the column that blocks a new one', async () => {
+    installSheets({ Things: [['A', 'Bee']] });
+    const table = defineTable('Things', [['a', 'A'], ['b', 'B'], ['c', 'C']]);
+
+    await assert.rejects(
+      runMigrations({ migrations: [{ version: 1, description: 'add C', steps: [addColumn(table, 'c')] }] }),
+      { name: 'MigrationError', message: 'Things: column B is "Bee", expected "B" before "C" can be added' }
+    );
+  });
+
+  it('stops on a header it cannot reconcile and keeps the last good version', async () => {
+    installSheets({ Things: [['A', 'Bee']] });
+    const table = defineTable('Things', [['a', 'A'], ['b', 'B']]);
+    const migrations = [
+      { version: 1, description: 'ok', steps: [] },
+      { version: 2, description: 'rename', steps: [renameHeader(table, 'b', 'Old B')] },
+    ];
+
+    await assert.rejects(runMigrations({ migrations }), MigrationError);
+    assert.equal(await getSchemaVersion(getRepository()), 1);
+  });
+
+  it('rejects out-of-order versions', async () => {
+    installSheets({});
+    await assert.rejects(
+      runMigrations({ migrations: [{ version: 2, description: 'skip', steps: [] }] }),
+      /consecutive/
+    );
+  });
+});
+
+describe('schema version check', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses to serve while the schema is behind, and serves once migrated', async () => {
+    legacySheets();
+
+    const refused = await invoke(getEntries, { headers: OWNER });
+    assert.equal(refused.statusCode, 503);
+    assert.equal(refused.body.schemaVersion, 0);
+    assert.equal(refused.body.requiredVersion, LATEST_SCHEMA_VERSION);
+
+    const missingParam = await invoke(backupData, { headers: OWNER, query: { mode: 'migrate' } });
+    assert.equal(missingParam.statusCode, 400);
+
+    const preview = await invoke(backupData, { headers: OWNER, query: { mode: 'migrate', dryRun: 'true' } });
+    assert.equal(preview.statusCode, 200);
+    assert.equal(preview.body.dryRun, true);
+    assert.equal((await invoke(getEntries, { headers: OWNER })).statusCode, 503);
+
+    const migrated = await invoke(backupData, { headers: OWNER, query: { mode: 'migrate', confirm: 'true' } });
+    assert.equal(migrated.statusCode, 200);
+    assert.equal(migrated.body.toVersion, LATEST_SCHEMA_VERSION);
+
+    assert.equal((await invoke(getEntries, { headers: OWNER })).statusCode, 200);
+  });
+
+  it('only lets admins run migrations', async () => {
+    installFakeSheets();
+    process.env.CRON_SECRET = 'cron-secret';
+    try {
+      const res = await invoke(backupData, {
+        headers: { authorization: 'Bearer cron-secret' },
+        query: { mode: 'migrate', dryRun: 'true' },
+      });
+      assert.equal(res.statusCode, 403);
+    } finally {
+      delete process.env.CRON_SECRET;
+    }
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import authHandler from '../api/auth.js';
+import getEntries from '../api/get-entries.js';
+import submitEntry from '../api/submit-entry.js';
+import { createSession, verifySession } from '../lib/sessions.js';
+import { signToken, verifyToken, getSigningKey } from '../lib/signedToken.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { createSoftAuthenticator } from './helpers/softAuthenticator.js';
+import { invoke } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+delete process.env.WEBAUTHN_ORIGIN;
+delete process.env.WEBAUTHN_RP_ID;
+
+const HOST = { host: 'cfs.example.com', 'x-forwarded-proto': 'https' };
+const OWNER = { ...HOST, authorization: 'Bearer test-token' };
+
+function action(body, headers = HOST) {
+  return invoke(authHandler, { method: 'POST', headers, body });
+}
+
+async function registerPasskey(authenticator, headers = OWNER, name = 'My iPhone') {
+  const { body: start } = await action({ action: 'passkey-register-options' }, headers);
+  return action({
+    action: 'passkey-register',
+    name,
+    challengeToken: start.challengeToken,
+    response: authenticator.register(start.options),
+  }, headers);
+}
+
+async function signIn(authenticator) {
+  const { body: start } = await action({ action: 'passkey-login-options' });
+  return action({
+    action: 'passkey-login',
+    challengeToken: start.challengeToken,
+    response: authenticator.authenticate(start.options),
+  });
+}
+
+describe('signed tokens', () => {
+  const key = getSigningKey('test');
+
+  it('round-trips a payload for the same purpose', () => {
+    const token = signToken({ a: 1 }, { key, purpose: 'x', ttlSeconds: 60 });
+    assert.equal(verifyToken(token, { key, purpose: 'x' }).a, 1);
+  });
+
+  it('rejects expired, tampered or cross-purpose tokens', () => {
+    const token = signToken({ a: 1 }, { key, purpose: 'x', ttlSeconds: 60, now: 0 });
+    assert.equal(verifyToken(token, { key, purpose: 'x', now: 61_000 }), null);
+
+    const fresh = signToken({ a: 1 }, { key, purpose: 'x', ttlSeconds: 60 });
+    const [body, sig] = fresh.split('.');
+    const forged = Buffer.from(JSON.stringify({ a: 2, purpose: 'x', exp: 9e9 })).toString('base64url');
+    assert.equal(verifyToken(`${forged}.${sig}`, { key, purpose: 'x' }), null);
+    assert.equal(verifyToken(`${body}.${sig}`, { key, purpose: 'y' }), null);
+    assert.equal(verifyToken(fresh, { key: getSigningKey('other'), purpose: 'x' }), null);
+  });
+
+  it('sessions expire', () => {
+    const { token } = createSession({ id: 'pk', name: 'n', scopes: ['read'] }, 0);
+    assert.equal(verifySession(token, 13 * 60 * 60 * 1000), null);
+  });
+});
+
+describe('/api/auth passkeys', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('registers a passkey and signs in with it to get a working session', async () => {
+    const fake = installFakeSheets();
+    const authenticator = createSoftAuthenticator({ origin: 'https://cfs.example.com', rpID: 'cfs.example.com' });
+
+    const registered = await registerPasskey(authenticator);
+    assert.equal(registered.statusCode, 200, JSON.stringify(registered.body));
+    assert.equal(registered.body.passkey.id, authenticator.credentialId);
+    assert.deepEqual(registered.body.passkey.scopes, ['admin']);
+    assert.equal(registered.body.passkey.publicKey, undefined);
+    assert.equal(fake.getValues('Passkeys').length, 2);
+
+    const login = await signIn(authenticator);
+    assert.equal(login.statusCode, 200, JSON.stringify(login.body));
+    const { token, expiresAt } = login.body.session;
+    assert.match(token, /^sess_/);
+    assert.ok(Date.parse(expiresAt) > Date.now());
+
+    const res = await invoke(getEntries, { method: 'GET', headers: { authorization: `Bearer ${token}` }, query: {} });
+    assert.equal(res.statusCode, 200);
+
+    const [, row] = fake.getValues('Passkeys');
+    assert.equal(row[3], '1', 'signature counter is stored');
+    assert.ok(row[10], 'last-used time is stored');
+  });
+
+  it('gives a passkey no more access than the token that registered it', async () => {
+    installFakeSheets();
+    const { body: device } = await action({ action: 'create-device', name: 'Shared tablet', scopes: ['write'] }, OWNER);
+    const authenticator = createSoftAuthenticator({ origin: 'https://cfs.example.com', rpID: 'cfs.example.com' });
+
+    await registerPasskey(authenticator, { ...HOST, authorization: `Bearer ${device.token}` });
+    const { body } = await signIn(authenticator);
+
+    const headers = { authorization: `Bearer ${body.session.token}` };
+    const manage = await invoke(authHandler, { method: 'GET', headers, query: { view: 'devices' } });
+    assert.equal(manage.statusCode, 403);
+    const write = await invoke(submitEntry, { method: 'POST', headers, body: { dateFor: '01/02/2026', hours: 5 } });
+    assert.equal(write.statusCode, 200);
+  });
+
+  it('ends sessions when the passkey is revoked', async () => {
+    installFakeSheets();
+    const authenticator = createSoftAuthenticator({ origin: 'https://cfs.example.com', rpID: 'cfs.example.com' });
+    await registerPasskey(authenticator);
+    const { body } = await signIn(authenticator);
+
+    const revoked = await action({ action: 'revoke-passkey', id: authenticator.credentialId }, OWNER);
+    assert.equal(revoked.statusCode, 200);
+
+    const res = await invoke(getEntries, { method: 'GET', headers: { authorization: `Bearer ${body.session.token}` }, query: {} });
+    assert.equal(res.statusCode, 401);
+    assert.equal((await signIn(authenticator)).statusCode, 401);
+  });
+
+  it('rejects a response made for another origin', async () => {
+    installFakeSheets();
+    const phished = createSoftAuthenticator({ origin: 'https://evil.example.net', rpID: 'cfs.example.com' });
+
+    const res = await registerPasskey(phished);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /origin/i);
+  });
+
+  it('accepts each challenge token once, even from a passkey without a counter', async () => {
+    installFakeSheets();
+    const authenticator = createSoftAuthenticator({ origin: 'https://cfs.example.com', rpID: 'cfs.example.com', synced: true });
+    await registerPasskey(authenticator);
+
+    const { body: start } = await action({ action: 'passkey-login-options' });
+    const request = {
+      action: 'passkey-login',
+      challengeToken: start.challengeToken,
+      response: authenticator.authenticate(start.options),
+    };
+
+    assert.equal((await action(request)).statusCode, 200);
+    const replayed = await action(request);
+    assert.equal(replayed.statusCode, 401);
+    assert.match(replayed.body.error, /already been used/);
+    assert.equal((await signIn(authenticator)).statusCode, 200);
+  });
+
+  it('rejects a challenge token minted for registration at sign-in', async () => {
+    installFakeSheets();
+    const authenticator = createSoftAuthenticator({ origin: 'https://cfs.example.com', rpID: 'cfs.example.com' });
+    await registerPasskey(authenticator);
+
+    const { body: start } = await action({ action: 'passkey-register-options' }, OWNER);
+    const res = await action({
+      action: 'passkey-login',
+      challengeToken: start.challengeToken,
+      response: authenticator.authenticate(start.options),
+    });
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('requires a token to register but not to sign in', async () => {
+    installFakeSheets();
+    assert.equal((await action({ action: 'passkey-register-options' })).statusCode, 401);
+    assert.equal((await action({ action: 'passkey-login-options' })).statusCode, 200);
+    assert.equal((await action({ action: 'constructor' })).statusCode, 400);
+  });
+});
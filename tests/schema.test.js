@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TYPES,
+  defineTable,
+  columnIndex,
+  parseRow,
+  formatRow,
+  fieldUpdates,
+  getDynamicColumns,
+} from '../lib/storage/schema.js';
+import { getRepository } from '../lib/storage/index.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+
+describe('sheet schema', () => {
+  it('parses cells forgivingly and formats values back', () => {
+    assert.equal(TYPES.number.parse('72.5'), 72.5);
+    assert.equal(TYPES.number.parse(''), null);
+    assert.equal(TYPES.number.parse('n/a'), null);
+    assert.equal(TYPES.integer.parse('42'), 42);
+    assert.equal(TYPES.boolean.parse('TRUE'), true);
+    assert.equal(TYPES.boolean.parse(undefined), false);
+    assert.equal(TYPES.yesNo.parse('Yes'), true);
+    assert.deepEqual(TYPES.list.parse('read, write,'), ['read', 'write']);
+    assert.equal(TYPES.json.parse('{bad'), null);
+
+    assert.equal(TYPES.number.format(0), 0);
+    assert.equal(TYPES.string.format(null), '');
+    assert.equal(TYPES.boolean.format(false), 'false');
+    assert.equal(TYPES.yesNo.format(true), 'Yes');
+    assert.equal(TYPES.list.format(['a', 'b']), 'a,b');
+    assert.equal(TYPES.json.format({ a: 1 }), '{"a":1}');
+  });
+
+  it('rejects duplicate keys and unknown types', () => {
+    assert.throws(() => defineTable('T', [['a', 'A'], ['a', 'B']]), /Duplicate column key "a"/);
+    assert.throws(() => defineTable('T', [['a', 'A', 'date']]), /Unknown column type "date"/);
+  });
+
+  it('fails loudly on unknown column keys', () => {
+    assert.equal(columnIndex(TABLES.healthDaily, 'avgHR_awake'), 15);
+    assert.throws(() => columnIndex(TABLES.healthDaily, 'avgHrAwake'), /Unknown column "avgHrAwake"/);
+    assert.throws(() => fieldUpdates(TABLES.settings, 2, { snooze: '' }), /Unknown column/);
+  });
+
+  it('round-trips a row through parseRow and formatRow', () => {
+    const row = ['01/02/2026, 09:00:00', '01/02/2026', '6.5', 'ok', '', '30', '0', '', 'Yes', '01/02/2026', '3'];
+    const record = parseRow(TABLES.entries, row);
+
+    assert.equal(record.hours, 6.5);
+    assert.equal(record.brainTime, 0);
+    assert.equal(record.oxaloacetate, null);
+    assert.equal(record.willDoECG, true);
+    assert.equal(record.revision, 3);
+    assert.deepEqual(formatRow(TABLES.entries, record), [
+      '01/02/2026, 09:00:00', '01/02/2026', 6.5, 'ok', '', 30, 0, '', 'Yes', '01/02/2026', 3,
+    ]);
+  });
+
+  it('lists user-defined columns after the fixed ones', () => {
+    const header = [...TABLES.entries.headers, 'Vitamin D', '', ' Magnesium '];
+    assert.deepEqual(getDynamicColumns(TABLES.entries, header), [
+      { header: 'Vitamin D', index: 11 },
+      { header: 'Magnesium', index: 13 },
+    ]);
+  });
+});
+
+describe('repository records', () => {
+  it('reads records with row numbers and updates single fields in place', async () => {
+    const fake = installFakeSheets({
+      UserSettings: [TABLES.settings.headers, ['20:00', '60', 'true', 'yesterday', '', 'America/Chicago']],
+    });
+    const repo = getRepository();
+
+    const settings = await repo.settings.read();
+    assert.equal(settings.repeatInterval, 60);
+    assert.equal(settings.stopAfterLog, true);
+    assert.equal(settings.snoozeUntil, null);
+
+    await repo.settings.write({ snoozeUntil: '1/2/2026, 21:00' });
+    assert.deepEqual(fake.getValues('UserSettings')[1],
+      ['20:00', '60', 'true', 'yesterday', '1/2/2026, 21:00', 'America/Chicago']);
+
+    await repo.subscriptions.ensure();
+    await repo.subscriptions.appendRecords([{
+      timestamp: 'now',
+      endpoint: 'https://push.example/1',
+      keys: { auth: 'a' },
+      subscription: { endpoint: 'https://push.example/1' },
+    }], { raw: true });
+
+    const { records } = await repo.subscriptions.getRecords();
+    assert.equal(records.length, 1);
+    assert.equal(records[0].rowNumber, 2);
+    assert.deepEqual(records[0].keys, { auth: 'a' });
+  });
+
+  it('returns null settings when the row is unset', async () => {
+    installFakeSheets({ UserSettings: [TABLES.settings.headers] });
+    assert.equal(await getRepository().settings.read(), null);
+  });
+});
@@ -0,0 +1,306 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/submit-entry.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { TABLES } from '../lib/storage/tables.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+
+const AUTH = { authorization: 'Bearer test-token' };
+const SHEET1_HEADERS = TABLES.entries.headers;
+// First medication column
+const MED = TABLES.entries.columns.length;
+const blankRow = (timestamp, dateFor, hours) => [timestamp, dateFor, hours, ...Array(MED - 3).fill('')];
+
+function submit(body) {
+  return invoke(handler, { method: 'POST', headers: AUTH, body });
+}
+
+describe('POST /api/submit-entry', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects requests without the secret token', async () => {
+    installFakeSheets();
+    const res = await invoke(handler, { method: 'POST', headers: {}, body: { hours: 5 } });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('validates hours', async () => {
+    installFakeSheets();
+    const res = await submit({ dateFor: '01/02/2026', hours: 30 });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('appends a new entry and writes an audit record first', async () => {
+    const fake = installFakeSheets();
+
+    const res = await submit({ dateFor: '01/02/2026', hours: 5, comments: 'ok', brainTime: 0 });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { success: true, row: 2, revision: 1 });
+
+    const rows = fake.getValues('Sheet1');
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1][1], '1/2/2026');
+    assert.equal(rows[1][2], '5');
+    assert.equal(rows[1][3], 'ok');
+    assert.equal(rows[1][6], '0', 'brainTime 0 must be kept, not blanked');
+
+    const audit = fake.getValues('AuditLog');
+    assert.deepEqual(audit[0], TABLES.auditLog.headers);
+    assert.equal(audit[1][1], 'SUBMIT_ENTRY');
+    assert.equal(JSON.parse(audit[1][3]).hours, 5);
+  });
+
+  it('updates the existing row for a date even when leading zeros differ', async () => {
+    const fake = installFakeSheets({
+      Sheet1: [SHEET1_HEADERS, ['02/05/2026, 21:00:00', '2/5/2026', '3']],
+    });
+
+    const res = await submit({ dateFor: '02/05/2026', hours: 7 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.row, 2);
+    const rows = fake.getValues('Sheet1');
+    assert.equal(rows.length, 2, 'resubmitting a date must not add a second row');
+    assert.equal(rows[1][2], '7');
+  });
+
+  describe('idempotency keys', () => {
+    const KEY = '6f1c2a4e-9d7b-4c1e-8a55-0b3f7e2d9c11';
+    const submitWithKey = (body, key = KEY) =>
+      invoke(handler, { method: 'POST', headers: { ...AUTH, 'idempotency-key': key }, body });
+
+    it('answers a retry with the original result and writes nothing', async () => {
+      const fake = installFakeSheets();
+
+      const first = await submitWithKey({ dateFor: '01/02/2026', hours: 5 });
+      // A newer edit made on another device after the first save
+      await submit({ dateFor: '01/02/2026', hours: 8 });
+      const retry = await submitWithKey({ dateFor: '01/02/2026', hours: 5 });
+
+      assert.equal(retry.statusCode, 200);
+      assert.deepEqual(retry.body, first.body);
+      assert.equal(retry.headers['idempotent-replayed'], 'true');
+      assert.equal(fake.getValues('Sheet1')[1][2], '8', 'the replay must not overwrite the newer edit');
+      assert.equal(fake.getValues('AuditLog').length, 3, 'no audit record for the replay');
+    });
+
+    it('applies a save with a new key normally', async () => {
+      const fake = installFakeSheets();
+
+      await submitWithKey({ dateFor: '01/02/2026', hours: 5 });
+      const second = await submitWithKey({ dateFor: '01/02/2026', hours: 6 }, 'a-different-key-1234');
+
+      assert.equal(second.headers['idempotent-replayed'], undefined);
+      assert.equal(fake.getValues('Sheet1')[1][2], '6');
+    });
+
+    it('rejects a malformed key', async () => {
+      installFakeSheets();
+      const res = await submitWithKey({ dateFor: '01/02/2026', hours: 5 }, '=HYPERLINK("x")');
+      assert.equal(res.statusCode, 400);
+    });
+  });
+
+  describe('revisions', () => {
+    it('counts writes to a row and starts new rows at 1', async () => {
+      const fake = installFakeSheets({
+        Sheet1: [SHEET1_HEADERS, ['02/05/2026, 21:00:00', '2/5/2026', '3']],
+      });
+
+      const first = await submit({ dateFor: '02/05/2026', hours: 7, baseRevision: 0 });
+      const second = await submit({ dateFor: '02/05/2026', hours: 8, baseRevision: 1 });
+      const fresh = await submit({ dateFor: '02/06/2026', hours: 4, baseRevision: 0 });
+
+      assert.equal(first.body.revision, 1, 'a row from before revisions counts as 0');
+      assert.equal(second.body.revision, 2);
+      assert.equal(fresh.body.revision, 1);
+      const row = fake.getValues('Sheet1').find(r => r[1] === '2/5/2026');
+      assert.equal(row[TABLES.entries.index.revision], '2');
+    });
+
+    it('refuses a stale write with the current values and leaves the row alone', async () => {
+      const fake = installFakeSheets({ Sheet1: [[...SHEET1_HEADERS, 'Vitamin D']] });
+
+      await submit({ dateFor: '01/02/2026', hours: 5, comments: 'phone', vitamind: '1 pill', baseRevision: 0 });
+      // Another device, loaded before the first save
+      const res = await submit({ dateFor: '01/02/2026', hours: 6, comments: 'phone', vitamind: 'Off', baseRevision: 0 });
+
+      assert.equal(res.statusCode, 409);
+      assert.equal(res.body.revision, 1);
+      assert.deepEqual(res.body.fields, ['hours', 'vitamind']);
+      assert.equal(res.body.current.hours, 5);
+      assert.equal(res.body.current.vitamind, '1 pill');
+      assert.equal(fake.getValues('Sheet1')[1][2], '5');
+      assert.equal(fake.getValues('AuditLog').length, 2, 'a refused write is not audit-logged');
+
+      const merged = await submit({ dateFor: '01/02/2026', hours: 6, comments: 'phone', vitamind: '1 pill', baseRevision: res.body.revision });
+      assert.equal(merged.statusCode, 200);
+      assert.equal(merged.body.revision, 2);
+    });
+
+    it('accepts a stale write that changes nothing, and any write without a base revision', async () => {
+      installFakeSheets();
+
+      await submit({ dateFor: '01/02/2026', hours: 5, baseRevision: 0 });
+      const same = await submit({ dateFor: '01/02/2026', hours: 5, baseRevision: 0 });
+      const legacy = await submit({ dateFor: '01/02/2026', hours: 9 });
+
+      assert.equal(same.statusCode, 200);
+      assert.equal(legacy.statusCode, 200);
+      assert.equal(legacy.body.revision, 3);
+    });
+
+    it('rejects a malformed base revision', async () => {
+      installFakeSheets();
+      const res = await submit({ dateFor: '01/02/2026', hours: 5, baseRevision: '2' });
+      assert.equal(res.statusCode, 400);
+    });
+  });
+
+  it('keeps Sheet1 sorted newest first with medication cells moving with their rows', async () => {
+    const fake = installFakeSheets({
+      Sheet1: [
+        [...SHEET1_HEADERS, 'Vitamin D'],
+        [...blankRow('01/01/2026, 08:00:00', '1/1/2026', '2'), '1 pill'],
+        [...blankRow('01/03/2026, 08:00:00', '1/3/2026', '4'), '3 pills'],
+      ],
+    });
+
+    await submit({ dateFor: '01/05/2026', hours: 6, vitamind: '5 pills' });
+
+    const rows = fake.getValues('Sheet1').slice(1);
+    assert.deepEqual(rows.map(r => r[1]), ['1/5/2026', '1/3/2026', '1/1/2026']);
+    assert.deepEqual(rows.map(r => r[MED]), ['5 pills', '3 pills', '1 pill']);
+  });
+
+  it('writes medication values into columns discovered from the header row', async () => {
+    const fake = installFakeSheets({
+      Sheet1: [[...SHEET1_HEADERS, 'Vitamin D', 'Magnesium Glycinate']],
+    });
+
+    await submit({ dateFor: '01/02/2026', hours: 5, vitamind: '1 pill', magnesiumglycinate: 'Off', unknownmed: 'x' });
+
+    const [header, row] = fake.getValues('Sheet1');
+    assert.equal(header.length, MED + 2);
+    assert.equal(row[MED], '1 pill');
+    assert.equal(row[MED + 1], 'Off');
+    assert.equal(row.length, MED + 2, 'unknown keys must not create columns');
+  });
+
+  describe('action: delete-entry', () => {
+    const remove = (body) => submit({ action: 'delete-entry', ...body });
+
+    it('removes the row and keeps its values in the audit log', async () => {
+      const fake = installFakeSheets({ Sheet1: [[...SHEET1_HEADERS, 'Vitamin D']] });
+      await submit({ dateFor: '01/02/2026', hours: 5, comments: 'typo day', vitamind: '1 pill' });
+      await submit({ dateFor: '01/03/2026', hours: 6 });
+
+      const res = await remove({ dateFor: '01/02/2026', baseRevision: 1 });
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(res.body, { success: true, dateFor: '1/2/2026', revision: 1 });
+      const rows = fake.getValues('Sheet1');
+      assert.deepEqual(rows.slice(1).map(r => r[1]), ['1/3/2026']);
+
+      const [, action, dateFor, body] = fake.getValues('AuditLog').at(-1);
+      assert.equal(action, 'DELETE_ENTRY');
+      assert.equal(dateFor, '1/2/2026');
+      assert.equal(JSON.parse(body).removed.comments, 'typo day');
+      assert.equal(JSON.parse(body).removed.vitamind, '1 pill');
+    });
+
+    it('refuses to delete a day changed since it was loaded', async () => {
+      const fake = installFakeSheets();
+      await submit({ dateFor: '01/02/2026', hours: 5 });
+      await submit({ dateFor: '01/02/2026', hours: 6 });
+
+      const res = await remove({ dateFor: '01/02/2026', baseRevision: 1 });
+
+      assert.equal(res.statusCode, 409);
+      assert.equal(res.body.current.hours, 6);
+      assert.equal(fake.getValues('Sheet1').length, 2);
+    });
+
+    it('answers 404 for a day without an entry', async () => {
+      installFakeSheets();
+      const res = await remove({ dateFor: '01/02/2026' });
+      assert.equal(res.statusCode, 404);
+    });
+
+    it('treats a stale save of a deleted day as a conflict', async () => {
+      installFakeSheets();
+      await submit({ dateFor: '01/02/2026', hours: 5, baseRevision: 0 });
+      await remove({ dateFor: '01/02/2026', baseRevision: 1 });
+
+      // Queued offline on a device that still had revision 1
+      const res = await submit({ dateFor: '01/02/2026', hours: 7, baseRevision: 1 });
+
+      assert.equal(res.statusCode, 409);
+      assert.equal(res.body.revision, 0);
+      assert.equal(res.body.current.hours, null);
+      assert.match(res.body.error, /deleted/);
+    });
+
+    it('keeps revisions going up when a deleted day is saved again', async () => {
+      const fake = installFakeSheets();
+      await submit({ dateFor: '01/02/2026', hours: 5, baseRevision: 0 });
+
+      // Another device deletes the day and enters it again
+      await remove({ dateFor: '01/02/2026', baseRevision: 1 });
+      const recreated = await submit({ dateFor: '01/02/2026', hours: 8, baseRevision: 0 });
+      assert.equal(recreated.body.revision, 2);
+
+      // This device still has revision 1 from before the deletion
+      const stale = await submit({ dateFor: '01/02/2026', hours: 6, baseRevision: 1 });
+
+      assert.equal(stale.statusCode, 409);
+      assert.equal(stale.body.revision, 2);
+      assert.equal(stale.body.current.hours, 8);
+      assert.equal(fake.getValues('Sheet1')[1][TABLES.entries.index.hours], '8');
+    });
+  });
+
+  describe('action: add-medication', () => {
+    it('adds a title-cased header after the last column', async () => {
+      const fake = installFakeSheets({ Sheet1: [[...SHEET1_HEADERS, 'Vitamin D']] });
+
+      const res = await submit({ action: 'add-medication', name: 'fish oil' });
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(res.body.medication, { key: 'fishoil', label: 'Fish Oil', columnLetter: 'M', columnIndex: MED + 1 });
+      assert.equal(fake.getValues('Sheet1')[0][MED + 1], 'Fish Oil');
+    });
+
+    it('rejects a medication whose key matches an existing one', async () => {
+      const fake = installFakeSheets({ Sheet1: [[...SHEET1_HEADERS, 'Vitamin D']] });
+
+      const res = await submit({ action: 'add-medication', name: 'VitaminD' });
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.error, /Vitamin D/);
+      assert.equal(fake.getValues('Sheet1')[0].length, MED + 1);
+    });
+
+    it('makes the new column available to the next submission', async () => {
+      const fake = installFakeSheets();
+
+      await submit({ action: 'add-medication', name: 'Vitamin B-12' });
+      await submit({ dateFor: '01/02/2026', hours: 5, vitaminb12: '1000mcg' });
+
+      const [header, row] = fake.getValues('Sheet1');
+      assert.equal(header[MED], 'Vitamin B-12');
+      assert.equal(row[MED], '1000 mcg');
+    });
+  });
+});
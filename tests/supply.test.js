@@ -0,0 +1,200 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import webpush from 'web-push';
+
+import submitEntry from '../api/submit-entry.js';
+import getEntries from '../api/get-entries.js';
+import cronTrigger from '../api/cron-trigger.js';
+import { convertAmount } from '../lib/doses.js';
+import { supplyStatus, isLowSupply, todayIn } from '../lib/supply.js';
+import { TABLES } from '../lib/storage/tables.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke } from './helpers/http.js';
+import { addDays, sheetDate } from './helpers/dates.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+process.env.CRON_SECRET = 'cron-secret';
+
+const AUTH = { authorization: 'Bearer test-token' };
+// First medication column
+const MED = TABLES.entries.columns.length;
+const TIME_ZONE = 'America/New_York';
+
+function submit(body) {
+  return invoke(submitEntry, { method: 'POST', headers: AUTH, body });
+}
+
+// Sheet1 with Vitamin D (in pills) taken on each of the given days
+function vitaminD(doses, tabs = {}) {
+  const rows = Object.entries(doses).map(([date, dose]) => {
+    const row = Array(MED + 1).fill('');
+    row[TABLES.entries.index.timestamp] = `${sheetDate(date)}, 20:00:00`;
+    row[TABLES.entries.index.dateFor] = sheetDate(date);
+    row[MED] = dose;
+    return row;
+  });
+  return installFakeSheets({
+    Sheet1: [[...TABLES.entries.headers, 'Vitamin D'], ...rows],
+    Medications: [TABLES.medications.headers, ['vitamind', 'false', '', '', 'pill', '1', 'daily', 'true', 'true']],
+    ...tabs,
+  });
+}
+
+describe('lib/supply', () => {
+  it('converts between units of the same kind only', () => {
+    assert.equal(convertAmount(500, 'mg', 'g'), 0.5);
+    assert.equal(convertAmount(2, 'g', 'mg'), 2000);
+    assert.equal(convertAmount(3, '', 'pill'), 3);
+    assert.equal(convertAmount(3, 'pill', 'g'), null);
+    assert.equal(convertAmount(5, 'ml', 'mg'), null);
+  });
+
+  it('counts logged doses off the supply and estimates days left from recent use', () => {
+    const med = { unit: 'g', defaultAmount: 1, schedule: 'daily', supply: 30, supplyUnit: 'g', supplyDate: '2026-03-02' };
+    const history = [
+      { date: '2026-03-01', dose: { amount: 5, unit: 'g' } }, // before the refill
+      { date: '2026-03-02', dose: { amount: 2, unit: 'g' } },
+      { date: '2026-03-03', dose: { amount: 500, unit: 'mg' } },
+      { date: '2026-03-04', dose: { amount: null, unit: 'g' } }, // On: the default amount
+      { date: '2026-03-05', dose: { amount: 0, unit: 'g' } },
+      { date: '2026-03-06', dose: { amount: 2, unit: 'pill' } }, // can't be counted
+    ];
+
+    const status = supplyStatus(med, history, '2026-03-06');
+
+    assert.deepEqual(status, {
+      remaining: 26.5, unit: 'g', asOf: '2026-03-02', used: 3.5, uncounted: 1,
+      dailyUse: 1.7, daysLeft: 15, runsOutOn: '2026-03-21',
+    });
+    assert.equal(isLowSupply(status, 14), false);
+    assert.equal(isLowSupply(status, 16), true);
+
+    const fresh = supplyStatus({ ...med, schedule: 'twice-daily' }, [], '2026-03-02');
+    assert.equal(fresh.dailyUse, 2, 'from the schedule while there is too little history');
+    assert.equal(supplyStatus({ ...med, supply: null }, history, '2026-03-06'), null);
+  });
+});
+
+describe('medication refills', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('adds a refill to what is left and counts doses down from it', async () => {
+    const fake = vitaminD({ '2026-03-01': '1 pill', '2026-03-02': '2 pills', '2026-03-03': '1 pill' });
+
+    const first = await submit({ action: 'refill-medication', key: 'vitamind', quantity: 30, date: '2026-03-02' });
+    assert.equal(first.statusCode, 200, JSON.stringify(first.body));
+    assert.deepEqual([first.body.medication.remaining, first.body.medication.unit], [28, 'pill']);
+
+    // 30 - 2 (Mar 2) = 28 left before Mar 3's dose, plus 60
+    const second = await submit({ action: 'refill-medication', key: 'vitamind', quantity: 60, date: '2026-03-03' });
+    assert.equal(second.body.medication.remaining, 87);
+
+    const [, , , , , supplyCell, unitCell, dateCell] = fake.getValues('Medications')[1].slice(4);
+    assert.deepEqual([supplyCell, unitCell, dateCell], ['88', 'pill', '2026-03-03']);
+
+    const logged = fake.getValues(TABLES.auditLog.name).slice(1).map(row => row[TABLES.auditLog.index.action]);
+    assert.deepEqual(logged, ['REFILL_MEDICATION', 'REFILL_MEDICATION']);
+  });
+
+  it('refuses a refill it cannot add up', async () => {
+    vitaminD({});
+
+    const cases = [
+      [{ quantity: 0 }, 400],
+      [{ quantity: 30, unit: 'g' }, 400],
+      [{ quantity: 30, date: '3/2/2026' }, 400],
+      [{ quantity: 30, key: 'nope' }, 404],
+    ];
+    for (const [fields, status] of cases) {
+      const res = await submit({ action: 'refill-medication', key: 'vitamind', date: '2026-03-02', ...fields });
+      assert.equal(res.statusCode, status, JSON.stringify(fields));
+    }
+
+    await submit({ action: 'refill-medication', key: 'vitamind', quantity: 30, date: '2026-03-05' });
+    const backdated = await submit({ action: 'refill-medication', key: 'vitamind', quantity: 30, date: '2026-03-04' });
+    assert.equal(backdated.statusCode, 400);
+  });
+
+  it('lists the supply left and flags it against the threshold', async () => {
+    const today = todayIn(TIME_ZONE);
+    const doses = {};
+    for (let i = 0; i < 5; i++) doses[addDays(today, -i)] = '1 pill';
+    vitaminD(doses);
+    await submit({ action: 'refill-medication', key: 'vitamind', quantity: 10, date: addDays(today, -4) });
+
+    const res = await invoke(getEntries, { headers: AUTH, query: { view: 'supply' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.lowSupplyDays, 7);
+    const [supply] = res.body.supplies;
+    assert.deepEqual(
+      [supply.key, supply.remaining, supply.dailyUse, supply.daysLeft, supply.runsOutOn, supply.low],
+      ['vitamind', 5, 1, 5, addDays(today, 5), true]
+    );
+  });
+});
+
+describe('low-supply alert', () => {
+  let sent;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    const keys = webpush.generateVAPIDKeys();
+    process.env.VAPID_EMAIL = 'test@example.com';
+    process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+    sent = [];
+    mock.method(webpush, 'sendNotification', async (subscription, payload) => {
+      sent.push(JSON.parse(payload));
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VAPID_EMAIL;
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+  });
+
+  it('pushes once when supply drops below the threshold, and again after a refill', async () => {
+    const today = todayIn(TIME_ZONE);
+    const doses = {};
+    for (let i = 0; i < 5; i++) doses[addDays(today, -i)] = '1 pill';
+    const subscription = { endpoint: 'https://push.example.com/1', keys: { p256dh: 'key', auth: 'auth' } };
+    vitaminD(doses, {
+      Subscriptions: [TABLES.subscriptions.headers, ['', subscription.endpoint, '', JSON.stringify(subscription)]],
+      // Snoozed, so the only push is the supply alert
+      UserSettings: [TABLES.settings.headers, ['20:00', '60', 'true', '', '2999-01-01T00:00:00', TIME_ZONE, '7']],
+    });
+    await submit({ action: 'refill-medication', key: 'vitamind', quantity: 10, date: addDays(today, -4) });
+
+    const cron = () => invoke(cronTrigger, { method: 'GET', headers: { authorization: 'Bearer cron-secret' } });
+
+    const first = await cron();
+    assert.equal(first.statusCode, 200, JSON.stringify(first.body));
+    assert.deepEqual([first.body.supplyAlert.sent, first.body.supplyAlert.medications], [true, ['vitamind']]);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].title, 'Time to refill');
+    assert.match(sent[0].body, /Vitamin D: 5 pills left, about 5 day/);
+    assert.equal(sent[0].actions, undefined, 'no snooze button on a supply alert');
+
+    assert.equal((await cron()).body.supplyAlert.sent, false, 'not sent twice');
+    assert.equal(sent.length, 1);
+
+    await submit({ action: 'refill-medication', key: 'vitamind', quantity: 1 });
+    assert.equal((await cron()).body.supplyAlert.sent, true, 'a refill that stays low alerts again');
+    assert.equal(sent.length, 2);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import healthWebhook from '../api/health-webhook.js';
+import ecgWebhook from '../api/ecg-webhook.js';
+import { signWebhookPayload, clearNonceCache, readRawBody, BodyTooLargeError, MAX_BODY_BYTES } from '../lib/webhookAuth.js';
+import { installFakeSheets } from './helpers/fakeSheets.js';
+import { invoke, createRequest } from './helpers/http.js';
+
+process.env.SECRET_TOKEN = 'test-token';
+process.env.ECG_WEBHOOK_SECRET = 'ecg-secret';
+process.env.HEALTH_WEBHOOK_SECRET = 'health-secret';
+
+const BODY = JSON.stringify({
+  data: {
+    metrics: [{
+      name: 'heart_rate',
+      data: [{ date: '2026-03-01 09:00:00 -0500', Avg: 70, Min: 62, Max: 81, source: 'Watch' }],
+    }],
+  },
+});
+
+let nonceCounter = 0;
+
+function signedHeaders(rawBody, { secret = 'health-secret', timestamp = Math.floor(Date.now() / 1000), nonce } = {}) {
+  nonce ??= `nonce-${++nonceCounter}`;
+  return {
+    'content-type': 'application/json',
+    'x-webhook-timestamp': String(timestamp),
+    'x-webhook-nonce': nonce,
+    'x-webhook-signature': signWebhookPayload(secret, timestamp, nonce, rawBody),
+  };
+}
+
+function postHealth(headers, rawBody = BODY) {
+  return invoke(healthWebhook, { method: 'POST', headers, rawBody });
+}
+
+describe('signed webhooks', () => {
+  beforeEach(() => {
+    clearNonceCache();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_REQUIRE_SIGNATURE;
+    mock.restoreAll();
+  });
+
+  it('accepts a correctly signed request', async () => {
+    const fake = installFakeSheets();
+
+    const res = await postHealth(signedHeaders(BODY));
+
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(fake.getValues('Health_Hourly').length, 2);
+  });
+
+  it('verifies and parses a body whose chunks split a multi-byte character', async () => {
+    const fake = installFakeSheets();
+    const body = BODY.replace('"Watch"', '"Amiel’s Apple Watch"');
+    const bytes = Buffer.from(body);
+    // Split between the first and second byte of the three-byte ’
+    const split = bytes.indexOf(Buffer.from('’')) + 1;
+
+    const res = await postHealth(signedHeaders(bytes), [bytes.subarray(0, split), bytes.subarray(split)]);
+
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(fake.getValues('Health_Hourly').length, 2);
+    assert.match(JSON.stringify(fake.getValues('Health_Hourly')), /Amiel’s Apple Watch/);
+  });
+
+  it('rejects an empty body rather than processing an unsigned req.body', async () => {
+    const fake = installFakeSheets();
+
+    const res = await invoke(healthWebhook, { method: 'POST', headers: signedHeaders(''), rawBody: '', body: JSON.parse(BODY) });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(fake.getValues('Health_Hourly').length, 1);
+  });
+
+  it('rejects bodies over the size limit with 413', async () => {
+    installFakeSheets();
+
+    const declared = await postHealth({ ...signedHeaders(BODY), 'content-length': String(MAX_BODY_BYTES + 1) });
+    assert.equal(declared.statusCode, 413);
+
+    const streamed = readRawBody(createRequest({ rawBody: ['a'.repeat(8), 'a'.repeat(8)] }), { limit: 10 });
+    await assert.rejects(streamed, BodyTooLargeError);
+  });
+
+  it('rejects a tampered body or the wrong webhook\'s secret', async () => {
+    installFakeSheets();
+
+    const tampered = await postHealth(signedHeaders(BODY), BODY.replace('70', '170'));
+    assert.equal(tampered.statusCode, 401);
+
+    const wrongSecret = await postHealth(signedHeaders(BODY, { secret: 'ecg-secret' }));
+    assert.equal(wrongSecret.statusCode, 401);
+  });
+
+  it('rejects timestamps outside the window', async () => {
+    installFakeSheets();
+    const tenMinutes = 10 * 60;
+
+    const stale = await postHealth(signedHeaders(BODY, { timestamp: Math.floor(Date.now() / 1000) - tenMinutes }));
+    assert.equal(stale.statusCode, 401);
+
+    const future = await postHealth(signedHeaders(BODY, { timestamp: Math.floor(Date.now() / 1000) + tenMinutes }));
+    assert.equal(future.statusCode, 401);
+  });
+
+  it('rejects a replayed request', async () => {
+    installFakeSheets();
+    const headers = signedHeaders(BODY);
+
+    assert.equal((await postHealth(headers)).statusCode, 200);
+    assert.equal((await postHealth(headers)).statusCode, 401);
+  });
+
+  it('can require signatures, refusing the static secret', async () => {
+    installFakeSheets();
+    process.env.WEBHOOK_REQUIRE_SIGNATURE = 'true';
+
+    const unsigned = await postHealth({ 'x-webhook-secret': 'health-secret' });
+    assert.equal(unsigned.statusCode, 401);
+    assert.equal((await postHealth(signedHeaders(BODY))).statusCode, 200);
+  });
+
+  it('never logs secrets or signatures', async () => {
+    installFakeSheets();
+    const warn = console.warn;
+    const headers = signedHeaders(BODY, { secret: 'wrong-secret' });
+
+    await postHealth(headers);
+
+    const logged = warn.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.match(logged, /bad signature/);
+    assert.doesNotMatch(logged, /secret/i);
+    assert.ok(!logged.includes(headers['x-webhook-signature'].slice(7)));
+  });
+});
+
+describe('separate webhook secrets', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('each static secret only works on its own webhook', async () => {
+    installFakeSheets();
+
+    assert.equal((await postHealth({ 'x-webhook-secret': 'health-secret' })).statusCode, 200);
+    assert.equal((await postHealth({ 'x-webhook-secret': 'ecg-secret' })).statusCode, 403);
+
+    const ecg = await invoke(ecgWebhook, {
+      method: 'POST',
+      headers: { 'x-webhook-secret': 'health-secret', 'content-type': 'application/json' },
+      rawBody: JSON.stringify({ data: { ecg: [] } }),
+    });
+    assert.equal(ecg.statusCode, 403);
+  });
+});